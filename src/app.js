@@ -20,6 +20,9 @@ const {
 // Import CORS configuration
 const { corsOptions } = require('./config/cors.config');
 
+// Request context (lets the audit trail plugin see the acting user)
+const RequestContext = require('./utils/requestContext');
+
 const app = express();
 
 // Trust proxy for rate limiting and IP detection
@@ -47,6 +50,9 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // Cookie parsing middleware
 app.use(cookieParser(process.env.COOKIE_SECRET));
 
+// Bind each request to its async call chain for automatic audit logging
+app.use(RequestContext.middleware);
+
 // Static files
 app.use(express.static(path.join(__dirname, '../public')));
 
@@ -86,7 +92,17 @@ const notificationRoutes = require('./routes/notification.routes');
 const dashboardRoutes = require('./routes/dashboard.routes');
 const signatureRoutes = require('./routes/signature.routes');
 const adminJobsRoutes = require('./routes/admin/jobs.routes');
+const adminAuditRoutes = require('./routes/admin/audit.routes');
+const adminSettingsRoutes = require('./routes/admin/settings.routes');
 const draftRoutes = require('./routes/draft.routes');
+const clientRoutes = require('./routes/client.routes');
+const quotationPortalRoutes = require('./routes/quotationPortal.routes');
+const serviceCatalogRoutes = require('./routes/serviceCatalog.routes');
+const moveRoutes = require('./routes/move.routes');
+const vehicleRoutes = require('./routes/vehicle.routes');
+const calendarRoutes = require('./routes/calendar.routes');
+const claimRoutes = require('./routes/claim.routes');
+const storageContractRoutes = require('./routes/storageContract.routes');
 
 // API Routes with specific rate limiting
 // app.use('/api/auth', authLimiter, authRoutes); // Rate limiting disabled
@@ -102,7 +118,17 @@ app.use('/api/notifications', notificationRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/signatures', signatureRoutes);
 app.use('/api/admin/jobs', adminJobsRoutes);
+app.use('/api/admin/audit', adminAuditRoutes);
+app.use('/api/admin/settings', adminSettingsRoutes);
 app.use('/api/drafts', draftRoutes);
+app.use('/api/clients', clientRoutes);
+app.use('/api/portal/quotations', quotationPortalRoutes);
+app.use('/api/service-catalog', serviceCatalogRoutes);
+app.use('/api/moves', moveRoutes);
+app.use('/api/vehicles', vehicleRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/claims', claimRoutes);
+app.use('/api/storage-contracts', storageContractRoutes);
 
 // Handle unhandled routes (404)
 app.all('*', handleNotFound);
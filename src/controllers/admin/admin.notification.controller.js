@@ -5,12 +5,14 @@
 
 const Notification = require('../../models/Notification.model');
 const User = require('../../models/User.model');
+const NotificationSettings = require('../../models/NotificationSettings.model');
 const ApiResponse = require('../../utils/response');
 const { asyncHandler } = require('../../middleware/errorHandler.middleware');
 const { validationResult } = require('express-validator');
 const notificationLifecycleJob = require('../../jobs/notificationLifecycle.job');
 const notificationCleanupJob = require('../../jobs/notificationCleanup.job');
 const notificationReadStatusJob = require('../../jobs/notificationReadStatus.job');
+const logger = require('../../utils/logger');
 
 /**
  * Get notification summary for admin dashboard
@@ -425,6 +427,8 @@ const extendNotificationLifecycle = asyncHandler(async (req, res) => {
 
 /**
  * Update notification settings
+ * Saves the changes as a new settings version; the notification jobs use it
+ * from their next run
  * PUT /api/admin/notifications/settings
  */
 const updateNotificationSettings = asyncHandler(async (req, res) => {
@@ -433,72 +437,94 @@ const updateNotificationSettings = asyncHandler(async (req, res) => {
     return ApiResponse.error(res, 'Validation failed', 400, errors.array());
   }
 
-  const {
-    autoDeleteReadNotifications = false,
-    maxRetentionDays = 30,
-    reminderDaysBeforeExpiry = 1,
-    importantNotificationTypes = ['payment_overdue', 'security_alert'],
-    autoExtendImportant = true,
-    notificationBatchSize = 100
-  } = req.body;
+  const { version, reason } = req.body;
+  const updates = {};
+  NotificationSettings.getSettingFields().forEach(field => {
+    if (req.body[field] !== undefined) updates[field] = req.body[field];
+  });
 
-  // For now, we'll store settings in a simple configuration
-  // In a production app, you might want to store this in a dedicated Settings model
-  const settings = {
-    autoDeleteReadNotifications,
-    maxRetentionDays: Math.max(1, Math.min(365, parseInt(maxRetentionDays))), // 1-365 days
-    reminderDaysBeforeExpiry: Math.max(
-      1,
-      Math.min(7, parseInt(reminderDaysBeforeExpiry))
-    ), // 1-7 days
-    importantNotificationTypes,
-    autoExtendImportant,
-    notificationBatchSize: Math.max(
-      10,
-      Math.min(1000, parseInt(notificationBatchSize))
-    ), // 10-1000
-    updatedBy: req.user._id,
-    updatedAt: new Date()
-  };
+  try {
+    const { settings, changedFields } = await NotificationSettings.saveVersion(
+      updates,
+      {
+        updatedBy: req.user._id,
+        reason,
+        expectedVersion: version
+      }
+    );
+
+    if (changedFields.length > 0) {
+      logger.info(
+        `⚙️ Notification settings updated to version ${settings.version} by admin ${req.user._id}`
+      );
+    }
 
-  // Store settings in environment or database (simplified for this implementation)
-  // You could create a Settings model for persistent storage
-  global.notificationSettings = settings;
+    return ApiResponse.success(
+      res,
+      {
+        settings,
+        changedFields
+      },
+      changedFields.length > 0
+        ? 'Notification settings updated successfully'
+        : 'Notification settings unchanged'
+    );
+  } catch (error) {
+    if (error.statusCode) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+    throw error;
+  }
+});
 
-  console.log(`⚙️ Notification settings updated by admin ${req.user._id}`);
+/**
+ * Get current notification settings
+ * GET /api/admin/notifications/settings
+ */
+const getNotificationSettings = asyncHandler(async (req, res) => {
+  const settings = await NotificationSettings.getCurrent();
 
   return ApiResponse.success(
     res,
     {
       settings
     },
-    'Notification settings updated successfully'
+    'Notification settings retrieved successfully'
   );
 });
 
 /**
- * Get current notification settings
- * GET /api/admin/notifications/settings
+ * Get the change history of the notification settings, newest first
+ * GET /api/admin/notifications/settings/history
  */
-const getNotificationSettings = asyncHandler(async (req, res) => {
-  // Get current settings (default values if not set)
-  const defaultSettings = {
-    autoDeleteReadNotifications: false,
-    maxRetentionDays: 30,
-    reminderDaysBeforeExpiry: 1,
-    importantNotificationTypes: ['payment_overdue', 'security_alert'],
-    autoExtendImportant: true,
-    notificationBatchSize: 100
-  };
+const getNotificationSettingsHistory = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return ApiResponse.error(res, 'Validation failed', 400, errors.array());
+  }
 
-  const currentSettings = global.notificationSettings || defaultSettings;
+  const { page = 1, limit = 20 } = req.query;
 
-  return ApiResponse.success(
+  const history = await NotificationSettings.paginate(
+    {},
+    {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      sort: { version: -1 },
+      populate: { path: 'updatedBy', select: 'fullName email' },
+      lean: true
+    }
+  );
+
+  return ApiResponse.paginated(
     res,
+    history.docs,
     {
-      settings: currentSettings
+      page: history.page,
+      limit: history.limit,
+      total: history.totalDocs
     },
-    'Notification settings retrieved successfully'
+    'Notification settings history retrieved successfully'
   );
 });
 
@@ -738,7 +764,8 @@ const getSystemHealth = asyncHandler(async (req, res) => {
       cleanup: cleanupStats,
       readStatus: readStatusStats,
       storage: storageStats,
-      performance: performanceMetrics
+      performance: performanceMetrics,
+      settings: await NotificationSettings.getCurrent()
     });
 
     return ApiResponse.success(
@@ -1022,7 +1049,7 @@ function calculateSystemHealthScore(data) {
   }
 
   // System configuration (20 points)
-  const config = global.notificationSettings || {};
+  const config = data.settings;
   if (!config.enableAutoCleanup) {
     score -= 10;
     issues.push('Auto-cleanup is disabled');
@@ -1280,6 +1307,30 @@ const getGroupStats = asyncHandler(async (req, res) => {
                   case: { $eq: ['$_id', 'quotation_converted'] },
                   then: 'Quotations converted to receipts'
                 },
+                {
+                  case: { $eq: ['$_id', 'quotation_accepted'] },
+                  then: 'Quotations accepted by clients'
+                },
+                {
+                  case: { $eq: ['$_id', 'quotation_declined'] },
+                  then: 'Quotations declined by clients'
+                },
+                {
+                  case: { $eq: ['$_id', 'quotation_changes_requested'] },
+                  then: 'Changes requested by clients'
+                },
+                {
+                  case: { $eq: ['$_id', 'quotation_approval_requested'] },
+                  then: 'Quotations awaiting approval'
+                },
+                {
+                  case: { $eq: ['$_id', 'quotation_approved'] },
+                  then: 'Quotations approved'
+                },
+                {
+                  case: { $eq: ['$_id', 'quotation_rejected'] },
+                  then: 'Quotations rejected'
+                },
                 {
                   case: { $eq: ['$_id', 'payment_received'] },
                   then: 'Payment confirmations received'
@@ -1426,6 +1477,7 @@ module.exports = {
   extendNotificationLifecycle,
   updateNotificationSettings,
   getNotificationSettings,
+  getNotificationSettingsHistory,
   getNotificationAnalytics,
   runLifecycleJob,
   runCleanupJob,
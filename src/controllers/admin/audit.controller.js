@@ -0,0 +1,253 @@
+/**
+ * Admin Audit Controller
+ * Handles audit log querying, search, statistics and export for administrators
+ */
+
+const { validationResult } = require('express-validator');
+const AuditService = require('../../services/audit.service');
+const ApiResponse = require('../../utils/response');
+const { toCsvRow } = require('../../utils/csv');
+const { asyncHandler } = require('../../middleware/errorHandler.middleware');
+const logger = require('../../utils/logger');
+
+// Columns written to CSV exports, in order
+const CSV_COLUMNS = [
+  { header: 'Date', value: log => log.createdAt?.toISOString() },
+  { header: 'Action', value: log => log.action },
+  { header: 'Entity Type', value: log => log.entityType },
+  { header: 'Entity ID', value: log => log.entityId },
+  { header: 'User ID', value: log => log.userId?._id || log.userId },
+  { header: 'User Name', value: log => log.userId?.fullName },
+  { header: 'User Email', value: log => log.userId?.email },
+  { header: 'IP Address', value: log => log.ipAddress },
+  { header: 'User Agent', value: log => log.userAgent },
+  { header: 'Success', value: log => log.success },
+  { header: 'Risk Level', value: log => log.riskLevel },
+  { header: 'Error Message', value: log => log.errorMessage },
+  {
+    header: 'Details',
+    value: log => (log.details ? JSON.stringify(log.details) : '')
+  }
+];
+
+/**
+ * Build audit log filter from query parameters
+ */
+const buildAuditFilter = query => {
+  const {
+    userId,
+    action,
+    entityType,
+    entityId,
+    riskLevel,
+    success,
+    startDate,
+    endDate
+  } = query;
+
+  const filter = {};
+
+  if (userId) filter.userId = userId;
+  if (action) filter.action = action;
+  if (entityType) filter.entityType = entityType;
+  if (entityId) filter.entityId = entityId;
+  if (riskLevel) filter.riskLevel = riskLevel;
+  if (success !== undefined) filter.success = success === 'true';
+
+  // Date range filtering
+  if (startDate || endDate) {
+    filter.createdAt = {};
+    if (startDate) filter.createdAt.$gte = new Date(startDate);
+    if (endDate) filter.createdAt.$lte = new Date(endDate);
+  }
+
+  return filter;
+};
+
+/**
+ * Send paginated audit log results
+ */
+const sendAuditPage = (res, result, message) => {
+  ApiResponse.paginated(
+    res,
+    result.docs,
+    {
+      page: result.page,
+      limit: result.limit,
+      total: result.totalDocs
+    },
+    message
+  );
+};
+
+/**
+ * Get audit logs with filtering and pagination
+ * GET /api/admin/audit
+ */
+const getAuditLogs = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return ApiResponse.validationError(res, errors.array());
+  }
+
+  const { page = 1, limit = 50, sortOrder = 'desc' } = req.query;
+
+  const result = await AuditService.getAuditLogs(buildAuditFilter(req.query), {
+    page: parseInt(page, 10),
+    limit: parseInt(limit, 10),
+    sort: { createdAt: sortOrder === 'asc' ? 1 : -1 }
+  });
+
+  sendAuditPage(res, result, 'Audit logs retrieved successfully');
+});
+
+/**
+ * Search audit logs by free text
+ * GET /api/admin/audit/search
+ */
+const searchAuditLogs = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return ApiResponse.validationError(res, errors.array());
+  }
+
+  const { q, page = 1, limit = 50, sortOrder = 'desc' } = req.query;
+
+  const result = await AuditService.searchLogs(q, buildAuditFilter(req.query), {
+    page: parseInt(page, 10),
+    limit: parseInt(limit, 10),
+    sort: { createdAt: sortOrder === 'asc' ? 1 : -1 }
+  });
+
+  sendAuditPage(res, result, 'Audit log search completed successfully');
+});
+
+/**
+ * Get per-action, per-entity and per-user audit statistics
+ * GET /api/admin/audit/stats
+ */
+const getAuditStats = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return ApiResponse.validationError(res, errors.array());
+  }
+
+  const { startDate, endDate } = req.query;
+  const stats = await AuditService.getAuditStats({ startDate, endDate });
+
+  ApiResponse.success(
+    res,
+    { stats },
+    'Audit statistics retrieved successfully'
+  );
+});
+
+/**
+ * Stream matching audit logs as a CSV or JSON download
+ * GET /api/admin/audit/export
+ */
+const exportAuditLogs = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return ApiResponse.validationError(res, errors.array());
+  }
+
+  const { format = 'csv' } = req.query;
+  const filter = buildAuditFilter(req.query);
+  const fileDate = new Date().toISOString().split('T')[0];
+
+  res.setHeader(
+    'Content-Type',
+    format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json'
+  );
+  res.setHeader(
+    'Content-Disposition',
+    `attachment; filename="audit-logs-${fileDate}.${format}"`
+  );
+
+  // Respect backpressure, but stop waiting if the client goes away
+  const writeChunk = async chunk => {
+    if (res.write(chunk)) return;
+    await new Promise(resolve => {
+      const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+      };
+      res.on('drain', done);
+      res.on('close', done);
+    });
+  };
+
+  const cursor = AuditService.getAuditLogCursor(filter);
+  let recordCount = 0;
+  let completed = false;
+
+  try {
+    await writeChunk(
+      format === 'csv'
+        ? `${CSV_COLUMNS.map(column => column.header).join(',')}\n`
+        : '['
+    );
+
+    for await (const log of cursor) {
+      if (res.destroyed) break;
+
+      const chunk =
+        format === 'csv'
+          ? toCsvRow(CSV_COLUMNS.map(column => column.value(log)))
+          : `${recordCount > 0 ? ',' : ''}${JSON.stringify(log)}`;
+
+      await writeChunk(chunk);
+      recordCount++;
+    }
+
+    if (!res.destroyed) {
+      res.end(format === 'csv' ? '' : ']');
+      completed = true;
+    }
+  } catch (error) {
+    // Headers are already sent, so abort the download instead of replying
+    logger.error('Export audit logs error:', error);
+    res.destroy(error);
+  } finally {
+    await cursor.close();
+  }
+
+  await AuditService.logExportEvent(
+    'audit_logs',
+    req.user._id,
+    req.ip,
+    req.get('User-Agent'),
+    {
+      format,
+      filters: filter,
+      recordCount,
+      completed
+    }
+  );
+});
+
+/**
+ * Verify the audit log hash chain and report the first broken link
+ * GET /api/admin/audit/verify
+ */
+const verifyAuditChain = asyncHandler(async (req, res) => {
+  const result = await AuditService.verifyChain();
+
+  ApiResponse.success(
+    res,
+    result,
+    result.valid
+      ? 'Audit log chain verified successfully'
+      : 'Audit log chain verification failed'
+  );
+});
+
+module.exports = {
+  getAuditLogs,
+  searchAuditLogs,
+  getAuditStats,
+  exportAuditLogs,
+  verifyAuditChain
+};
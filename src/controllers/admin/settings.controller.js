@@ -0,0 +1,314 @@
+/**
+ * Admin Settings Controller
+ * Manages the company profile and branding used on documents and emails
+ */
+
+const { validationResult } = require('express-validator');
+const { Settings, Quotation, Receipt } = require('../../models');
+const uploadService = require('../../services/upload.service');
+const ApiResponse = require('../../utils/response');
+const { asyncHandler } = require('../../middleware/errorHandler.middleware');
+const logger = require('../../utils/logger');
+
+// Editable fields per settings section
+const SECTION_FIELDS = {
+  company: [
+    'name',
+    'address',
+    'poBox',
+    'phone',
+    'phoneSecondary',
+    'email',
+    'website',
+    'tin',
+    'registration'
+  ],
+  bankDetails: [
+    'bankName',
+    'bankAccountName',
+    'bankAccountNumber',
+    'bankSwiftCode',
+    'bankSortCode',
+    'mobileMoneyAccountName',
+    'mobileMoneyMTN',
+    'mobileMoneyAirtel'
+  ],
+  quotationDefaults: ['termsAndConditions', 'taxRate', 'validityDays'],
+  quotationApproval: [
+    'totalThresholdUGX',
+    'totalThresholdUSD',
+    'discountPercentThreshold'
+  ],
+  refundApproval: ['thresholdUGX', 'thresholdUSD'],
+  inventoryEstimation: [
+    'vehicleCapacity',
+    'volumePerCrewMember',
+    'minimumCrewSize',
+    'vehicleRateUGX',
+    'vehicleRateUSD',
+    'crewRateUGX',
+    'crewRateUSD',
+    'volumeRateUGX',
+    'volumeRateUSD',
+    'fragileItemRateUGX',
+    'fragileItemRateUSD'
+  ]
+};
+
+// Cloudinary upload options per branding image
+const IMAGE_UPLOADS = {
+  logo: {
+    folder: 'company/logos',
+    transformation: [
+      { width: 800, height: 400, crop: 'fit', quality: 'auto' },
+      { format: 'png' }
+    ]
+  },
+  stamp: {
+    folder: 'company/stamps',
+    transformation: [
+      { width: 300, height: 300, crop: 'fit', quality: 'auto' },
+      { format: 'png' }
+    ]
+  }
+};
+
+/**
+ * Build a handler that updates the given fields of one settings section
+ */
+const updateSection = (section, message) =>
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const settings = await Settings.getDocument();
+
+    SECTION_FIELDS[section].forEach(field => {
+      if (req.body[field] !== undefined) {
+        settings.set(`${section}.${field}`, req.body[field]);
+      }
+    });
+    settings.updatedBy = req.user._id;
+    await settings.save();
+
+    ApiResponse.success(res, { settings }, message);
+  });
+
+/**
+ * Build a handler that replaces the logo or stamp with the uploaded image
+ */
+const uploadImage = (imageField, message) =>
+  asyncHandler(async (req, res) => {
+    const { folder, transformation } = IMAGE_UPLOADS[imageField];
+
+    const uploadResult = await uploadService.uploadFile(
+      req.file.buffer,
+      `${imageField}_${Date.now()}`,
+      folder,
+      { transformation }
+    );
+
+    const settings = await Settings.getDocument();
+    const previousPublicId = settings[imageField]?.publicId;
+
+    settings[imageField] = {
+      url: uploadResult.url,
+      publicId: uploadResult.publicId,
+      originalName: req.file.originalname,
+      uploadedAt: new Date(),
+      uploadedBy: req.user._id
+    };
+    settings.updatedBy = req.user._id;
+    await settings.save();
+
+    // The old image is no longer referenced by any document
+    if (previousPublicId) {
+      uploadService.deleteFile(previousPublicId).catch(error => {
+        logger.error(`Failed to delete previous ${imageField}:`, error);
+      });
+    }
+
+    ApiResponse.success(res, { settings }, message);
+  });
+
+/**
+ * Build a handler that removes the logo or stamp
+ */
+const removeImage = (imageField, message) =>
+  asyncHandler(async (req, res) => {
+    const settings = await Settings.getDocument();
+    const publicId = settings[imageField]?.publicId;
+
+    if (!publicId) {
+      return ApiResponse.error(res, `No ${imageField} has been uploaded`, 404);
+    }
+
+    settings[imageField] = null;
+    settings.updatedBy = req.user._id;
+    await settings.save();
+
+    uploadService.deleteFile(publicId).catch(error => {
+      logger.error(`Failed to delete ${imageField}:`, error);
+    });
+
+    ApiResponse.success(res, { settings }, message);
+  });
+
+/**
+ * Get the current company settings
+ * GET /api/admin/settings
+ */
+const getSettings = asyncHandler(async (req, res) => {
+  const settings = await Settings.getDocument();
+
+  ApiResponse.success(res, { settings }, 'Settings retrieved successfully');
+});
+
+/**
+ * Update the company profile
+ * PUT /api/admin/settings/company
+ */
+const updateCompanyProfile = updateSection(
+  'company',
+  'Company profile updated successfully'
+);
+
+/**
+ * Update the bank and mobile money details printed on documents
+ * PUT /api/admin/settings/bank-details
+ */
+const updateBankDetails = updateSection(
+  'bankDetails',
+  'Bank details updated successfully'
+);
+
+/**
+ * Update the defaults applied to new quotations
+ * PUT /api/admin/settings/quotation-defaults
+ */
+const updateQuotationDefaults = updateSection(
+  'quotationDefaults',
+  'Quotation defaults updated successfully'
+);
+
+/**
+ * Update the limits above which quotations need admin approval
+ * PUT /api/admin/settings/quotation-approval
+ */
+const updateQuotationApproval = updateSection(
+  'quotationApproval',
+  'Quotation approval thresholds updated successfully'
+);
+
+/**
+ * Update the limits above which refunds and voids need admin approval
+ * PUT /api/admin/settings/refund-approval
+ */
+const updateRefundApproval = updateSection(
+  'refundApproval',
+  'Refund approval thresholds updated successfully'
+);
+
+/**
+ * Update the sizing rules and rates used to quote from an inventory
+ * PUT /api/admin/settings/inventory-estimation
+ */
+const updateInventoryEstimation = updateSection(
+  'inventoryEstimation',
+  'Inventory estimation settings updated successfully'
+);
+
+/**
+ * Update the base currency, the enabled currencies and their exchange rates
+ * Currencies used on documents can be deactivated but not removed, so
+ * reports can still convert them
+ * PUT /api/admin/settings/currencies
+ */
+const updateCurrencies = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return ApiResponse.validationError(res, errors.array());
+  }
+
+  const settings = await Settings.getDocument();
+  const { baseCurrency = settings.currency.baseCurrency, currencies } =
+    req.body;
+
+  if (currencies) {
+    const kept = currencies.map(currency => currency.code);
+    const removed = settings.currency.currencies
+      .map(currency => currency.code)
+      .filter(code => !kept.includes(code));
+
+    if (removed.length > 0) {
+      const [quotationCount, receiptCount] = await Promise.all([
+        Quotation.countDocuments({ 'pricing.currency': { $in: removed } }),
+        Receipt.countDocuments({ 'payment.currency': { $in: removed } })
+      ]);
+
+      if (quotationCount + receiptCount > 0) {
+        return ApiResponse.error(
+          res,
+          `${removed.join(', ')} is used on documents and cannot be removed; deactivate it instead`,
+          409,
+          { quotationCount, receiptCount }
+        );
+      }
+    }
+
+    settings.set('currency.currencies', currencies);
+    settings.currency.ratesUpdatedAt = new Date();
+    settings.currency.ratesUpdatedBy = req.user._id;
+  }
+
+  settings.set('currency.baseCurrency', baseCurrency);
+  settings.updatedBy = req.user._id;
+  await settings.save();
+
+  ApiResponse.success(
+    res,
+    { settings },
+    'Currency settings updated successfully'
+  );
+});
+
+/**
+ * Upload the company logo
+ * PUT /api/admin/settings/logo
+ */
+const uploadLogo = uploadImage('logo', 'Company logo updated successfully');
+
+/**
+ * Remove the company logo, reverting to the bundled logo
+ * DELETE /api/admin/settings/logo
+ */
+const removeLogo = removeImage('logo', 'Company logo removed successfully');
+
+/**
+ * Upload the company stamp
+ * PUT /api/admin/settings/stamp
+ */
+const uploadStamp = uploadImage('stamp', 'Company stamp updated successfully');
+
+/**
+ * Remove the company stamp
+ * DELETE /api/admin/settings/stamp
+ */
+const removeStamp = removeImage('stamp', 'Company stamp removed successfully');
+
+module.exports = {
+  getSettings,
+  updateCompanyProfile,
+  updateBankDetails,
+  updateQuotationDefaults,
+  updateQuotationApproval,
+  updateRefundApproval,
+  updateInventoryEstimation,
+  updateCurrencies,
+  uploadLogo,
+  removeLogo,
+  uploadStamp,
+  removeStamp
+};
@@ -0,0 +1,129 @@
+/**
+ * Calendar Controller
+ * Issues and serves the per-user iCalendar feeds staff subscribe to in their
+ * phone calendars
+ */
+
+const { User } = require('../models');
+const ApiResponse = require('../utils/response');
+const JWTUtils = require('../utils/jwt');
+const calendarFeedService = require('../services/calendarFeed.service');
+const logger = require('../utils/logger');
+
+/**
+ * Build the subscription URLs for a user's feeds
+ * Admins also get the all-company feed
+ */
+const buildFeedUrls = (req, user) => {
+  const baseUrl = `${req.protocol}://${req.get('host')}/api/calendar/feeds`;
+  const scopes = user.role === 'admin' ? ['own', 'company'] : ['own'];
+
+  return Object.fromEntries(
+    scopes.map(scope => [
+      scope,
+      `${baseUrl}/${JWTUtils.generateCalendarFeedToken(user, scope)}.ics`
+    ])
+  );
+};
+
+/**
+ * Get the current user's calendar feed URLs
+ */
+const getCalendarFeedUrls = async (req, res) => {
+  try {
+    ApiResponse.success(
+      res,
+      { feeds: buildFeedUrls(req, req.user) },
+      'Calendar feeds retrieved successfully'
+    );
+  } catch (error) {
+    logger.error('Get calendar feeds error:', error);
+    ApiResponse.error(res, 'Failed to retrieve calendar feeds', 500);
+  }
+};
+
+/**
+ * Revoke every calendar feed URL issued to the current user and issue new
+ * ones, e.g. after a phone is lost
+ */
+const revokeCalendarFeedUrls = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    await user.revokeCalendarFeeds();
+
+    ApiResponse.success(
+      res,
+      { feeds: buildFeedUrls(req, user) },
+      'Calendar feeds revoked successfully'
+    );
+  } catch (error) {
+    logger.error('Revoke calendar feeds error:', error);
+    ApiResponse.error(res, 'Failed to revoke calendar feeds', 500);
+  }
+};
+
+/**
+ * Find the user a calendar feed link was issued to
+ * Calendar apps cannot log in, so the signed token in the URL stands in for
+ * the user. It stops working when revoked or when the user is deactivated,
+ * and the company feed stops working when the user is no longer an admin.
+ * @returns {Promise<Object>} { user, scope }
+ * @throws {Error} With statusCode 401 if the link is invalid or revoked
+ */
+const findFeedUser = async token => {
+  let payload;
+  try {
+    payload = JWTUtils.verifyCalendarFeedToken(token);
+  } catch {
+    const invalid = new Error('This calendar link is invalid');
+    invalid.statusCode = 401;
+    throw invalid;
+  }
+
+  const user = await User.findById(payload.userId);
+
+  if (
+    !user ||
+    user.status !== 'active' ||
+    user.calendarFeed.tokenVersion !== payload.version ||
+    (payload.scope === 'company' && user.role !== 'admin')
+  ) {
+    const revoked = new Error('This calendar link is no longer valid');
+    revoked.statusCode = 401;
+    throw revoked;
+  }
+
+  return { user, scope: payload.scope };
+};
+
+/**
+ * Serve a calendar feed
+ */
+const getCalendarFeed = async (req, res) => {
+  try {
+    const { user, scope } = await findFeedUser(req.params.token);
+
+    const calendar = await calendarFeedService.buildFeed(user, scope);
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader(
+      'Content-Disposition',
+      `inline; filename="${scope === 'company' ? 'company' : 'my'}-moves.ics"`
+    );
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.send(calendar);
+  } catch (error) {
+    if (error.statusCode) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+
+    logger.error('Get calendar feed error:', error);
+    ApiResponse.error(res, 'Failed to build calendar feed', 500);
+  }
+};
+
+module.exports = {
+  getCalendarFeedUrls,
+  revokeCalendarFeedUrls,
+  getCalendarFeed
+};
@@ -0,0 +1,762 @@
+/**
+ * Claim Controller
+ * Records damage claims against a receipt or move, with photos of the
+ * damage, and takes them through assessment and approval to settlement as
+ * a refund or a credit on the client's receipt
+ */
+
+const mongoose = require('mongoose');
+const { Claim, Move, Receipt, User } = require('../models');
+const ApiResponse = require('../utils/response');
+const uploadService = require('../services/upload.service');
+const { validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+
+// Fields a claim can be created or updated with
+const EDITABLE_FIELDS = ['incidentDate', 'description', 'items'];
+
+// Statuses in which photos can still be added or removed
+const PHOTO_STATUSES = ['submitted', 'assessed'];
+
+/**
+ * Pick editable fields from the request body
+ */
+const pickClaimFields = body =>
+  EDITABLE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    return fields;
+  }, {});
+
+/**
+ * Check whether the user may view and work on a claim
+ */
+const canAccessClaim = (user, claim) =>
+  user.role === 'admin' ||
+  (claim.createdBy._id || claim.createdBy).toString() === user._id.toString();
+
+/**
+ * Check whether the user may file a claim against a receipt or move
+ */
+const canAccessDocument = (user, document) =>
+  user.role === 'admin' ||
+  document.createdBy.toString() === user._id.toString();
+
+/**
+ * Build the error raised for an unusable request
+ */
+const requestError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Find the receipt, and move if any, a new claim is filed against
+ * A claim filed against a move is settled against the move's receipt.
+ * @returns {Promise<Object>} { receipt, move }
+ * @throws {Error} With statusCode 404 when a document is missing, 403 when
+ *   the user may not use it, or 400 when the move has no receipt
+ */
+const findClaimDocuments = async (user, { receiptId, moveId }) => {
+  let move = null;
+
+  if (moveId) {
+    move = await Move.findById(moveId);
+    if (!move) throw requestError('Move not found', 404);
+    if (!canAccessDocument(user, move)) {
+      throw requestError('Access denied', 403);
+    }
+    if (!move.receiptId) {
+      throw requestError('This move has no receipt to claim against');
+    }
+  }
+
+  const receipt = await Receipt.findById(move ? move.receiptId : receiptId);
+  if (!receipt) throw requestError('Receipt not found', 404);
+  if (!move && !canAccessDocument(user, receipt)) {
+    throw requestError('Access denied', 403);
+  }
+
+  return { receipt, move };
+};
+
+/**
+ * Notify users about a claim; the user who made the change is left out
+ */
+const notifyClaimUsers = async (claim, userIds, actorId, content) => {
+  try {
+    const Notification = require('../models/Notification.model');
+
+    const recipientIds = [
+      ...new Set(userIds.map(id => (id._id || id).toString()))
+    ].filter(id => id !== actorId.toString());
+    if (recipientIds.length === 0) return;
+
+    await Notification.create({
+      userId: recipientIds[0],
+      recipientUserIds: recipientIds,
+      type: content.type,
+      title: content.title,
+      message: content.message.slice(0, 500),
+      priority: content.priority || 'normal',
+      actionUrl: `/claims/${claim._id}`,
+      actionText: 'View Claim',
+      actorId,
+      metadata: {
+        documentType: 'Claim',
+        documentId: claim._id,
+        documentNumber: claim.claimNumber,
+        status: claim.status,
+        receiptId: claim.receiptId?._id || claim.receiptId
+      }
+    });
+  } catch (notifError) {
+    logger.error('Failed to send claim notification:', notifError);
+    // Don't fail the request if notification fails
+  }
+};
+
+/**
+ * Notify all active admins about a claim waiting on them
+ */
+const notifyAdmins = async (claim, actorId, content) => {
+  const admins = await User.find({ role: 'admin', status: 'active' }).select(
+    '_id'
+  );
+  await notifyClaimUsers(
+    claim,
+    admins.map(admin => admin._id),
+    actorId,
+    content
+  );
+};
+
+/**
+ * Notify whoever filed the claim and whoever issued its receipt about a
+ * decision on it
+ */
+const notifyClaimant = async (claim, actorId, content) => {
+  const receipt = await Receipt.findById(claim.receiptId).select('createdBy');
+  await notifyClaimUsers(
+    claim,
+    [claim.createdBy, receipt?.createdBy].filter(Boolean),
+    actorId,
+    content
+  );
+};
+
+/**
+ * Format an amount in the claim's currency
+ */
+const formatAmount = (claim, amount) =>
+  `${claim.currency} ${amount.toLocaleString()}`;
+
+/**
+ * Send the response for a claim after a change, with its people populated
+ */
+const sendClaim = async (res, claim, message, statusCode = 200) => {
+  await claim.populate([
+    { path: 'receiptId', select: 'receiptNumber receiptType payment.status' },
+    { path: 'moveId', select: 'moveNumber status' },
+    { path: 'createdBy', select: 'fullName email' }
+  ]);
+
+  ApiResponse.success(res, { claim }, message, statusCode);
+};
+
+/**
+ * Send a handled error
+ */
+const sendError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return ApiResponse.error(res, error.message, error.statusCode);
+  }
+
+  if (error.name === 'ValidationError') {
+    return ApiResponse.validationError(res, Object.values(error.errors));
+  }
+
+  ApiResponse.error(res, fallbackMessage, 500);
+};
+
+/**
+ * Find a claim the current user may work on
+ */
+const findClaim = async (req, res) => {
+  const claim = await Claim.findById(req.params.id);
+  if (!claim) {
+    ApiResponse.error(res, 'Claim not found', 404);
+    return null;
+  }
+
+  if (!canAccessClaim(req.user, claim)) {
+    ApiResponse.error(res, 'Access denied', 403);
+    return null;
+  }
+
+  return claim;
+};
+
+/**
+ * Get claims with filtering and pagination
+ * Non-admin users see the claims they filed
+ */
+const getClaims = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const {
+      page = 1,
+      limit = 20,
+      status,
+      receiptId,
+      moveId,
+      search
+    } = req.query;
+
+    const pageNumber = parseInt(page, 10);
+    const limitNumber = parseInt(limit, 10);
+
+    const filter = {};
+
+    if (req.user.role !== 'admin') filter.createdBy = req.user._id;
+    if (status) filter.status = status;
+    if (receiptId) filter.receiptId = receiptId;
+    if (moveId) filter.moveId = moveId;
+
+    if (search) {
+      // Escape the term so user input is matched literally
+      const pattern = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.$or = [
+        { claimNumber: { $regex: pattern, $options: 'i' } },
+        { 'client.name': { $regex: pattern, $options: 'i' } },
+        { 'items.description': { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    const [claims, totalCount] = await Promise.all([
+      Claim.find(filter)
+        .select('-statusHistory')
+        .populate('receiptId', 'receiptNumber receiptType')
+        .populate('moveId', 'moveNumber')
+        .populate('createdBy', 'fullName email')
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * limitNumber)
+        .limit(limitNumber)
+        .lean(),
+      Claim.countDocuments(filter)
+    ]);
+
+    ApiResponse.paginated(
+      res,
+      claims,
+      {
+        page: pageNumber,
+        limit: limitNumber,
+        total: totalCount
+      },
+      'Claims retrieved successfully'
+    );
+  } catch (error) {
+    logger.error('Get claims error:', error);
+    ApiResponse.error(res, 'Failed to retrieve claims', 500);
+  }
+};
+
+/**
+ * Get single claim by ID
+ */
+const getClaimById = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const claim = await Claim.findById(req.params.id)
+      .populate('receiptId', 'receiptNumber receiptType payment')
+      .populate('moveId', 'moveNumber status scheduledStart')
+      .populate('photos.uploadedBy', 'fullName')
+      .populate('assessment.assessedBy', 'fullName')
+      .populate('decision.decidedBy', 'fullName')
+      .populate('settlement.settledBy', 'fullName')
+      .populate('statusHistory.changedBy', 'fullName')
+      .populate('createdBy', 'fullName email');
+
+    if (!claim) {
+      return ApiResponse.error(res, 'Claim not found', 404);
+    }
+
+    if (!canAccessClaim(req.user, claim)) {
+      return ApiResponse.error(res, 'Access denied', 403);
+    }
+
+    ApiResponse.success(res, { claim }, 'Claim retrieved successfully');
+  } catch (error) {
+    logger.error('Get claim error:', error);
+    ApiResponse.error(res, 'Failed to retrieve claim', 500);
+  }
+};
+
+/**
+ * File a damage claim against a receipt or move
+ */
+const createClaim = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const { receipt, move } = await findClaimDocuments(req.user, req.body);
+
+    const claim = new Claim({
+      ...pickClaimFields(req.body),
+      claimNumber: await Claim.generateClaimNumber(),
+      receiptId: receipt._id,
+      moveId: move?._id,
+      clientId: receipt.clientId,
+      client: {
+        name: receipt.client.name,
+        phone: receipt.client.phone,
+        email: receipt.client.email
+      },
+      currency: receipt.payment.currency,
+      createdBy: req.user._id
+    });
+    claim.statusHistory.push({
+      status: 'submitted',
+      changedBy: req.user._id,
+      notes: 'Claim submitted'
+    });
+
+    await claim.save();
+
+    await notifyAdmins(claim, req.user._id, {
+      type: 'claim_submitted',
+      title: 'Damage Claim Submitted',
+      message: `${req.user.fullName} filed claim ${claim.claimNumber} for ${claim.client.name} on receipt ${receipt.receiptNumber}: ${claim.items.length} item(s) claimed at ${formatAmount(claim, claim.claimedAmount)}`,
+      priority: 'high'
+    });
+
+    await sendClaim(res, claim, 'Claim submitted successfully', 201);
+  } catch (error) {
+    logger.error('Create claim error:', error);
+    sendError(res, error, 'Failed to submit claim');
+  }
+};
+
+/**
+ * Update a claim's details while it waits for assessment
+ */
+const updateClaim = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const claim = await findClaim(req, res);
+    if (!claim) return;
+
+    if (!claim.isEditable()) {
+      return ApiResponse.error(
+        res,
+        `Cannot change a claim that has been ${claim.status}`,
+        400
+      );
+    }
+
+    claim.set(pickClaimFields(req.body));
+    await claim.save();
+
+    await sendClaim(res, claim, 'Claim updated successfully');
+  } catch (error) {
+    logger.error('Update claim error:', error);
+    sendError(res, error, 'Failed to update claim');
+  }
+};
+
+/**
+ * Upload photos of the damage
+ */
+const addClaimPhotos = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const claim = await findClaim(req, res);
+    if (!claim) return;
+
+    if (!PHOTO_STATUSES.includes(claim.status)) {
+      return ApiResponse.error(
+        res,
+        `Cannot add photos to a claim that has been ${claim.status}`,
+        400
+      );
+    }
+
+    const uploads = [];
+    try {
+      for (const [index, file] of req.files.entries()) {
+        const uploadResult = await uploadService.uploadFile(
+          file.buffer,
+          `claim_${claim.claimNumber}_${Date.now()}_${index}`,
+          'claims'
+        );
+        uploads.push(uploadResult);
+        claim.photos.push({
+          url: uploadResult.url,
+          publicId: uploadResult.publicId,
+          originalName: file.originalname,
+          uploadedBy: req.user._id
+        });
+      }
+
+      await claim.save();
+    } catch (error) {
+      // Photos the claim does not keep are not referenced by anything
+      uploads.forEach(upload => {
+        uploadService.deleteFile(upload.publicId).catch(deleteError => {
+          logger.error('Failed to delete claim photo:', deleteError);
+        });
+      });
+      throw error;
+    }
+
+    await sendClaim(res, claim, 'Claim photos uploaded successfully', 201);
+  } catch (error) {
+    logger.error('Add claim photos error:', error);
+    sendError(res, error, 'Failed to upload claim photos');
+  }
+};
+
+/**
+ * Remove a photo from a claim
+ */
+const removeClaimPhoto = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const claim = await findClaim(req, res);
+    if (!claim) return;
+
+    if (!PHOTO_STATUSES.includes(claim.status)) {
+      return ApiResponse.error(
+        res,
+        `Cannot remove photos from a claim that has been ${claim.status}`,
+        400
+      );
+    }
+
+    const photo = claim.photos.id(req.params.photoId);
+    if (!photo) {
+      return ApiResponse.error(res, 'Photo not found', 404);
+    }
+
+    const { publicId } = photo;
+    photo.deleteOne();
+    await claim.save();
+
+    uploadService.deleteFile(publicId).catch(error => {
+      logger.error('Failed to delete claim photo:', error);
+    });
+
+    await sendClaim(res, claim, 'Claim photo removed successfully');
+  } catch (error) {
+    logger.error('Remove claim photo error:', error);
+    sendError(res, error, 'Failed to remove claim photo');
+  }
+};
+
+/**
+ * Record the assessment of the damage and pass the claim on for approval
+ */
+const assessClaim = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const claim = await findClaim(req, res);
+    if (!claim) return;
+
+    const { assessedAmount, findings } = req.body;
+
+    claim.transitionTo('assessed', req.user._id, findings);
+    claim.assessment = {
+      assessedAmount: Math.round(assessedAmount * 100) / 100,
+      findings,
+      assessedBy: req.user._id,
+      assessedAt: new Date()
+    };
+    await claim.save();
+
+    await notifyAdmins(claim, req.user._id, {
+      type: 'claim_assessed',
+      title: 'Damage Claim Ready for Approval',
+      message: `Claim ${claim.claimNumber} for ${claim.client.name} was assessed at ${formatAmount(claim, claim.assessment.assessedAmount)} of ${formatAmount(claim, claim.claimedAmount)} claimed: ${findings}`,
+      priority: 'high'
+    });
+
+    await sendClaim(res, claim, 'Claim assessed successfully');
+  } catch (error) {
+    logger.error('Assess claim error:', error);
+    sendError(res, error, 'Failed to assess claim');
+  }
+};
+
+/**
+ * Approve an assessed claim for settlement (Admin only)
+ * The approved amount defaults to the assessed amount
+ */
+const approveClaim = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const claim = await findClaim(req, res);
+    if (!claim) return;
+
+    const { notes } = req.body;
+    const approvedAmount =
+      Math.round(
+        (req.body.approvedAmount ?? claim.assessment.assessedAmount ?? 0) * 100
+      ) / 100;
+
+    if (approvedAmount <= 0) {
+      return ApiResponse.error(
+        res,
+        'Approved amount must be greater than zero; reject the claim instead',
+        400
+      );
+    }
+    if (approvedAmount > claim.claimedAmount) {
+      return ApiResponse.error(
+        res,
+        `Approved amount cannot exceed the claimed amount of ${claim.claimedAmount}`,
+        400
+      );
+    }
+
+    claim.transitionTo('approved', req.user._id, notes);
+    claim.decision = {
+      approvedAmount,
+      notes,
+      decidedBy: req.user._id,
+      decidedAt: new Date()
+    };
+    await claim.save();
+
+    await notifyClaimant(claim, req.user._id, {
+      type: 'claim_approved',
+      title: 'Damage Claim Approved',
+      message: `Claim ${claim.claimNumber} for ${claim.client.name} was approved for ${formatAmount(claim, approvedAmount)} by ${req.user.fullName}${notes ? `: ${notes}` : ''}`
+    });
+
+    await sendClaim(res, claim, 'Claim approved successfully');
+  } catch (error) {
+    logger.error('Approve claim error:', error);
+    sendError(res, error, 'Failed to approve claim');
+  }
+};
+
+/**
+ * Reject a claim (Admin only)
+ */
+const rejectClaim = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const claim = await findClaim(req, res);
+    if (!claim) return;
+
+    const { notes } = req.body;
+
+    claim.transitionTo('rejected', req.user._id, notes);
+    claim.decision = {
+      notes,
+      decidedBy: req.user._id,
+      decidedAt: new Date()
+    };
+    await claim.save();
+
+    await notifyClaimant(claim, req.user._id, {
+      type: 'claim_rejected',
+      title: 'Damage Claim Rejected',
+      message: `Claim ${claim.claimNumber} for ${claim.client.name} was rejected by ${req.user.fullName}: ${notes}`
+    });
+
+    await sendClaim(res, claim, 'Claim rejected successfully');
+  } catch (error) {
+    logger.error('Reject claim error:', error);
+    sendError(res, error, 'Failed to reject claim');
+  }
+};
+
+/**
+ * Settle an approved claim as a refund to the client or a credit against
+ * the balance of one of their receipts (Admin only)
+ * The payment entry and the claim are saved in one transaction, so a claim
+ * is never marked settled without its refund or credit, or paid out twice.
+ */
+const settleClaim = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const { method, paymentMethod, reference } = req.body;
+
+    const session = await mongoose.startSession();
+    let claim;
+    let receipt;
+
+    try {
+      await session.withTransaction(async () => {
+        claim = await Claim.findById(req.params.id).session(session);
+        if (!claim) throw requestError('Claim not found', 404);
+
+        const amount = claim.decision.approvedAmount;
+        claim.transitionTo(
+          'settled',
+          req.user._id,
+          method === 'refund' ? 'Settled by refund' : 'Settled by credit'
+        );
+
+        // A credit can go on another open receipt for the same client
+        const receiptId =
+          method === 'credit' && req.body.receiptId
+            ? req.body.receiptId
+            : claim.receiptId;
+
+        receipt = await Receipt.findById(receiptId).session(session);
+        if (!receipt) throw requestError('Receipt not found', 404);
+        if (!receipt._id.equals(claim.receiptId)) {
+          if (!claim.clientId || !claim.clientId.equals(receipt.clientId)) {
+            throw requestError(
+              'Claims can only be credited to receipts of the same client'
+            );
+          }
+          if (receipt.payment.currency !== claim.currency) {
+            throw requestError(
+              `Claim ${claim.claimNumber} is in ${claim.currency} and cannot be credited to a ${receipt.payment.currency} receipt`
+            );
+          }
+        }
+
+        const reason = `Damage claim ${claim.claimNumber}`;
+        receipt._editedBy = req.user._id;
+        if (method === 'refund') {
+          await receipt.recordClaimPayout(amount, req.user._id, reason, {
+            method: paymentMethod,
+            reference,
+            claimId: claim._id
+          });
+        } else {
+          await receipt.applyCredit(amount, req.user._id, reason, {
+            reference,
+            claimId: claim._id
+          });
+        }
+
+        claim.settlement = {
+          method,
+          amount,
+          receiptId: receipt._id,
+          paymentEntryId: receipt.payment.paymentHistory.at(-1)._id,
+          paymentMethod: method === 'refund' ? paymentMethod : undefined,
+          reference,
+          settledBy: req.user._id,
+          settledAt: new Date()
+        };
+        await claim.save();
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    const settledAmount = formatAmount(claim, claim.settlement.amount);
+    await notifyClaimant(claim, req.user._id, {
+      type: 'claim_settled',
+      title: 'Damage Claim Settled',
+      message:
+        method === 'refund'
+          ? `Claim ${claim.claimNumber} for ${claim.client.name} was settled with a refund of ${settledAmount} on receipt ${receipt.receiptNumber}`
+          : `Claim ${claim.claimNumber} for ${claim.client.name} was settled with a credit of ${settledAmount} against receipt ${receipt.receiptNumber}`
+    });
+
+    await sendClaim(res, claim, 'Claim settled successfully');
+  } catch (error) {
+    logger.error('Settle claim error:', error);
+    sendError(res, error, 'Failed to settle claim');
+  }
+};
+
+/**
+ * Delete a claim that was never paid out (Admin only)
+ */
+const deleteClaim = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const claim = await Claim.findById(req.params.id);
+    if (!claim) {
+      return ApiResponse.error(res, 'Claim not found', 404);
+    }
+
+    if (!['submitted', 'rejected'].includes(claim.status)) {
+      return ApiResponse.error(
+        res,
+        `Cannot delete a claim that has been ${claim.status}`,
+        400
+      );
+    }
+
+    await Claim.findByIdAndDelete(claim._id);
+
+    // The photos are no longer referenced by any document
+    claim.photos.forEach(photo => {
+      uploadService.deleteFile(photo.publicId).catch(error => {
+        logger.error('Failed to delete claim photo:', error);
+      });
+    });
+
+    ApiResponse.success(res, null, 'Claim deleted successfully');
+  } catch (error) {
+    logger.error('Delete claim error:', error);
+    ApiResponse.error(res, 'Failed to delete claim', 500);
+  }
+};
+
+module.exports = {
+  getClaims,
+  getClaimById,
+  createClaim,
+  updateClaim,
+  addClaimPhotos,
+  removeClaimPhoto,
+  assessClaim,
+  approveClaim,
+  rejectClaim,
+  settleClaim,
+  deleteClaim
+};
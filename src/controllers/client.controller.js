@@ -0,0 +1,582 @@
+/**
+ * Client Controller
+ * Handles client CRUD, document history and merging of duplicates
+ */
+
+const { Client, Quotation, Receipt } = require('../models');
+const ApiResponse = require('../utils/response');
+const { validationResult } = require('express-validator');
+const AuditService = require('../services/audit.service');
+const statementService = require('../services/statement.service');
+const pdfService = require('../services/pdf.service');
+const logger = require('../utils/logger');
+const { withTransaction } = require('../utils/transaction');
+
+// Fields a client can be created or updated with
+const EDITABLE_FIELDS = [
+  'name',
+  'phone',
+  'email',
+  'company',
+  'address',
+  'gender',
+  'notes'
+];
+
+// Fields copied from a merged client when the target has none
+const MERGE_FILL_FIELDS = ['email', 'company', 'address', 'gender'];
+
+/**
+ * Pick editable fields from the request body
+ */
+const pickClientFields = body =>
+  EDITABLE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    return fields;
+  }, {});
+
+/**
+ * Get all clients with search and pagination
+ */
+const getClients = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const {
+      page = 1,
+      limit = 10,
+      search,
+      sortBy = 'createdAt',
+      sortOrder = 'desc'
+    } = req.query;
+
+    const pageNumber = parseInt(page, 10);
+    const limitNumber = parseInt(limit, 10);
+
+    const filter = {};
+
+    if (search) {
+      // Escape the term so user input is matched literally
+      const pattern = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.$or = [
+        { name: { $regex: pattern, $options: 'i' } },
+        { email: { $regex: pattern, $options: 'i' } },
+        { company: { $regex: pattern, $options: 'i' } },
+        { phone: { $regex: pattern, $options: 'i' } }
+      ];
+
+      const normalizedPhone = Client.normalizePhone(search);
+      if (normalizedPhone && normalizedPhone.length >= 6) {
+        filter.$or.push({ normalizedPhone: { $regex: normalizedPhone } });
+      }
+    }
+
+    const sort = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
+
+    const [clients, totalCount] = await Promise.all([
+      Client.find(filter)
+        .populate('createdBy', 'fullName email')
+        .sort(sort)
+        .skip((pageNumber - 1) * limitNumber)
+        .limit(limitNumber)
+        .lean(),
+      Client.countDocuments(filter)
+    ]);
+
+    ApiResponse.paginated(
+      res,
+      clients,
+      {
+        page: pageNumber,
+        limit: limitNumber,
+        total: totalCount
+      },
+      'Clients retrieved successfully'
+    );
+  } catch (error) {
+    logger.error('Get clients error:', error);
+    ApiResponse.error(res, 'Failed to retrieve clients', 500);
+  }
+};
+
+/**
+ * Get single client by ID with document counts
+ */
+const getClientById = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const client = await Client.findById(req.params.id).populate(
+      'createdBy',
+      'fullName email'
+    );
+
+    if (!client) {
+      return ApiResponse.error(res, 'Client not found', 404);
+    }
+
+    const [quotationCount, receiptCount] = await Promise.all([
+      Quotation.countDocuments({ clientId: client._id }),
+      Receipt.countDocuments({ clientId: client._id })
+    ]);
+
+    ApiResponse.success(
+      res,
+      { client, stats: { quotationCount, receiptCount } },
+      'Client retrieved successfully'
+    );
+  } catch (error) {
+    logger.error('Get client error:', error);
+    ApiResponse.error(res, 'Failed to retrieve client', 500);
+  }
+};
+
+/**
+ * Get a client's quotations and receipts, newest first
+ * Non-admin users only see the documents they created
+ */
+const getClientHistory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const client = await Client.findById(req.params.id);
+    if (!client) {
+      return ApiResponse.error(res, 'Client not found', 404);
+    }
+
+    const filter = { clientId: client._id };
+    if (req.user.role !== 'admin') {
+      filter.createdBy = req.user._id;
+    }
+
+    const [quotations, receipts] = await Promise.all([
+      Quotation.find(filter)
+        .select(
+          'quotationNumber type client locations.movingDate pricing.totalAmount pricing.currency validity createdBy createdAt'
+        )
+        .populate('createdBy', 'fullName email')
+        .sort({ createdAt: -1 })
+        .lean(),
+      Receipt.find(filter)
+        .select(
+          'receiptNumber receiptType client payment.totalAmount payment.amountPaid payment.balance payment.currency payment.status quotationId createdBy createdAt'
+        )
+        .populate('createdBy', 'fullName email')
+        .sort({ createdAt: -1 })
+        .lean()
+    ]);
+
+    ApiResponse.success(
+      res,
+      { client, quotations, receipts },
+      'Client history retrieved successfully'
+    );
+  } catch (error) {
+    logger.error('Get client history error:', error);
+    ApiResponse.error(res, 'Failed to retrieve client history', 500);
+  }
+};
+
+/**
+ * Create a new client
+ * Rejects clients whose phone or email already belongs to another client
+ */
+const createClient = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const fields = pickClientFields(req.body);
+
+    const existing = await Client.findMatch(fields);
+    if (existing) {
+      return ApiResponse.error(
+        res,
+        'A client with this phone number or email already exists',
+        409,
+        { clientId: existing._id }
+      );
+    }
+
+    const client = await Client.create({
+      ...fields,
+      createdBy: req.user._id
+    });
+
+    ApiResponse.success(res, { client }, 'Client created successfully', 201);
+  } catch (error) {
+    logger.error('Create client error:', error);
+
+    if (error.name === 'ValidationError') {
+      return ApiResponse.validationError(res, Object.values(error.errors));
+    }
+
+    ApiResponse.error(res, 'Failed to create client', 500);
+  }
+};
+
+/**
+ * Update a client
+ * Existing document snapshots are left unchanged
+ */
+const updateClient = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const client = await Client.findById(req.params.id);
+    if (!client) {
+      return ApiResponse.error(res, 'Client not found', 404);
+    }
+
+    const fields = pickClientFields(req.body);
+
+    // Changing phone or email must not collide with another client
+    if (fields.phone !== undefined || fields.email !== undefined) {
+      const existing = await Client.findMatch({
+        phone: fields.phone,
+        email: fields.email
+      });
+
+      if (existing && !existing._id.equals(client._id)) {
+        return ApiResponse.error(
+          res,
+          'Another client already uses this phone number or email. Merge the clients instead.',
+          409,
+          { clientId: existing._id }
+        );
+      }
+    }
+
+    Object.assign(client, fields);
+    await client.save();
+
+    ApiResponse.success(res, { client }, 'Client updated successfully');
+  } catch (error) {
+    logger.error('Update client error:', error);
+
+    if (error.name === 'ValidationError') {
+      return ApiResponse.validationError(res, Object.values(error.errors));
+    }
+
+    ApiResponse.error(res, 'Failed to update client', 500);
+  }
+};
+
+/**
+ * Delete a client (Admin only)
+ * Clients still referenced by documents must be merged instead
+ */
+const deleteClient = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const client = await Client.findById(req.params.id);
+    if (!client) {
+      return ApiResponse.error(res, 'Client not found', 404);
+    }
+
+    const [quotationCount, receiptCount] = await Promise.all([
+      Quotation.countDocuments({ clientId: client._id }),
+      Receipt.countDocuments({ clientId: client._id })
+    ]);
+
+    if (quotationCount > 0 || receiptCount > 0) {
+      return ApiResponse.error(
+        res,
+        'Client has quotations or receipts and cannot be deleted',
+        409,
+        { quotationCount, receiptCount }
+      );
+    }
+
+    await Client.findByIdAndDelete(client._id);
+
+    ApiResponse.success(res, null, 'Client deleted successfully');
+  } catch (error) {
+    logger.error('Delete client error:', error);
+    ApiResponse.error(res, 'Failed to delete client', 500);
+  }
+};
+
+/**
+ * Get groups of clients sharing a normalized phone number or email (Admin only)
+ */
+const getDuplicateClients = async (req, res) => {
+  try {
+    const groups = await Client.findDuplicateGroups();
+
+    ApiResponse.success(
+      res,
+      { groups, total: groups.length },
+      'Duplicate clients retrieved successfully'
+    );
+  } catch (error) {
+    logger.error('Get duplicate clients error:', error);
+    ApiResponse.error(res, 'Failed to retrieve duplicate clients', 500);
+  }
+};
+
+/**
+ * Merge duplicate clients into one (Admin only)
+ * Moves the duplicates' quotations and receipts to the target client, fills
+ * the target's missing details from them and deletes the duplicates
+ */
+const mergeClients = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const { id } = req.params;
+    const sourceIds = [...new Set(req.body.sourceIds)];
+
+    let target;
+    let quotationsMoved = 0;
+    let receiptsMoved = 0;
+
+    await withTransaction(async session => {
+      target = await Client.findById(id).session(session);
+      if (!target) {
+        const notFound = new Error('Client not found');
+        notFound.statusCode = 404;
+        throw notFound;
+      }
+
+      const sources = await Client.find({ _id: { $in: sourceIds } })
+        .sort({ createdAt: 1 })
+        .session(session);
+      if (sources.length !== sourceIds.length) {
+        const notFound = new Error(
+          'One or more clients to merge were not found'
+        );
+        notFound.statusCode = 404;
+        throw notFound;
+      }
+
+      for (const source of sources) {
+        for (const field of MERGE_FILL_FIELDS) {
+          if (!target[field] && source[field]) {
+            target[field] = source[field];
+          }
+        }
+
+        if (source.notes) {
+          target.notes = [target.notes, source.notes]
+            .filter(Boolean)
+            .join('\n')
+            .slice(0, 1000);
+        }
+
+        target.mergedFrom.push(...source.mergedFrom, {
+          clientId: source._id,
+          name: source.name,
+          phone: source.phone,
+          email: source.email,
+          mergedBy: req.user._id
+        });
+      }
+
+      const quotationResult = await Quotation.updateMany(
+        { clientId: { $in: sourceIds } },
+        { $set: { clientId: target._id } },
+        { session }
+      );
+      const receiptResult = await Receipt.updateMany(
+        { clientId: { $in: sourceIds } },
+        { $set: { clientId: target._id } },
+        { session }
+      );
+      quotationsMoved = quotationResult.modifiedCount;
+      receiptsMoved = receiptResult.modifiedCount;
+
+      await Client.deleteMany({ _id: { $in: sourceIds } }, { session });
+      await target.save({ session });
+
+      await AuditService.logDocumentEvent(
+        'CLIENT_MERGED',
+        'Client',
+        target._id,
+        req.user._id,
+        req.ip,
+        {
+          mergedClientIds: sourceIds,
+          mergedClients: sources.map(source => ({
+            name: source.name,
+            phone: source.phone,
+            email: source.email
+          })),
+          quotationsMoved,
+          receiptsMoved
+        },
+        { session, userAgent: req.get('User-Agent') }
+      );
+    });
+
+    ApiResponse.success(
+      res,
+      { client: target, quotationsMoved, receiptsMoved },
+      `Merged ${sourceIds.length} client(s) successfully`
+    );
+  } catch (error) {
+    logger.error('Merge clients error:', error);
+
+    if (error.statusCode) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+
+    if (error.name === 'ValidationError') {
+      return ApiResponse.validationError(res, Object.values(error.errors));
+    }
+
+    ApiResponse.error(res, 'Failed to merge clients', 500);
+  }
+};
+
+/**
+ * Build statement options from the request, treating a date-only end date as
+ * the end of that day and limiting non-admins to their own documents
+ */
+const getStatementOptions = (req, { startDate, endDate }) => {
+  let periodEnd = endDate;
+  if (periodEnd && periodEnd.getTime() % 86400000 === 0) {
+    periodEnd = new Date(periodEnd.getTime() + 86400000 - 1);
+  }
+
+  return {
+    startDate,
+    endDate: periodEnd,
+    createdBy: req.user.role !== 'admin' ? req.user._id : undefined
+  };
+};
+
+/**
+ * Get a client's statement of account as JSON or PDF
+ * Non-admin users only see the documents they created
+ */
+const getClientStatement = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const { startDate, endDate, format = 'json' } = req.query;
+
+    const client = await Client.findById(req.params.id);
+    if (!client) {
+      return ApiResponse.error(res, 'Client not found', 404);
+    }
+
+    const statement = await statementService.buildClientStatement(
+      client,
+      getStatementOptions(req, { startDate, endDate })
+    );
+
+    if (format === 'pdf') {
+      const pdfBuffer = await pdfService.generateStatementPDF(statement);
+      const fileDate = statement.generatedAt.toISOString().split('T')[0];
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="statement_${client._id}_${fileDate}.pdf"`
+      );
+      res.setHeader('Content-Length', pdfBuffer.length);
+
+      return res.end(pdfBuffer);
+    }
+
+    ApiResponse.success(
+      res,
+      { statement },
+      'Client statement retrieved successfully'
+    );
+  } catch (error) {
+    logger.error('Get client statement error:', error);
+    ApiResponse.error(res, 'Failed to generate client statement', 500);
+  }
+};
+
+/**
+ * Email a client's statement of account as a PDF attachment
+ * Sent to the client's email unless recipientEmail is given
+ */
+const sendClientStatement = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const { startDate, endDate, recipientEmail, message } = req.body;
+
+    const client = await Client.findById(req.params.id);
+    if (!client) {
+      return ApiResponse.error(res, 'Client not found', 404);
+    }
+
+    const to = recipientEmail || client.email;
+    if (!to) {
+      return ApiResponse.error(
+        res,
+        'Client has no email address; provide recipientEmail',
+        400
+      );
+    }
+
+    const statement = await statementService.buildClientStatement(
+      client,
+      getStatementOptions(req, { startDate, endDate })
+    );
+    const pdfBuffer = await pdfService.generateStatementPDF(statement);
+
+    const emailService = require('../services/email.service');
+    await emailService.sendStatementEmail({
+      to,
+      statement,
+      sender: req.user,
+      pdfBuffer,
+      customMessage: message
+    });
+
+    ApiResponse.success(
+      res,
+      { clientId: client._id, sentTo: to },
+      'Client statement sent successfully'
+    );
+  } catch (error) {
+    logger.error('Send client statement error:', error);
+    ApiResponse.error(res, 'Failed to send client statement', 500);
+  }
+};
+
+module.exports = {
+  getClients,
+  getClientById,
+  getClientHistory,
+  createClient,
+  updateClient,
+  deleteClient,
+  getDuplicateClients,
+  mergeClients,
+  getClientStatement,
+  sendClientStatement
+};
@@ -3,12 +3,18 @@
  * Handles dashboard statistics and reporting endpoints
  */
 
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
 const User = require('../models/User.model');
 const Quotation = require('../models/Quotation.model');
 const Receipt = require('../models/Receipt.model');
 const Notification = require('../models/Notification.model');
+const Settings = require('../models/Settings.model');
 const ApiResponse = require('../utils/response');
 const { asyncHandler } = require('../middleware/errorHandler.middleware');
+const agingService = require('../services/aging.service');
+const priceDeviationService = require('../services/priceDeviation.service');
+const { toBaseAmountExpression } = require('../utils/currency');
 
 /**
  * Get dashboard statistics
@@ -32,6 +38,14 @@ const getDashboardStats = asyncHandler(async (req, res) => {
     startDate.getTime() - days * 24 * 60 * 60 * 1000
   );
 
+  // Revenue is summed in the base currency
+  const { currency: currencySettings } = await Settings.getSettings();
+  const receiptValue = toBaseAmountExpression(
+    currencySettings,
+    '$payment.totalAmount',
+    '$payment.currency'
+  );
+
   // Parallel queries for better performance
   const [
     // User statistics
@@ -103,7 +117,7 @@ const getDashboardStats = asyncHandler(async (req, res) => {
     // Revenue
     Receipt.aggregate([
       { $match: { 'payment.status': 'paid' } },
-      { $group: { _id: null, total: { $sum: '$payment.totalAmount' } } }
+      { $group: { _id: null, total: { $sum: receiptValue } } }
     ]).then(result => result[0]?.total || 0),
     Receipt.aggregate([
       {
@@ -112,7 +126,7 @@ const getDashboardStats = asyncHandler(async (req, res) => {
           createdAt: { $gte: startDate }
         }
       },
-      { $group: { _id: null, total: { $sum: '$payment.totalAmount' } } }
+      { $group: { _id: null, total: { $sum: receiptValue } } }
     ]).then(result => result[0]?.total || 0),
     Receipt.aggregate([
       {
@@ -121,7 +135,7 @@ const getDashboardStats = asyncHandler(async (req, res) => {
           createdAt: { $gte: previousPeriodStart, $lt: startDate }
         }
       },
-      { $group: { _id: null, total: { $sum: '$payment.totalAmount' } } }
+      { $group: { _id: null, total: { $sum: receiptValue } } }
     ]).then(result => result[0]?.total || 0),
 
     // Status breakdowns
@@ -198,7 +212,7 @@ const getDashboardStats = asyncHandler(async (req, res) => {
         total: totalRevenue,
         current: revenueThisPeriod,
         change: calculateChange(revenueThisPeriod, revenuePreviousPeriod),
-        currency: process.env.DEFAULT_CURRENCY || 'UGX'
+        currency: currencySettings.baseCurrency
       },
       notifications: {
         unread: unreadNotificationsCount
@@ -227,6 +241,25 @@ const getDashboardStats = asyncHandler(async (req, res) => {
   );
 });
 
+/**
+ * Get the base currency and the currencies documents can be issued in, with
+ * the exchange rates dashboard totals are converted at
+ * GET /api/dashboard/currencies
+ */
+const getCurrencies = asyncHandler(async (req, res) => {
+  const { currency } = await Settings.getSettings();
+
+  ApiResponse.success(
+    res,
+    {
+      baseCurrency: currency.baseCurrency,
+      currencies: currency.currencies.filter(entry => entry.isActive),
+      ratesUpdatedAt: currency.ratesUpdatedAt || null
+    },
+    'Currencies retrieved successfully'
+  );
+});
+
 /**
  * Get recent documents
  * GET /api/dashboard/recent
@@ -294,6 +327,9 @@ const getUserPerformanceReport = asyncHandler(async (req, res) => {
     matchFilter.createdBy = userId;
   }
 
+  // Values are summed in the base currency
+  const { currency: currencySettings } = await Settings.getSettings();
+
   const [quotationStats, receiptStats, userList] = await Promise.all([
     Quotation.aggregate([
       { $match: matchFilter },
@@ -301,7 +337,13 @@ const getUserPerformanceReport = asyncHandler(async (req, res) => {
         $group: {
           _id: '$createdBy',
           quotationCount: { $sum: 1 },
-          totalQuotationValue: { $sum: '$pricing.totalAmount' },
+          totalQuotationValue: {
+            $sum: toBaseAmountExpression(
+              currencySettings,
+              '$pricing.totalAmount',
+              '$pricing.currency'
+            )
+          },
           convertedQuotations: {
             $sum: { $cond: ['$converted', 1, 0] }
           }
@@ -325,7 +367,13 @@ const getUserPerformanceReport = asyncHandler(async (req, res) => {
         $group: {
           _id: '$createdBy',
           receiptCount: { $sum: 1 },
-          totalReceiptValue: { $sum: '$payment.totalAmount' },
+          totalReceiptValue: {
+            $sum: toBaseAmountExpression(
+              currencySettings,
+              '$payment.totalAmount',
+              '$payment.currency'
+            )
+          },
           paidReceipts: {
             $sum: { $cond: [{ $eq: ['$payment.status', 'paid'] }, 1, 0] }
           }
@@ -394,6 +442,7 @@ const getUserPerformanceReport = asyncHandler(async (req, res) => {
     res,
     {
       period: `${days} days`,
+      currency: currencySettings.baseCurrency,
       totalUsers: performance.length,
       performance: performance.sort(
         (a, b) =>
@@ -416,6 +465,9 @@ const getDocumentStatsReport = asyncHandler(async (req, res) => {
   const days = { '7d': 7, '30d': 30, '90d': 90, '1y': 365 }[period] || 30;
   const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
 
+  // Values are summed in the base currency
+  const { currency: currencySettings } = await Settings.getSettings();
+
   const dateGroupFormat = {
     daily: {
       $dateToString: { format: '%Y-%m-%d', date: '$createdAt' }
@@ -436,7 +488,13 @@ const getDocumentStatsReport = asyncHandler(async (req, res) => {
           $group: {
             _id: dateGroupFormat[granularity],
             count: { $sum: 1 },
-            totalValue: { $sum: '$pricing.totalAmount' },
+            totalValue: {
+              $sum: toBaseAmountExpression(
+                currencySettings,
+                '$pricing.totalAmount',
+                '$pricing.currency'
+              )
+            },
             converted: {
               $sum: { $cond: ['$convertedToReceipt.receiptId', 1, 0] }
             }
@@ -451,7 +509,13 @@ const getDocumentStatsReport = asyncHandler(async (req, res) => {
           $group: {
             _id: dateGroupFormat[granularity],
             count: { $sum: 1 },
-            totalValue: { $sum: '$payment.totalAmount' },
+            totalValue: {
+              $sum: toBaseAmountExpression(
+                currencySettings,
+                '$payment.totalAmount',
+                '$payment.currency'
+              )
+            },
             paid: {
               $sum: { $cond: [{ $eq: ['$payment.status', 'paid'] }, 1, 0] }
             }
@@ -477,6 +541,7 @@ const getDocumentStatsReport = asyncHandler(async (req, res) => {
     {
       period: `${days} days`,
       granularity,
+      currency: currencySettings.baseCurrency,
       trends: {
         quotations: quotationTrends,
         receipts: receiptTrends
@@ -494,9 +559,117 @@ const getDocumentStatsReport = asyncHandler(async (req, res) => {
   );
 });
 
+/**
+ * Get accounts receivable aging report
+ * GET /api/dashboard/reports/aging
+ */
+const getAgingReport = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return ApiResponse.validationError(res, errors.array());
+  }
+
+  const { currency, createdBy, clientId, format = 'json' } = req.query;
+
+  const filter = {};
+  if (req.user.role !== 'admin') {
+    filter.createdBy = req.user._id;
+  } else if (createdBy) {
+    filter.createdBy = new mongoose.Types.ObjectId(createdBy);
+  }
+  if (currency) filter['payment.currency'] = currency;
+  if (clientId) filter.clientId = new mongoose.Types.ObjectId(clientId);
+
+  const report = await agingService.getAgingReport(filter);
+
+  if (format === 'csv') {
+    const fileDate = report.asOf.toISOString().split('T')[0];
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="aging-report-${fileDate}.csv"`
+    );
+
+    return res.send(agingService.toCsv(report));
+  }
+
+  ApiResponse.success(
+    res,
+    {
+      ...report,
+      // Each row's drillDown, plus agingBucket, filters GET /api/receipts
+      drillDownPath: '/api/receipts'
+    },
+    'Aging report retrieved successfully'
+  );
+});
+
+/**
+ * Get catalog price deviation report
+ * GET /api/dashboard/reports/price-deviations
+ */
+const getPriceDeviationReport = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return ApiResponse.validationError(res, errors.array());
+  }
+
+  const {
+    currency,
+    moveType,
+    createdBy,
+    catalogItemId,
+    startDate,
+    endDate,
+    format = 'json'
+  } = req.query;
+
+  const filter = { 'services.catalogItemId': { $ne: null } };
+  if (req.user.role !== 'admin') {
+    filter.createdBy = req.user._id;
+  } else if (createdBy) {
+    filter.createdBy = new mongoose.Types.ObjectId(createdBy);
+  }
+  if (moveType) filter.type = moveType;
+  if (startDate || endDate) {
+    filter.createdAt = {};
+    if (startDate) filter.createdAt.$gte = new Date(startDate);
+    if (endDate) filter.createdAt.$lte = new Date(endDate);
+  }
+
+  const report = await priceDeviationService.getPriceDeviationReport(filter, {
+    currency,
+    catalogItemId: catalogItemId
+      ? new mongoose.Types.ObjectId(catalogItemId)
+      : undefined
+  });
+
+  if (format === 'csv') {
+    const fileDate = report.generatedAt.toISOString().split('T')[0];
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="price-deviations-${fileDate}.csv"`
+    );
+
+    return res.send(priceDeviationService.toCsv(report));
+  }
+
+  ApiResponse.success(
+    res,
+    report,
+    'Price deviation report retrieved successfully'
+  );
+});
+
 module.exports = {
   getDashboardStats,
+  getCurrencies,
   getRecentDocuments,
   getUserPerformanceReport,
-  getDocumentStatsReport
+  getDocumentStatsReport,
+  getAgingReport,
+  getPriceDeviationReport
 };
@@ -0,0 +1,729 @@
+/**
+ * Move Controller
+ * Plans move jobs from converted quotations and commitment receipts, assigns
+ * crew and vehicles, and moves jobs through their lifecycle
+ */
+
+const { Move, Quotation, Receipt, User, Vehicle } = require('../models');
+const ApiResponse = require('../utils/response');
+const { validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+
+// Default working day for a move planned without times
+const DEFAULT_START_HOUR = 8;
+const DEFAULT_DURATION_HOURS = 9;
+
+// Fields a move can be created or updated with
+const EDITABLE_FIELDS = [
+  'scheduledStart',
+  'scheduledEnd',
+  'crew',
+  'vehicles',
+  'notes'
+];
+
+/**
+ * Pick editable fields from the request body
+ */
+const pickMoveFields = body =>
+  EDITABLE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    return fields;
+  }, {});
+
+/**
+ * Check whether the user may reschedule, reassign or cancel a move
+ */
+const canManageMove = (user, move) =>
+  user.role === 'admin' ||
+  (move.createdBy._id || move.createdBy).toString() === user._id.toString();
+
+/**
+ * Check whether the user may view a move and report its progress; crew
+ * members see the moves they are assigned to
+ */
+const canViewMove = (user, move) =>
+  canManageMove(user, move) ||
+  move.crew.some(
+    member =>
+      (member.userId._id || member.userId).toString() === user._id.toString()
+  );
+
+/**
+ * Check whether the user may plan a move from a quotation or receipt
+ */
+const canAccessDocument = (user, document) =>
+  user.role === 'admin' ||
+  document.createdBy.toString() === user._id.toString();
+
+/**
+ * Build the error raised for an unusable request
+ */
+const requestError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Find the quotation and receipt a new move is planned from
+ * A converted quotation brings its receipt along; a commitment receipt
+ * brings the quotation it was converted from, if any.
+ * @returns {Promise<Object>} { quotation, receipt }
+ * @throws {Error} With statusCode 404 when a document is missing, 403 when
+ *   the user may not use it, or 400 when it cannot be scheduled
+ */
+const findSourceDocuments = async (user, { quotationId, receiptId }) => {
+  let quotation = null;
+  let receipt = null;
+
+  if (quotationId) {
+    quotation = await Quotation.findById(quotationId);
+    if (!quotation) throw requestError('Quotation not found', 404);
+    if (!canAccessDocument(user, quotation)) {
+      throw requestError('Access denied', 403);
+    }
+    if (quotation.validity.status !== 'converted') {
+      throw requestError(
+        'Only quotations converted to a receipt can be scheduled as moves'
+      );
+    }
+
+    receipt = await Receipt.findById(quotation.convertedToReceipt.receiptId);
+  } else {
+    receipt = await Receipt.findById(receiptId);
+    if (!receipt) throw requestError('Receipt not found', 404);
+    if (!canAccessDocument(user, receipt)) {
+      throw requestError('Access denied', 403);
+    }
+    if (receipt.receiptType !== 'commitment') {
+      throw requestError('Moves are scheduled from commitment receipts');
+    }
+
+    if (receipt.quotationId) {
+      quotation = await Quotation.findById(receipt.quotationId);
+    }
+  }
+
+  return { quotation, receipt };
+};
+
+/**
+ * Build the move details carried over from its source documents
+ * The receipt is preferred, since it is what the client committed to
+ */
+const buildMoveFromDocuments = ({ quotation, receipt }) => {
+  const client = receipt?.client || quotation.client;
+
+  return {
+    quotationId: quotation?._id,
+    receiptId: receipt?._id,
+    clientId: receipt?.clientId || quotation?.clientId,
+    client: {
+      name: client.name,
+      phone: client.phone,
+      email: client.email
+    },
+    moveType: receipt?.moveType || quotation?.type.toLowerCase(),
+    locations: {
+      from: receipt?.locations?.from || quotation?.locations.from,
+      to: receipt?.locations?.to || quotation?.locations.to,
+      movingDate:
+        receipt?.locations?.movingDate || quotation?.locations.movingDate
+    }
+  };
+};
+
+/**
+ * Fill in start and end times left out of a new move from its moving date
+ */
+const withDefaultSchedule = (fields, movingDate) => {
+  const scheduledStart = fields.scheduledStart || new Date(movingDate);
+  if (!fields.scheduledStart) {
+    scheduledStart.setHours(DEFAULT_START_HOUR, 0, 0, 0);
+  }
+
+  const scheduledEnd =
+    fields.scheduledEnd ||
+    new Date(scheduledStart.getTime() + DEFAULT_DURATION_HOURS * 3600000);
+
+  return { ...fields, scheduledStart, scheduledEnd };
+};
+
+/**
+ * Check every crew member is an active user
+ * @throws {Error} With statusCode 400 naming the first unusable member
+ */
+const assertActiveCrew = async crew => {
+  const crewIds = crew.map(member => member.userId.toString());
+  if (crewIds.length === 0) return;
+
+  const users = await User.find({ _id: { $in: crewIds }, status: 'active' })
+    .select('_id')
+    .lean();
+  const activeIds = users.map(user => user._id.toString());
+
+  const missing = crewIds.find(id => !activeIds.includes(id));
+  if (missing) {
+    throw requestError(`Crew member ${missing} is not an active user`);
+  }
+};
+
+/**
+ * Fill in a move's vehicles from the fleet and check each can go on the road
+ * on the move's days
+ * @throws {Error} With statusCode 400 for an unknown vehicle, or 409 with
+ *   the reasons when a vehicle is retired, in maintenance, or its insurance
+ *   or inspection runs out before the move ends
+ */
+const assignFleetVehicles = async move => {
+  const vehicleIds = move.vehicles
+    .map(assigned => assigned.vehicleId)
+    .filter(Boolean);
+  const vehicles = await Vehicle.find({ _id: { $in: vehicleIds } });
+  const vehiclesById = new Map(
+    vehicles.map(vehicle => [vehicle._id.toString(), vehicle])
+  );
+
+  const problems = move.vehicles.flatMap(assigned => {
+    // Vehicles entered by plate only are not in the fleet records
+    if (!assigned.vehicleId) return [];
+
+    const vehicle = vehiclesById.get(assigned.vehicleId.toString());
+    if (!vehicle) {
+      throw requestError(`Vehicle ${assigned.vehicleId} not found`);
+    }
+
+    assigned.plateNumber = vehicle.plateNumber;
+    assigned.description = vehicle.description;
+
+    return vehicle
+      .getUnavailabilityReasons(move.scheduledStart, move.scheduledEnd)
+      .map(({ reason, message }) => ({
+        type: 'vehicle',
+        plateNumber: vehicle.plateNumber,
+        reason,
+        message
+      }));
+  });
+
+  if (problems.length > 0) {
+    const error = requestError(
+      'Some of the vehicles cannot be used on that day',
+      409
+    );
+    error.details = problems;
+    throw error;
+  }
+};
+
+/**
+ * Add crew member names to schedule conflicts for display
+ */
+const describeConflicts = async conflicts => {
+  const userIds = conflicts
+    .filter(conflict => conflict.type === 'crew')
+    .map(conflict => conflict.userId);
+  const users = await User.find({ _id: { $in: userIds } })
+    .select('fullName')
+    .lean();
+  const namesById = new Map(
+    users.map(user => [user._id.toString(), user.fullName])
+  );
+
+  return conflicts.map(conflict => ({
+    ...conflict,
+    ...(conflict.type === 'crew' && {
+      fullName: namesById.get(conflict.userId.toString()) || null
+    })
+  }));
+};
+
+/**
+ * Check a move's crew and vehicles are free on its days
+ * @throws {Error} With statusCode 409 and the conflicts as details
+ */
+const assertNoConflicts = async move => {
+  const conflicts = await Move.findScheduleConflicts({
+    scheduledStart: move.scheduledStart,
+    scheduledEnd: move.scheduledEnd,
+    crewIds: move.crew.map(member => member.userId),
+    plateNumbers: move.vehicles.map(vehicle => vehicle.plateNumber),
+    excludeMoveId: move.isNew ? undefined : move._id
+  });
+
+  if (conflicts.length > 0) {
+    const error = requestError(
+      'Some of the crew or vehicles are already booked on that day',
+      409
+    );
+    error.details = await describeConflicts(conflicts);
+    throw error;
+  }
+};
+
+/**
+ * Notify users about a move; the user who made the change is left out
+ */
+const notifyMoveUsers = async (move, userIds, actorId, content) => {
+  try {
+    const Notification = require('../models/Notification.model');
+
+    const recipientIds = [
+      ...new Set(userIds.map(id => (id._id || id).toString()))
+    ].filter(id => id !== actorId.toString());
+    if (recipientIds.length === 0) return;
+
+    await Notification.create({
+      userId: recipientIds[0],
+      recipientUserIds: recipientIds,
+      type: content.type,
+      title: content.title,
+      message: content.message.slice(0, 500),
+      priority: content.priority || 'normal',
+      actionUrl: `/moves/${move._id}`,
+      actionText: 'View Move',
+      actorId,
+      metadata: {
+        documentType: 'Move',
+        documentId: move._id,
+        documentNumber: move.moveNumber,
+        status: move.status,
+        scheduledStart: move.scheduledStart
+      }
+    });
+  } catch (notifError) {
+    logger.error('Failed to send move notification:', notifError);
+    // Don't fail the request if notification fails
+  }
+};
+
+/**
+ * Tell newly assigned crew members about the move
+ */
+const notifyAssignedCrew = (move, crewIds, actorId) =>
+  notifyMoveUsers(move, crewIds, actorId, {
+    type: 'move_assigned',
+    title: 'Assigned to a Move',
+    message: `You are assigned to move ${move.moveNumber} for ${move.client.name} on ${move.scheduledStart.toDateString()}, from ${move.locations.from} to ${move.locations.to}`,
+    priority: 'high'
+  });
+
+/**
+ * Send a handled error, with conflict details when there are any
+ */
+const sendRequestError = (res, error) =>
+  ApiResponse.error(res, error.message, error.statusCode, error.details);
+
+/**
+ * Get moves with filtering and pagination
+ * Non-admin users see the moves they planned or are crew on
+ */
+const getMoves = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const {
+      page = 1,
+      limit = 20,
+      status,
+      crewId,
+      startDate,
+      endDate,
+      search
+    } = req.query;
+
+    const pageNumber = parseInt(page, 10);
+    const limitNumber = parseInt(limit, 10);
+
+    const filter = {};
+    const conditions = [];
+
+    if (req.user.role !== 'admin') {
+      conditions.push({
+        $or: [{ createdBy: req.user._id }, { 'crew.userId': req.user._id }]
+      });
+    }
+
+    if (status) filter.status = status;
+    if (crewId) filter['crew.userId'] = crewId;
+
+    if (startDate || endDate) {
+      filter.scheduledStart = {};
+      if (startDate) filter.scheduledStart.$gte = new Date(startDate);
+      if (endDate) filter.scheduledStart.$lte = new Date(endDate);
+    }
+
+    if (search) {
+      // Escape the term so user input is matched literally
+      const pattern = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      conditions.push({
+        $or: [
+          { moveNumber: { $regex: pattern, $options: 'i' } },
+          { 'client.name': { $regex: pattern, $options: 'i' } },
+          { 'vehicles.plateNumber': { $regex: pattern, $options: 'i' } }
+        ]
+      });
+    }
+
+    if (conditions.length > 0) filter.$and = conditions;
+
+    const [moves, totalCount] = await Promise.all([
+      Move.find(filter)
+        .select('-statusHistory')
+        .populate('crew.userId', 'fullName phonePrimary')
+        .populate('createdBy', 'fullName email')
+        .sort({ scheduledStart: 1 })
+        .skip((pageNumber - 1) * limitNumber)
+        .limit(limitNumber)
+        .lean(),
+      Move.countDocuments(filter)
+    ]);
+
+    ApiResponse.paginated(
+      res,
+      moves,
+      {
+        page: pageNumber,
+        limit: limitNumber,
+        total: totalCount
+      },
+      'Moves retrieved successfully'
+    );
+  } catch (error) {
+    logger.error('Get moves error:', error);
+    ApiResponse.error(res, 'Failed to retrieve moves', 500);
+  }
+};
+
+/**
+ * Get single move by ID
+ */
+const getMoveById = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const move = await Move.findById(req.params.id)
+      .populate('crew.userId', 'fullName email phonePrimary')
+      .populate('quotationId', 'quotationNumber type')
+      .populate('receiptId', 'receiptNumber receiptType')
+      .populate('statusHistory.changedBy', 'fullName')
+      .populate('createdBy', 'fullName email');
+
+    if (!move) {
+      return ApiResponse.error(res, 'Move not found', 404);
+    }
+
+    if (!canViewMove(req.user, move)) {
+      return ApiResponse.error(res, 'Access denied', 403);
+    }
+
+    ApiResponse.success(res, { move }, 'Move retrieved successfully');
+  } catch (error) {
+    logger.error('Get move error:', error);
+    ApiResponse.error(res, 'Failed to retrieve move', 500);
+  }
+};
+
+/**
+ * Plan a move from a converted quotation or a commitment receipt
+ * Start and end times default to the working day of the moving date
+ */
+const createMove = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const sources = await findSourceDocuments(req.user, req.body);
+    const details = buildMoveFromDocuments(sources);
+
+    if (!details.locations.movingDate) {
+      return ApiResponse.error(
+        res,
+        'The receipt has no moving date to schedule the move on',
+        400
+      );
+    }
+
+    // One move per job; a cancelled move can be planned again
+    const sourceFilter = [
+      sources.quotation && { quotationId: sources.quotation._id },
+      sources.receipt && { receiptId: sources.receipt._id }
+    ].filter(Boolean);
+    const existing = await Move.findOne({
+      $or: sourceFilter,
+      status: { $ne: 'cancelled' }
+    }).select('moveNumber');
+    if (existing) {
+      return ApiResponse.error(
+        res,
+        `Move ${existing.moveNumber} is already planned for this job`,
+        409
+      );
+    }
+
+    const move = new Move({
+      ...details,
+      ...withDefaultSchedule(
+        pickMoveFields(req.body),
+        details.locations.movingDate
+      ),
+      moveNumber: await Move.generateMoveNumber(),
+      createdBy: req.user._id
+    });
+    move.statusHistory.push({
+      status: 'scheduled',
+      changedBy: req.user._id,
+      reason: 'Move planned'
+    });
+
+    await assertActiveCrew(move.crew);
+    await assignFleetVehicles(move);
+    await assertNoConflicts(move);
+    await move.save();
+
+    await notifyAssignedCrew(
+      move,
+      move.crew.map(member => member.userId),
+      req.user._id
+    );
+
+    await move.populate([
+      { path: 'crew.userId', select: 'fullName email phonePrimary' },
+      { path: 'createdBy', select: 'fullName email' }
+    ]);
+
+    ApiResponse.success(res, { move }, 'Move scheduled successfully', 201);
+  } catch (error) {
+    logger.error('Create move error:', error);
+
+    if (error.statusCode) {
+      return sendRequestError(res, error);
+    }
+
+    if (error.name === 'ValidationError') {
+      return ApiResponse.validationError(res, Object.values(error.errors));
+    }
+
+    ApiResponse.error(res, 'Failed to schedule move', 500);
+  }
+};
+
+/**
+ * Reschedule a move or change its crew and vehicles
+ */
+const updateMove = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const move = await Move.findById(req.params.id);
+    if (!move) {
+      return ApiResponse.error(res, 'Move not found', 404);
+    }
+
+    if (!canManageMove(req.user, move)) {
+      return ApiResponse.error(res, 'Access denied', 403);
+    }
+
+    if (!move.isActive()) {
+      return ApiResponse.error(res, `Cannot change a ${move.status} move`, 400);
+    }
+
+    const previousCrewIds = move.crew.map(member => member.userId.toString());
+
+    move.set(pickMoveFields(req.body));
+
+    const newCrewIds = move.crew
+      .map(member => member.userId)
+      .filter(id => !previousCrewIds.includes(id.toString()));
+
+    await assertActiveCrew(move.crew);
+    if (
+      move.isModified('scheduledStart') ||
+      move.isModified('scheduledEnd') ||
+      move.isModified('crew') ||
+      move.isModified('vehicles')
+    ) {
+      await assignFleetVehicles(move);
+      await assertNoConflicts(move);
+    }
+
+    // The moving date may have passed while the move is under way
+    await move.save({ validateModifiedOnly: true });
+
+    await notifyAssignedCrew(move, newCrewIds, req.user._id);
+
+    await move.populate([
+      { path: 'crew.userId', select: 'fullName email phonePrimary' },
+      { path: 'createdBy', select: 'fullName email' }
+    ]);
+
+    ApiResponse.success(res, { move }, 'Move updated successfully');
+  } catch (error) {
+    logger.error('Update move error:', error);
+
+    if (error.statusCode) {
+      return sendRequestError(res, error);
+    }
+
+    if (error.name === 'ValidationError') {
+      return ApiResponse.validationError(res, Object.values(error.errors));
+    }
+
+    ApiResponse.error(res, 'Failed to update move', 500);
+  }
+};
+
+/**
+ * Start, complete or cancel a move
+ * Crew members can start and complete their moves; only the planner or an
+ * admin can cancel one
+ */
+const updateMoveStatus = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const { status, reason } = req.body;
+
+    const move = await Move.findById(req.params.id);
+    if (!move) {
+      return ApiResponse.error(res, 'Move not found', 404);
+    }
+
+    const allowed =
+      status === 'cancelled'
+        ? canManageMove(req.user, move)
+        : canViewMove(req.user, move);
+    if (!allowed) {
+      return ApiResponse.error(res, 'Access denied', 403);
+    }
+
+    await move.transitionTo(status, req.user._id, reason);
+
+    await notifyMoveUsers(
+      move,
+      [move.createdBy, ...move.crew.map(member => member.userId)],
+      req.user._id,
+      {
+        type: 'move_status_changed',
+        title: `Move ${status === 'in_progress' ? 'Started' : status === 'completed' ? 'Completed' : 'Cancelled'}`,
+        message: `Move ${move.moveNumber} for ${move.client.name} was marked ${status.replace('_', ' ')} by ${req.user.fullName}${reason ? `: ${reason}` : ''}`,
+        priority: status === 'cancelled' ? 'high' : 'normal'
+      }
+    );
+
+    ApiResponse.success(
+      res,
+      { move },
+      `Move marked ${status.replace('_', ' ')} successfully`
+    );
+  } catch (error) {
+    logger.error('Update move status error:', error);
+
+    if (error.statusCode) {
+      return sendRequestError(res, error);
+    }
+
+    if (error.name === 'ValidationError') {
+      return ApiResponse.validationError(res, Object.values(error.errors));
+    }
+
+    ApiResponse.error(res, 'Failed to update move status', 500);
+  }
+};
+
+/**
+ * Check which crew members and vehicles are already booked on the days of
+ * a planned time range, before assigning them
+ */
+const getMoveConflicts = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const {
+      scheduledStart,
+      scheduledEnd,
+      crewIds = [],
+      plateNumbers = [],
+      excludeMoveId
+    } = req.query;
+
+    const conflicts = await Move.findScheduleConflicts({
+      scheduledStart: new Date(scheduledStart),
+      scheduledEnd: new Date(scheduledEnd),
+      crewIds,
+      plateNumbers,
+      excludeMoveId
+    });
+
+    ApiResponse.success(
+      res,
+      { conflicts: await describeConflicts(conflicts) },
+      conflicts.length > 0
+        ? 'Some of the crew or vehicles are already booked'
+        : 'The crew and vehicles are available'
+    );
+  } catch (error) {
+    logger.error('Get move conflicts error:', error);
+    ApiResponse.error(res, 'Failed to check move conflicts', 500);
+  }
+};
+
+/**
+ * Delete move (Admin only)
+ */
+const deleteMove = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const move = await Move.findById(req.params.id);
+    if (!move) {
+      return ApiResponse.error(res, 'Move not found', 404);
+    }
+
+    if (move.status === 'in_progress') {
+      return ApiResponse.error(
+        res,
+        'Cannot delete a move that is in progress',
+        400
+      );
+    }
+
+    await Move.findByIdAndDelete(move._id);
+
+    ApiResponse.success(res, null, 'Move deleted successfully');
+  } catch (error) {
+    logger.error('Delete move error:', error);
+    ApiResponse.error(res, 'Failed to delete move', 500);
+  }
+};
+
+module.exports = {
+  getMoves,
+  getMoveById,
+  createMove,
+  updateMove,
+  updateMoveStatus,
+  getMoveConflicts,
+  deleteMove
+};
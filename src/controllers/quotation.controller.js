@@ -3,10 +3,366 @@
  * Handles CRUD operations for quotations
  */
 
-const { Quotation } = require('../models');
+const {
+  Quotation,
+  Client,
+  Settings,
+  ServiceCatalogItem
+} = require('../models');
 const ApiResponse = require('../utils/response');
 const { validationResult } = require('express-validator');
 const pdfService = require('../services/pdf.service');
+const AuditService = require('../services/audit.service');
+const bulkExportService = require('../services/bulkExport.service');
+const quotationConversionService = require('../services/quotationConversion.service');
+const inventoryService = require('../services/inventory.service');
+const { diffSnapshots } = require('../utils/snapshot');
+const { toBaseAmountExpression } = require('../utils/currency');
+const JWTUtils = require('../utils/jwt');
+const logger = require('../utils/logger');
+
+// Display labels for the quotation fields shown in change lists
+const FIELD_LABELS = {
+  type: 'Move Type',
+  'client.name': 'Client Name',
+  'client.phone': 'Client Phone',
+  'client.email': 'Client Email',
+  'client.company': 'Company Name',
+  'client.gender': 'Client Gender',
+  'locations.from': 'Move From Location',
+  'locations.to': 'Move To Location',
+  'locations.movingDate': 'Moving Date',
+  'pricing.currency': 'Currency',
+  'pricing.discount': 'Discount',
+  'pricing.taxRate': 'Tax Rate',
+  'pricing.subtotal': 'Subtotal',
+  'pricing.taxAmount': 'Tax Amount',
+  'pricing.totalAmount': 'Total Amount',
+  'validity.validUntil': 'Valid Until',
+  'validity.daysValid': 'Validity (days)',
+  termsAndConditions: 'Terms and Conditions',
+  notes: 'Notes',
+  'inventory.summary.totalVolume': 'Inventory Volume (m³)',
+  'inventory.summary.itemCount': 'Inventory Item Count',
+  'inventory.summary.fragileItemCount': 'Inventory Fragile Items',
+  'inventory.summary.vehicleCount': 'Vehicles',
+  'inventory.summary.crewSize': 'Crew Size',
+  'inventory.summary.vehicleCapacity': 'Vehicle Capacity (m³)'
+};
+
+// Stored as ISO strings in snapshots
+const DATE_FIELDS = ['locations.movingDate', 'validity.validUntil'];
+
+const SERVICE_FIELD_LABELS = {
+  name: 'Name',
+  description: 'Description',
+  quantity: 'Quantity',
+  unitPrice: 'Unit Price',
+  total: 'Total',
+  catalogItemId: 'Catalog Item',
+  catalogUnitPrice: 'Catalog Price',
+  isPriceOverride: 'Price Override',
+  source: 'Source'
+};
+
+const OPTION_FIELD_LABELS = {
+  name: 'Name',
+  description: 'Description',
+  'pricing.subtotal': 'Subtotal',
+  'pricing.discount': 'Discount',
+  'pricing.taxAmount': 'Tax Amount',
+  'pricing.totalAmount': 'Total Amount'
+};
+
+const INVENTORY_ITEM_FIELD_LABELS = {
+  itemKey: 'Standard Item',
+  name: 'Name',
+  volume: 'Volume (m³)',
+  quantity: 'Quantity',
+  isFragile: 'Fragile'
+};
+
+/**
+ * Format a field value for display in a change list
+ */
+const formatValue = value => {
+  if (value === null || value === undefined) return 'Not set';
+  if (typeof value === 'object' && value instanceof Date) {
+    return value.toLocaleDateString();
+  }
+  if (typeof value === 'object' && value !== null) {
+    return JSON.stringify(value);
+  }
+  return value.toString();
+};
+
+/**
+ * Get the display label for a snapshot path, e.g. services.0.unitPrice
+ * becomes "Service 1 Unit Price"
+ */
+const getFieldLabel = path => {
+  const serviceMatch = path.match(/^services\.(\d+)\.(\w+)$/);
+  if (serviceMatch) {
+    const [, index, field] = serviceMatch;
+    return `Service ${Number(index) + 1} ${SERVICE_FIELD_LABELS[field] || field}`;
+  }
+  const optionServiceMatch = path.match(
+    /^options\.(\d+)\.services\.(\d+)\.(\w+)$/
+  );
+  if (optionServiceMatch) {
+    const [, optionIndex, index, field] = optionServiceMatch;
+    return `Option ${Number(optionIndex) + 1} Service ${Number(index) + 1} ${SERVICE_FIELD_LABELS[field] || field}`;
+  }
+  const optionMatch = path.match(/^options\.(\d+)\.(.+)$/);
+  if (optionMatch) {
+    const [, optionIndex, field] = optionMatch;
+    return `Option ${Number(optionIndex) + 1} ${OPTION_FIELD_LABELS[field] || field}`;
+  }
+  const roomMatch = path.match(/^inventory\.rooms\.(\d+)\.name$/);
+  if (roomMatch) {
+    return `Room ${Number(roomMatch[1]) + 1} Name`;
+  }
+  const itemMatch = path.match(
+    /^inventory\.rooms\.(\d+)\.items\.(\d+)\.(\w+)$/
+  );
+  if (itemMatch) {
+    const [, roomIndex, itemIndex, field] = itemMatch;
+    return `Room ${Number(roomIndex) + 1} Item ${Number(itemIndex) + 1} ${INVENTORY_ITEM_FIELD_LABELS[field] || field}`;
+  }
+  return FIELD_LABELS[path] || path;
+};
+
+/**
+ * Describe the differences between two version snapshots for display
+ * @returns {Array} [{ path, field, oldValue, newValue }]
+ */
+const describeChanges = (before, after) =>
+  diffSnapshots(before, after).map(({ path, oldValue, newValue }) => {
+    const format = value =>
+      formatValue(
+        DATE_FIELDS.includes(path) && value ? new Date(value) : value
+      );
+
+    return {
+      path,
+      field: getFieldLabel(path),
+      oldValue: format(oldValue),
+      newValue: format(newValue)
+    };
+  });
+
+/**
+ * Check whether the user may view or edit a quotation
+ */
+const canAccessQuotation = (user, quotation) =>
+  user.role === 'admin' ||
+  (quotation.createdBy._id || quotation.createdBy).toString() ===
+    user._id.toString();
+
+/**
+ * Parse the :version route parameter
+ * @returns {number|null} Version number, or null when it is not one
+ */
+const parseVersionNumber = value => {
+  const versionNumber = Number(value);
+  return Number.isInteger(versionNumber) && versionNumber >= 1
+    ? versionNumber
+    : null;
+};
+
+// State that only changes through the approval, portal, inventory and
+// option selection endpoints
+const PROTECTED_FIELDS = [
+  'inventory',
+  'selectedOption',
+  'approval',
+  'portal',
+  'clientResponses',
+  'versions',
+  'convertedToReceipt'
+];
+
+/**
+ * Copy a request body without the fields clients may not set directly
+ */
+const withoutProtectedFields = body => {
+  const fields = { ...body };
+  PROTECTED_FIELDS.forEach(field => delete fields[field]);
+  return fields;
+};
+
+/**
+ * Price catalog line items, then calculate line totals
+ * @param {Array} services - Line items from the request
+ * @param {Object} options - currency, moveType and existingItemIds, as for
+ *   ServiceCatalogItem.priceQuotationServices
+ * @returns {Promise<Array>} Line items ready to save
+ */
+const priceServiceLines = async (services, options) => {
+  const pricedServices = await ServiceCatalogItem.priceQuotationServices(
+    services,
+    options
+  );
+  return pricedServices.map(service => ({
+    ...service,
+    total: service.quantity * service.unitPrice
+  }));
+};
+
+/**
+ * Price the line items of each package option
+ * @param {Array} options - Package options from the request
+ * @param {Object} pricingOptions - As for priceServiceLines
+ * @returns {Promise<Array>} Options ready to save
+ */
+const pricePackageOptions = (options, pricingOptions) =>
+  Promise.all(
+    options.map(async option => ({
+      ...option,
+      services: await priceServiceLines(option.services, pricingOptions)
+    }))
+  );
+
+/**
+ * Why a quotation cannot be issued to the client yet, or null once it is
+ * cleared for PDFs and sending
+ */
+const getApprovalBlocker = quotation => {
+  const { status, comments } = quotation.approval;
+
+  if (status === 'pending_approval') {
+    return 'Quotation is awaiting admin approval';
+  }
+  if (status === 'rejected') {
+    return `Quotation was rejected${comments ? `: ${comments}` : ''}. Revise the pricing to resubmit it for approval`;
+  }
+
+  return null;
+};
+
+// Version approval states whose pricing may go to the client
+const CLEARED_APPROVAL_STATUSES = ['not_required', 'approved'];
+
+/**
+ * Why a version cannot be rendered as a client-ready PDF, or null when it
+ * can. The current version follows the quotation's approval; earlier ones
+ * must have been cleared or sent while they were current.
+ */
+const getVersionApprovalBlocker = (quotation, version) => {
+  if (version.versionNumber === quotation.version) {
+    return getApprovalBlocker(quotation);
+  }
+
+  if (
+    version.sentAt ||
+    CLEARED_APPROVAL_STATUSES.includes(version.approvalStatus)
+  ) {
+    return null;
+  }
+
+  return version.approvalStatus === 'rejected'
+    ? `The pricing of version ${version.versionNumber} was rejected and cannot be issued`
+    : `The pricing of version ${version.versionNumber} was never approved and cannot be issued`;
+};
+
+/**
+ * Success message for an edit, noting when the edit reopened a quotation the
+ * client had already accepted or declined
+ */
+const revisionMessage = (quotation, message) => {
+  const answer = quotation.$locals.reopenedFrom;
+  return answer
+    ? `${message}. The client had ${answer} the previous terms, so the quotation is open again and must be sent for a new response`
+    : message;
+};
+
+/**
+ * Log and announce a quotation the last save held for approval
+ */
+const requestApproval = async (quotation, req) => {
+  if (!quotation.$locals.approvalRequested) return;
+
+  await AuditService.logDocumentEvent(
+    'QUOTATION_APPROVAL_REQUESTED',
+    'Quotation',
+    quotation._id,
+    req.user._id,
+    req.ip,
+    {
+      quotationNumber: quotation.quotationNumber,
+      reasons: quotation.approval.reasons
+    },
+    { userAgent: req.get('User-Agent') }
+  );
+
+  try {
+    const User = require('../models/User.model');
+    const Notification = require('../models/Notification.model');
+
+    const admins = await User.find({ role: 'admin', status: 'active' });
+    const adminIds = admins.map(admin => admin._id);
+    if (adminIds.length === 0) return;
+
+    await Notification.create({
+      userId: adminIds[0],
+      recipientUserIds: adminIds,
+      type: 'quotation_approval_requested',
+      title: 'Quotation Awaiting Approval',
+      message:
+        `Quotation ${quotation.quotationNumber} by ${req.user.fullName} needs approval: ${quotation.approval.reasons.join('; ')}`.slice(
+          0,
+          500
+        ),
+      priority: 'high',
+      actionUrl: `/quotations/${quotation._id}`,
+      actionText: 'Review Quotation',
+      actorId: req.user._id,
+      metadata: {
+        documentType: 'Quotation',
+        documentId: quotation._id,
+        documentNumber: quotation.quotationNumber,
+        reasons: quotation.approval.reasons
+      }
+    });
+  } catch (notifError) {
+    logger.error('Failed to send approval request notification:', notifError);
+    // Don't fail the request if notification fails
+  }
+};
+
+/**
+ * Notify admins that a quotation changed, listing the changed fields
+ */
+const notifyQuotationChanged = async (quotation, actorId, changes) => {
+  try {
+    const User = require('../models/User.model');
+
+    // Get all admin users
+    const admins = await User.find({ role: 'admin', status: 'active' });
+    const adminIds = admins.map(admin => admin._id);
+
+    if (adminIds.length > 0) {
+      // Use the Notification model directly to create the detailed notification
+      const Notification = require('../models/Notification.model');
+      await Notification.createDocumentNotificationWithDetails(
+        'document_updated',
+        'Quotation',
+        quotation._id,
+        quotation.quotationNumber,
+        actorId, // actor (person who made the change)
+        adminIds,
+        changes.map(({ field, oldValue, newValue }) => ({
+          field,
+          oldValue,
+          newValue
+        }))
+      );
+    }
+  } catch (notifError) {
+    logger.error('Failed to send quotation update notification:', notifError);
+    // Don't fail the request if notification fails
+  }
+};
 
 /**
  * Get all quotations with filtering, sorting, and pagination
@@ -23,7 +379,8 @@ const getQuotations = async (req, res) => {
       sortOrder = 'desc',
       startDate,
       endDate,
-      createdBy
+      createdBy,
+      approvalStatus
     } = req.query;
 
     const pageNumber = parseInt(page, 10);
@@ -42,6 +399,7 @@ const getQuotations = async (req, res) => {
 
     if (type) filter.type = type;
     if (status) filter['validity.status'] = status;
+    if (approvalStatus) filter['approval.status'] = approvalStatus;
 
     // Date range filtering
     if (startDate || endDate) {
@@ -74,6 +432,7 @@ const getQuotations = async (req, res) => {
     // Execute queries in parallel
     const [quotations, totalCount] = await Promise.all([
       Quotation.find(filter)
+        .select('-versions -clientResponses.signature -inventory.rooms') // Large; served on demand
         .populate('createdBy', 'fullName email')
         .populate('convertedToReceipt.receiptId', 'receiptNumber')
         .populate('convertedToReceipt.convertedBy', 'fullName')
@@ -156,26 +515,55 @@ const createQuotation = async (req, res) => {
     // Generate quotation number
     const quotationNumber = await Quotation.generateQuotationNumber();
 
-    // Calculate service totals
-    const services = req.body.services.map(service => ({
-      ...service,
-      total: service.quantity * service.unitPrice
-    }));
+    // Price catalog line items, then calculate service totals. Quotations
+    // with package options take their own services from the options.
+    const pricingOptions = {
+      currency: req.body.pricing?.currency,
+      moveType: req.body.type
+    };
+    const options = req.body.options?.length
+      ? await pricePackageOptions(req.body.options, pricingOptions)
+      : [];
+    const services =
+      options.length > 0
+        ? []
+        : await priceServiceLines(req.body.services, pricingOptions);
+
+    // Company defaults apply to anything the request leaves out
+    const { quotationDefaults, quotationApproval } =
+      await Settings.getSettings();
 
     // Create quotation data
     const quotationData = {
-      ...req.body,
+      ...withoutProtectedFields(req.body),
       quotationNumber,
       services,
+      options,
+      pricing: { taxRate: quotationDefaults.taxRate, ...req.body.pricing },
+      validity: {
+        daysValid: quotationDefaults.validityDays,
+        ...req.body.validity
+      },
+      termsAndConditions:
+        req.body.termsAndConditions ?? quotationDefaults.termsAndConditions,
       createdBy: req.user._id
     };
 
     const quotation = new Quotation(quotationData);
-    await quotation.save();
+    quotation.$locals.approvalThresholds = quotationApproval;
+
+    // Link the quotation to its client record as it is saved
+    await Client.saveLinkedDocument(quotation, {
+      clientId: req.body.clientId,
+      snapshot: req.body.client,
+      userId: req.user._id
+    });
 
     // Populate created quotation
     await quotation.populate('createdBy', 'fullName email');
 
+    await requestApproval(quotation, req);
+
     // Trigger notification via notification service
     try {
       const notificationService = require('../services/notification.service');
@@ -200,6 +588,10 @@ const createQuotation = async (req, res) => {
   } catch (error) {
     console.error('Create quotation error:', error);
 
+    if (error.statusCode) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+
     if (error.name === 'ValidationError') {
       return ApiResponse.validationError(res, Object.values(error.errors));
     }
@@ -250,132 +642,130 @@ const updateQuotation = async (req, res) => {
       );
     }
 
-    // Calculate service totals if services are being updated
-    if (req.body.services) {
-      req.body.services = req.body.services.map(service => ({
-        ...service,
-        total: service.quantity * service.unitPrice
-      }));
-    }
+    const hasInventoryLines = services =>
+      services.some(service => service.source === 'inventory');
 
-    // Capture field changes for notification
-    const changes = [];
-    const oldQuotation = quotation.toObject(); // Get current state
+    // Lines generated from the inventory follow a currency change, since
+    // their rates are set per currency
+    if (
+      req.body.pricing?.currency &&
+      req.body.pricing.currency !== quotation.pricing.currency &&
+      quotation.inventory
+    ) {
+      const { inventoryEstimation } = await Settings.getSettings();
+      const regenerate = services =>
+        inventoryService.mergeServiceLines(
+          services,
+          inventoryService.buildServiceLines(
+            quotation.inventory.summary,
+            inventoryEstimation,
+            req.body.pricing.currency
+          )
+        );
 
-    // Helper function to format values for display
-    const formatValue = value => {
-      if (value === null || value === undefined) return 'Not set';
-      if (typeof value === 'object' && value instanceof Date) {
-        return value.toLocaleDateString();
-      }
-      if (typeof value === 'object' && value !== null) {
-        return JSON.stringify(value);
+      if (!req.body.services && hasInventoryLines(quotation.services)) {
+        req.body.services = regenerate(
+          quotation.services.map(service => service.toObject())
+        );
       }
-      return value.toString();
-    };
-
-    // Helper function to get nested property
-    const getNestedValue = (obj, path) => {
-      return path
-        .split('.')
-        .reduce((current, key) => current && current[key], obj);
-    };
 
-    // Check for changes in all updatable fields
-    const fieldsToCheck = [
-      { path: 'type', label: 'Move Type' },
-      { path: 'client.name', label: 'Client Name' },
-      { path: 'client.phone', label: 'Client Phone' },
-      { path: 'client.email', label: 'Client Email' },
-      { path: 'client.company', label: 'Company Name' },
-      { path: 'locations.from', label: 'Move From Location' },
-      { path: 'locations.to', label: 'Move To Location' },
-      { path: 'locations.movingDate', label: 'Moving Date' },
-      { path: 'pricing.currency', label: 'Currency' },
-      { path: 'pricing.discount', label: 'Discount' },
-      { path: 'pricing.taxRate', label: 'Tax Rate' },
-      { path: 'termsAndConditions', label: 'Terms and Conditions' },
-      { path: 'notes', label: 'Notes' }
-    ];
-
-    for (const field of fieldsToCheck) {
-      const oldValue = getNestedValue(oldQuotation, field.path);
-      const newValue = getNestedValue(req.body, field.path);
-
-      // Only track changes if the field is explicitly provided in the request body
-      // and the value is actually different from the current value
       if (
-        newValue !== undefined &&
-        JSON.stringify(oldValue) !== JSON.stringify(newValue) &&
-        formatValue(oldValue) !== formatValue(newValue) // Additional check for formatted values
+        !req.body.options &&
+        quotation.options.some(option => hasInventoryLines(option.services))
       ) {
-        changes.push({
-          field: field.label,
-          oldValue: formatValue(oldValue),
-          newValue: formatValue(newValue)
+        req.body.options = quotation.options.map(option => {
+          const current = option.toObject();
+          return hasInventoryLines(current.services)
+            ? { ...current, services: regenerate(current.services) }
+            : current;
         });
       }
     }
 
-    // Special handling for services array
-    if (req.body.services) {
-      const oldServices = oldQuotation.services || [];
-      const newServices = req.body.services || [];
+    // Reprice catalog line items when the lines, currency or move type
+    // change, so override flags compare against the right catalog price
+    const pricingOptions = {
+      currency: req.body.pricing?.currency || quotation.pricing.currency,
+      moveType: updatedType,
+      existingItemIds: [
+        ...quotation.services,
+        ...quotation.options.flatMap(option => option.services)
+      ]
+        .map(service => service.catalogItemId)
+        .filter(Boolean)
+    };
 
-      if (JSON.stringify(oldServices) !== JSON.stringify(newServices)) {
-        // For services, we'll show a general change message since individual service changes are complex
-        changes.push({
-          field: 'Services',
-          oldValue: `${oldServices.length} service(s)`,
-          newValue: `${newServices.length} service(s)`
-        });
-      }
+    if (req.body.services || req.body.pricing?.currency || req.body.type) {
+      req.body.services = await priceServiceLines(
+        req.body.services ||
+          quotation.services.map(service => service.toObject()),
+        pricingOptions
+      );
     }
 
-    // Update quotation
-    Object.assign(quotation, req.body);
-    quotation.version += 1;
+    // Package options are repriced the same way
+    if (
+      req.body.options ||
+      (quotation.options.length > 0 &&
+        (req.body.pricing?.currency || req.body.type))
+    ) {
+      req.body.options = await pricePackageOptions(
+        req.body.options || quotation.options.map(option => option.toObject()),
+        pricingOptions
+      );
+    }
 
-    await quotation.save();
+    // Quotations created before version history get their current state
+    // recorded first, so the edit can be diffed and undone
+    quotation.ensureBaselineVersion();
+    const previousVersion = quotation.getVersion(quotation.version);
+
+    // Update quotation; the save records the new version and re-checks the
+    // approval thresholds if the pricing changed
+    const { reason, ...updates } = withoutProtectedFields(req.body);
+    Object.assign(quotation, updates);
+    quotation.$locals.revision = { editedBy: req.user._id, reason };
+    quotation.$locals.approvalThresholds = (
+      await Settings.getSettings()
+    ).quotationApproval;
+
+    // Re-link the client record when the client changes
+    if (req.body.clientId || req.body.client) {
+      await Client.saveLinkedDocument(quotation, {
+        clientId: req.body.clientId,
+        snapshot: quotation.client,
+        userId: req.user._id
+      });
+    } else {
+      await quotation.save();
+    }
 
     // Populate updated quotation
     await quotation.populate('createdBy', 'fullName email');
 
     // Send notification to admins if there were changes
+    const changes = describeChanges(
+      previousVersion.snapshot,
+      quotation.getSnapshot()
+    );
     if (changes.length > 0) {
-      try {
-        const User = require('../models/User.model');
-
-        // Get all admin users
-        const admins = await User.find({ role: 'admin', status: 'active' });
-        const adminIds = admins.map(admin => admin._id);
-
-        if (adminIds.length > 0) {
-          // Use the Notification model directly to create the detailed notification
-          const Notification = require('../models/Notification.model');
-          await Notification.createDocumentNotificationWithDetails(
-            'document_updated',
-            'Quotation',
-            quotation._id,
-            quotation.quotationNumber,
-            req.user._id, // actor (person who made the change)
-            adminIds,
-            changes
-          );
-        }
-      } catch (notifError) {
-        console.error(
-          'Failed to send quotation update notification:',
-          notifError
-        );
-        // Don't fail the request if notification fails
-      }
+      await notifyQuotationChanged(quotation, req.user._id, changes);
     }
 
-    ApiResponse.success(res, { quotation }, 'Quotation updated successfully');
+    await requestApproval(quotation, req);
+
+    ApiResponse.success(
+      res,
+      { quotation },
+      revisionMessage(quotation, 'Quotation updated successfully')
+    );
   } catch (error) {
     console.error('Update quotation error:', error);
 
+    if (error.statusCode) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+
     if (error.name === 'ValidationError') {
       return ApiResponse.validationError(res, Object.values(error.errors));
     }
@@ -479,6 +869,8 @@ const extendValidity = async (req, res) => {
       return ApiResponse.error(res, 'Cannot extend converted quotations', 400);
     }
 
+    quotation.ensureBaselineVersion();
+    quotation.$locals.revision = { editedBy: req.user._id, reason };
     await quotation.extendValidity(days, reason, req.user.fullName);
 
     ApiResponse.success(
@@ -496,6 +888,127 @@ const extendValidity = async (req, res) => {
   }
 };
 
+/**
+ * Convert quotation to receipt
+ * Checks the request, then hands over to the conversion service, which
+ * creates and links the receipt in a single transaction
+ */
+const convertQuotation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const { id } = req.params;
+    const { receiptType } = req.body;
+    const commitmentFeePaid = Number(req.body.commitmentFeePaid) || 0;
+
+    const quotation = await Quotation.findById(id);
+    if (!quotation) {
+      return ApiResponse.error(res, 'Quotation not found', 404);
+    }
+
+    // Check permissions
+    if (
+      req.user.role !== 'admin' &&
+      quotation.createdBy.toString() !== req.user._id.toString()
+    ) {
+      return ApiResponse.error(res, 'Access denied', 403);
+    }
+
+    if (quotation.validity.status === 'converted') {
+      return ApiResponse.error(
+        res,
+        'Quotation has already been converted',
+        409
+      );
+    }
+
+    const approvalBlocker = getApprovalBlocker(quotation);
+    if (approvalBlocker) {
+      return ApiResponse.error(res, approvalBlocker, 409);
+    }
+
+    if (quotation.validity.status === 'declined') {
+      return ApiResponse.error(
+        res,
+        'The client declined this quotation and it cannot be converted',
+        400
+      );
+    }
+
+    // A quotation the client accepted stays convertible after it lapses
+    if (
+      quotation.validity.status === 'expired' ||
+      (quotation.validity.status !== 'accepted' && quotation.isExpired)
+    ) {
+      return ApiResponse.error(
+        res,
+        'Cannot convert an expired quotation. Extend its validity first',
+        400
+      );
+    }
+
+    // The chosen package option is what the receipt is issued for
+    if (quotation.options.length > 0 && !quotation.getSelectedOption()) {
+      return ApiResponse.error(
+        res,
+        'Select one of the package options before converting',
+        400
+      );
+    }
+
+    if (
+      receiptType === 'commitment' &&
+      commitmentFeePaid > quotation.pricing.totalAmount
+    ) {
+      return ApiResponse.error(
+        res,
+        'Commitment fee cannot exceed the quotation total',
+        400
+      );
+    }
+
+    const receipt = await quotationConversionService.convert(
+      id,
+      { ...req.body, commitmentFeePaid },
+      {
+        userId: req.user._id,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      }
+    );
+
+    await receipt.populate([
+      { path: 'createdBy', select: 'fullName email' },
+      { path: 'quotationId', select: 'quotationNumber type' }
+    ]);
+
+    ApiResponse.success(
+      res,
+      {
+        quotationNumber: quotation.quotationNumber,
+        receipt
+      },
+      'Quotation converted to receipt successfully',
+      201
+    );
+  } catch (error) {
+    logger.error('Convert quotation error:', error);
+
+    if (error.statusCode) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+
+    if (error.name === 'ValidationError') {
+      return ApiResponse.validationError(res, Object.values(error.errors));
+    }
+
+    ApiResponse.error(res, 'Failed to convert quotation', 500);
+  }
+};
+
 /**
  * Get quotation statistics
  */
@@ -526,6 +1039,14 @@ const getQuotationStats = async (req, res) => {
     const baseFilter =
       req.user.role === 'admin' ? {} : { createdBy: req.user._id };
 
+    // Values are summed in the base currency
+    const { currency: currencySettings } = await Settings.getSettings();
+    const quotationValue = toBaseAmountExpression(
+      currencySettings,
+      '$pricing.totalAmount',
+      '$pricing.currency'
+    );
+
     const [totalStats, periodStats, typeStats, statusStats] = await Promise.all(
       [
         // Total counts
@@ -535,7 +1056,7 @@ const getQuotationStats = async (req, res) => {
             $group: {
               _id: null,
               total: { $sum: 1 },
-              totalValue: { $sum: '$pricing.totalAmount' }
+              totalValue: { $sum: quotationValue }
             }
           }
         ]),
@@ -547,7 +1068,7 @@ const getQuotationStats = async (req, res) => {
             $group: {
               _id: null,
               count: { $sum: 1 },
-              value: { $sum: '$pricing.totalAmount' }
+              value: { $sum: quotationValue }
             }
           }
         ]),
@@ -559,7 +1080,7 @@ const getQuotationStats = async (req, res) => {
             $group: {
               _id: '$type',
               count: { $sum: 1 },
-              value: { $sum: '$pricing.totalAmount' }
+              value: { $sum: quotationValue }
             }
           }
         ]),
@@ -578,6 +1099,7 @@ const getQuotationStats = async (req, res) => {
     );
 
     const stats = {
+      currency: currencySettings.baseCurrency,
       total: totalStats[0]?.total || 0,
       totalValue: totalStats[0]?.totalValue || 0,
       period: {
@@ -629,6 +1151,11 @@ const generateQuotationPDF = async (req, res) => {
       return ApiResponse.error(res, 'Access denied', 403);
     }
 
+    const approvalBlocker = getApprovalBlocker(quotation);
+    if (approvalBlocker) {
+      return ApiResponse.error(res, approvalBlocker, 409);
+    }
+
     const pdfResult = await pdfService.generateAndUploadQuotationPDF(quotation);
 
     // Return Cloudinary URL for frontend to handle
@@ -643,6 +1170,12 @@ const generateQuotationPDF = async (req, res) => {
   }
 };
 
+/**
+ * Client portal address for a quotation's current link token
+ */
+const buildPortalUrl = quotation =>
+  `${process.env.CLIENT_URL}/portal/quotations/${JWTUtils.generateQuotationPortalToken(quotation)}`;
+
 /**
  * Send quotation PDF via email
  */
@@ -674,23 +1207,55 @@ const sendQuotationPDF = async (req, res) => {
       return ApiResponse.error(res, 'Access denied', 403);
     }
 
-    const pdfResult = await pdfService.generateAndUploadQuotationPDF(quotation);
+    const approvalBlocker = getApprovalBlocker(quotation);
+    if (approvalBlocker) {
+      return ApiResponse.error(res, approvalBlocker, 409);
+    }
+
+    // Render with the same settings that are stored on the version, so this
+    // exact PDF can be re-created from the version history
+    const settings = await Settings.getSettings();
+    const pdfResult = await pdfService.generateAndUploadQuotationPDF(
+      quotation,
+      { settings }
+    );
     const pdfBuffer = pdfResult.pdfBuffer;
 
+    // Open quotations go out with a link the client can respond through
+    let portalUrl;
+    if (quotation.validity.status === 'active') {
+      quotation.issuePortalLink(req.user._id);
+      portalUrl = buildPortalUrl(quotation);
+    }
+
     const emailService = require('../services/email.service');
     await emailService.sendQuotationEmail({
       to: recipientEmail,
       quotation,
       sender: req.user,
       pdfBuffer,
-      customMessage: message
+      customMessage: message,
+      portalUrl
     });
 
+    // The email has gone out, so a failure to record it does not fail the
+    // send
+    let deliveryRecorded = true;
+    try {
+      await quotation.recordDelivery(recipientEmail, settings);
+    } catch (recordError) {
+      deliveryRecorded = false;
+      logger.error('Failed to record quotation delivery:', recordError);
+    }
+
     ApiResponse.success(
       res,
       {
         quotationNumber: quotation.quotationNumber,
-        sentTo: recipientEmail
+        version: quotation.version,
+        sentTo: recipientEmail,
+        portalUrl,
+        deliveryRecorded
       },
       'Quotation PDF sent successfully'
     );
@@ -701,29 +1266,203 @@ const sendQuotationPDF = async (req, res) => {
 };
 
 /**
- * Download quotation PDF directly (streams the PDF file)
+ * Issue a client portal link for a quotation
+ * The client can view, accept, decline or request changes without logging in
  */
-const downloadQuotationPDF = async (req, res) => {
+const issueQuotationPortalLink = async (req, res) => {
   try {
-    const { id } = req.params;
-
-    const quotation = await Quotation.findById(id).populate(
-      'createdBy',
-      'fullName email phonePrimary'
-    );
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
 
+    const quotation = await Quotation.findById(req.params.id);
     if (!quotation) {
       return ApiResponse.error(res, 'Quotation not found', 404);
     }
 
-    // Check permissions
-    if (
-      req.user.role !== 'admin' &&
-      quotation.createdBy._id.toString() !== req.user._id.toString()
-    ) {
+    if (!canAccessQuotation(req.user, quotation)) {
       return ApiResponse.error(res, 'Access denied', 403);
     }
 
+    const approvalBlocker = getApprovalBlocker(quotation);
+    if (approvalBlocker) {
+      return ApiResponse.error(res, approvalBlocker, 409);
+    }
+
+    if (quotation.validity.status !== 'active' || quotation.isExpired) {
+      return ApiResponse.error(
+        res,
+        `Cannot issue a portal link for a ${quotation.validity.status} quotation`,
+        400
+      );
+    }
+
+    const { autoConvert } = req.body;
+    await quotation.issuePortalLink(req.user._id, { autoConvert }).save();
+
+    ApiResponse.success(
+      res,
+      {
+        quotationNumber: quotation.quotationNumber,
+        url: buildPortalUrl(quotation),
+        autoConvert: quotation.portal.autoConvert,
+        validUntil: quotation.validity.validUntil
+      },
+      'Portal link issued successfully'
+    );
+  } catch (error) {
+    logger.error('Issue portal link error:', error);
+    ApiResponse.error(res, 'Failed to issue portal link', 500);
+  }
+};
+
+/**
+ * Revoke every portal link issued for a quotation
+ */
+const revokeQuotationPortalLink = async (req, res) => {
+  try {
+    const quotation = await Quotation.findById(req.params.id);
+    if (!quotation) {
+      return ApiResponse.error(res, 'Quotation not found', 404);
+    }
+
+    if (!canAccessQuotation(req.user, quotation)) {
+      return ApiResponse.error(res, 'Access denied', 403);
+    }
+
+    await quotation.revokePortalLinks();
+
+    ApiResponse.success(
+      res,
+      { quotationNumber: quotation.quotationNumber },
+      'Portal links revoked successfully'
+    );
+  } catch (error) {
+    logger.error('Revoke portal link error:', error);
+    ApiResponse.error(res, 'Failed to revoke portal links', 500);
+  }
+};
+
+/**
+ * Approve or reject a quotation waiting for approval
+ */
+const reviewQuotationApproval = async (req, res, decision) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const quotation = await Quotation.findById(req.params.id);
+    if (!quotation) {
+      return ApiResponse.error(res, 'Quotation not found', 404);
+    }
+
+    if (quotation.approval.status !== 'pending_approval') {
+      return ApiResponse.error(res, 'Quotation is not awaiting approval', 409);
+    }
+
+    const { comments } = req.body;
+    await quotation.reviewApproval(decision, req.user._id, comments);
+
+    await quotation.populate([
+      { path: 'createdBy', select: 'fullName email' },
+      { path: 'approval.reviewedBy', select: 'fullName email' }
+    ]);
+
+    // Let the creator know they can send the quotation, or what to revise
+    try {
+      const Notification = require('../models/Notification.model');
+      const creatorId = quotation.createdBy._id;
+      const approved = decision === 'approved';
+
+      await Notification.create({
+        userId: creatorId,
+        recipientUserIds: [creatorId],
+        type: approved ? 'quotation_approved' : 'quotation_rejected',
+        title: approved ? 'Quotation Approved' : 'Quotation Rejected',
+        message:
+          `Quotation ${quotation.quotationNumber} was ${decision} by ${req.user.fullName}${
+            comments ? `: ${comments}` : ''
+          }`.slice(0, 500),
+        priority: approved ? 'normal' : 'high',
+        actionUrl: `/quotations/${quotation._id}`,
+        actionText: 'View Quotation',
+        actorId: req.user._id,
+        metadata: {
+          documentType: 'Quotation',
+          documentId: quotation._id,
+          documentNumber: quotation.quotationNumber,
+          decision,
+          comments
+        }
+      });
+    } catch (notifError) {
+      logger.error(
+        'Failed to send approval decision notification:',
+        notifError
+      );
+      // Don't fail the request if notification fails
+    }
+
+    ApiResponse.success(
+      res,
+      { quotation },
+      `Quotation ${decision} successfully`
+    );
+  } catch (error) {
+    logger.error('Review quotation approval error:', error);
+
+    if (error.name === 'ValidationError') {
+      return ApiResponse.validationError(res, Object.values(error.errors));
+    }
+
+    ApiResponse.error(res, 'Failed to review quotation', 500);
+  }
+};
+
+/**
+ * Approve a quotation so it can be turned into a PDF and sent
+ */
+const approveQuotation = (req, res) =>
+  reviewQuotationApproval(req, res, 'approved');
+
+/**
+ * Reject a quotation; the creator revises the pricing to resubmit it
+ */
+const rejectQuotation = (req, res) =>
+  reviewQuotationApproval(req, res, 'rejected');
+
+/**
+ * Download quotation PDF directly (streams the PDF file)
+ */
+const downloadQuotationPDF = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const quotation = await Quotation.findById(id).populate(
+      'createdBy',
+      'fullName email phonePrimary'
+    );
+
+    if (!quotation) {
+      return ApiResponse.error(res, 'Quotation not found', 404);
+    }
+
+    // Check permissions
+    if (
+      req.user.role !== 'admin' &&
+      quotation.createdBy._id.toString() !== req.user._id.toString()
+    ) {
+      return ApiResponse.error(res, 'Access denied', 403);
+    }
+
+    const approvalBlocker = getApprovalBlocker(quotation);
+    if (approvalBlocker) {
+      return ApiResponse.error(res, approvalBlocker, 409);
+    }
+
     // Generate PDF buffer directly without uploading to Cloudinary
     const pdfBuffer = await pdfService.generateQuotationPDF(quotation);
 
@@ -743,6 +1482,530 @@ const downloadQuotationPDF = async (req, res) => {
   }
 };
 
+/**
+ * Load a quotation with its version history, checking access
+ * @returns {Promise<Document>} Quotation
+ */
+const findQuotationForVersions = async (id, user) => {
+  const quotation = await Quotation.findById(id).populate(
+    'versions.editedBy',
+    'fullName email'
+  );
+
+  if (!quotation) {
+    const error = new Error('Quotation not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (!canAccessQuotation(user, quotation)) {
+    const error = new Error('Access denied');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  return quotation;
+};
+
+/**
+ * Find a version of a quotation, including the state recorded for
+ * quotations created before version history existed
+ * @returns {Object} Version entry
+ */
+const findQuotationVersion = (quotation, value) => {
+  const versionNumber = parseVersionNumber(value);
+  if (!versionNumber) {
+    const error = new Error('Version must be a positive whole number');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  quotation.ensureBaselineVersion();
+  const version = quotation.getVersion(versionNumber);
+
+  if (!version) {
+    const error = new Error(`Version ${versionNumber} not found`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return version;
+};
+
+/**
+ * Get the version history of a quotation
+ * GET /api/quotations/:id/versions
+ */
+const getQuotationVersions = async (req, res) => {
+  try {
+    const quotation = await findQuotationForVersions(req.params.id, req.user);
+    quotation.ensureBaselineVersion();
+
+    const versions = quotation.versions
+      .map(version => ({
+        versionNumber: version.versionNumber,
+        editedBy: version.editedBy,
+        editedAt: version.editedAt,
+        reason: version.reason,
+        changedFields: (version.changedFields || []).map(getFieldLabel),
+        restoredFrom: version.restoredFrom,
+        sentAt: version.sentAt,
+        sentTo: version.sentTo,
+        totalAmount: version.snapshot?.pricing?.totalAmount,
+        approvalStatus: version.approvalStatus,
+        isCurrent: version.versionNumber === quotation.version,
+        canDownload: !getVersionApprovalBlocker(quotation, version)
+      }))
+      .reverse();
+
+    ApiResponse.success(
+      res,
+      {
+        quotationNumber: quotation.quotationNumber,
+        currentVersion: quotation.version,
+        versions
+      },
+      'Quotation versions retrieved successfully'
+    );
+  } catch (error) {
+    logger.error('Get quotation versions error:', error);
+
+    if (error.statusCode) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+
+    ApiResponse.error(res, 'Failed to retrieve quotation versions', 500);
+  }
+};
+
+/**
+ * Get the field-level changes a version made, compared with the version
+ * before it or with the version given in ?against=
+ * GET /api/quotations/:id/versions/:version/diff
+ */
+const getQuotationVersionDiff = async (req, res) => {
+  try {
+    const quotation = await findQuotationForVersions(req.params.id, req.user);
+    const version = findQuotationVersion(quotation, req.params.version);
+
+    let baseline = null;
+    if (req.query.against !== undefined) {
+      baseline = findQuotationVersion(quotation, req.query.against);
+    } else {
+      // Versions are numbered consecutively, but older histories may start
+      // part way through
+      baseline = [...quotation.versions]
+        .reverse()
+        .find(entry => entry.versionNumber < version.versionNumber);
+    }
+
+    ApiResponse.success(
+      res,
+      {
+        quotationNumber: quotation.quotationNumber,
+        versionNumber: version.versionNumber,
+        comparedWith: baseline ? baseline.versionNumber : null,
+        editedBy: version.editedBy,
+        editedAt: version.editedAt,
+        reason: version.reason,
+        changes: describeChanges(baseline?.snapshot, version.snapshot)
+      },
+      'Quotation version diff retrieved successfully'
+    );
+  } catch (error) {
+    logger.error('Get quotation version diff error:', error);
+
+    if (error.statusCode) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+
+    ApiResponse.error(res, 'Failed to compare quotation versions', 500);
+  }
+};
+
+/**
+ * Restore the content of an earlier version. The restore is saved as a new
+ * version, so it can itself be undone.
+ * POST /api/quotations/:id/versions/:version/restore
+ */
+const restoreQuotationVersion = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const quotation = await findQuotationForVersions(req.params.id, req.user);
+
+    if (quotation.validity.status === 'converted') {
+      return ApiResponse.error(res, 'Cannot update converted quotations', 400);
+    }
+
+    const version = findQuotationVersion(quotation, req.params.version);
+
+    if (version.versionNumber === quotation.version) {
+      return ApiResponse.error(
+        res,
+        `Version ${version.versionNumber} is already the current version`,
+        400
+      );
+    }
+
+    const previousVersion = quotation.getVersion(quotation.version);
+
+    quotation.applySnapshot(version.snapshot);
+    quotation.$locals.revision = {
+      editedBy: req.user._id,
+      reason: req.body.reason || `Restored version ${version.versionNumber}`,
+      restoredFrom: version.versionNumber
+    };
+    quotation.$locals.approvalThresholds = (
+      await Settings.getSettings()
+    ).quotationApproval;
+
+    // Re-link the client record for the restored client details
+    await Client.saveLinkedDocument(quotation, {
+      clientId: null,
+      snapshot: quotation.client,
+      userId: req.user._id
+    });
+    await quotation.populate('createdBy', 'fullName email');
+
+    const changes = describeChanges(
+      previousVersion.snapshot,
+      quotation.getSnapshot()
+    );
+    if (changes.length > 0) {
+      await notifyQuotationChanged(quotation, req.user._id, changes);
+    }
+
+    await requestApproval(quotation, req);
+
+    ApiResponse.success(
+      res,
+      { quotation, restoredFrom: version.versionNumber, changes },
+      revisionMessage(
+        quotation,
+        `Version ${version.versionNumber} restored successfully`
+      )
+    );
+  } catch (error) {
+    logger.error('Restore quotation version error:', error);
+
+    if (error.statusCode) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+
+    if (error.name === 'ValidationError') {
+      return ApiResponse.validationError(res, Object.values(error.errors));
+    }
+
+    ApiResponse.error(res, 'Failed to restore quotation version', 500);
+  }
+};
+
+/**
+ * Download the PDF of a version as it was sent. Versions that were never
+ * sent are rendered with the current company settings.
+ * GET /api/quotations/:id/versions/:version/pdf
+ */
+const downloadQuotationVersionPDF = async (req, res) => {
+  try {
+    const quotation = await findQuotationForVersions(req.params.id, req.user);
+    const version = findQuotationVersion(quotation, req.params.version);
+
+    // Only pricing that was cleared for the client is rendered, so an
+    // earlier version cannot get round the approval of the current one
+    const approvalBlocker = getVersionApprovalBlocker(quotation, version);
+    if (approvalBlocker) {
+      return ApiResponse.error(res, approvalBlocker, 409);
+    }
+
+    await quotation.populate(
+      'createdBy',
+      'fullName phonePrimary address signature'
+    );
+
+    const pdfBuffer = await pdfService.generateQuotationPDF(
+      {
+        ...version.snapshot,
+        _id: quotation._id,
+        quotationNumber: quotation.quotationNumber,
+        createdAt: quotation.createdAt,
+        createdBy: quotation.createdBy
+      },
+      { settings: version.branding || undefined }
+    );
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="quotation_${quotation.quotationNumber}_v${version.versionNumber}.pdf"`
+    );
+    res.setHeader('Content-Length', pdfBuffer.length);
+
+    res.end(pdfBuffer);
+  } catch (error) {
+    logger.error('Download quotation version PDF error:', error);
+
+    if (error.statusCode) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+
+    ApiResponse.error(res, 'Failed to download PDF', 500);
+  }
+};
+
+/**
+ * Get the standard inventory items and the sizing rules applied to them
+ * GET /api/quotations/inventory/items
+ */
+const getInventoryItems = async (req, res) => {
+  try {
+    const { inventoryEstimation } = await Settings.getSettings();
+
+    ApiResponse.success(
+      res,
+      {
+        items: inventoryService.getStandardItems(),
+        estimation: inventoryEstimation
+      },
+      'Inventory items retrieved successfully'
+    );
+  } catch (error) {
+    logger.error('Get inventory items error:', error);
+    ApiResponse.error(res, 'Failed to retrieve inventory items', 500);
+  }
+};
+
+/**
+ * Size a move from an inventory without saving it, with the line items it
+ * would add for the given currency
+ * POST /api/quotations/inventory/estimate
+ */
+const estimateInventory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const { inventoryEstimation } = await Settings.getSettings();
+    const inventory = inventoryService.buildInventory(
+      req.body.rooms,
+      inventoryEstimation
+    );
+
+    const services = req.body.currency
+      ? inventoryService.buildServiceLines(
+          inventory.summary,
+          inventoryEstimation,
+          req.body.currency
+        )
+      : undefined;
+
+    ApiResponse.success(
+      res,
+      { inventory, services },
+      'Inventory estimated successfully'
+    );
+  } catch (error) {
+    logger.error('Estimate inventory error:', error);
+
+    if (error.statusCode) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+
+    ApiResponse.error(res, 'Failed to estimate inventory', 500);
+  }
+};
+
+/**
+ * Save a quotation's inventory and, unless generateServices is false,
+ * replace its generated line items with ones for the new move size
+ * PUT /api/quotations/:id/inventory
+ */
+const updateQuotationInventory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const { rooms, generateServices = true, reason } = req.body;
+
+    const quotation = await Quotation.findById(req.params.id);
+    if (!quotation) {
+      return ApiResponse.error(res, 'Quotation not found', 404);
+    }
+
+    if (!canAccessQuotation(req.user, quotation)) {
+      return ApiResponse.error(res, 'Access denied', 403);
+    }
+
+    if (quotation.validity.status === 'converted') {
+      return ApiResponse.error(res, 'Cannot update converted quotations', 400);
+    }
+
+    const settings = await Settings.getSettings();
+    const inventory = inventoryService.buildInventory(
+      rooms,
+      settings.inventoryEstimation
+    );
+
+    quotation.ensureBaselineVersion();
+    const previousVersion = quotation.getVersion(quotation.version);
+
+    quotation.inventory = inventory;
+
+    if (generateServices) {
+      const generated = inventoryService.buildServiceLines(
+        inventory.summary,
+        settings.inventoryEstimation,
+        quotation.pricing.currency
+      );
+
+      // Every package option moves the same inventory, so each one gets the
+      // generated lines
+      if (quotation.options.length > 0) {
+        quotation.options.forEach(option => {
+          option.services = inventoryService.mergeServiceLines(
+            option.services.map(service => service.toObject()),
+            generated
+          );
+        });
+      } else {
+        quotation.services = inventoryService.mergeServiceLines(
+          quotation.services.map(service => service.toObject()),
+          generated
+        );
+      }
+    }
+
+    quotation.$locals.revision = {
+      editedBy: req.user._id,
+      reason: reason || 'Inventory updated'
+    };
+    quotation.$locals.approvalThresholds = settings.quotationApproval;
+
+    await quotation.save();
+    await quotation.populate('createdBy', 'fullName email');
+
+    const changes = describeChanges(
+      previousVersion.snapshot,
+      quotation.getSnapshot()
+    );
+    if (changes.length > 0) {
+      await notifyQuotationChanged(quotation, req.user._id, changes);
+    }
+
+    await requestApproval(quotation, req);
+
+    ApiResponse.success(
+      res,
+      { quotation },
+      revisionMessage(quotation, 'Quotation inventory updated successfully')
+    );
+  } catch (error) {
+    logger.error('Update quotation inventory error:', error);
+
+    if (error.statusCode) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+
+    if (error.name === 'ValidationError') {
+      return ApiResponse.validationError(res, Object.values(error.errors));
+    }
+
+    ApiResponse.error(res, 'Failed to update quotation inventory', 500);
+  }
+};
+
+/**
+ * Pick one of a quotation's package options on the client's behalf. The
+ * option's services and totals become the quotation's and are what it is
+ * converted with.
+ * POST /api/quotations/:id/options/:optionId/select
+ */
+const selectQuotationOption = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const quotation = await Quotation.findById(req.params.id);
+    if (!quotation) {
+      return ApiResponse.error(res, 'Quotation not found', 404);
+    }
+
+    if (!canAccessQuotation(req.user, quotation)) {
+      return ApiResponse.error(res, 'Access denied', 403);
+    }
+
+    if (quotation.validity.status === 'converted') {
+      return ApiResponse.error(res, 'Cannot update converted quotations', 400);
+    }
+
+    const option = quotation.options.id(req.params.optionId);
+    if (!option) {
+      return ApiResponse.error(res, 'Package option not found', 404);
+    }
+
+    if (quotation.getSelectedOption()?._id.equals(option._id)) {
+      return ApiResponse.error(
+        res,
+        `${option.name} is already the selected option`,
+        400
+      );
+    }
+
+    quotation.ensureBaselineVersion();
+    const previousVersion = quotation.getVersion(quotation.version);
+
+    // Approval already covers every option, so picking one is saved without
+    // the thresholds and keeps the current approval state
+    quotation.selectOption(option._id, {
+      selectedBy: req.user._id,
+      source: 'staff'
+    });
+    quotation.$locals.revision = {
+      editedBy: req.user._id,
+      reason: req.body.reason || `Selected the ${option.name} option`
+    };
+
+    // The moving date may have passed since the quotation was issued
+    await quotation.save({ validateModifiedOnly: true });
+    await quotation.populate('createdBy', 'fullName email');
+
+    const changes = describeChanges(
+      previousVersion.snapshot,
+      quotation.getSnapshot()
+    );
+    if (changes.length > 0) {
+      await notifyQuotationChanged(quotation, req.user._id, changes);
+    }
+
+    ApiResponse.success(
+      res,
+      { quotation },
+      revisionMessage(quotation, `${option.name} option selected successfully`)
+    );
+  } catch (error) {
+    logger.error('Select quotation option error:', error);
+
+    if (error.statusCode) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+
+    if (error.name === 'ValidationError') {
+      return ApiResponse.validationError(res, Object.values(error.errors));
+    }
+
+    ApiResponse.error(res, 'Failed to select quotation option', 500);
+  }
+};
+
 /**
  * Bulk delete quotations
  */
@@ -833,11 +2096,12 @@ const bulkDeleteQuotations = async (req, res) => {
 };
 
 /**
- * Get bulk download quotations info for frontend to download individually
+ * Bulk download quotations as a ZIP of PDFs
+ * Pass includeManifest to add a manifest.csv listing every quotation
  */
 const bulkDownloadQuotations = async (req, res) => {
   try {
-    const { quotationIds } = req.body;
+    const { quotationIds, includeManifest = false } = req.body;
     if (
       !quotationIds ||
       !Array.isArray(quotationIds) ||
@@ -850,41 +2114,90 @@ const bulkDownloadQuotations = async (req, res) => {
       );
     }
 
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.error(res, 'Validation failed', 400, errors.array());
+    }
+
+    if (quotationIds.length > bulkExportService.maxDocuments) {
+      return ApiResponse.error(
+        res,
+        `Cannot download more than ${bulkExportService.maxDocuments} quotations at once`,
+        400
+      );
+    }
+
     // Build filter for user permissions
     const filter = { _id: { $in: quotationIds } };
     if (req.user.role !== 'admin') {
       filter.createdBy = req.user._id;
     }
 
+    // Quotations still waiting on, or refused, approval are left out
+    filter['approval.status'] = { $nin: ['pending_approval', 'rejected'] };
+
     // Find quotations with user permission check
-    const quotations = await Quotation.find(filter, 'quotationNumber _id').sort(
-      { createdAt: -1 }
-    );
+    const quotations = await Quotation.find(filter).sort({ createdAt: -1 });
     if (quotations.length === 0) {
       return ApiResponse.error(
         res,
-        'No quotations found or access denied',
+        'No approved quotations found or access denied',
         404
       );
     }
 
-    // Return quotation info for frontend to download individually
-    const downloadInfo = quotations.map(quotation => ({
-      id: quotation._id,
-      quotationNumber: quotation.quotationNumber,
-      downloadUrl: `/api/quotations/${quotation._id}/download`
-    }));
+    const fileDate = new Date().toISOString().split('T')[0];
+    const result = await bulkExportService.streamPdfArchive(res, {
+      archiveName: `quotations_${fileDate}.zip`,
+      documents: quotations,
+      getFileName: quotation => `quotation_${quotation.quotationNumber}.pdf`,
+      generatePdf: quotation => pdfService.generateQuotationPDF(quotation),
+      manifestColumns: includeManifest
+        ? [
+            {
+              header: 'Quotation Number',
+              value: quotation => quotation.quotationNumber
+            },
+            { header: 'Client', value: quotation => quotation.client.name },
+            { header: 'Move Type', value: quotation => quotation.type },
+            {
+              header: 'Currency',
+              value: quotation => quotation.pricing.currency
+            },
+            {
+              header: 'Total Amount',
+              value: quotation => quotation.pricing.totalAmount
+            },
+            {
+              header: 'Created At',
+              value: quotation => quotation.createdAt.toISOString()
+            }
+          ]
+        : null
+    });
 
-    ApiResponse.success(
-      res,
+    await AuditService.logExportEvent(
+      'quotation_pdfs',
+      req.user._id,
+      req.ip,
+      req.get('User-Agent'),
       {
-        quotations: downloadInfo,
-        count: quotations.length
-      },
-      `Found ${quotations.length} quotation(s) for bulk download`
+        format: 'zip',
+        includeManifest: Boolean(includeManifest),
+        requestedCount: quotationIds.length,
+        quotationIds: quotations.map(quotation => quotation._id),
+        fileCount: result.fileCount,
+        failedCount: result.failed.length,
+        completed: result.completed
+      }
     );
   } catch (error) {
     console.error('Bulk download quotations error:', error);
+
+    // Headers are already sent once streaming starts, so abort the download
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
     ApiResponse.error(res, 'Failed to prepare bulk download', 500);
   }
 };
@@ -896,10 +2209,23 @@ module.exports = {
   updateQuotation,
   deleteQuotation,
   extendValidity,
+  convertQuotation,
   getQuotationStats,
   generateQuotationPDF,
   downloadQuotationPDF,
   sendQuotationPDF,
+  issueQuotationPortalLink,
+  revokeQuotationPortalLink,
+  approveQuotation,
+  rejectQuotation,
+  getQuotationVersions,
+  getQuotationVersionDiff,
+  restoreQuotationVersion,
+  downloadQuotationVersionPDF,
+  getInventoryItems,
+  estimateInventory,
+  updateQuotationInventory,
+  selectQuotationOption,
   bulkDeleteQuotations,
   bulkDownloadQuotations
 };
@@ -0,0 +1,421 @@
+/**
+ * Quotation Portal Controller
+ * Public endpoints behind a signed link, where a client reviews a quotation
+ * and accepts, declines or requests changes without a staff login
+ */
+
+const { Quotation, Settings } = require('../models');
+const ApiResponse = require('../utils/response');
+const { validationResult } = require('express-validator');
+const JWTUtils = require('../utils/jwt');
+const pdfService = require('../services/pdf.service');
+const AuditService = require('../services/audit.service');
+const quotationConversionService = require('../services/quotationConversion.service');
+const logger = require('../utils/logger');
+
+// Notification sent to the quotation creator for each kind of response
+const RESPONSE_NOTIFICATIONS = {
+  accepted: {
+    type: 'quotation_accepted',
+    title: 'Quotation Accepted',
+    verb: 'accepted',
+    priority: 'high'
+  },
+  declined: {
+    type: 'quotation_declined',
+    title: 'Quotation Declined',
+    verb: 'declined',
+    priority: 'normal'
+  },
+  changes_requested: {
+    type: 'quotation_changes_requested',
+    title: 'Quotation Changes Requested',
+    verb: 'requested changes to',
+    priority: 'high'
+  }
+};
+
+const REVISION_MESSAGE =
+  'This quotation is being revised. Please check back later';
+
+/**
+ * Check whether the quotation's pricing is waiting on, or was refused, admin
+ * approval. Edits made after a link is issued can put it back in approval,
+ * and the client sees none of it until it is approved.
+ */
+const isUnderRevision = quotation =>
+  ['pending_approval', 'rejected'].includes(quotation.approval.status);
+
+/**
+ * Find the quotation a portal link points to
+ * @throws {Error} With statusCode 401 if the link is invalid, expired or
+ *   has been revoked
+ */
+const findPortalQuotation = async token => {
+  let payload;
+  try {
+    payload = JWTUtils.verifyQuotationPortalToken(token);
+  } catch (error) {
+    const invalid = new Error(
+      error.name === 'TokenExpiredError'
+        ? 'This link has expired. Please contact us for a new one'
+        : 'This link is invalid'
+    );
+    invalid.statusCode = 401;
+    throw invalid;
+  }
+
+  const quotation = await Quotation.findById(payload.quotationId).populate(
+    'createdBy',
+    'fullName email phonePrimary'
+  );
+
+  // Links issued before the last revocation carry an older token version
+  if (!quotation || quotation.portal.tokenVersion !== payload.version) {
+    const revoked = new Error('This link is no longer valid');
+    revoked.statusCode = 401;
+    throw revoked;
+  }
+
+  return quotation;
+};
+
+/**
+ * Why the client can no longer respond, or null while the quotation is open
+ */
+const getResponseBlocker = quotation => {
+  const { status } = quotation.validity;
+
+  if (['accepted', 'converted'].includes(status)) {
+    return { message: 'This quotation has already been accepted', code: 409 };
+  }
+  if (status === 'declined') {
+    return { message: 'This quotation has already been declined', code: 409 };
+  }
+  if (isUnderRevision(quotation)) {
+    return { message: REVISION_MESSAGE, code: 409 };
+  }
+  if (status === 'expired' || quotation.isExpired) {
+    return {
+      message:
+        'This quotation has expired. Please contact us for an updated quotation',
+      code: 400
+    };
+  }
+
+  return null;
+};
+
+/**
+ * The parts of a quotation shown to the client. Internal notes, audit
+ * details and the version history stay out, as do the services, pricing,
+ * options and terms while a revision awaits approval.
+ */
+const toPortalView = (quotation, settings) => {
+  const lastResponse =
+    quotation.clientResponses[quotation.clientResponses.length - 1];
+  const toPortalService = service => ({
+    name: service.name,
+    description: service.description,
+    quantity: service.quantity,
+    unitPrice: service.unitPrice,
+    total: service.total
+  });
+
+  const view = {
+    quotationNumber: quotation.quotationNumber,
+    type: quotation.type,
+    client: quotation.client,
+    locations: quotation.locations,
+    validity: {
+      validUntil: quotation.validity.validUntil,
+      status: quotation.validity.status
+    },
+    preparedBy: {
+      fullName: quotation.createdBy.fullName,
+      email: quotation.createdBy.email,
+      phone: quotation.createdBy.phonePrimary
+    },
+    company: {
+      ...settings.company,
+      logoUrl: settings.logo?.url
+    },
+    canRespond: !getResponseBlocker(quotation),
+    lastResponse: lastResponse && {
+      action: lastResponse.action,
+      name: lastResponse.name,
+      comments: lastResponse.comments,
+      optionName: lastResponse.optionName,
+      respondedAt: lastResponse.respondedAt
+    },
+    createdAt: quotation.createdAt
+  };
+
+  if (isUnderRevision(quotation)) {
+    return { ...view, underRevision: true, message: REVISION_MESSAGE };
+  }
+
+  return {
+    ...view,
+    underRevision: false,
+    services: quotation.services.map(toPortalService),
+    pricing: quotation.pricing,
+    options: quotation.options.map(option => ({
+      _id: option._id,
+      name: option.name,
+      description: option.description,
+      services: option.services.map(toPortalService),
+      pricing: option.pricing
+    })),
+    selectedOptionId: quotation.selectedOption?.optionId || null,
+    termsAndConditions: quotation.termsAndConditions
+  };
+};
+
+/**
+ * Notify the quotation creator about the client's response
+ */
+const notifyCreator = async (quotation, response) => {
+  try {
+    const Notification = require('../models/Notification.model');
+    const content = RESPONSE_NOTIFICATIONS[response.action];
+    const creatorId = quotation.createdBy._id;
+
+    await Notification.create({
+      userId: creatorId,
+      recipientUserIds: [creatorId],
+      type: content.type,
+      title: content.title,
+      message:
+        `${response.name} ${content.verb} quotation ${quotation.quotationNumber}${
+          response.optionName ? ` (${response.optionName} option)` : ''
+        }${response.comments ? `: ${response.comments}` : ''}`.slice(0, 500),
+      priority: content.priority,
+      actionUrl: `/quotations/${quotation._id}`,
+      actionText: 'View Quotation',
+      metadata: {
+        documentType: 'Quotation',
+        documentId: quotation._id,
+        documentNumber: quotation.quotationNumber,
+        respondentName: response.name,
+        action: response.action,
+        ...(response.optionName && { optionName: response.optionName })
+      }
+    });
+  } catch (notifError) {
+    logger.error('Failed to send client response notification:', notifError);
+    // Don't fail the request if notification fails
+  }
+};
+
+/**
+ * Record an accept, decline or change request from the portal
+ */
+const recordResponse = async (req, res, action) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const quotation = await findPortalQuotation(req.params.token);
+
+    const blocker = getResponseBlocker(quotation);
+    if (blocker) {
+      return ApiResponse.error(res, blocker.message, blocker.code);
+    }
+
+    const { name, signature, comments, optionId } = req.body;
+
+    // Quotations with package options are accepted for one of them
+    let option = null;
+    if (action === 'accepted' && quotation.options.length > 0) {
+      option = optionId ? quotation.options.id(optionId) : null;
+      if (!option) {
+        return ApiResponse.error(
+          res,
+          'Please choose one of the package options to accept',
+          400
+        );
+      }
+    }
+
+    const response = {
+      action,
+      name,
+      signature: action === 'changes_requested' ? undefined : signature,
+      comments,
+      optionName: option?.name,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+
+    // The chosen option becomes the quotation's services and pricing as a
+    // new version, which the acceptance is then recorded against. The
+    // client has no user account, so the version is filed under the creator.
+    if (option && !quotation.getSelectedOption()?._id.equals(option._id)) {
+      quotation.selectOption(option._id, { source: 'client_portal' });
+      quotation.$locals.revision = {
+        editedBy: quotation.createdBy._id,
+        reason: `${name} chose the ${option.name} option in the client portal`
+      };
+      await quotation.save({ validateModifiedOnly: true });
+    }
+
+    await quotation.recordClientResponse(response);
+
+    // The client has no user account, so the entry is filed under the
+    // quotation's creator and marked as coming from the portal
+    await AuditService.logDocumentEvent(
+      'QUOTATION_CLIENT_RESPONDED',
+      'Quotation',
+      quotation._id,
+      quotation.createdBy._id,
+      req.ip,
+      {
+        quotationNumber: quotation.quotationNumber,
+        response: action,
+        respondentName: name,
+        ...(option && { optionName: option.name }),
+        versionNumber: quotation.version,
+        source: 'client_portal'
+      },
+      { userAgent: req.get('User-Agent') }
+    );
+
+    await notifyCreator(quotation, response);
+
+    let converted = false;
+    if (action === 'accepted' && quotation.portal.autoConvert) {
+      try {
+        await quotationConversionService.convert(
+          quotation._id,
+          { receiptType: 'commitment', commitmentFeePaid: 0 },
+          {
+            userId: quotation.createdBy._id,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent'),
+            source: 'client_portal'
+          }
+        );
+        converted = true;
+      } catch (conversionError) {
+        // The acceptance stands; staff can still convert it manually
+        logger.error('Auto-convert accepted quotation error:', conversionError);
+      }
+    }
+
+    ApiResponse.success(
+      res,
+      {
+        quotationNumber: quotation.quotationNumber,
+        action,
+        status: converted ? 'converted' : quotation.validity.status,
+        respondedAt:
+          quotation.clientResponses[quotation.clientResponses.length - 1]
+            .respondedAt
+      },
+      'Thank you, your response has been recorded'
+    );
+  } catch (error) {
+    logger.error('Quotation portal response error:', error);
+
+    if (error.statusCode) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+
+    ApiResponse.error(res, 'Failed to record your response', 500);
+  }
+};
+
+/**
+ * View a quotation through its portal link
+ */
+const getPortalQuotation = async (req, res) => {
+  try {
+    const quotation = await findPortalQuotation(req.params.token);
+    const settings = await Settings.getSettings();
+
+    // Counted without a full save so views never touch the version history
+    await Quotation.updateOne(
+      { _id: quotation._id },
+      {
+        $inc: { 'portal.viewCount': 1 },
+        $set: { 'portal.lastViewedAt': new Date() }
+      }
+    );
+
+    ApiResponse.success(
+      res,
+      toPortalView(quotation, settings),
+      'Quotation retrieved successfully'
+    );
+  } catch (error) {
+    logger.error('Get portal quotation error:', error);
+
+    if (error.statusCode) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+
+    ApiResponse.error(res, 'Failed to retrieve quotation', 500);
+  }
+};
+
+/**
+ * Download the quotation PDF through its portal link
+ */
+const downloadPortalQuotationPDF = async (req, res) => {
+  try {
+    const quotation = await findPortalQuotation(req.params.token);
+
+    // Pricing edited since the link was sent may not be approved yet
+    if (isUnderRevision(quotation)) {
+      return ApiResponse.error(res, REVISION_MESSAGE, 409);
+    }
+
+    const pdfBuffer = await pdfService.generateQuotationPDF(quotation);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="quotation_${quotation.quotationNumber}.pdf"`
+    );
+    res.setHeader('Content-Length', pdfBuffer.length);
+
+    res.end(pdfBuffer);
+  } catch (error) {
+    logger.error('Download portal quotation PDF error:', error);
+
+    if (error.statusCode) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+
+    ApiResponse.error(res, 'Failed to download PDF', 500);
+  }
+};
+
+/**
+ * Accept a quotation with the client's name and drawn signature
+ */
+const acceptPortalQuotation = (req, res) =>
+  recordResponse(req, res, 'accepted');
+
+/**
+ * Decline a quotation with the client's name and drawn signature
+ */
+const declinePortalQuotation = (req, res) =>
+  recordResponse(req, res, 'declined');
+
+/**
+ * Ask for changes to a quotation; it stays open for the creator to revise
+ */
+const requestPortalQuotationChanges = (req, res) =>
+  recordResponse(req, res, 'changes_requested');
+
+module.exports = {
+  getPortalQuotation,
+  downloadPortalQuotationPDF,
+  acceptPortalQuotation,
+  declinePortalQuotation,
+  requestPortalQuotationChanges
+};
@@ -3,10 +3,126 @@
  * Handles CRUD operations for receipts
  */
 
-const { Receipt, Quotation } = require('../models');
+const { Receipt, Quotation, Client, Settings } = require('../models');
 const ApiResponse = require('../utils/response');
 const { validationResult } = require('express-validator');
 const pdfService = require('../services/pdf.service');
+const AuditService = require('../services/audit.service');
+const bulkExportService = require('../services/bulkExport.service');
+const { diffSnapshots } = require('../utils/snapshot');
+const { toBaseAmountExpression } = require('../utils/currency');
+const logger = require('../utils/logger');
+
+// Receipt fields shown in change notifications and version diffs
+const RECEIPT_FIELDS = [
+  { path: 'receiptType', label: 'Receipt Type' },
+  { path: 'client.name', label: 'Client Name' },
+  { path: 'client.phone', label: 'Client Phone' },
+  { path: 'client.email', label: 'Client Email' },
+  { path: 'client.address', label: 'Client Address' },
+  { path: 'locations.from', label: 'Move From Location' },
+  { path: 'locations.to', label: 'Move To Location' },
+  { path: 'locations.movingDate', label: 'Moving Date' },
+  { path: 'commitmentFeePaid', label: 'Commitment Fee Paid' },
+  { path: 'totalMovingAmount', label: 'Total Moving Amount' },
+  { path: 'finalPaymentReceived', label: 'Final Payment Received' },
+  { path: 'payment.currency', label: 'Currency' },
+  { path: 'payment.method', label: 'Payment Method' },
+  { path: 'payment.dueDate', label: 'Due Date' },
+  { path: 'payment.amountPaid', label: 'Amount Paid' },
+  { path: 'payment.balance', label: 'Balance' },
+  { path: 'payment.totalAmount', label: 'Total Amount' },
+  { path: 'notes', label: 'Notes' }
+];
+
+// Labels for the fields that only appear in version diffs
+const VERSION_FIELD_LABELS = {
+  moveType: 'Move Type',
+  'client.company': 'Company Name',
+  'client.gender': 'Client Gender',
+  'signatures.receivedBy': 'Received By',
+  'signatures.receivedByTitle': 'Received By Title',
+  'signatures.clientName': 'Client Signature Name',
+  'signatures.signatureDate': 'Signature Date'
+};
+
+// Labels for line items, keyed by the array they belong to
+const LINE_ITEM_LABELS = {
+  services: {
+    name: 'Service',
+    fields: {
+      description: 'Description',
+      amount: 'Amount',
+      quantity: 'Quantity',
+      total: 'Total'
+    }
+  },
+  'payment.schedule': {
+    name: 'Installment',
+    fields: {
+      dueDate: 'Due Date',
+      amount: 'Amount',
+      description: 'Description'
+    }
+  },
+  'payment.paymentHistory': {
+    name: 'Payment',
+    fields: {
+      id: 'Reference ID',
+      type: 'Type',
+      amount: 'Amount',
+      date: 'Date',
+      method: 'Method',
+      voided: 'Voided'
+    }
+  }
+};
+
+// Dates are stored as ISO strings in version snapshots
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/;
+
+/**
+ * Format a field value for display in a change list
+ */
+const formatValue = value => {
+  if (value === null || value === undefined) return 'Not set';
+  if (typeof value === 'string' && ISO_DATE_PATTERN.test(value)) {
+    return new Date(value).toLocaleDateString();
+  }
+  if (typeof value === 'object' && value instanceof Date) {
+    return value.toLocaleDateString();
+  }
+  if (typeof value === 'object' && value !== null) {
+    return JSON.stringify(value);
+  }
+  return value.toString();
+};
+
+/**
+ * Get a nested property by dotted path
+ */
+const getNestedValue = (obj, path) => {
+  return path.split('.').reduce((current, key) => current && current[key], obj);
+};
+
+/**
+ * Get the display label for a receipt path, e.g. payment.schedule.1.amount
+ * becomes "Installment 2 Amount"
+ */
+const getFieldLabel = path => {
+  const field = RECEIPT_FIELDS.find(entry => entry.path === path);
+  if (field) return field.label;
+  if (VERSION_FIELD_LABELS[path]) return VERSION_FIELD_LABELS[path];
+
+  const lineItem = path.match(/^(.+)\.(\d+)\.(\w+)$/);
+  if (lineItem && LINE_ITEM_LABELS[lineItem[1]]) {
+    const [, list, index, key] = lineItem;
+    const { name, fields } = LINE_ITEM_LABELS[list];
+    return `${name} ${Number(index) + 1} ${fields[key] || key}`;
+  }
+
+  return path;
+};
 
 /**
  * Get all receipts with filtering, sorting, and pagination
@@ -24,7 +140,10 @@ const getReceipts = async (req, res) => {
       startDate,
       endDate,
       createdBy,
-      overdue
+      overdue,
+      currency,
+      clientId,
+      agingBucket
     } = req.query;
 
     const pageNumber = parseInt(page, 10);
@@ -43,6 +162,17 @@ const getReceipts = async (req, res) => {
 
     if (receiptType) filter.receiptType = receiptType;
     if (paymentStatus) filter['payment.status'] = paymentStatus;
+    if (currency) filter['payment.currency'] = currency;
+    if (clientId) filter.clientId = clientId;
+
+    // Aging bucket filter (drill-down from the aging report)
+    if (agingBucket) {
+      const agingFilter = Receipt.buildAgingFilter(agingBucket);
+      if (!agingFilter) {
+        return ApiResponse.error(res, 'Invalid aging bucket', 400);
+      }
+      filter.$and = [agingFilter];
+    }
 
     // Overdue filter
     if (overdue === 'true') {
@@ -227,7 +357,13 @@ const createReceipt = async (req, res) => {
     receiptData._editedBy = req.user._id;
 
     const receipt = new Receipt(receiptData);
-    await receipt.save();
+
+    // Link the receipt to its client record as it is saved
+    await Client.saveLinkedDocument(receipt, {
+      clientId: req.body.clientId,
+      snapshot: req.body.client,
+      userId: req.user._id
+    });
 
     // Populate created receipt
     await receipt.populate([
@@ -254,6 +390,10 @@ const createReceipt = async (req, res) => {
   } catch (error) {
     console.error('Create receipt error:', error);
 
+    if (error.statusCode) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+
     if (error.name === 'ValidationError') {
       return ApiResponse.validationError(res, Object.values(error.errors));
     }
@@ -304,10 +444,17 @@ const updateReceipt = async (req, res) => {
       req.body.commitmentFeePaid = commitmentFeePaid;
       req.body.totalMovingAmount = totalMovingAmount;
 
+      // Installments paid since the receipt was issued stay paid; only the
+      // change to the commitment fee moves the amount paid
+      const amountPaid =
+        receipt.payment.amountPaid -
+        (receipt.commitmentFeePaid || 0) +
+        commitmentFeePaid;
+
       if (!req.body.payment) req.body.payment = {};
       req.body.payment.totalAmount = totalMovingAmount;
-      req.body.payment.amountPaid = commitmentFeePaid;
-      req.body.payment.balance = totalMovingAmount - commitmentFeePaid;
+      req.body.payment.amountPaid = amountPaid;
+      req.body.payment.balance = totalMovingAmount - amountPaid;
     } else if (receipt.receiptType === 'final') {
       // FINAL RECEIPT: No services
       const commitmentFeePaid =
@@ -326,10 +473,13 @@ const updateReceipt = async (req, res) => {
       req.body.commitmentFeePaid = commitmentFeePaid;
       req.body.finalPaymentReceived = finalPaymentReceived;
 
+      // Fully paid, less anything refunded since
+      const amountPaid = grandTotal - receipt.getRefundedAmount();
+
       if (!req.body.payment) req.body.payment = {};
       req.body.payment.totalAmount = grandTotal;
-      req.body.payment.amountPaid = grandTotal;
-      req.body.payment.balance = 0;
+      req.body.payment.amountPaid = amountPaid;
+      req.body.payment.balance = grandTotal - amountPaid;
     } else if (receipt.receiptType === 'one_time') {
       // ONE TIME PAYMENT RECEIPT: No services
       const totalMovingAmount =
@@ -340,10 +490,13 @@ const updateReceipt = async (req, res) => {
       req.body.services = []; // No services for one-time receipts
       req.body.totalMovingAmount = totalMovingAmount;
 
+      // Fully paid, less anything refunded since
+      const amountPaid = totalMovingAmount - receipt.getRefundedAmount();
+
       if (!req.body.payment) req.body.payment = {};
       req.body.payment.totalAmount = totalMovingAmount;
-      req.body.payment.amountPaid = totalMovingAmount;
-      req.body.payment.balance = 0;
+      req.body.payment.amountPaid = amountPaid;
+      req.body.payment.balance = totalMovingAmount - amountPaid;
     } else if (req.body.services) {
       // Calculate service totals for other receipt types
       req.body.services = req.body.services.map(service => ({
@@ -367,48 +520,7 @@ const updateReceipt = async (req, res) => {
     const changes = [];
     const oldReceipt = receipt.toObject(); // Get current state
 
-    // Helper function to format values for display
-    const formatValue = value => {
-      if (value === null || value === undefined) return 'Not set';
-      if (typeof value === 'object' && value instanceof Date) {
-        return value.toLocaleDateString();
-      }
-      if (typeof value === 'object' && value !== null) {
-        return JSON.stringify(value);
-      }
-      return value.toString();
-    };
-
-    // Helper function to get nested property
-    const getNestedValue = (obj, path) => {
-      return path
-        .split('.')
-        .reduce((current, key) => current && current[key], obj);
-    };
-
-    // Check for changes in all updatable fields
-    const fieldsToCheck = [
-      { path: 'receiptType', label: 'Receipt Type' },
-      { path: 'client.name', label: 'Client Name' },
-      { path: 'client.phone', label: 'Client Phone' },
-      { path: 'client.email', label: 'Client Email' },
-      { path: 'client.address', label: 'Client Address' },
-      { path: 'locations.from', label: 'Move From Location' },
-      { path: 'locations.to', label: 'Move To Location' },
-      { path: 'locations.movingDate', label: 'Moving Date' },
-      { path: 'commitmentFeePaid', label: 'Commitment Fee Paid' },
-      { path: 'totalMovingAmount', label: 'Total Moving Amount' },
-      { path: 'finalPaymentReceived', label: 'Final Payment Received' },
-      { path: 'payment.currency', label: 'Currency' },
-      { path: 'payment.method', label: 'Payment Method' },
-      { path: 'payment.dueDate', label: 'Due Date' },
-      { path: 'payment.amountPaid', label: 'Amount Paid' },
-      { path: 'payment.balance', label: 'Balance' },
-      { path: 'payment.totalAmount', label: 'Total Amount' },
-      { path: 'notes', label: 'Notes' }
-    ];
-
-    for (const field of fieldsToCheck) {
+    for (const field of RECEIPT_FIELDS) {
       const oldValue = getNestedValue(oldReceipt, field.path);
       const newValue = getNestedValue(req.body, field.path);
 
@@ -442,13 +554,44 @@ const updateReceipt = async (req, res) => {
       }
     }
 
+    // Installment plans are summarised the same way
+    if (req.body.payment?.schedule) {
+      const oldSchedule = (oldReceipt.payment.schedule || []).map(
+        ({ dueDate, amount }) => ({ dueDate: new Date(dueDate), amount })
+      );
+      const newSchedule = req.body.payment.schedule.map(
+        ({ dueDate, amount }) => ({ dueDate: new Date(dueDate), amount })
+      );
+
+      if (JSON.stringify(oldSchedule) !== JSON.stringify(newSchedule)) {
+        changes.push({
+          field: 'Payment Schedule',
+          oldValue: `${oldSchedule.length} installment(s)`,
+          newValue: `${newSchedule.length} installment(s)`
+        });
+      }
+    }
+
     // Set edit tracking for versioning
+    const { reason, payment, ...updates } = req.body;
     receipt._editedBy = req.user._id;
+    receipt.$locals.revision = { reason };
 
     // Update receipt
-    Object.assign(receipt, req.body);
+    Object.assign(receipt, updates);
 
-    await receipt.save();
+    if (payment) receipt.updatePayment(payment);
+
+    // Re-link the client record when the client changes
+    if (req.body.clientId || req.body.client) {
+      await Client.saveLinkedDocument(receipt, {
+        clientId: req.body.clientId,
+        snapshot: receipt.client,
+        userId: req.user._id
+      });
+    } else {
+      await receipt.save();
+    }
 
     // Populate updated receipt
     await receipt.populate([
@@ -491,6 +634,10 @@ const updateReceipt = async (req, res) => {
   } catch (error) {
     console.error('Update receipt error:', error);
 
+    if (error.statusCode) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+
     if (error.name === 'ValidationError') {
       return ApiResponse.validationError(res, Object.values(error.errors));
     }
@@ -568,6 +715,11 @@ const deleteReceipt = async (req, res) => {
  */
 const addPayment = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.error(res, 'Validation failed', 400, errors.array());
+    }
+
     const { id } = req.params;
     const { amount, method, reference, notes } = req.body;
 
@@ -626,6 +778,7 @@ const addPayment = async (req, res) => {
       receivedBy: req.user._id
     };
 
+    receipt._editedBy = req.user._id;
     await receipt.addPayment(paymentData);
 
     // Populate updated receipt
@@ -650,6 +803,587 @@ const addPayment = async (req, res) => {
   }
 };
 
+/**
+ * Get the total a non-admin may reverse on a receipt without approval
+ * Currencies without a limit of their own are held to the base currency's,
+ * converted at the receipt's rate; with neither, the limit is 0 so every
+ * reversal needs approval.
+ */
+const getRefundApprovalThreshold = async receipt => {
+  const { refundApproval = {} } = await Settings.getSettings();
+  const { currency } = receipt.payment;
+
+  const threshold = refundApproval[`threshold${currency}`];
+  if (typeof threshold === 'number') return threshold;
+
+  const { baseCurrency, rate } = receipt.exchangeRate || {};
+  const baseThreshold = refundApproval[`threshold${baseCurrency}`];
+  if (typeof baseThreshold === 'number' && rate > 0) {
+    return Math.round((baseThreshold / rate) * 100) / 100;
+  }
+
+  return 0;
+};
+
+/**
+ * Apply an approved or auto-approved refund or void to a receipt
+ */
+const applyReversal = (receipt, reversal, actorId) =>
+  reversal.action === 'refund'
+    ? receipt.refundPayment(reversal.amount, actorId, reversal.reason, {
+        method: reversal.method,
+        reference: reversal.reference
+      })
+    : receipt.voidPayment(reversal.paymentId, actorId, reversal.reason);
+
+/**
+ * Notify users about a refund or void approval event
+ */
+const notifyReversal = async (recipientIds, type, receipt, reversal) => {
+  const Notification = require('../models/Notification.model');
+
+  const label = reversal.action === 'refund' ? 'Refund' : 'Payment void';
+  const amount = `${receipt.payment.currency} ${reversal.amount.toLocaleString()}`;
+  const content = {
+    refund_approval_requested: {
+      title: `${label} Approval Required`,
+      message: `${label} of ${amount} on receipt ${receipt.receiptNumber} needs approval: ${reversal.reason}`,
+      priority: 'high'
+    },
+    refund_approved: {
+      title: `${label} Approved`,
+      message: `${label} of ${amount} on receipt ${receipt.receiptNumber} was approved`,
+      priority: 'normal'
+    },
+    refund_rejected: {
+      title: `${label} Rejected`,
+      message: `${label} of ${amount} on receipt ${receipt.receiptNumber} was rejected${reversal.reviewNotes ? `: ${reversal.reviewNotes}` : ''}`,
+      priority: 'normal'
+    }
+  }[type];
+
+  try {
+    if (recipientIds.length === 0) return;
+
+    await Notification.create({
+      userId: recipientIds[0],
+      recipientUserIds: recipientIds,
+      type,
+      ...content,
+      actionUrl: `/receipts/${receipt._id}`,
+      actionText: 'View Receipt',
+      metadata: {
+        documentType: 'Receipt',
+        documentId: receipt._id,
+        documentNumber: receipt.receiptNumber,
+        reversalRequestId: reversal._id,
+        action: reversal.action
+      }
+    });
+  } catch (notifError) {
+    logger.error('Failed to send refund notification:', notifError);
+    // Don't fail the request if notification fails
+  }
+};
+
+/**
+ * Refund or void a payment immediately, or queue it for admin approval when
+ * a non-admin's reversals on the receipt would add up to more than the
+ * approval threshold
+ */
+const requestReversal = async (req, res, receipt, reversal) => {
+  const threshold = await getRefundApprovalThreshold(receipt);
+  const reversedAmount =
+    Math.round((receipt.getReversedAmount() + reversal.amount) * 100) / 100;
+
+  if (req.user.role !== 'admin' && reversedAmount > threshold) {
+    const hasPending = receipt.payment.reversalRequests.some(
+      request =>
+        request.status === 'pending' &&
+        request.action === reversal.action &&
+        String(request.paymentId || '') === String(reversal.paymentId || '')
+    );
+    if (hasPending) {
+      return ApiResponse.error(
+        res,
+        `A ${reversal.action} for this receipt is already awaiting approval`,
+        409
+      );
+    }
+
+    receipt.payment.reversalRequests.push({
+      ...reversal,
+      requestedBy: req.user._id
+    });
+    receipt._editedBy = req.user._id;
+    await receipt.save();
+
+    const request = receipt.payment.reversalRequests.at(-1);
+
+    const User = require('../models/User.model');
+    const admins = await User.find({ role: 'admin', status: 'active' });
+    await notifyReversal(
+      admins.map(admin => admin._id),
+      'refund_approval_requested',
+      receipt,
+      request
+    );
+
+    return ApiResponse.success(
+      res,
+      {
+        receipt: {
+          receiptNumber: receipt.receiptNumber,
+          payment: receipt.payment
+        },
+        approvalRequired: true,
+        reversalRequest: request
+      },
+      `${reversal.action === 'refund' ? 'Refund' : 'Void'} submitted for admin approval`,
+      202
+    );
+  }
+
+  receipt._editedBy = req.user._id;
+  await applyReversal(receipt, reversal, req.user._id);
+
+  await receipt.populate([
+    { path: 'createdBy', select: 'fullName email' },
+    { path: 'payment.paymentHistory.receivedBy', select: 'fullName' }
+  ]);
+
+  return ApiResponse.success(
+    res,
+    {
+      receipt: {
+        receiptNumber: receipt.receiptNumber,
+        payment: receipt.payment
+      },
+      approvalRequired: false
+    },
+    reversal.action === 'refund'
+      ? 'Refund recorded successfully'
+      : 'Payment voided successfully'
+  );
+};
+
+/**
+ * Find a receipt the current user may refund or void payments on
+ */
+const findReceiptForReversal = async (req, res) => {
+  const receipt = await Receipt.findById(req.params.id);
+  if (!receipt) {
+    ApiResponse.error(res, 'Receipt not found', 404);
+    return null;
+  }
+
+  if (
+    req.user.role !== 'admin' &&
+    receipt.createdBy.toString() !== req.user._id.toString()
+  ) {
+    ApiResponse.error(res, 'Access denied', 403);
+    return null;
+  }
+
+  return receipt;
+};
+
+/**
+ * Refund part or all of the amount paid on a receipt
+ */
+const refundPayment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const receipt = await findReceiptForReversal(req, res);
+    if (!receipt) return;
+
+    const { amount, reason, method, reference } = req.body;
+    const roundedAmount = Math.round(amount * 100) / 100;
+    const refundable = receipt.getRefundableAmount();
+
+    if (roundedAmount > refundable) {
+      return ApiResponse.error(
+        res,
+        `Refund amount cannot exceed the ${refundable} paid and not yet refunded`,
+        400
+      );
+    }
+
+    await requestReversal(req, res, receipt, {
+      action: 'refund',
+      amount: roundedAmount,
+      method: method || receipt.payment.method || 'cash',
+      reference,
+      reason
+    });
+  } catch (error) {
+    logger.error('Refund payment error:', error);
+    if (error.statusCode) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+    ApiResponse.error(res, 'Failed to refund payment', 500);
+  }
+};
+
+/**
+ * Void a payment (or refund) recorded in error
+ */
+const voidPayment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const receipt = await findReceiptForReversal(req, res);
+    if (!receipt) return;
+
+    const payment = receipt.payment.paymentHistory.id(req.params.paymentId);
+    if (!payment) {
+      return ApiResponse.error(res, 'Payment not found', 404);
+    }
+    if (payment.voided) {
+      return ApiResponse.error(res, 'Payment has already been voided', 400);
+    }
+    if (payment.claimId) {
+      return ApiResponse.error(res, 'Claim settlements cannot be voided', 400);
+    }
+
+    await requestReversal(req, res, receipt, {
+      action: 'void',
+      amount: payment.amount,
+      paymentId: payment._id,
+      reason: req.body.reason
+    });
+  } catch (error) {
+    logger.error('Void payment error:', error);
+    if (error.statusCode) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+    ApiResponse.error(res, 'Failed to void payment', 500);
+  }
+};
+
+/**
+ * Approve or reject a pending refund or void (Admin only)
+ */
+const reviewReversalRequest = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const { decision } = req.params;
+    const approved = decision === 'approve';
+
+    const receipt = await Receipt.findById(req.params.id);
+    if (!receipt) {
+      return ApiResponse.error(res, 'Receipt not found', 404);
+    }
+
+    const request = receipt.payment.reversalRequests.id(req.params.requestId);
+    if (!request) {
+      return ApiResponse.error(res, 'Reversal request not found', 404);
+    }
+    if (request.status !== 'pending') {
+      return ApiResponse.error(
+        res,
+        `Reversal request has already been ${request.status}`,
+        400
+      );
+    }
+
+    request.status = approved ? 'approved' : 'rejected';
+    request.reviewedBy = req.user._id;
+    request.reviewedAt = new Date();
+    request.reviewNotes = req.body.notes;
+    receipt._editedBy = req.user._id;
+
+    // The refund is recorded against the cashier who requested it
+    if (approved) {
+      await applyReversal(receipt, request, request.requestedBy);
+    } else {
+      await receipt.save();
+    }
+
+    await notifyReversal(
+      [request.requestedBy],
+      approved ? 'refund_approved' : 'refund_rejected',
+      receipt,
+      request
+    );
+
+    ApiResponse.success(
+      res,
+      {
+        receipt: {
+          receiptNumber: receipt.receiptNumber,
+          payment: receipt.payment
+        },
+        reversalRequest: request
+      },
+      approved
+        ? 'Reversal request approved successfully'
+        : 'Reversal request rejected successfully'
+    );
+  } catch (error) {
+    logger.error('Review reversal request error:', error);
+    if (error.statusCode) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+    ApiResponse.error(res, 'Failed to review reversal request', 500);
+  }
+};
+
+/**
+ * Load a receipt with its version history, checking access
+ * @returns {Promise<Document|null>} Receipt, or null once a response is sent
+ */
+const findReceiptForVersions = async (req, res) => {
+  const receipt = await Receipt.findById(req.params.id).populate(
+    'versions.editedBy',
+    'fullName email'
+  );
+
+  if (!receipt) {
+    ApiResponse.error(res, 'Receipt not found', 404);
+    return null;
+  }
+
+  if (
+    req.user.role !== 'admin' &&
+    receipt.createdBy.toString() !== req.user._id.toString()
+  ) {
+    ApiResponse.error(res, 'Access denied', 403);
+    return null;
+  }
+
+  return receipt;
+};
+
+/**
+ * Describe field changes for display
+ * @param {Array} changes - [{ path, oldValue, newValue }]
+ */
+const describeChanges = changes =>
+  changes.map(({ path, oldValue, newValue }) => ({
+    path,
+    field: getFieldLabel(path),
+    oldValue: formatValue(oldValue),
+    newValue: formatValue(newValue)
+  }));
+
+/**
+ * Get the version history of a receipt
+ * GET /api/receipts/:id/versions
+ */
+const getReceiptVersions = async (req, res) => {
+  try {
+    const receipt = await findReceiptForVersions(req, res);
+    if (!receipt) return;
+
+    const versions = receipt.versions
+      .map(version => ({
+        versionNumber: version.versionNumber,
+        editedBy: version.editedBy,
+        editedAt: version.editedAt,
+        reason: version.reason,
+        restoredFrom: version.restoredFrom,
+        changedFields: Object.keys(version.changes || {}).map(getFieldLabel),
+        totalAmount: version.snapshot?.payment.totalAmount,
+        amountPaid: version.snapshot?.payment.amountPaid,
+        balance: version.snapshot?.payment.balance,
+        isCurrent: version.versionNumber === receipt.version,
+        canRollback:
+          Boolean(version.snapshot) && version.versionNumber !== receipt.version
+      }))
+      .reverse();
+
+    ApiResponse.success(
+      res,
+      {
+        receiptNumber: receipt.receiptNumber,
+        currentVersion: receipt.version,
+        versions
+      },
+      'Receipt versions retrieved successfully'
+    );
+  } catch (error) {
+    logger.error('Get receipt versions error:', error);
+    ApiResponse.error(res, 'Failed to retrieve receipt versions', 500);
+  }
+};
+
+/**
+ * Get the field-level changes a version made, or the differences from the
+ * version given in ?against=
+ * GET /api/receipts/:id/versions/:version/diff
+ */
+const getReceiptVersionDiff = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const receipt = await findReceiptForVersions(req, res);
+    if (!receipt) return;
+
+    const version = receipt.getVersion(req.params.version);
+    if (!version) {
+      return ApiResponse.error(res, 'Version not found', 404);
+    }
+
+    let comparedWith = null;
+    let changes;
+
+    if (req.query.against !== undefined) {
+      const against = receipt.getVersion(req.query.against);
+      if (!against) {
+        return ApiResponse.error(res, 'Version to compare with not found', 404);
+      }
+      if (!version.snapshot || !against.snapshot) {
+        return ApiResponse.error(
+          res,
+          'Versions recorded before full history was kept can only be compared with the version before them',
+          400
+        );
+      }
+
+      comparedWith = against.versionNumber;
+      changes = diffSnapshots(against.snapshot, version.snapshot);
+    } else {
+      comparedWith =
+        [...receipt.versions]
+          .reverse()
+          .find(entry => entry.versionNumber < version.versionNumber)
+          ?.versionNumber ?? null;
+
+      // Older entries recorded the new value only
+      changes = Object.entries(version.changes || {}).map(([path, change]) => ({
+        path,
+        oldValue: version.snapshot ? change.old : 'Not recorded',
+        newValue: change.new
+      }));
+    }
+
+    ApiResponse.success(
+      res,
+      {
+        receiptNumber: receipt.receiptNumber,
+        versionNumber: version.versionNumber,
+        comparedWith,
+        editedBy: version.editedBy,
+        editedAt: version.editedAt,
+        reason: version.reason,
+        changes: describeChanges(changes)
+      },
+      'Receipt version diff retrieved successfully'
+    );
+  } catch (error) {
+    logger.error('Get receipt version diff error:', error);
+    ApiResponse.error(res, 'Failed to compare receipt versions', 500);
+  }
+};
+
+/**
+ * Roll a receipt back to an earlier version. Payments stay as recorded, so
+ * the rollback is refused when they would not fit the restored amounts.
+ * POST /api/receipts/:id/versions/:version/rollback
+ */
+const rollbackReceiptVersion = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const receipt = await findReceiptForVersions(req, res);
+    if (!receipt) return;
+
+    const versionNumber = req.params.version;
+    const previous = receipt.getSnapshot();
+    const target = receipt.getVersion(versionNumber);
+
+    // Re-link the client record when the restored client differs
+    const rollback = () =>
+      receipt.rollbackTo(versionNumber, req.user._id, req.body.reason);
+    if (
+      target?.snapshot &&
+      JSON.stringify(target.snapshot.client) !== JSON.stringify(previous.client)
+    ) {
+      await Client.saveLinkedDocument(
+        receipt,
+        {
+          clientId: null,
+          snapshot: target.snapshot.client,
+          userId: req.user._id
+        },
+        rollback
+      );
+    } else {
+      await rollback();
+    }
+
+    const changes = describeChanges(
+      diffSnapshots(previous, receipt.getSnapshot())
+    );
+
+    // Let admins know, as for any other edit
+    try {
+      const User = require('../models/User.model');
+      const Notification = require('../models/Notification.model');
+
+      const admins = await User.find({ role: 'admin', status: 'active' });
+      if (admins.length > 0 && changes.length > 0) {
+        await Notification.createDocumentNotificationWithDetails(
+          'document_updated',
+          'Receipt',
+          receipt._id,
+          receipt.receiptNumber,
+          req.user._id,
+          admins.map(admin => admin._id),
+          changes.map(({ field, oldValue, newValue }) => ({
+            field,
+            oldValue,
+            newValue
+          }))
+        );
+      }
+    } catch (notifError) {
+      logger.error('Failed to send receipt rollback notification:', notifError);
+    }
+
+    await receipt.populate([
+      { path: 'createdBy', select: 'fullName email' },
+      { path: 'quotationId', select: 'quotationNumber type' }
+    ]);
+
+    ApiResponse.success(
+      res,
+      { receipt, restoredFrom: versionNumber, changes },
+      `Receipt rolled back to version ${versionNumber}`
+    );
+  } catch (error) {
+    logger.error('Rollback receipt version error:', error);
+
+    if (error.statusCode) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+
+    if (error.name === 'ValidationError') {
+      return ApiResponse.validationError(res, Object.values(error.errors));
+    }
+
+    ApiResponse.error(res, 'Failed to roll back receipt', 500);
+  }
+};
+
 /**
  * Get receipt statistics
  */
@@ -680,6 +1414,11 @@ const getReceiptStats = async (req, res) => {
     const baseFilter =
       req.user.role === 'admin' ? {} : { createdBy: req.user._id };
 
+    // Amounts are summed in the base currency
+    const { currency: currencySettings } = await Settings.getSettings();
+    const toBase = amountPath =>
+      toBaseAmountExpression(currencySettings, amountPath, '$payment.currency');
+
     const [totalStats, periodStats, typeStats, statusStats, overdueCount] =
       await Promise.all([
         // Total counts
@@ -689,9 +1428,9 @@ const getReceiptStats = async (req, res) => {
             $group: {
               _id: null,
               total: { $sum: 1 },
-              totalValue: { $sum: '$payment.totalAmount' },
-              totalPaid: { $sum: '$payment.amountPaid' },
-              totalBalance: { $sum: '$payment.balance' }
+              totalValue: { $sum: toBase('$payment.totalAmount') },
+              totalPaid: { $sum: toBase('$payment.amountPaid') },
+              totalBalance: { $sum: toBase('$payment.balance') }
             }
           }
         ]),
@@ -703,8 +1442,8 @@ const getReceiptStats = async (req, res) => {
             $group: {
               _id: null,
               count: { $sum: 1 },
-              value: { $sum: '$payment.totalAmount' },
-              paid: { $sum: '$payment.amountPaid' }
+              value: { $sum: toBase('$payment.totalAmount') },
+              paid: { $sum: toBase('$payment.amountPaid') }
             }
           }
         ]),
@@ -716,7 +1455,7 @@ const getReceiptStats = async (req, res) => {
             $group: {
               _id: '$receiptType',
               count: { $sum: 1 },
-              value: { $sum: '$payment.totalAmount' }
+              value: { $sum: toBase('$payment.totalAmount') }
             }
           }
         ]),
@@ -741,6 +1480,7 @@ const getReceiptStats = async (req, res) => {
       ]);
 
     const stats = {
+      currency: currencySettings.baseCurrency,
       total: totalStats[0]?.total || 0,
       totalValue: totalStats[0]?.totalValue || 0,
       totalPaid: totalStats[0]?.totalPaid || 0,
@@ -997,11 +1737,12 @@ const bulkDeleteReceipts = async (req, res) => {
 };
 
 /**
- * Get bulk download receipts info for frontend to download individually
+ * Bulk download receipts as a ZIP of PDFs
+ * Pass includeManifest to add a manifest.csv listing every receipt
  */
 const bulkDownloadReceipts = async (req, res) => {
   try {
-    const { receiptIds } = req.body;
+    const { receiptIds, includeManifest = false } = req.body;
 
     if (!receiptIds || !Array.isArray(receiptIds) || receiptIds.length === 0) {
       return ApiResponse.error(
@@ -1011,6 +1752,19 @@ const bulkDownloadReceipts = async (req, res) => {
       );
     }
 
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.error(res, 'Validation failed', 400, errors.array());
+    }
+
+    if (receiptIds.length > bulkExportService.maxDocuments) {
+      return ApiResponse.error(
+        res,
+        `Cannot download more than ${bulkExportService.maxDocuments} receipts at once`,
+        400
+      );
+    }
+
     // Build filter for user permissions
     const filter = { _id: { $in: receiptIds } };
     if (req.user.role !== 'admin') {
@@ -1018,31 +1772,70 @@ const bulkDownloadReceipts = async (req, res) => {
     }
 
     // Find receipts with user permission check
-    const receipts = await Receipt.find(filter, 'receiptNumber _id').sort({
-      createdAt: -1
-    });
+    const receipts = await Receipt.find(filter).sort({ createdAt: -1 });
 
     if (receipts.length === 0) {
       return ApiResponse.error(res, 'No receipts found or access denied', 404);
     }
 
-    // Return receipt info for frontend to download individually
-    const downloadInfo = receipts.map(receipt => ({
-      id: receipt._id,
-      receiptNumber: receipt.receiptNumber,
-      downloadUrl: `/api/receipts/${receipt._id}/download`
-    }));
+    const fileDate = new Date().toISOString().split('T')[0];
+    const result = await bulkExportService.streamPdfArchive(res, {
+      archiveName: `receipts_${fileDate}.zip`,
+      documents: receipts,
+      getFileName: receipt => `receipt_${receipt.receiptNumber}.pdf`,
+      generatePdf: receipt => pdfService.generateReceiptPDF(receipt),
+      manifestColumns: includeManifest
+        ? [
+            {
+              header: 'Receipt Number',
+              value: receipt => receipt.receiptNumber
+            },
+            { header: 'Receipt Type', value: receipt => receipt.receiptType },
+            { header: 'Client', value: receipt => receipt.client.name },
+            { header: 'Currency', value: receipt => receipt.payment.currency },
+            {
+              header: 'Total Amount',
+              value: receipt => receipt.payment.totalAmount
+            },
+            {
+              header: 'Amount Paid',
+              value: receipt => receipt.payment.amountPaid
+            },
+            { header: 'Balance', value: receipt => receipt.payment.balance },
+            {
+              header: 'Payment Status',
+              value: receipt => receipt.payment.status
+            },
+            {
+              header: 'Created At',
+              value: receipt => receipt.createdAt.toISOString()
+            }
+          ]
+        : null
+    });
 
-    ApiResponse.success(
-      res,
+    await AuditService.logExportEvent(
+      'receipt_pdfs',
+      req.user._id,
+      req.ip,
+      req.get('User-Agent'),
       {
-        receipts: downloadInfo,
-        count: receipts.length
-      },
-      `Found ${receipts.length} receipt(s) for bulk download`
+        format: 'zip',
+        includeManifest: Boolean(includeManifest),
+        requestedCount: receiptIds.length,
+        receiptIds: receipts.map(receipt => receipt._id),
+        fileCount: result.fileCount,
+        failedCount: result.failed.length,
+        completed: result.completed
+      }
     );
   } catch (error) {
     console.error('Bulk download receipts error:', error);
+
+    // Headers are already sent once streaming starts, so abort the download
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
     ApiResponse.error(res, 'Failed to prepare bulk download', 500);
   }
 };
@@ -1054,6 +1847,12 @@ module.exports = {
   updateReceipt,
   deleteReceipt,
   addPayment,
+  refundPayment,
+  voidPayment,
+  reviewReversalRequest,
+  getReceiptVersions,
+  getReceiptVersionDiff,
+  rollbackReceiptVersion,
   getReceiptStats,
   generateReceiptPDF,
   downloadReceiptPDF,
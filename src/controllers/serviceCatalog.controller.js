@@ -0,0 +1,254 @@
+/**
+ * Service Catalog Controller
+ * Handles the admin-managed catalog of standard services and their prices
+ */
+
+const { ServiceCatalogItem, Quotation } = require('../models');
+const ApiResponse = require('../utils/response');
+const { validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+
+// Fields a catalog item can be created or updated with
+const EDITABLE_FIELDS = [
+  'code',
+  'name',
+  'description',
+  'unit',
+  'prices',
+  'isActive'
+];
+
+/**
+ * Pick editable fields from the request body
+ */
+const pickCatalogFields = body =>
+  EDITABLE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    return fields;
+  }, {});
+
+/**
+ * Get catalog items with search and pagination
+ * With currency and moveType, each item also carries its unitPrice for them
+ */
+const getCatalogItems = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const {
+      page = 1,
+      limit = 50,
+      search,
+      currency,
+      moveType,
+      includeInactive,
+      sortBy = 'name',
+      sortOrder = 'asc'
+    } = req.query;
+
+    const pageNumber = parseInt(page, 10);
+    const limitNumber = parseInt(limit, 10);
+
+    const filter = {};
+
+    // Only admins manage retired items
+    if (!(includeInactive === 'true' && req.user.role === 'admin')) {
+      filter.isActive = true;
+    }
+
+    if (search) {
+      // Escape the term so user input is matched literally
+      const pattern = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.$or = [
+        { code: { $regex: pattern, $options: 'i' } },
+        { name: { $regex: pattern, $options: 'i' } },
+        { description: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    const sort = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
+
+    const [items, totalCount] = await Promise.all([
+      ServiceCatalogItem.find(filter)
+        .sort(sort)
+        .skip((pageNumber - 1) * limitNumber)
+        .limit(limitNumber),
+      ServiceCatalogItem.countDocuments(filter)
+    ]);
+
+    const data = items.map(item =>
+      currency && moveType
+        ? { ...item.toJSON(), unitPrice: item.getPrice(currency, moveType) }
+        : item
+    );
+
+    ApiResponse.paginated(
+      res,
+      data,
+      {
+        page: pageNumber,
+        limit: limitNumber,
+        total: totalCount
+      },
+      'Catalog items retrieved successfully'
+    );
+  } catch (error) {
+    logger.error('Get catalog items error:', error);
+    ApiResponse.error(res, 'Failed to retrieve catalog items', 500);
+  }
+};
+
+/**
+ * Get single catalog item by ID
+ */
+const getCatalogItemById = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const item = await ServiceCatalogItem.findById(req.params.id)
+      .populate('createdBy', 'fullName email')
+      .populate('updatedBy', 'fullName email');
+
+    if (!item) {
+      return ApiResponse.error(res, 'Catalog item not found', 404);
+    }
+
+    ApiResponse.success(res, { item }, 'Catalog item retrieved successfully');
+  } catch (error) {
+    logger.error('Get catalog item error:', error);
+    ApiResponse.error(res, 'Failed to retrieve catalog item', 500);
+  }
+};
+
+/**
+ * Create catalog item
+ */
+const createCatalogItem = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const item = await ServiceCatalogItem.create({
+      ...pickCatalogFields(req.body),
+      createdBy: req.user._id
+    });
+
+    ApiResponse.success(
+      res,
+      { item },
+      'Catalog item created successfully',
+      201
+    );
+  } catch (error) {
+    logger.error('Create catalog item error:', error);
+
+    if (error.code === 11000) {
+      return ApiResponse.error(
+        res,
+        'A catalog item with this code already exists',
+        409
+      );
+    }
+
+    if (error.name === 'ValidationError') {
+      return ApiResponse.validationError(res, Object.values(error.errors));
+    }
+
+    ApiResponse.error(res, 'Failed to create catalog item', 500);
+  }
+};
+
+/**
+ * Update catalog item
+ * Prices are replaced as a whole; quotations keep the catalog price they
+ * were priced with
+ */
+const updateCatalogItem = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const item = await ServiceCatalogItem.findById(req.params.id);
+    if (!item) {
+      return ApiResponse.error(res, 'Catalog item not found', 404);
+    }
+
+    item.set(pickCatalogFields(req.body));
+    item.updatedBy = req.user._id;
+    await item.save();
+
+    ApiResponse.success(res, { item }, 'Catalog item updated successfully');
+  } catch (error) {
+    logger.error('Update catalog item error:', error);
+
+    if (error.code === 11000) {
+      return ApiResponse.error(
+        res,
+        'A catalog item with this code already exists',
+        409
+      );
+    }
+
+    if (error.name === 'ValidationError') {
+      return ApiResponse.validationError(res, Object.values(error.errors));
+    }
+
+    ApiResponse.error(res, 'Failed to update catalog item', 500);
+  }
+};
+
+/**
+ * Delete a catalog item no quotation uses
+ * Items in use are deactivated instead, so quotations keep their reference
+ */
+const deleteCatalogItem = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const item = await ServiceCatalogItem.findById(req.params.id);
+    if (!item) {
+      return ApiResponse.error(res, 'Catalog item not found', 404);
+    }
+
+    const quotationCount = await Quotation.countDocuments({
+      'services.catalogItemId': item._id
+    });
+
+    if (quotationCount > 0) {
+      return ApiResponse.error(
+        res,
+        'Catalog item is used on quotations and cannot be deleted; deactivate it instead',
+        409,
+        { quotationCount }
+      );
+    }
+
+    await ServiceCatalogItem.findByIdAndDelete(item._id);
+
+    ApiResponse.success(res, null, 'Catalog item deleted successfully');
+  } catch (error) {
+    logger.error('Delete catalog item error:', error);
+    ApiResponse.error(res, 'Failed to delete catalog item', 500);
+  }
+};
+
+module.exports = {
+  getCatalogItems,
+  getCatalogItemById,
+  createCatalogItem,
+  updateCatalogItem,
+  deleteCatalogItem
+};
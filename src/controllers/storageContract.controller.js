@@ -0,0 +1,371 @@
+/**
+ * Storage Contract Controller
+ * Manages the storage contracts monthly storage receipts are issued from,
+ * including suspending and resuming their billing
+ */
+
+const { Client, Receipt, StorageContract } = require('../models');
+const ApiResponse = require('../utils/response');
+const { validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+
+// Contract terms that can be changed at any time; they apply to the periods
+// not yet billed
+const EDITABLE_FIELDS = [
+  'volume',
+  'monthlyRate',
+  'storageLocation',
+  'goodsDescription',
+  'endDate',
+  'paymentTermsDays',
+  'notes'
+];
+
+// Terms that can only be changed until the first period is billed
+const UNBILLED_FIELDS = ['startDate', 'currency'];
+
+/**
+ * Pick fields from the request body
+ */
+const pickFields = (body, fields) =>
+  fields.reduce((picked, field) => {
+    if (body[field] !== undefined) picked[field] = body[field];
+    return picked;
+  }, {});
+
+/**
+ * Check whether the user may view and manage a contract
+ */
+const canAccessContract = (user, contract) =>
+  user.role === 'admin' ||
+  (contract.createdBy._id || contract.createdBy).toString() ===
+    user._id.toString();
+
+/**
+ * Send a handled error
+ */
+const sendError = (res, error, fallbackMessage) => {
+  if (error.statusCode) {
+    return ApiResponse.error(res, error.message, error.statusCode);
+  }
+
+  if (error.name === 'ValidationError') {
+    return ApiResponse.validationError(res, Object.values(error.errors));
+  }
+
+  ApiResponse.error(res, fallbackMessage, 500);
+};
+
+/**
+ * Find a contract the current user may manage
+ */
+const findContract = async (req, res) => {
+  const contract = await StorageContract.findById(req.params.id);
+  if (!contract) {
+    ApiResponse.error(res, 'Storage contract not found', 404);
+    return null;
+  }
+
+  if (!canAccessContract(req.user, contract)) {
+    ApiResponse.error(res, 'Access denied', 403);
+    return null;
+  }
+
+  return contract;
+};
+
+/**
+ * Get storage contracts with filtering and pagination
+ * Non-admin users see the contracts they manage
+ */
+const getStorageContracts = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const { page = 1, limit = 20, status, clientId, search } = req.query;
+
+    const pageNumber = parseInt(page, 10);
+    const limitNumber = parseInt(limit, 10);
+
+    const filter = {};
+
+    if (req.user.role !== 'admin') filter.createdBy = req.user._id;
+    if (status) filter.status = status;
+    if (clientId) filter.clientId = clientId;
+
+    if (search) {
+      // Escape the term so user input is matched literally
+      const pattern = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.$or = [
+        { contractNumber: { $regex: pattern, $options: 'i' } },
+        { 'client.name': { $regex: pattern, $options: 'i' } },
+        { storageLocation: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    const [contracts, totalCount] = await Promise.all([
+      StorageContract.find(filter)
+        .populate('createdBy', 'fullName email')
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * limitNumber)
+        .limit(limitNumber)
+        .lean(),
+      StorageContract.countDocuments(filter)
+    ]);
+
+    ApiResponse.paginated(
+      res,
+      contracts,
+      {
+        page: pageNumber,
+        limit: limitNumber,
+        total: totalCount
+      },
+      'Storage contracts retrieved successfully'
+    );
+  } catch (error) {
+    logger.error('Get storage contracts error:', error);
+    ApiResponse.error(res, 'Failed to retrieve storage contracts', 500);
+  }
+};
+
+/**
+ * Get single storage contract with the receipts issued for it
+ */
+const getStorageContractById = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const contract = await StorageContract.findById(req.params.id)
+      .populate('suspensions.suspendedBy', 'fullName')
+      .populate('suspensions.resumedBy', 'fullName')
+      .populate('createdBy', 'fullName email');
+
+    if (!contract) {
+      return ApiResponse.error(res, 'Storage contract not found', 404);
+    }
+
+    if (!canAccessContract(req.user, contract)) {
+      return ApiResponse.error(res, 'Access denied', 403);
+    }
+
+    const receipts = await Receipt.find({ storageContractId: contract._id })
+      .select(
+        'receiptNumber billingPeriod payment.totalAmount payment.balance payment.status payment.dueDate createdAt'
+      )
+      .sort({ 'billingPeriod.start': -1 })
+      .lean();
+
+    ApiResponse.success(
+      res,
+      { contract, receipts },
+      'Storage contract retrieved successfully'
+    );
+  } catch (error) {
+    logger.error('Get storage contract error:', error);
+    ApiResponse.error(res, 'Failed to retrieve storage contract', 500);
+  }
+};
+
+/**
+ * Create a storage contract for a client
+ */
+const createStorageContract = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const client = await Client.findById(req.body.clientId);
+    if (!client) {
+      return ApiResponse.error(res, 'Client not found', 404);
+    }
+
+    const contract = new StorageContract({
+      ...pickFields(req.body, [...EDITABLE_FIELDS, ...UNBILLED_FIELDS]),
+      contractNumber: await StorageContract.generateContractNumber(),
+      clientId: client._id,
+      client: {
+        name: client.name,
+        phone: client.phone,
+        email: client.email,
+        address: client.address
+      },
+      createdBy: req.user._id
+    });
+
+    await contract.save();
+
+    ApiResponse.success(
+      res,
+      { contract },
+      'Storage contract created successfully',
+      201
+    );
+  } catch (error) {
+    logger.error('Create storage contract error:', error);
+    sendError(res, error, 'Failed to create storage contract');
+  }
+};
+
+/**
+ * Update a storage contract's terms
+ * Rate and volume changes apply from the next period billed. Setting the
+ * end date ends the contract once its last period is billed.
+ */
+const updateStorageContract = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const contract = await findContract(req, res);
+    if (!contract) return;
+
+    if (contract.status === 'ended') {
+      return ApiResponse.error(res, 'Cannot change an ended contract', 400);
+    }
+
+    const billedFields = UNBILLED_FIELDS.filter(
+      field => req.body[field] !== undefined
+    );
+    if (contract.billedThrough && billedFields.length > 0) {
+      return ApiResponse.error(
+        res,
+        `The ${billedFields.join(' and ')} cannot be changed once a period has been billed`,
+        400
+      );
+    }
+
+    const { endDate } = req.body;
+    if (endDate && contract.billedThrough && endDate < contract.billedThrough) {
+      return ApiResponse.error(
+        res,
+        `The contract is billed through ${contract.billedThrough.toDateString()} and cannot end before then`,
+        400
+      );
+    }
+
+    contract.set(
+      pickFields(req.body, [...EDITABLE_FIELDS, ...UNBILLED_FIELDS])
+    );
+    contract.updatedBy = req.user._id;
+    await contract.save();
+
+    ApiResponse.success(
+      res,
+      { contract },
+      'Storage contract updated successfully'
+    );
+  } catch (error) {
+    logger.error('Update storage contract error:', error);
+    sendError(res, error, 'Failed to update storage contract');
+  }
+};
+
+/**
+ * Stop billing a contract from a day, today by default
+ */
+const suspendStorageContract = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const contract = await findContract(req, res);
+    if (!contract) return;
+
+    const { startDate = new Date(), reason } = req.body;
+    await contract.suspend(startDate, req.user._id, reason);
+
+    ApiResponse.success(
+      res,
+      { contract },
+      'Storage contract suspended successfully'
+    );
+  } catch (error) {
+    logger.error('Suspend storage contract error:', error);
+    sendError(res, error, 'Failed to suspend storage contract');
+  }
+};
+
+/**
+ * Resume billing a suspended contract from a day, today by default
+ */
+const resumeStorageContract = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const contract = await findContract(req, res);
+    if (!contract) return;
+
+    const { resumeDate = new Date() } = req.body;
+    await contract.resume(resumeDate, req.user._id);
+
+    ApiResponse.success(
+      res,
+      { contract },
+      'Storage contract resumed successfully'
+    );
+  } catch (error) {
+    logger.error('Resume storage contract error:', error);
+    sendError(res, error, 'Failed to resume storage contract');
+  }
+};
+
+/**
+ * Delete a storage contract no receipts were issued for (Admin only)
+ */
+const deleteStorageContract = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const contract = await StorageContract.findById(req.params.id);
+    if (!contract) {
+      return ApiResponse.error(res, 'Storage contract not found', 404);
+    }
+
+    const hasReceipts = await Receipt.exists({
+      storageContractId: contract._id
+    });
+    if (hasReceipts) {
+      return ApiResponse.error(
+        res,
+        'Cannot delete a storage contract that receipts were issued for; set its end date instead',
+        409
+      );
+    }
+
+    await StorageContract.findByIdAndDelete(contract._id);
+
+    ApiResponse.success(res, null, 'Storage contract deleted successfully');
+  } catch (error) {
+    logger.error('Delete storage contract error:', error);
+    ApiResponse.error(res, 'Failed to delete storage contract', 500);
+  }
+};
+
+module.exports = {
+  getStorageContracts,
+  getStorageContractById,
+  createStorageContract,
+  updateStorageContract,
+  suspendStorageContract,
+  resumeStorageContract,
+  deleteStorageContract
+};
@@ -0,0 +1,413 @@
+/**
+ * Vehicle Controller
+ * Handles the company fleet: vehicle records, maintenance blocks and which
+ * vehicles are free to assign to moves
+ */
+
+const { Vehicle, Move } = require('../models');
+const ApiResponse = require('../utils/response');
+const { validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+
+// Fields a vehicle can be created or updated with
+const EDITABLE_FIELDS = [
+  'plateNumber',
+  'description',
+  'capacity',
+  'insurance',
+  'inspection',
+  'isActive',
+  'notes'
+];
+
+/**
+ * Pick editable fields from the request body
+ * Nested fields are set path by path so a partial update keeps the rest
+ */
+const pickVehicleFields = body =>
+  EDITABLE_FIELDS.reduce((fields, field) => {
+    const value = body[field];
+    if (value === undefined) return fields;
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.entries(value).forEach(([key, nested]) => {
+        if (key !== 'alertedFor') fields[`${field}.${key}`] = nested;
+      });
+    } else {
+      fields[field] = value;
+    }
+    return fields;
+  }, {});
+
+/**
+ * Get vehicles with search and pagination
+ */
+const getVehicles = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const {
+      page = 1,
+      limit = 50,
+      search,
+      includeInactive,
+      expiringWithinDays
+    } = req.query;
+
+    const pageNumber = parseInt(page, 10);
+    const limitNumber = parseInt(limit, 10);
+
+    const filter = {};
+
+    if (includeInactive !== 'true') {
+      filter.isActive = true;
+    }
+
+    if (search) {
+      // Escape the term so user input is matched literally
+      const pattern = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.$or = [
+        { plateNumber: { $regex: pattern, $options: 'i' } },
+        { description: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    if (expiringWithinDays !== undefined) {
+      const cutoff = new Date();
+      cutoff.setDate(cutoff.getDate() + parseInt(expiringWithinDays, 10));
+      filter.$and = [
+        {
+          $or: [
+            { 'insurance.expiresAt': { $lte: cutoff } },
+            { 'inspection.expiresAt': { $lte: cutoff } }
+          ]
+        }
+      ];
+    }
+
+    const [vehicles, totalCount] = await Promise.all([
+      Vehicle.find(filter)
+        .sort({ plateNumber: 1 })
+        .skip((pageNumber - 1) * limitNumber)
+        .limit(limitNumber),
+      Vehicle.countDocuments(filter)
+    ]);
+
+    ApiResponse.paginated(
+      res,
+      vehicles,
+      {
+        page: pageNumber,
+        limit: limitNumber,
+        total: totalCount
+      },
+      'Vehicles retrieved successfully'
+    );
+  } catch (error) {
+    logger.error('Get vehicles error:', error);
+    ApiResponse.error(res, 'Failed to retrieve vehicles', 500);
+  }
+};
+
+/**
+ * Get which vehicles can be assigned between two dates
+ * Vehicles that cannot are listed with the reasons: retired, in
+ * maintenance, insurance or inspection running out, or booked on a move
+ */
+const getVehicleAvailability = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const { startDate, endDate, minVolume, minTonnage, excludeMoveId } =
+      req.query;
+
+    const availability = await Vehicle.findAvailability({
+      startDate,
+      endDate,
+      minVolume,
+      minTonnage,
+      excludeMoveId
+    });
+
+    ApiResponse.success(
+      res,
+      availability,
+      'Vehicle availability retrieved successfully'
+    );
+  } catch (error) {
+    logger.error('Get vehicle availability error:', error);
+    ApiResponse.error(res, 'Failed to retrieve vehicle availability', 500);
+  }
+};
+
+/**
+ * Get single vehicle by ID with its upcoming moves
+ */
+const getVehicleById = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const vehicle = await Vehicle.findById(req.params.id)
+      .populate('maintenanceBlocks.createdBy', 'fullName')
+      .populate('createdBy', 'fullName email')
+      .populate('updatedBy', 'fullName email');
+
+    if (!vehicle) {
+      return ApiResponse.error(res, 'Vehicle not found', 404);
+    }
+
+    const upcomingMoves = await Move.find({
+      'vehicles.vehicleId': vehicle._id,
+      status: { $in: ['scheduled', 'in_progress'] }
+    })
+      .select('moveNumber status scheduledStart scheduledEnd client.name')
+      .sort({ scheduledStart: 1 })
+      .lean();
+
+    ApiResponse.success(
+      res,
+      { vehicle, upcomingMoves },
+      'Vehicle retrieved successfully'
+    );
+  } catch (error) {
+    logger.error('Get vehicle error:', error);
+    ApiResponse.error(res, 'Failed to retrieve vehicle', 500);
+  }
+};
+
+/**
+ * Create vehicle
+ */
+const createVehicle = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const vehicle = new Vehicle({ createdBy: req.user._id });
+    vehicle.set(pickVehicleFields(req.body));
+    await vehicle.save();
+
+    ApiResponse.success(res, { vehicle }, 'Vehicle created successfully', 201);
+  } catch (error) {
+    logger.error('Create vehicle error:', error);
+
+    if (error.code === 11000) {
+      return ApiResponse.error(
+        res,
+        'A vehicle with this plate number already exists',
+        409
+      );
+    }
+
+    if (error.name === 'ValidationError') {
+      return ApiResponse.validationError(res, Object.values(error.errors));
+    }
+
+    ApiResponse.error(res, 'Failed to create vehicle', 500);
+  }
+};
+
+/**
+ * Update vehicle
+ * A new plate number is carried to the vehicle's upcoming moves, so
+ * double-booking checks keep matching it
+ */
+const updateVehicle = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const vehicle = await Vehicle.findById(req.params.id);
+    if (!vehicle) {
+      return ApiResponse.error(res, 'Vehicle not found', 404);
+    }
+
+    vehicle.set(pickVehicleFields(req.body));
+    vehicle.updatedBy = req.user._id;
+
+    const plateChanged = vehicle.isModified('plateNumber');
+    await vehicle.save();
+
+    if (plateChanged) {
+      await Move.updateMany(
+        {
+          'vehicles.vehicleId': vehicle._id,
+          status: { $in: ['scheduled', 'in_progress'] }
+        },
+        { $set: { 'vehicles.$[assigned].plateNumber': vehicle.plateNumber } },
+        { arrayFilters: [{ 'assigned.vehicleId': vehicle._id }] }
+      );
+    }
+
+    ApiResponse.success(res, { vehicle }, 'Vehicle updated successfully');
+  } catch (error) {
+    logger.error('Update vehicle error:', error);
+
+    if (error.code === 11000) {
+      return ApiResponse.error(
+        res,
+        'A vehicle with this plate number already exists',
+        409
+      );
+    }
+
+    if (error.name === 'ValidationError') {
+      return ApiResponse.validationError(res, Object.values(error.errors));
+    }
+
+    ApiResponse.error(res, 'Failed to update vehicle', 500);
+  }
+};
+
+/**
+ * Take a vehicle off the road for maintenance
+ * Blocks cover whole days and cannot overlap moves the vehicle is booked on
+ */
+const addMaintenanceBlock = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const { startDate, endDate, reason } = req.body;
+
+    const vehicle = await Vehicle.findById(req.params.id);
+    if (!vehicle) {
+      return ApiResponse.error(res, 'Vehicle not found', 404);
+    }
+
+    const bookings = await Move.findScheduleConflicts({
+      scheduledStart: startDate,
+      scheduledEnd: endDate,
+      plateNumbers: [vehicle.plateNumber]
+    });
+
+    if (bookings.length > 0) {
+      return ApiResponse.error(
+        res,
+        'The vehicle is booked on moves during that time; reassign them first',
+        409,
+        bookings.map(booking => booking.move)
+      );
+    }
+
+    vehicle.maintenanceBlocks.push({
+      startDate,
+      endDate,
+      reason,
+      createdBy: req.user._id
+    });
+    vehicle.updatedBy = req.user._id;
+    await vehicle.save();
+
+    ApiResponse.success(
+      res,
+      { vehicle },
+      'Maintenance scheduled successfully',
+      201
+    );
+  } catch (error) {
+    logger.error('Add maintenance block error:', error);
+
+    if (error.name === 'ValidationError') {
+      return ApiResponse.validationError(res, Object.values(error.errors));
+    }
+
+    ApiResponse.error(res, 'Failed to schedule maintenance', 500);
+  }
+};
+
+/**
+ * Remove a maintenance block
+ */
+const removeMaintenanceBlock = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const vehicle = await Vehicle.findById(req.params.id);
+    if (!vehicle) {
+      return ApiResponse.error(res, 'Vehicle not found', 404);
+    }
+
+    const block = vehicle.maintenanceBlocks.id(req.params.blockId);
+    if (!block) {
+      return ApiResponse.error(res, 'Maintenance block not found', 404);
+    }
+
+    block.deleteOne();
+    vehicle.updatedBy = req.user._id;
+    await vehicle.save();
+
+    ApiResponse.success(res, { vehicle }, 'Maintenance removed successfully');
+  } catch (error) {
+    logger.error('Remove maintenance block error:', error);
+    ApiResponse.error(res, 'Failed to remove maintenance', 500);
+  }
+};
+
+/**
+ * Delete a vehicle no move uses
+ * Vehicles assigned to moves are deactivated instead, so moves keep their
+ * reference
+ */
+const deleteVehicle = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ApiResponse.validationError(res, errors.array());
+    }
+
+    const vehicle = await Vehicle.findById(req.params.id);
+    if (!vehicle) {
+      return ApiResponse.error(res, 'Vehicle not found', 404);
+    }
+
+    const moveCount = await Move.countDocuments({
+      'vehicles.vehicleId': vehicle._id
+    });
+
+    if (moveCount > 0) {
+      return ApiResponse.error(
+        res,
+        'Vehicle is assigned to moves and cannot be deleted; deactivate it instead',
+        409,
+        { moveCount }
+      );
+    }
+
+    await Vehicle.findByIdAndDelete(vehicle._id);
+
+    ApiResponse.success(res, null, 'Vehicle deleted successfully');
+  } catch (error) {
+    logger.error('Delete vehicle error:', error);
+    ApiResponse.error(res, 'Failed to delete vehicle', 500);
+  }
+};
+
+module.exports = {
+  getVehicles,
+  getVehicleAvailability,
+  getVehicleById,
+  createVehicle,
+  updateVehicle,
+  addMaintenanceBlock,
+  removeMaintenanceBlock,
+  deleteVehicle
+};
@@ -0,0 +1,199 @@
+/**
+ * Audit Chain Verification Job
+ * Seals pending audit log entries, including those left by a previous
+ * process, and verifies the hash chain, alerting admins when a broken link is
+ * found
+ */
+
+const AuditService = require('../services/audit.service');
+const AuditLog = require('../models/AuditLog.model');
+const Notification = require('../models/Notification.model');
+const User = require('../models/User.model');
+const logger = require('../utils/logger');
+
+class AuditChainVerificationJob {
+  constructor() {
+    this.name = 'AuditChainVerificationJob';
+    this.isRunning = false;
+    this.lastRun = null;
+    this.lastResult = null;
+    this.stats = {
+      totalRuns: 0,
+      failedVerifications: 0,
+      lastCheckedEntries: 0,
+      averageProcessingTime: 0,
+      errors: 0
+    };
+  }
+
+  /**
+   * Execute the verification job
+   */
+  async execute() {
+    if (this.isRunning) {
+      logger.info('⏳ Audit chain verification already running, skipping...');
+      return this.lastResult;
+    }
+
+    this.isRunning = true;
+    const startTime = Date.now();
+
+    try {
+      logger.info('🔄 Starting audit log chain verification...');
+
+      const result = await AuditService.verifyChain();
+      const wasValid = !this.lastResult || this.lastResult.valid;
+
+      const processingTime = Date.now() - startTime;
+      this.stats.totalRuns++;
+      this.stats.lastCheckedEntries = result.checkedEntries;
+      this.stats.averageProcessingTime =
+        (this.stats.averageProcessingTime * (this.stats.totalRuns - 1) +
+          processingTime) /
+        this.stats.totalRuns;
+
+      this.lastRun = new Date();
+      this.lastResult = result;
+
+      if (result.sealedEntries > 0) {
+        logger.info(
+          `🔗 Sealed ${result.sealedEntries} pending audit log entries before verifying`
+        );
+      }
+
+      if (result.valid) {
+        logger.info(
+          `✅ Audit log chain verified: ${result.checkedEntries} entries in ${processingTime}ms`
+        );
+      } else {
+        this.stats.failedVerifications++;
+        logger.error(
+          `🚨 Audit log chain broken at sequence ${result.firstBrokenLink.sequence}: ${result.firstBrokenLink.reason}`
+        );
+
+        // Alert once when the chain breaks, not on every run after
+        if (wasValid) {
+          await this.notifyAdmins(result);
+        }
+      }
+
+      return result;
+    } catch (error) {
+      this.stats.errors++;
+      logger.error('❌ Error in audit chain verification job:', error);
+      throw error;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Send a security alert to all active admins
+   */
+  async notifyAdmins(result) {
+    try {
+      const admins = await User.find({ role: 'admin', status: 'active' });
+      if (admins.length === 0) return;
+
+      const { sequence, reason } = result.firstBrokenLink;
+
+      await Notification.create({
+        userId: admins[0]._id,
+        recipientUserIds: admins.map(admin => admin._id),
+        type: 'security_alert',
+        title: 'Audit Log Tampering Detected',
+        message: `Audit log verification failed at entry ${sequence}: ${reason}`,
+        priority: 'urgent',
+        actionUrl: '/admin/audit',
+        adminManaged: true,
+        metadata: {
+          system: true,
+          firstBrokenLink: result.firstBrokenLink
+        }
+      });
+    } catch (error) {
+      logger.error('❌ Failed to notify admins of broken audit chain:', error);
+    }
+  }
+
+  /**
+   * Seal entries left pending when the process last stopped
+   * New entries are sealed by a timer in the process that wrote them, so
+   * entries written just before a crash or restart wait for this sweep.
+   */
+  async sealBacklog() {
+    try {
+      const sealedCount = await AuditLog.sealPendingEntries();
+      if (sealedCount > 0) {
+        logger.info(`🔗 Sealed ${sealedCount} pending audit log entries`);
+      }
+      return sealedCount;
+    } catch (error) {
+      this.stats.errors++;
+      logger.error('❌ Failed to seal pending audit log entries:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Schedule the job to run periodically
+   */
+  start(intervalHours = 24) {
+    logger.info(
+      `📅 Scheduling audit chain verification job every ${intervalHours} hours`
+    );
+
+    // Seal what a previous process left unsealed straight away
+    this.sealBacklog();
+
+    // Run shortly after startup
+    setTimeout(() => {
+      this.execute().catch(logger.error);
+    }, 60000); // Wait 1 minute after startup
+
+    // Then run periodically
+    this.interval = setInterval(
+      () => {
+        this.execute().catch(logger.error);
+      },
+      intervalHours * 60 * 60 * 1000
+    );
+
+    return this;
+  }
+
+  /**
+   * Stop the scheduled job
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+      logger.info('⏹️ Audit chain verification job stopped');
+    }
+  }
+
+  /**
+   * Get job statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      isRunning: this.isRunning,
+      lastRun: this.lastRun,
+      lastResult: this.lastResult
+    };
+  }
+
+  /**
+   * Force run the job manually
+   */
+  async runNow() {
+    logger.info('🔧 Manually triggering audit chain verification job...');
+    return await this.execute();
+  }
+}
+
+// Export singleton instance
+const auditChainVerificationJob = new AuditChainVerificationJob();
+module.exports = auditChainVerificationJob;
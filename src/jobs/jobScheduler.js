@@ -6,6 +6,9 @@
 const notificationReadStatusJob = require('./notificationReadStatus.job');
 const notificationLifecycleJob = require('./notificationLifecycle.job');
 const notificationCleanupJob = require('./notificationCleanup.job');
+const auditChainVerificationJob = require('./auditChainVerification.job');
+const vehicleDocumentExpiryJob = require('./vehicleDocumentExpiry.job');
+const storageBillingJob = require('./storageBilling.job');
 const notificationService = require('../services/notification.service');
 
 class JobScheduler {
@@ -27,6 +30,15 @@ class JobScheduler {
     // Register notification cleanup job (Phase 5)
     this.jobs.set('notificationCleanup', notificationCleanupJob);
 
+    // Register audit log hash chain verification job
+    this.jobs.set('auditChainVerification', auditChainVerificationJob);
+
+    // Register vehicle insurance and inspection expiry job
+    this.jobs.set('vehicleDocumentExpiry', vehicleDocumentExpiryJob);
+
+    // Register monthly storage receipt billing job
+    this.jobs.set('storageBilling', storageBillingJob);
+
     console.log(`📋 Registered ${this.jobs.size} background jobs`);
   }
 
@@ -53,6 +65,15 @@ class JobScheduler {
     // Start notification cleanup job (runs daily, configurable)
     notificationCleanupJob.start(24); // 24 hours interval
 
+    // Start audit log hash chain verification (runs every 24 hours)
+    auditChainVerificationJob.start(24);
+
+    // Start vehicle insurance and inspection expiry check (runs every 24 hours)
+    vehicleDocumentExpiryJob.start(24);
+
+    // Start storage contract billing (runs every 24 hours)
+    storageBillingJob.start(24);
+
     // Start notification service periodic checks (runs every 10 minutes)
     // TEMPORARILY DISABLED - Causing notifications on every page refresh
     // if (!notificationService.isMonitoring) {
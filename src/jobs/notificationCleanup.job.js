@@ -5,12 +5,14 @@
 
 const Notification = require('../models/Notification.model');
 const User = require('../models/User.model');
+const NotificationSettings = require('../models/NotificationSettings.model');
 
 class NotificationCleanupJob {
   constructor() {
     this.name = 'NotificationCleanupJob';
     this.isRunning = false;
     this.lastRun = null;
+    this.config = null;
     this.stats = {
       totalRuns: 0,
       notificationsArchived: 0,
@@ -24,30 +26,12 @@ class NotificationCleanupJob {
 
   /**
    * Get current cleanup configuration
+   * Read from the saved notification settings on every run, so admin changes
+   * apply without a restart
    */
-  getCleanupConfig() {
-    const defaultConfig = {
-      autoDeleteReadNotifications: false,
-      maxRetentionDays: 90,
-      reminderDaysBeforeExpiry: 1,
-      importantNotificationTypes: [
-        'payment_overdue',
-        'security_alert',
-        'system_maintenance'
-      ],
-      autoExtendImportant: true,
-      notificationBatchSize: 100,
-      archiveBeforeDelete: true,
-      minAgeForArchiving: 60, // days
-      minAgeForDeletion: 180, // days
-      preserveImportantNotifications: true,
-      maxArchiveSize: 10000, // max notifications to keep in archive
-      cleanupSchedule: 'daily', // daily, weekly, monthly
-      enableAutoCleanup: true
-    };
-
-    // Get settings from global config or use defaults
-    return { ...defaultConfig, ...(global.notificationSettings || {}) };
+  async getCleanupConfig() {
+    this.config = await NotificationSettings.getCurrent();
+    return this.config;
   }
 
   /**
@@ -65,7 +49,7 @@ class NotificationCleanupJob {
     try {
       console.log('🧹 Starting notification auto-cleanup job...');
 
-      const config = this.getCleanupConfig();
+      const config = await this.getCleanupConfig();
 
       if (!config.enableAutoCleanup) {
         console.log('⏸️ Auto-cleanup is disabled in configuration');
@@ -447,13 +431,7 @@ class NotificationCleanupJob {
    * Schedule the cleanup job
    */
   start(intervalHours = 24) {
-    const config = this.getCleanupConfig();
-
-    if (!config.enableAutoCleanup) {
-      console.log('⏸️ Auto-cleanup is disabled, not scheduling cleanup job');
-      return this;
-    }
-
+    // Always scheduled; each run checks whether auto-cleanup is enabled
     console.log(
       `🗓️ Scheduling notification cleanup job every ${intervalHours} hours`
     );
@@ -494,7 +472,7 @@ class NotificationCleanupJob {
       isRunning: this.isRunning,
       lastRun: this.lastRun,
       nextRun: this.getNextRunTime(),
-      config: this.getCleanupConfig()
+      config: this.config
     };
   }
 
@@ -523,7 +501,7 @@ class NotificationCleanupJob {
   async dryRun() {
     console.log('🔍 Running cleanup dry run (no changes will be made)...');
 
-    const config = this.getCleanupConfig();
+    const config = await this.getCleanupConfig();
 
     // Calculate what would be archived
     const archiveCutoffDate = new Date();
@@ -1,13 +1,15 @@
 /**
  * Notification Lifecycle Management Job
- * Handles 30-day lifecycle management for notifications
- * - Checks for notifications approaching 30 days
+ * Handles lifecycle management for notifications
+ * - Checks for notifications older than the review age in the notification
+ *   settings (30 days by default)
  * - Sends reminders to admin
  * - Updates lifecycle status to pending_review
  */
 
 const Notification = require('../models/Notification.model');
 const User = require('../models/User.model');
+const NotificationSettings = require('../models/NotificationSettings.model');
 
 class NotificationLifecycleJob {
   constructor() {
@@ -39,12 +41,15 @@ class NotificationLifecycleJob {
     try {
       console.log('🔄 Starting notification lifecycle management job...');
 
-      // Find notifications that are 30 days old and need admin review
-      const thirtyDaysAgo = new Date();
-      thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+      // Settings are read on every run so admin changes apply immediately
+      const config = await NotificationSettings.getCurrent();
+
+      // Find notifications old enough to need admin review
+      const reviewCutoff = new Date();
+      reviewCutoff.setDate(reviewCutoff.getDate() - config.lifecycleReviewDays);
 
       const notificationsNeedingReview = await Notification.find({
-        createdAt: { $lte: thirtyDaysAgo },
+        createdAt: { $lte: reviewCutoff },
         lifecycleStatus: 'active',
         adminManaged: true,
         reminderSentAt: { $exists: false } // Haven't sent reminder yet
@@ -66,7 +71,7 @@ class NotificationLifecycleJob {
       let statusUpdates = 0;
 
       // Process notifications in batches to avoid overwhelming the system
-      const batchSize = 50;
+      const batchSize = config.notificationBatchSize;
       for (let i = 0; i < notificationsNeedingReview.length; i += batchSize) {
         const batch = notificationsNeedingReview.slice(i, i + batchSize);
 
@@ -83,7 +88,7 @@ class NotificationLifecycleJob {
             );
 
             // Send reminder notification to admin users
-            await this.sendAdminReminder(notification);
+            await this.sendAdminReminder(notification, config);
             remindersSent++;
           } catch (error) {
             console.error(
@@ -113,7 +118,7 @@ class NotificationLifecycleJob {
       );
 
       // Also check for notifications that need auto-extension
-      await this.checkAutoExtensions();
+      await this.checkAutoExtensions(config);
     } catch (error) {
       this.stats.errors++;
       console.error('❌ Error in notification lifecycle job:', error);
@@ -126,7 +131,7 @@ class NotificationLifecycleJob {
   /**
    * Send reminder notification to admin users
    */
-  async sendAdminReminder(originalNotification) {
+  async sendAdminReminder(originalNotification, config) {
     try {
       // Find admin users
       const adminUsers = await User.find({
@@ -147,7 +152,7 @@ class NotificationLifecycleJob {
       const reminderData = {
         type: 'system_maintenance',
         title: 'Notification Lifecycle Review Required',
-        message: `Notification "${originalNotification.title}" (created ${originalNotification.createdAt.toDateString()}) requires admin review after 30 days.`,
+        message: `Notification "${originalNotification.title}" (created ${originalNotification.createdAt.toDateString()}) requires admin review after ${config.lifecycleReviewDays} days.`,
         priority: 'high',
         actionUrl: '/admin/notifications/pending-review',
         actionText: 'Review Notifications',
@@ -186,18 +191,16 @@ class NotificationLifecycleJob {
   /**
    * Check for notifications that should be auto-extended
    */
-  async checkAutoExtensions() {
+  async checkAutoExtensions(config) {
     try {
-      // Find important notification types that should be auto-extended
-      const importantTypes = [
-        'payment_overdue',
-        'security_alert',
-        'system_maintenance'
-      ];
+      if (!config.autoExtendImportant) {
+        return;
+      }
 
+      // Find important notification types that should be auto-extended
       const notificationsToExtend = await Notification.find({
         lifecycleStatus: 'pending_review',
-        type: { $in: importantTypes },
+        type: { $in: config.importantNotificationTypes },
         extendedUntil: { $exists: false } // Haven't been extended yet
       });
 
@@ -210,9 +213,8 @@ class NotificationLifecycleJob {
       );
 
       for (const notification of notificationsToExtend) {
-        // Extend by 30 more days
         const extendUntil = new Date();
-        extendUntil.setDate(extendUntil.getDate() + 30);
+        extendUntil.setDate(extendUntil.getDate() + config.autoExtendDays);
 
         notification.lifecycleStatus = 'extended';
         notification.extendedUntil = extendUntil;
@@ -4,6 +4,7 @@
  */
 
 const Notification = require('../models/Notification.model');
+const NotificationSettings = require('../models/NotificationSettings.model');
 const notificationCleanupJob = require('./notificationCleanup.job');
 
 class NotificationReadStatusJob {
@@ -184,7 +185,7 @@ class NotificationReadStatusJob {
    */
   async triggerAutoCleanupIfConfigured() {
     try {
-      const config = global.notificationSettings || {};
+      const config = await NotificationSettings.getCurrent();
 
       // Only trigger cleanup if auto-delete is enabled and it's been long enough since last cleanup
       if (config.autoDeleteReadNotifications && config.enableAutoCleanup) {
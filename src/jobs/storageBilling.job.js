@@ -0,0 +1,142 @@
+/**
+ * Storage Billing Job
+ * Issues monthly storage receipts for storage contracts once each month
+ * has passed
+ */
+
+const StorageContract = require('../models/StorageContract.model');
+const storageBillingService = require('../services/storageBilling.service');
+const logger = require('../utils/logger');
+
+class StorageBillingJob {
+  constructor() {
+    this.name = 'StorageBillingJob';
+    this.isRunning = false;
+    this.lastRun = null;
+    this.stats = {
+      totalRuns: 0,
+      contractsBilled: 0,
+      receiptsIssued: 0,
+      averageProcessingTime: 0,
+      errors: 0
+    };
+  }
+
+  /**
+   * Execute the billing run
+   */
+  async execute() {
+    if (this.isRunning) {
+      logger.info('⏳ Storage billing already running, skipping...');
+      return;
+    }
+
+    this.isRunning = true;
+    const startTime = Date.now();
+
+    try {
+      logger.info('🔄 Issuing storage receipts...');
+
+      const contracts = await StorageContract.findBillable();
+
+      let contractsBilled = 0;
+      let receiptsIssued = 0;
+
+      for (const contract of contracts) {
+        try {
+          const receipts = await storageBillingService.billContract(contract);
+          if (receipts.length > 0) contractsBilled++;
+          receiptsIssued += receipts.length;
+        } catch (error) {
+          logger.error(
+            `❌ Error billing storage contract ${contract.contractNumber}:`,
+            error
+          );
+          this.stats.errors++;
+        }
+      }
+
+      const processingTime = Date.now() - startTime;
+      this.stats.totalRuns++;
+      this.stats.contractsBilled += contractsBilled;
+      this.stats.receiptsIssued += receiptsIssued;
+      this.stats.averageProcessingTime =
+        (this.stats.averageProcessingTime * (this.stats.totalRuns - 1) +
+          processingTime) /
+        this.stats.totalRuns;
+      this.lastRun = new Date();
+
+      logger.info(
+        `✅ Storage billing completed: ${receiptsIssued} receipts issued for ${contractsBilled} contracts`
+      );
+
+      return { contracts: contracts.length, contractsBilled, receiptsIssued };
+    } catch (error) {
+      this.stats.errors++;
+      logger.error('❌ Error in storage billing job:', error);
+      throw error;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Schedule the job to run periodically
+   * Runs daily so receipts go out on the first day after each month ends,
+   * and contracts ending mid-month are billed the day after they end
+   */
+  start(intervalHours = 24) {
+    logger.info(
+      `📅 Scheduling storage billing job every ${intervalHours} hours`
+    );
+
+    // Run shortly after startup
+    setTimeout(() => {
+      this.execute().catch(logger.error);
+    }, 120000); // Wait 2 minutes after startup
+
+    // Then run periodically
+    this.interval = setInterval(
+      () => {
+        this.execute().catch(logger.error);
+      },
+      intervalHours * 60 * 60 * 1000
+    );
+
+    return this;
+  }
+
+  /**
+   * Stop the scheduled job
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+      logger.info('⏹️ Storage billing job stopped');
+    }
+  }
+
+  /**
+   * Get job statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      isRunning: this.isRunning,
+      lastRun: this.lastRun
+    };
+  }
+
+  /**
+   * Force run the job manually
+   */
+  async runNow() {
+    logger.info('🔧 Manually triggering storage billing job...');
+    return await this.execute();
+  }
+}
+
+// Export singleton instance
+const storageBillingJob = new StorageBillingJob();
+module.exports = storageBillingJob;
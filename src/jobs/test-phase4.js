@@ -6,6 +6,7 @@
 const mongoose = require('mongoose');
 const Notification = require('../models/Notification.model');
 const User = require('../models/User.model');
+const NotificationSettings = require('../models/NotificationSettings.model');
 
 async function testPhase4AdminInterface() {
   try {
@@ -392,39 +393,44 @@ async function testLifecycleExtension() {
 async function testSettingsManagement() {
   console.log('  ⚙️ Testing settings management...');
 
-  // Test default settings
-  const defaultSettings = {
-    autoDeleteReadNotifications: false,
-    maxRetentionDays: 30,
-    reminderDaysBeforeExpiry: 1,
-    importantNotificationTypes: ['payment_overdue', 'security_alert'],
-    autoExtendImportant: true,
-    notificationBatchSize: 100
-  };
+  // Test current settings
+  const currentSettings = await NotificationSettings.getCurrent();
 
-  console.log('  📋 Default settings:');
-  Object.entries(defaultSettings).forEach(([key, value]) => {
-    console.log(`    ${key}: ${JSON.stringify(value)}`);
+  console.log(`  📋 Current settings (version ${currentSettings.version}):`);
+  NotificationSettings.getSettingFields().forEach(field => {
+    console.log(`    ${field}: ${JSON.stringify(currentSettings[field])}`);
   });
 
   // Test settings update
-  const updatedSettings = {
-    ...defaultSettings,
-    maxRetentionDays: 60,
-    reminderDaysBeforeExpiry: 2,
-    notificationBatchSize: 150,
-    updatedBy: global.testAdminUser._id,
-    updatedAt: new Date()
-  };
-
-  global.notificationSettings = updatedSettings;
+  const { settings: updatedSettings, changedFields } =
+    await NotificationSettings.saveVersion(
+      {
+        maxRetentionDays: 60,
+        reminderDaysBeforeExpiry: 2,
+        notificationBatchSize: 150
+      },
+      {
+        updatedBy: global.testAdminUser._id,
+        reason: 'Phase 4 settings test',
+        expectedVersion: currentSettings.version
+      }
+    );
 
-  console.log('  ✅ Settings updated successfully');
+  console.log(
+    `  ✅ Settings updated to version ${updatedSettings.version} (${changedFields.join(', ')})`
+  );
   console.log(`  📝 Max retention days: ${updatedSettings.maxRetentionDays}`);
   console.log(
     `  📝 Reminder days: ${updatedSettings.reminderDaysBeforeExpiry}`
   );
   console.log(`  📝 Batch size: ${updatedSettings.notificationBatchSize}`);
+
+  // Restore the previous values as another version
+  await NotificationSettings.saveVersion(currentSettings, {
+    updatedBy: global.testAdminUser._id,
+    reason: 'Restore settings after Phase 4 test'
+  });
+  console.log('  ↩️ Previous settings restored');
 }
 
 async function testAnalytics() {
@@ -538,7 +544,6 @@ async function cleanupTestData() {
   );
 
   // Clear global test settings
-  delete global.notificationSettings;
   delete global.testAdminUser;
   delete global.testUsers;
 }
@@ -6,9 +6,13 @@
 const mongoose = require('mongoose');
 const Notification = require('../models/Notification.model');
 const User = require('../models/User.model');
+const NotificationSettings = require('../models/NotificationSettings.model');
 const notificationCleanupJob = require('./notificationCleanup.job');
 const notificationReadStatusJob = require('./notificationReadStatus.job');
 
+// Settings in effect before the test, restored during cleanup
+let originalSettings = null;
+
 async function testPhase5Optimization() {
   try {
     console.log('🧪 Starting Phase 5 Auto-Cleanup & Optimization Test...\n');
@@ -193,7 +197,8 @@ async function setupPhase5TestData() {
 async function testCleanupConfiguration() {
   console.log('  ⚙️ Testing default configuration...');
 
-  const defaultConfig = notificationCleanupJob.getCleanupConfig();
+  const defaultConfig = await notificationCleanupJob.getCleanupConfig();
+  originalSettings = defaultConfig;
   console.log('  📋 Default cleanup configuration:');
   Object.entries(defaultConfig).forEach(([key, value]) => {
     console.log(`    ${key}: ${JSON.stringify(value)}`);
@@ -201,23 +206,29 @@ async function testCleanupConfiguration() {
 
   console.log('\n  ⚙️ Testing custom configuration...');
 
-  // Set custom configuration
-  global.notificationSettings = {
-    autoDeleteReadNotifications: true,
-    maxRetentionDays: 60,
-    reminderDaysBeforeExpiry: 2,
-    importantNotificationTypes: ['payment_overdue', 'security_alert'],
-    autoExtendImportant: true,
-    notificationBatchSize: 50,
-    archiveBeforeDelete: true,
-    minAgeForArchiving: 35,
-    minAgeForDeletion: 90,
-    preserveImportantNotifications: true,
-    maxArchiveSize: 5000,
-    enableAutoCleanup: true
-  };
+  // Save a custom configuration as a new settings version
+  await NotificationSettings.saveVersion(
+    {
+      autoDeleteReadNotifications: true,
+      maxRetentionDays: 60,
+      reminderDaysBeforeExpiry: 2,
+      importantNotificationTypes: ['payment_overdue', 'security_alert'],
+      autoExtendImportant: true,
+      notificationBatchSize: 50,
+      archiveBeforeDelete: true,
+      minAgeForArchiving: 35,
+      minAgeForDeletion: 90,
+      preserveImportantNotifications: true,
+      maxArchiveSize: 5000,
+      enableAutoCleanup: true
+    },
+    {
+      updatedBy: global.testAdminUser._id,
+      reason: 'Phase 5 test configuration'
+    }
+  );
 
-  const customConfig = notificationCleanupJob.getCleanupConfig();
+  const customConfig = await notificationCleanupJob.getCleanupConfig();
   console.log('  📋 Custom cleanup configuration applied:');
   console.log(`    Archiving age: ${customConfig.minAgeForArchiving} days`);
   console.log(`    Deletion age: ${customConfig.minAgeForDeletion} days`);
@@ -295,7 +306,7 @@ async function testAutoCleanupRules() {
   console.log('  🧹 Testing auto-cleanup rules...');
 
   // Test cleanup of read notifications (if enabled)
-  const config = global.notificationSettings;
+  const config = await NotificationSettings.getCurrent();
 
   if (config.autoDeleteReadNotifications) {
     const readNotificationsOld = await Notification.countDocuments({
@@ -369,7 +380,7 @@ async function testArchiveSizeManagement() {
 
   console.log(`  📊 Total archived notifications: ${totalArchived}`);
 
-  const config = global.notificationSettings;
+  const config = await NotificationSettings.getCurrent();
   if (totalArchived > config.maxArchiveSize) {
     console.log(
       `  ⚠️ Archive size (${totalArchived}) exceeds limit (${config.maxArchiveSize})`
@@ -514,8 +525,13 @@ async function testReadStatusIntegration() {
   console.log('  🔗 Testing read status job integration...');
 
   // Mock configuration for auto-cleanup trigger
-  global.notificationSettings.autoDeleteReadNotifications = true;
-  global.notificationSettings.enableAutoCleanup = true;
+  await NotificationSettings.saveVersion(
+    { autoDeleteReadNotifications: true, enableAutoCleanup: true },
+    {
+      updatedBy: global.testAdminUser._id,
+      reason: 'Phase 5 read status integration test'
+    }
+  );
 
   // Get initial cleanup stats
   const initialCleanupStats = notificationCleanupJob.getStats();
@@ -594,8 +610,15 @@ async function cleanupPhase5TestData() {
     `👤 ${testUserCount} test users remain (not deleted for potential reuse)`
   );
 
+  // Restore the settings in effect before the test
+  if (originalSettings) {
+    await NotificationSettings.saveVersion(originalSettings, {
+      reason: 'Restore settings after Phase 5 test'
+    });
+    originalSettings = null;
+  }
+
   // Clear global test settings
-  delete global.notificationSettings;
   delete global.testAdminUser;
   delete global.testUsers;
 
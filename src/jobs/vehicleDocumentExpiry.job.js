@@ -0,0 +1,190 @@
+/**
+ * Vehicle Document Expiry Job
+ * Warns admins when a fleet vehicle's insurance or inspection is about to
+ * run out, once per expiry date
+ */
+
+const Vehicle = require('../models/Vehicle.model');
+const Notification = require('../models/Notification.model');
+const User = require('../models/User.model');
+const logger = require('../utils/logger');
+
+// How far ahead expiring documents are warned about
+const WARNING_DAYS = 30;
+
+const DOCUMENT_LABELS = {
+  insurance: 'Insurance',
+  inspection: 'Inspection'
+};
+
+class VehicleDocumentExpiryJob {
+  constructor() {
+    this.name = 'VehicleDocumentExpiryJob';
+    this.isRunning = false;
+    this.lastRun = null;
+    this.stats = {
+      totalRuns: 0,
+      alertsSent: 0,
+      averageProcessingTime: 0,
+      errors: 0
+    };
+  }
+
+  /**
+   * Execute the expiry check
+   */
+  async execute() {
+    if (this.isRunning) {
+      logger.info(
+        '⏳ Vehicle document expiry check already running, skipping...'
+      );
+      return;
+    }
+
+    this.isRunning = true;
+    const startTime = Date.now();
+
+    try {
+      logger.info('🔄 Checking vehicle insurance and inspection expiry...');
+
+      const cutoff = new Date();
+      cutoff.setDate(cutoff.getDate() + WARNING_DAYS);
+
+      const expiring = await Vehicle.findExpiringDocuments(cutoff);
+      const admins =
+        expiring.length > 0
+          ? await User.find({ role: 'admin', status: 'active' }).select('_id')
+          : [];
+
+      let alertsSent = 0;
+
+      // Without an active admin the warnings wait for the next run
+      for (const item of admins.length > 0 ? expiring : []) {
+        try {
+          await this.notifyAdmins(admins, item);
+          alertsSent++;
+
+          // Remember the expiry date warned about so the next run skips it
+          await Vehicle.updateOne(
+            { _id: item.vehicle._id },
+            { $set: { [`${item.document}.alertedFor`]: item.expiresAt } }
+          );
+        } catch (error) {
+          logger.error(
+            `❌ Error warning about ${item.document} for vehicle ${item.vehicle.plateNumber}:`,
+            error
+          );
+          this.stats.errors++;
+        }
+      }
+
+      const processingTime = Date.now() - startTime;
+      this.stats.totalRuns++;
+      this.stats.alertsSent += alertsSent;
+      this.stats.averageProcessingTime =
+        (this.stats.averageProcessingTime * (this.stats.totalRuns - 1) +
+          processingTime) /
+        this.stats.totalRuns;
+      this.lastRun = new Date();
+
+      logger.info(
+        `✅ Vehicle document expiry check completed: ${alertsSent} alerts sent`
+      );
+
+      return { expiring: expiring.length, alertsSent };
+    } catch (error) {
+      this.stats.errors++;
+      logger.error('❌ Error in vehicle document expiry job:', error);
+      throw error;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Warn all active admins about one expiring document
+   */
+  async notifyAdmins(admins, { vehicle, document, expiresAt }) {
+    const label = DOCUMENT_LABELS[document];
+    const hasExpired = expiresAt < new Date();
+
+    await Notification.create({
+      userId: admins[0]._id,
+      recipientUserIds: admins.map(admin => admin._id),
+      type: 'vehicle_document_expiring',
+      title: `${label} ${hasExpired ? 'Expired' : 'Expiring'}: ${vehicle.plateNumber}`,
+      message: `${label} for ${vehicle.plateNumber}${vehicle.description ? ` (${vehicle.description})` : ''} ${hasExpired ? 'expired' : 'expires'} on ${expiresAt.toDateString()}. The vehicle cannot be assigned to moves after that date until it is renewed.`,
+      priority: hasExpired ? 'urgent' : 'high',
+      actionUrl: `/vehicles/${vehicle._id}`,
+      actionText: 'View Vehicle',
+      adminManaged: true,
+      metadata: {
+        system: true,
+        documentType: 'Vehicle',
+        documentId: vehicle._id,
+        documentNumber: vehicle.plateNumber,
+        vehicleDocument: document,
+        expiresAt
+      }
+    });
+  }
+
+  /**
+   * Schedule the job to run periodically
+   */
+  start(intervalHours = 24) {
+    logger.info(
+      `📅 Scheduling vehicle document expiry job every ${intervalHours} hours`
+    );
+
+    // Run shortly after startup
+    setTimeout(() => {
+      this.execute().catch(logger.error);
+    }, 90000); // Wait 1.5 minutes after startup
+
+    // Then run periodically
+    this.interval = setInterval(
+      () => {
+        this.execute().catch(logger.error);
+      },
+      intervalHours * 60 * 60 * 1000
+    );
+
+    return this;
+  }
+
+  /**
+   * Stop the scheduled job
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+      logger.info('⏹️ Vehicle document expiry job stopped');
+    }
+  }
+
+  /**
+   * Get job statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      isRunning: this.isRunning,
+      lastRun: this.lastRun,
+      warningDays: WARNING_DAYS
+    };
+  }
+
+  /**
+   * Force run the job manually
+   */
+  async runNow() {
+    logger.info('🔧 Manually triggering vehicle document expiry job...');
+    return await this.execute();
+  }
+}
+
+// Export singleton instance
+const vehicleDocumentExpiryJob = new VehicleDocumentExpiryJob();
+module.exports = vehicleDocumentExpiryJob;
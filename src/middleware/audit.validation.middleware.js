@@ -0,0 +1,88 @@
+/**
+ * Audit Log Validation Middleware
+ */
+
+const { query } = require('express-validator');
+const AuditLog = require('../models/AuditLog.model');
+
+const auditActions = AuditLog.schema.path('action').enumValues;
+const auditEntityTypes = AuditLog.schema.path('entityType').enumValues;
+
+const auditFilterValidation = [
+  query('userId').optional().isMongoId().withMessage('Invalid user ID'),
+
+  query('action')
+    .optional()
+    .isIn(auditActions)
+    .withMessage('Invalid audit action'),
+
+  query('entityType')
+    .optional()
+    .isIn(auditEntityTypes)
+    .withMessage('Invalid entity type'),
+
+  query('entityId').optional().isMongoId().withMessage('Invalid entity ID'),
+
+  query('riskLevel')
+    .optional()
+    .isIn(['low', 'medium', 'high', 'critical'])
+    .withMessage('Risk level must be low, medium, high, or critical'),
+
+  query('success')
+    .optional()
+    .isBoolean()
+    .withMessage('Success must be true or false'),
+
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid date format for startDate'),
+
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid date format for endDate')
+];
+
+const auditListValidation = [
+  ...auditFilterValidation,
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  query('sortOrder')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Sort order must be asc or desc')
+];
+
+const auditSearchValidation = [
+  ...auditListValidation,
+
+  query('q')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Search term must be between 2 and 100 characters')
+];
+
+const auditExportValidation = [
+  ...auditFilterValidation,
+
+  query('format')
+    .optional()
+    .isIn(['csv', 'json'])
+    .withMessage('Export format must be csv or json')
+];
+
+module.exports = {
+  auditListValidation,
+  auditSearchValidation,
+  auditExportValidation
+};
@@ -0,0 +1,187 @@
+/**
+ * Claim Validation Middleware
+ */
+
+const { body, param, query } = require('express-validator');
+
+const claimIdValidation = [
+  param('id').isMongoId().withMessage('Invalid claim ID')
+];
+
+const claimListValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  query('status')
+    .optional()
+    .isIn(['submitted', 'assessed', 'approved', 'rejected', 'settled'])
+    .withMessage(
+      'Status must be submitted, assessed, approved, rejected, or settled'
+    ),
+
+  query('receiptId').optional().isMongoId().withMessage('Invalid receipt ID'),
+
+  query('moveId').optional().isMongoId().withMessage('Invalid move ID'),
+
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search term cannot exceed 100 characters')
+];
+
+// Claim details shared by create and update
+const claimFields = [
+  body('incidentDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Incident date must be a valid date')
+    .toDate(),
+
+  body('items.*.description')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Item description must be between 1 and 200 characters'),
+
+  body('items.*.quantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1')
+    .toInt(),
+
+  body('items.*.damageDescription')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Damage description cannot exceed 300 characters'),
+
+  body('items.*.claimedAmount')
+    .isFloat({ min: 0 })
+    .withMessage('Claimed amount must be a positive number')
+    .toFloat()
+];
+
+const createClaimValidation = [
+  body('receiptId').optional().isMongoId().withMessage('Invalid receipt ID'),
+
+  body('moveId').optional().isMongoId().withMessage('Invalid move ID'),
+
+  body().custom(value => {
+    if (!value.receiptId === !value.moveId) {
+      throw new Error('Provide either a receiptId or a moveId');
+    }
+    return true;
+  }),
+
+  body('description')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Description must be between 1 and 2000 characters'),
+
+  body('items')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('A claim must list between 1 and 100 damaged items'),
+
+  ...claimFields
+];
+
+const updateClaimValidation = [
+  ...claimIdValidation,
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Description must be between 1 and 2000 characters'),
+
+  body('items')
+    .optional()
+    .isArray({ min: 1, max: 100 })
+    .withMessage('A claim must list between 1 and 100 damaged items'),
+
+  ...claimFields
+];
+
+const claimPhotoIdValidation = [
+  ...claimIdValidation,
+  param('photoId').isMongoId().withMessage('Invalid photo ID')
+];
+
+const assessClaimValidation = [
+  ...claimIdValidation,
+
+  body('assessedAmount')
+    .isFloat({ min: 0 })
+    .withMessage('Assessed amount must be a positive number')
+    .toFloat(),
+
+  body('findings')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Findings must be between 1 and 1000 characters')
+];
+
+const approveClaimValidation = [
+  ...claimIdValidation,
+
+  body('approvedAmount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Approved amount must be a positive number')
+    .toFloat(),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+const rejectClaimValidation = [
+  ...claimIdValidation,
+
+  body('notes')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('A reason between 1 and 500 characters is required')
+];
+
+const settleClaimValidation = [
+  ...claimIdValidation,
+
+  body('method')
+    .isIn(['refund', 'credit'])
+    .withMessage('Settlement must be a refund or a credit'),
+
+  body('paymentMethod')
+    .if(body('method').equals('refund'))
+    .isIn(['cash', 'bank_transfer', 'mobile_money'])
+    .withMessage('Refund method must be cash, bank_transfer, or mobile_money'),
+
+  body('receiptId').optional().isMongoId().withMessage('Invalid receipt ID'),
+
+  body('reference')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Reference cannot exceed 100 characters')
+];
+
+module.exports = {
+  claimIdValidation,
+  claimListValidation,
+  createClaimValidation,
+  updateClaimValidation,
+  claimPhotoIdValidation,
+  assessClaimValidation,
+  approveClaimValidation,
+  rejectClaimValidation,
+  settleClaimValidation
+};
@@ -0,0 +1,166 @@
+/**
+ * Client Validation Middleware
+ */
+
+const { body, param, query } = require('express-validator');
+
+const clientIdValidation = [
+  param('id').isMongoId().withMessage('Invalid client ID')
+];
+
+const clientListValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search term cannot exceed 100 characters'),
+
+  query('sortBy')
+    .optional()
+    .isIn(['name', 'createdAt', 'updatedAt'])
+    .withMessage('Sort field must be name, createdAt, or updatedAt'),
+
+  query('sortOrder')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Sort order must be asc or desc')
+];
+
+const clientFields = [
+  body('email')
+    .optional({ nullable: true, checkFalsy: true })
+    .isEmail()
+    .withMessage('Please provide a valid email'),
+
+  body('company')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Company name cannot exceed 200 characters'),
+
+  body('address')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Address cannot exceed 500 characters'),
+
+  body('gender')
+    .optional()
+    .isIn(['male', 'female', ''])
+    .withMessage('Gender must be male, female, or empty'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters')
+];
+
+const createClientValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Client name must be between 2 and 100 characters'),
+
+  body('phone')
+    .matches(/^[+]?[\d\s\-()]{10,}$/)
+    .withMessage('Please provide a valid phone number'),
+
+  ...clientFields
+];
+
+const updateClientValidation = [
+  ...clientIdValidation,
+
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Client name must be between 2 and 100 characters'),
+
+  body('phone')
+    .optional()
+    .matches(/^[+]?[\d\s\-()]{10,}$/)
+    .withMessage('Please provide a valid phone number'),
+
+  ...clientFields
+];
+
+const mergeClientsValidation = [
+  ...clientIdValidation,
+
+  body('sourceIds')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Provide between 1 and 50 client IDs to merge'),
+
+  body('sourceIds.*')
+    .isMongoId()
+    .withMessage('Invalid client ID format')
+    .custom((value, { req }) => value !== req.params.id)
+    .withMessage('A client cannot be merged into itself')
+];
+
+const statementPeriodFields = location => [
+  location('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date')
+    .toDate(),
+
+  location('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date')
+    .toDate()
+    .custom((value, { req }) => {
+      const startDate = req.query.startDate || req.body.startDate;
+      return !startDate || value >= startDate;
+    })
+    .withMessage('End date must be after start date')
+];
+
+const statementValidation = [
+  ...clientIdValidation,
+  ...statementPeriodFields(query),
+
+  query('format')
+    .optional()
+    .isIn(['json', 'pdf'])
+    .withMessage('Format must be json or pdf')
+];
+
+const statementEmailValidation = [
+  ...clientIdValidation,
+  ...statementPeriodFields(body),
+
+  body('recipientEmail')
+    .optional({ nullable: true, checkFalsy: true })
+    .isEmail()
+    .withMessage('Valid recipient email is required'),
+
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message cannot exceed 500 characters')
+];
+
+module.exports = {
+  clientIdValidation,
+  clientListValidation,
+  createClientValidation,
+  updateClientValidation,
+  mergeClientsValidation,
+  statementValidation,
+  statementEmailValidation
+};
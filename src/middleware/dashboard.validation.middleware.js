@@ -0,0 +1,60 @@
+/**
+ * Dashboard Validation Middleware
+ */
+
+const { query } = require('express-validator');
+
+const agingReportValidation = [
+  query('currency')
+    .optional()
+    .matches(/^[A-Z]{3}$/)
+    .withMessage('Currency must be a 3-letter ISO code'),
+
+  query('createdBy').optional().isMongoId().withMessage('Invalid user ID'),
+
+  query('clientId').optional().isMongoId().withMessage('Invalid client ID'),
+
+  query('format')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage('Format must be json or csv')
+];
+
+const priceDeviationReportValidation = [
+  query('currency')
+    .optional()
+    .matches(/^[A-Z]{3}$/)
+    .withMessage('Currency must be a 3-letter ISO code'),
+
+  query('moveType')
+    .optional()
+    .isIn(['Residential', 'International', 'Office'])
+    .withMessage('Move type must be Residential, International, or Office'),
+
+  query('createdBy').optional().isMongoId().withMessage('Invalid user ID'),
+
+  query('catalogItemId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid catalog item ID'),
+
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid date format for startDate'),
+
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid date format for endDate'),
+
+  query('format')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage('Format must be json or csv')
+];
+
+module.exports = {
+  agingReportValidation,
+  priceDeviationReportValidation
+};
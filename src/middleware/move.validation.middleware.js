@@ -0,0 +1,159 @@
+/**
+ * Move Validation Middleware
+ */
+
+const { body, param, query } = require('express-validator');
+
+const moveIdValidation = [
+  param('id').isMongoId().withMessage('Invalid move ID')
+];
+
+const moveListValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  query('status')
+    .optional()
+    .isIn(['scheduled', 'in_progress', 'completed', 'cancelled'])
+    .withMessage(
+      'Status must be scheduled, in_progress, completed, or cancelled'
+    ),
+
+  query('crewId').optional().isMongoId().withMessage('Invalid crew member ID'),
+
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date'),
+
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search term cannot exceed 100 characters')
+];
+
+// Schedule and assignment fields shared by create and update
+const scheduleRules = [
+  body('scheduledStart')
+    .optional()
+    .isISO8601()
+    .withMessage('Start time must be a valid date')
+    .toDate(),
+
+  body('scheduledEnd')
+    .optional()
+    .isISO8601()
+    .withMessage('End time must be a valid date')
+    .toDate(),
+
+  body('crew')
+    .optional()
+    .isArray({ max: 30 })
+    .withMessage('A move can have at most 30 crew members'),
+
+  body('crew.*.userId').isMongoId().withMessage('Invalid crew member ID'),
+
+  body('crew.*.role')
+    .optional()
+    .isIn(['supervisor', 'driver', 'mover', 'packer'])
+    .withMessage('Crew role must be supervisor, driver, mover, or packer'),
+
+  body('vehicles')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('A move can have at most 20 vehicles'),
+
+  body('vehicles.*.vehicleId').isMongoId().withMessage('Invalid vehicle ID'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters')
+];
+
+const createMoveValidation = [
+  body('quotationId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid quotation ID'),
+
+  body('receiptId').optional().isMongoId().withMessage('Invalid receipt ID'),
+
+  body().custom(value => {
+    if (!value.quotationId === !value.receiptId) {
+      throw new Error('Provide either a quotationId or a receiptId');
+    }
+    return true;
+  }),
+
+  ...scheduleRules
+];
+
+const updateMoveValidation = [...moveIdValidation, ...scheduleRules];
+
+const moveStatusValidation = [
+  ...moveIdValidation,
+
+  body('status')
+    .isIn(['in_progress', 'completed', 'cancelled'])
+    .withMessage('Status must be in_progress, completed, or cancelled'),
+
+  body('reason')
+    .if(body('status').equals('cancelled'))
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage(
+      'Please give a reason for the cancellation (5-500 characters)'
+    ),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+const moveConflictValidation = [
+  query('scheduledStart')
+    .isISO8601()
+    .withMessage('Start time must be a valid date'),
+
+  query('scheduledEnd')
+    .isISO8601()
+    .withMessage('End time must be a valid date'),
+
+  query('crewIds')
+    .optional()
+    .customSanitizer(value => (Array.isArray(value) ? value : [value]))
+    .custom(values => values.every(value => /^[a-f\d]{24}$/i.test(value)))
+    .withMessage('Invalid crew member ID'),
+
+  query('plateNumbers')
+    .optional()
+    .customSanitizer(value => (Array.isArray(value) ? value : [value])),
+
+  query('excludeMoveId').optional().isMongoId().withMessage('Invalid move ID')
+];
+
+module.exports = {
+  moveIdValidation,
+  moveListValidation,
+  createMoveValidation,
+  updateMoveValidation,
+  moveStatusValidation,
+  moveConflictValidation
+};
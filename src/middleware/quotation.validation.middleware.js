@@ -2,13 +2,87 @@
  * Quotation Validation Middleware
  */
 
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
+const { isEnabledCurrency } = require('./validation.middleware');
+
+/**
+ * Whether the line item at this path is typed in rather than taken from the
+ * service catalog
+ */
+const isFreehandService = (value, { req, path }) => {
+  const [, optionIndex, index] = path.match(
+    /^(?:options\[(\d+)\]\.)?services\[(\d+)\]/
+  );
+  const services =
+    optionIndex === undefined
+      ? req.body.services
+      : req.body.options[optionIndex]?.services;
+  return !services?.[index]?.catalogItemId;
+};
+
+/**
+ * Rules for a list of line items, either the quotation's own services or
+ * the services of each package option
+ * @param {string} field - 'services' or 'options.*.services'
+ */
+const serviceLineRules = field => [
+  body(`${field}.*.source`)
+    .optional({ values: 'null' })
+    .isIn(['inventory'])
+    .withMessage('Service source must be inventory'),
+
+  body(`${field}.*.catalogItemId`)
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid catalog item ID'),
+
+  body(`${field}.*.name`)
+    .if(isFreehandService)
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Service name must be between 1 and 100 characters'),
+
+  body(`${field}.*.description`)
+    .if(isFreehandService)
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Service description must be between 1 and 500 characters'),
+
+  body(`${field}.*.quantity`)
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1'),
+
+  body(`${field}.*.unitPrice`)
+    .if(isFreehandService)
+    .isFloat({ min: 0 })
+    .withMessage('Unit price cannot be negative'),
+
+  // Catalog lines may leave the price out to take the catalog price
+  body(`${field}.*.unitPrice`)
+    .if((value, meta) => !isFreehandService(value, meta))
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Unit price cannot be negative')
+];
+
+/**
+ * Whether the inventory item at this path is described by the surveyor
+ * rather than picked from the standard items
+ */
+const isCustomInventoryItem = (value, { req, path }) => {
+  const [, roomIndex, itemIndex] = path
+    .match(/^rooms\[(\d+)\]\.items\[(\d+)\]/)
+    .map(Number);
+  return !req.body.rooms[roomIndex]?.items?.[itemIndex]?.itemKey;
+};
 
 const quotationValidation = [
   body('type')
     .isIn(['Residential', 'International', 'Office'])
     .withMessage('Type must be Residential, International, or Office'),
 
+  body('clientId').optional().isMongoId().withMessage('Invalid client ID'),
+
   body('client.name')
     .trim()
     .isLength({ min: 2, max: 100 })
@@ -59,31 +133,58 @@ const quotationValidation = [
       return true;
     }),
 
+  // Quotations with package options take their services from the options
   body('services')
+    .if((value, { req }) => !req.body.options?.length)
     .isArray({ min: 1 })
     .withMessage('At least one service is required'),
 
-  body('services.*.name')
+  ...serviceLineRules('services'),
+
+  body('options')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('A quotation can have at most 5 options')
+    .custom(options => {
+      if (options.length === 1) {
+        throw new Error('A quotation needs at least two options to compare');
+      }
+      const names = options.map(option =>
+        String(option?.name || '')
+          .trim()
+          .toLowerCase()
+      );
+      if (new Set(names).size !== names.length) {
+        throw new Error('Option names must be different');
+      }
+      return true;
+    }),
+
+  body('options.*._id').optional().isMongoId().withMessage('Invalid option ID'),
+
+  body('options.*.name')
     .trim()
-    .isLength({ min: 1, max: 100 })
-    .withMessage('Service name must be between 1 and 100 characters'),
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Option name must be between 1 and 50 characters'),
 
-  body('services.*.description')
+  body('options.*.description')
+    .optional()
     .trim()
-    .isLength({ min: 1, max: 500 })
-    .withMessage('Service description must be between 1 and 500 characters'),
+    .isLength({ max: 300 })
+    .withMessage('Option description cannot exceed 300 characters'),
 
-  body('services.*.quantity')
-    .isInt({ min: 1 })
-    .withMessage('Quantity must be at least 1'),
+  body('options.*.services')
+    .isArray({ min: 1 })
+    .withMessage('Each option needs at least one service'),
+
+  ...serviceLineRules('options.*.services'),
 
-  body('services.*.unitPrice')
+  body('options.*.pricing.discount')
+    .optional()
     .isFloat({ min: 0 })
-    .withMessage('Unit price cannot be negative'),
+    .withMessage('Discount cannot be negative'),
 
-  body('pricing.currency')
-    .isIn(['UGX', 'USD'])
-    .withMessage('Currency must be UGX or USD'),
+  body('pricing.currency').custom(isEnabledCurrency),
 
   body('pricing.discount')
     .optional()
@@ -105,7 +206,13 @@ const quotationValidation = [
     .optional()
     .trim()
     .isLength({ max: 1000 })
-    .withMessage('Notes cannot exceed 1000 characters')
+    .withMessage('Notes cannot exceed 1000 characters'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Edit reason cannot exceed 200 characters')
 ];
 
 const quotationEmailValidation = [
@@ -119,6 +226,14 @@ const quotationEmailValidation = [
     .withMessage('Message cannot exceed 500 characters')
 ];
 
+const restoreVersionValidation = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot exceed 200 characters')
+];
+
 const extendValidityValidation = [
   body('days')
     .isInt({ min: 1, max: 90 })
@@ -129,8 +244,217 @@ const extendValidityValidation = [
     .withMessage('Reason must be between 5 and 200 characters')
 ];
 
+const convertQuotationValidation = [
+  body('receiptType')
+    .isIn(['commitment', 'final', 'one_time'])
+    .withMessage('Receipt type must be commitment, final, or one_time'),
+
+  // Commitment and final receipts record the fee already paid
+  body('commitmentFeePaid')
+    .if(body('receiptType').isIn(['commitment', 'final']))
+    .isFloat({ min: 0 })
+    .withMessage(
+      'Commitment fee is required for this receipt type and cannot be negative'
+    )
+    .toFloat(),
+
+  body('finalPaymentReceived')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Final payment must be positive')
+    .toFloat(),
+
+  body('payment.method')
+    .optional()
+    .isIn(['cash', 'bank_transfer', 'mobile_money'])
+    .withMessage('Payment method must be cash, bank_transfer, or mobile_money'),
+
+  body('payment.dueDate').optional().isISO8601().toDate(),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters')
+];
+
+const portalLinkValidation = [
+  body('autoConvert')
+    .optional()
+    .isBoolean()
+    .withMessage('autoConvert must be true or false')
+    .toBoolean()
+];
+
+const portalNameRule = body('name')
+  .trim()
+  .isLength({ min: 2, max: 100 })
+  .withMessage('Name must be between 2 and 100 characters');
+
+// Drawn on a canvas in the portal, stored like user canvas signatures
+const portalSignatureRules = [
+  body('signature')
+    .notEmpty()
+    .withMessage('Signature is required')
+    .matches(/^data:image\/(png|jpeg|jpg);base64,/)
+    .withMessage('Invalid signature format - must be a base64 image'),
+
+  body('signature').custom(value => {
+    // Check base64 size (approximate file size)
+    const base64Data = String(value).split(',')[1] || '';
+    const sizeInMB = (base64Data.length * 3) / 4 / (1024 * 1024);
+
+    if (sizeInMB > 2) {
+      throw new Error('Signature is too large (max 2MB)');
+    }
+    return true;
+  })
+];
+
+// Quotations with package options are accepted for one of the options
+const portalAcceptValidation = [
+  portalNameRule,
+  ...portalSignatureRules,
+  body('optionId')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid option ID')
+];
+
+const portalDeclineValidation = [
+  portalNameRule,
+  ...portalSignatureRules,
+  body('comments')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Comments cannot exceed 1000 characters')
+];
+
+const portalChangeRequestValidation = [
+  portalNameRule,
+  body('comments')
+    .trim()
+    .isLength({ min: 5, max: 1000 })
+    .withMessage('Please describe the changes in 5 to 1000 characters')
+];
+
+const inventoryRoomRules = [
+  body('rooms')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Inventory must have between 1 and 50 rooms'),
+
+  body('rooms.*.name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Room name must be between 1 and 50 characters'),
+
+  body('rooms.*.items')
+    .isArray({ min: 1, max: 200 })
+    .withMessage('Each room must have between 1 and 200 items'),
+
+  body('rooms.*.items.*.itemKey')
+    .optional({ values: 'falsy' })
+    .isString()
+    .withMessage('Item key must be text'),
+
+  body('rooms.*.items.*.name')
+    .if(isCustomInventoryItem)
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Item name must be between 1 and 100 characters'),
+
+  body('rooms.*.items.*.volume')
+    .if(isCustomInventoryItem)
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Item volume must be between 0 and 100 cubic metres')
+    .toFloat(),
+
+  // Standard items may leave the volume out to take the standard one
+  body('rooms.*.items.*.volume')
+    .if((value, meta) => !isCustomInventoryItem(value, meta))
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Item volume must be between 0 and 100 cubic metres')
+    .toFloat(),
+
+  body('rooms.*.items.*.quantity')
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Item quantity must be between 1 and 1000')
+    .toInt(),
+
+  body('rooms.*.items.*.isFragile')
+    .optional()
+    .isBoolean()
+    .withMessage('isFragile must be true or false')
+    .toBoolean()
+];
+
+const inventoryEstimateValidation = [
+  ...inventoryRoomRules,
+
+  body('currency').optional().custom(isEnabledCurrency)
+];
+
+const inventoryUpdateValidation = [
+  ...inventoryRoomRules,
+
+  body('generateServices')
+    .optional()
+    .isBoolean()
+    .withMessage('generateServices must be true or false')
+    .toBoolean(),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Edit reason cannot exceed 200 characters')
+];
+
+const selectOptionValidation = [
+  param('optionId').isMongoId().withMessage('Invalid option ID'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Edit reason cannot exceed 200 characters')
+];
+
+const approveQuotationValidation = [
+  body('comments')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Comments cannot exceed 1000 characters')
+];
+
+const rejectQuotationValidation = [
+  body('comments')
+    .trim()
+    .isLength({ min: 5, max: 1000 })
+    .withMessage('Please give a reason for the rejection (5-1000 characters)')
+];
+
+const bulkDownloadValidation = [
+  body('quotationIds.*').isMongoId().withMessage('Invalid quotation ID')
+];
+
 module.exports = {
   quotationValidation,
   quotationEmailValidation,
-  extendValidityValidation
+  extendValidityValidation,
+  restoreVersionValidation,
+  convertQuotationValidation,
+  portalLinkValidation,
+  portalAcceptValidation,
+  portalDeclineValidation,
+  portalChangeRequestValidation,
+  inventoryEstimateValidation,
+  inventoryUpdateValidation,
+  selectOptionValidation,
+  approveQuotationValidation,
+  rejectQuotationValidation,
+  bulkDownloadValidation
 };
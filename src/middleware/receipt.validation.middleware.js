@@ -2,7 +2,8 @@
  * Receipt Validation Middleware
  */
 
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
+const { isEnabledCurrency } = require('./validation.middleware');
 
 const receiptValidation = [
   body('receiptType')
@@ -36,6 +37,8 @@ const receiptValidation = [
     return true;
   }),
 
+  body('clientId').optional().isMongoId().withMessage('Invalid client ID'),
+
   body('client.name')
     .trim()
     .isLength({ min: 2, max: 100 })
@@ -114,9 +117,7 @@ const receiptValidation = [
     .isFloat({ min: 0 })
     .withMessage('Service total cannot be negative'),
 
-  body('payment.currency')
-    .isIn(['UGX', 'USD'])
-    .withMessage('Currency must be UGX or USD'),
+  body('payment.currency').custom(isEnabledCurrency),
 
   body('payment.method')
     .optional()
@@ -125,6 +126,26 @@ const receiptValidation = [
 
   body('payment.dueDate').optional().isISO8601().toDate(),
 
+  body('payment.schedule')
+    .optional()
+    .isArray({ max: 24 })
+    .withMessage('Payment schedule cannot have more than 24 installments'),
+
+  body('payment.schedule.*.dueDate')
+    .isISO8601()
+    .withMessage('Installment due date must be a valid date')
+    .toDate(),
+
+  body('payment.schedule.*.amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Installment amount must be greater than 0'),
+
+  body('payment.schedule.*.description')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Installment description cannot exceed 100 characters'),
+
   body('commitmentFee.amount')
     .optional()
     .isFloat({ min: 0 })
@@ -156,6 +177,12 @@ const receiptValidation = [
     .isLength({ max: 1000 })
     .withMessage('Notes cannot exceed 1000 characters'),
 
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Edit reason cannot exceed 200 characters'),
+
   // Receipt type specific fields
   body('commitmentFeePaid')
     .optional()
@@ -205,7 +232,8 @@ const receiptValidation = [
 const addPaymentValidation = [
   body('amount')
     .isFloat({ min: 0.01 })
-    .withMessage('Payment amount must be greater than 0'),
+    .withMessage('Payment amount must be greater than 0')
+    .toFloat(),
   body('method')
     .isIn(['cash', 'bank_transfer', 'mobile_money'])
     .withMessage('Payment method must be cash, bank_transfer, or mobile_money'),
@@ -221,6 +249,53 @@ const addPaymentValidation = [
     .withMessage('Notes cannot exceed 200 characters')
 ];
 
+const reversalReasonField = body('reason')
+  .trim()
+  .isLength({ min: 3, max: 200 })
+  .withMessage('Reason must be between 3 and 200 characters');
+
+const refundValidation = [
+  param('id').isMongoId().withMessage('Invalid receipt ID'),
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Refund amount must be greater than 0')
+    .toFloat(),
+  reversalReasonField,
+  body('method')
+    .optional()
+    .isIn(['cash', 'bank_transfer', 'mobile_money'])
+    .withMessage('Refund method must be cash, bank_transfer, or mobile_money'),
+  body('reference')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Reference cannot exceed 100 characters')
+];
+
+const voidPaymentValidation = [
+  param('id').isMongoId().withMessage('Invalid receipt ID'),
+  param('paymentId').isMongoId().withMessage('Invalid payment ID'),
+  reversalReasonField
+];
+
+const reviewReversalValidation = [
+  param('id').isMongoId().withMessage('Invalid receipt ID'),
+  param('requestId').isMongoId().withMessage('Invalid request ID'),
+  param('decision')
+    .isIn(['approve', 'reject'])
+    .withMessage('Decision must be approve or reject'),
+  body('notes')
+    .if(param('decision').equals('reject'))
+    .trim()
+    .notEmpty()
+    .withMessage('Notes are required when rejecting a request'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
 const receiptEmailValidation = [
   body('recipientEmail')
     .isEmail()
@@ -232,8 +307,44 @@ const receiptEmailValidation = [
     .withMessage('Message cannot exceed 500 characters')
 ];
 
+const receiptVersionValidation = [
+  param('id').isMongoId().withMessage('Invalid receipt ID'),
+  param('version')
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive whole number')
+    .toInt(),
+  query('against')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Version to compare with must be a positive whole number')
+    .toInt()
+];
+
+const rollbackReceiptValidation = [
+  param('id').isMongoId().withMessage('Invalid receipt ID'),
+  param('version')
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive whole number')
+    .toInt(),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot exceed 200 characters')
+];
+
+const bulkDownloadValidation = [
+  body('receiptIds.*').isMongoId().withMessage('Invalid receipt ID')
+];
+
 module.exports = {
   receiptValidation,
   addPaymentValidation,
-  receiptEmailValidation
+  refundValidation,
+  voidPaymentValidation,
+  reviewReversalValidation,
+  receiptEmailValidation,
+  receiptVersionValidation,
+  rollbackReceiptValidation,
+  bulkDownloadValidation
 };
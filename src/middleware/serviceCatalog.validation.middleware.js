@@ -0,0 +1,137 @@
+/**
+ * Service Catalog Validation Middleware
+ */
+
+const { body, param, query } = require('express-validator');
+const { isEnabledCurrency } = require('./validation.middleware');
+
+const catalogItemIdValidation = [
+  param('id').isMongoId().withMessage('Invalid catalog item ID')
+];
+
+const catalogListValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200'),
+
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search term cannot exceed 100 characters'),
+
+  query('currency')
+    .optional()
+    .matches(/^[A-Z]{3}$/)
+    .withMessage('Currency must be a 3-letter ISO code'),
+
+  query('moveType')
+    .optional()
+    .isIn(['Residential', 'International', 'Office'])
+    .withMessage('Move type must be Residential, International, or Office'),
+
+  query('includeInactive')
+    .optional()
+    .isBoolean()
+    .withMessage('includeInactive must be true or false'),
+
+  query('sortBy')
+    .optional()
+    .isIn(['code', 'name', 'createdAt', 'updatedAt'])
+    .withMessage('Sort field must be code, name, createdAt, or updatedAt'),
+
+  query('sortOrder')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Sort order must be asc or desc')
+];
+
+const catalogItemFields = [
+  body('unit')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Unit must be between 1 and 30 characters'),
+
+  body('prices')
+    .optional()
+    .isArray({ max: 6 })
+    .withMessage('Prices must be a list of at most 6 entries'),
+
+  body('prices.*.currency').custom(isEnabledCurrency),
+
+  body('prices.*.moveType')
+    .isIn(['Residential', 'International', 'Office'])
+    .withMessage('Move type must be Residential, International, or Office'),
+
+  body('prices.*.unitPrice')
+    .isFloat({ min: 0 })
+    .withMessage('Unit price cannot be negative')
+    .toFloat(),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+    .toBoolean()
+];
+
+const createCatalogItemValidation = [
+  body('code')
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{2,30}$/)
+    .withMessage(
+      'Service code must be 2-30 letters, numbers, dashes or underscores'
+    ),
+
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Service name must be between 1 and 100 characters'),
+
+  body('description')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Service description must be between 1 and 500 characters'),
+
+  ...catalogItemFields
+];
+
+const updateCatalogItemValidation = [
+  ...catalogItemIdValidation,
+
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{2,30}$/)
+    .withMessage(
+      'Service code must be 2-30 letters, numbers, dashes or underscores'
+    ),
+
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Service name must be between 1 and 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Service description must be between 1 and 500 characters'),
+
+  ...catalogItemFields
+];
+
+module.exports = {
+  catalogItemIdValidation,
+  catalogListValidation,
+  createCatalogItemValidation,
+  updateCatalogItemValidation
+};
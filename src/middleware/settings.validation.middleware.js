@@ -0,0 +1,179 @@
+/**
+ * Settings Validation Middleware
+ */
+
+const { body } = require('express-validator');
+
+const optionalText = (field, label, max) =>
+  body(field)
+    .optional()
+    .isString()
+    .withMessage(`${label} must be text`)
+    .trim()
+    .isLength({ max })
+    .withMessage(`${label} cannot exceed ${max} characters`);
+
+const companyProfileValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 150 })
+    .withMessage('Company name must be between 2 and 150 characters'),
+
+  optionalText('address', 'Address', 200),
+  optionalText('poBox', 'P.O. Box', 100),
+
+  body('phone')
+    .optional()
+    .matches(/^[+]?[\d\s\-()]{10,}$/)
+    .withMessage('Please provide a valid phone number'),
+
+  body('phoneSecondary')
+    .optional({ checkFalsy: true })
+    .matches(/^[+]?[\d\s\-()]{10,}$/)
+    .withMessage('Please provide a valid secondary phone number'),
+
+  body('email')
+    .optional()
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail(),
+
+  optionalText('website', 'Website', 100),
+  optionalText('tin', 'TIN', 50),
+  optionalText('registration', 'Registration number', 50)
+];
+
+const bankDetailsValidation = [
+  optionalText('bankName', 'Bank name', 100),
+  optionalText('bankAccountName', 'Bank account name', 100),
+  optionalText('bankAccountNumber', 'Bank account number', 50),
+  optionalText('bankSwiftCode', 'Swift code', 20),
+  optionalText('bankSortCode', 'Sort code', 20),
+  optionalText('mobileMoneyAccountName', 'Mobile money account name', 100),
+
+  body(['mobileMoneyMTN', 'mobileMoneyAirtel'])
+    .optional({ checkFalsy: true })
+    .matches(/^[+]?[\d\s\-()]{10,}$/)
+    .withMessage('Please provide a valid mobile money number')
+];
+
+const quotationDefaultsValidation = [
+  optionalText('termsAndConditions', 'Terms and conditions', 2000),
+
+  body('taxRate')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Tax rate must be between 0 and 1')
+    .toFloat(),
+
+  body('validityDays')
+    .optional()
+    .isInt({ min: 7, max: 90 })
+    .withMessage('Validity must be between 7 and 90 days')
+    .toInt()
+];
+
+// null clears a threshold
+const quotationApprovalValidation = [
+  body(['totalThresholdUGX', 'totalThresholdUSD'])
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Total threshold must be a positive amount')
+    .toFloat(),
+
+  body('discountPercentThreshold')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Discount threshold must be between 0 and 100')
+    .toFloat()
+];
+
+// null clears a threshold, so every reversal in that currency needs approval
+// unless the base currency has one
+const refundApprovalValidation = [
+  body(['thresholdUGX', 'thresholdUSD'])
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Refund threshold must be a positive amount')
+    .toFloat()
+];
+
+// null clears a rate
+const inventoryEstimationValidation = [
+  body(['vehicleCapacity', 'volumePerCrewMember'])
+    .optional()
+    .isFloat({ min: 1, max: 1000 })
+    .withMessage('Capacities must be between 1 and 1000 cubic metres')
+    .toFloat(),
+
+  body('minimumCrewSize')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Minimum crew size must be between 1 and 50')
+    .toInt(),
+
+  body([
+    'vehicleRateUGX',
+    'vehicleRateUSD',
+    'crewRateUGX',
+    'crewRateUSD',
+    'volumeRateUGX',
+    'volumeRateUSD',
+    'fragileItemRateUGX',
+    'fragileItemRateUSD'
+  ])
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Rates must be a positive amount')
+    .toFloat()
+];
+
+// The list replaces the configured currencies; rates are units of the base
+// currency per unit
+const currencySettingsValidation = [
+  body('baseCurrency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z]{3}$/)
+    .withMessage('Base currency must be a 3-letter ISO code'),
+
+  body('currencies')
+    .optional()
+    .isArray({ min: 1, max: 30 })
+    .withMessage('Currencies must be a list of 1 to 30 entries'),
+
+  body('currencies.*.code')
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z]{3}$/)
+    .withMessage('Currency code must be a 3-letter ISO code'),
+
+  body('currencies.*.name')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Currency name cannot exceed 50 characters'),
+
+  body('currencies.*.rate')
+    .isFloat({ gt: 0 })
+    .withMessage('Exchange rate must be greater than 0')
+    .toFloat(),
+
+  body('currencies.*.isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+    .toBoolean()
+];
+
+module.exports = {
+  companyProfileValidation,
+  bankDetailsValidation,
+  quotationDefaultsValidation,
+  quotationApprovalValidation,
+  refundApprovalValidation,
+  inventoryEstimationValidation,
+  currencySettingsValidation
+};
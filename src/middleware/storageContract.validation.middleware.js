@@ -0,0 +1,151 @@
+/**
+ * Storage Contract Validation Middleware
+ */
+
+const { body, param, query } = require('express-validator');
+const { isEnabledCurrency } = require('./validation.middleware');
+
+const storageContractIdValidation = [
+  param('id').isMongoId().withMessage('Invalid storage contract ID')
+];
+
+const storageContractListValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  query('status')
+    .optional()
+    .isIn(['active', 'suspended', 'ended'])
+    .withMessage('Status must be active, suspended, or ended'),
+
+  query('clientId').optional().isMongoId().withMessage('Invalid client ID'),
+
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search term cannot exceed 100 characters')
+];
+
+// Contract terms shared by create and update
+const contractFields = [
+  body('storageLocation')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Storage location cannot exceed 200 characters'),
+
+  body('goodsDescription')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Goods description cannot exceed 1000 characters'),
+
+  body('endDate')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('End date must be a valid date')
+    .toDate(),
+
+  body('paymentTermsDays')
+    .optional()
+    .isInt({ min: 0, max: 90 })
+    .withMessage('Payment terms must be between 0 and 90 days')
+    .toInt(),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters')
+];
+
+const createStorageContractValidation = [
+  body('clientId').isMongoId().withMessage('Invalid client ID'),
+
+  body('volume')
+    .isFloat({ min: 0.01 })
+    .withMessage('Storage volume must be a number of cubic metres')
+    .toFloat(),
+
+  body('monthlyRate')
+    .isFloat({ min: 0 })
+    .withMessage('Monthly rate must be a positive number')
+    .toFloat(),
+
+  body('currency').custom(isEnabledCurrency),
+
+  body('startDate')
+    .isISO8601()
+    .withMessage('Start date must be a valid date')
+    .toDate(),
+
+  ...contractFields
+];
+
+const updateStorageContractValidation = [
+  ...storageContractIdValidation,
+
+  body('volume')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Storage volume must be a number of cubic metres')
+    .toFloat(),
+
+  body('monthlyRate')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Monthly rate must be a positive number')
+    .toFloat(),
+
+  body('currency').optional().custom(isEnabledCurrency),
+
+  body('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date')
+    .toDate(),
+
+  ...contractFields
+];
+
+const suspendStorageContractValidation = [
+  ...storageContractIdValidation,
+
+  body('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Suspension start date must be a valid date')
+    .toDate(),
+
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 300 })
+    .withMessage('A reason between 1 and 300 characters is required')
+];
+
+const resumeStorageContractValidation = [
+  ...storageContractIdValidation,
+
+  body('resumeDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Resume date must be a valid date')
+    .toDate()
+];
+
+module.exports = {
+  storageContractIdValidation,
+  storageContractListValidation,
+  createStorageContractValidation,
+  updateStorageContractValidation,
+  suspendStorageContractValidation,
+  resumeStorageContractValidation
+};
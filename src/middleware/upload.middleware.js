@@ -6,6 +6,14 @@
 const multer = require('multer');
 const uploadService = require('../services/upload.service');
 const ApiResponse = require('../utils/response');
+const RequestContext = require('../utils/requestContext');
+
+/**
+ * Run a multer upload and call back inside the request context, so saves
+ * made after the upload are audited against the user who made them
+ */
+const runUpload = (upload, req, res, callback) =>
+  upload(req, res, error => RequestContext.run(req, () => callback(error)));
 
 /**
  * Handle multer errors
@@ -37,7 +45,7 @@ const handleMulterError = (error, req, res, next) => {
 const uploadProfilePhoto = (req, res, next) => {
   const upload = uploadService.getProfileUpload().single('profilePhoto');
 
-  upload(req, res, error => {
+  runUpload(upload, req, res, error => {
     if (error) {
       return handleMulterError(error, req, res, next);
     }
@@ -68,7 +76,7 @@ const uploadProfilePhoto = (req, res, next) => {
 const uploadAvatar = (req, res, next) => {
   const upload = uploadService.getProfileUpload().single('avatar');
 
-  upload(req, res, error => {
+  runUpload(upload, req, res, error => {
     if (error) {
       return handleMulterError(error, req, res, next);
     }
@@ -99,7 +107,7 @@ const uploadAvatar = (req, res, next) => {
 const uploadCompanyLogo = (req, res, next) => {
   const upload = uploadService.getLogoUpload().single('logo');
 
-  upload(req, res, error => {
+  runUpload(upload, req, res, error => {
     if (error) {
       return handleMulterError(error, req, res, next);
     }
@@ -127,7 +135,7 @@ const uploadCompanyLogo = (req, res, next) => {
 const uploadCompanyStamp = (req, res, next) => {
   const upload = uploadService.getStampUpload().single('stamp');
 
-  upload(req, res, error => {
+  runUpload(upload, req, res, error => {
     if (error) {
       return handleMulterError(error, req, res, next);
     }
@@ -149,13 +157,45 @@ const uploadCompanyStamp = (req, res, next) => {
   });
 };
 
+/**
+ * Damage claim photos upload middleware
+ */
+const uploadClaimPhotos = (req, res, next) => {
+  const upload = uploadService.getClaimPhotoUpload().array('photos', 10);
+
+  runUpload(upload, req, res, error => {
+    if (error) {
+      return handleMulterError(error, req, res, next);
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return ApiResponse.error(res, 'No photos provided', 400);
+    }
+
+    // Validate each file
+    for (const file of req.files) {
+      const validationErrors = uploadService.validateFile(file, 'claimPhoto');
+      if (validationErrors.length > 0) {
+        return ApiResponse.validationError(
+          res,
+          validationErrors.map(msg => ({
+            msg: `${file.originalname}: ${msg}`
+          }))
+        );
+      }
+    }
+
+    next();
+  });
+};
+
 /**
  * Document upload middleware
  */
 const uploadDocument = (req, res, next) => {
   const upload = uploadService.getDocumentUpload().single('document');
 
-  upload(req, res, error => {
+  runUpload(upload, req, res, error => {
     if (error) {
       return handleMulterError(error, req, res, next);
     }
@@ -201,7 +241,7 @@ const uploadMultiple = (fieldName, maxCount = 5, fileType = 'image') => {
         upload = uploadService.getProfileUpload().array(fieldName, maxCount);
     }
 
-    upload(req, res, error => {
+    runUpload(upload, req, res, error => {
       if (error) {
         return handleMulterError(error, req, res, next);
       }
@@ -322,6 +362,7 @@ module.exports = {
   uploadAvatar,
   uploadCompanyLogo,
   uploadCompanyStamp,
+  uploadClaimPhotos,
   uploadDocument,
   uploadMultiple,
   cleanupFiles,
@@ -5,6 +5,8 @@
 
 const { body, param, query } = require('express-validator');
 const ApiResponse = require('../utils/response');
+const Settings = require('../models/Settings.model');
+const { getEnabledCurrencyCodes } = require('../utils/currency');
 
 /**
  * Middleware to validate profile completion before allowing document operations
@@ -25,6 +27,18 @@ const validateProfileCompletion = (req, res, next) => {
   next();
 };
 
+/**
+ * Custom validator accepting only the currencies admins have enabled
+ */
+const isEnabledCurrency = async value => {
+  const { currency } = await Settings.getSettings();
+
+  if (!getEnabledCurrencyCodes(currency).includes(value)) {
+    throw new Error(`Currency ${value} is not enabled`);
+  }
+  return true;
+};
+
 /**
  * Login validation
  */
@@ -333,5 +347,6 @@ module.exports = {
   validatePagination,
   validateUserFilters,
   validateChangePassword,
-  validateProfileCompletion
+  validateProfileCompletion,
+  isEnabledCurrency
 };
@@ -0,0 +1,199 @@
+/**
+ * Vehicle Validation Middleware
+ */
+
+const { body, param, query } = require('express-validator');
+
+const vehicleIdValidation = [
+  param('id').isMongoId().withMessage('Invalid vehicle ID')
+];
+
+const vehicleListValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search term cannot exceed 100 characters'),
+
+  query('includeInactive')
+    .optional()
+    .isBoolean()
+    .withMessage('includeInactive must be true or false'),
+
+  query('expiringWithinDays')
+    .optional()
+    .isInt({ min: 0, max: 365 })
+    .withMessage('expiringWithinDays must be between 0 and 365')
+];
+
+const vehicleAvailabilityValidation = [
+  query('startDate')
+    .isISO8601()
+    .withMessage('Start date must be a valid date')
+    .toDate(),
+
+  query('endDate')
+    .isISO8601()
+    .withMessage('End date must be a valid date')
+    .toDate()
+    .custom((endDate, { req }) => endDate >= req.query.startDate)
+    .withMessage('End date cannot be before the start date'),
+
+  query('minVolume')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum volume cannot be negative')
+    .toFloat(),
+
+  query('minTonnage')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum tonnage cannot be negative')
+    .toFloat(),
+
+  query('excludeMoveId').optional().isMongoId().withMessage('Invalid move ID')
+];
+
+const vehicleFields = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Vehicle description cannot exceed 100 characters'),
+
+  body('insurance.provider')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Insurer cannot exceed 100 characters'),
+
+  body('insurance.policyNumber')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Policy number cannot exceed 50 characters'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+    .toBoolean(),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters')
+];
+
+const createVehicleValidation = [
+  body('plateNumber')
+    .trim()
+    .isLength({ min: 2, max: 20 })
+    .withMessage('Plate number must be between 2 and 20 characters'),
+
+  body('capacity.volume')
+    .isFloat({ min: 0 })
+    .withMessage('Load volume must be a number of cubic metres')
+    .toFloat(),
+
+  body('capacity.tonnage')
+    .isFloat({ min: 0 })
+    .withMessage('Tonnage must be a number of tonnes')
+    .toFloat(),
+
+  body('insurance.expiresAt')
+    .isISO8601()
+    .withMessage('Insurance expiry must be a valid date')
+    .toDate(),
+
+  body('inspection.expiresAt')
+    .isISO8601()
+    .withMessage('Inspection expiry must be a valid date')
+    .toDate(),
+
+  ...vehicleFields
+];
+
+const updateVehicleValidation = [
+  ...vehicleIdValidation,
+
+  body('plateNumber')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 20 })
+    .withMessage('Plate number must be between 2 and 20 characters'),
+
+  body('capacity.volume')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Load volume must be a number of cubic metres')
+    .toFloat(),
+
+  body('capacity.tonnage')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Tonnage must be a number of tonnes')
+    .toFloat(),
+
+  body('insurance.expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Insurance expiry must be a valid date')
+    .toDate(),
+
+  body('inspection.expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Inspection expiry must be a valid date')
+    .toDate(),
+
+  ...vehicleFields
+];
+
+const maintenanceBlockValidation = [
+  ...vehicleIdValidation,
+
+  body('startDate')
+    .isISO8601()
+    .withMessage('Start date must be a valid date')
+    .toDate(),
+
+  body('endDate')
+    .isISO8601()
+    .withMessage('End date must be a valid date')
+    .toDate()
+    .custom((endDate, { req }) => endDate >= req.body.startDate)
+    .withMessage('Maintenance cannot end before it starts'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Maintenance reason cannot exceed 300 characters')
+];
+
+const maintenanceBlockIdValidation = [
+  ...vehicleIdValidation,
+  param('blockId').isMongoId().withMessage('Invalid maintenance block ID')
+];
+
+module.exports = {
+  vehicleIdValidation,
+  vehicleListValidation,
+  vehicleAvailabilityValidation,
+  createVehicleValidation,
+  updateVehicleValidation,
+  maintenanceBlockValidation,
+  maintenanceBlockIdValidation
+};
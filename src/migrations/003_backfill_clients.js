@@ -0,0 +1,278 @@
+/**
+ * Migration: Backfill Clients
+ * Creates Client records from the inline client data of existing quotations
+ * and receipts, matching on normalized phone number first and email second,
+ * and links each document to its client through clientId
+ */
+
+const Client = require('../models/Client.model');
+const logger = require('../utils/logger');
+
+// Client fields filled in from later documents when still missing
+const FILL_FIELDS = ['email', 'company', 'address', 'gender'];
+
+const BATCH_SIZE = 500;
+
+// Records which documents this migration linked to which client, so a
+// rollback only undoes its own links
+const LINKS_COLLECTION = 'client_backfill_links';
+
+// Collections whose documents can link to a client
+const LINKED_COLLECTIONS = [
+  'quotations',
+  'receipts',
+  'moves',
+  'claims',
+  'storagecontracts'
+];
+
+const migration = {
+  name: '003_backfill_clients',
+  description: 'Create clients from document snapshots and link documents',
+
+  async up(db) {
+    logger.info('Starting client backfill migration...');
+
+    try {
+      const clients = db.collection('clients');
+      const links = db.collection(LINKS_COLLECTION);
+      const byPhone = new Map();
+      const byEmail = new Map();
+
+      const remember = client => {
+        if (client.normalizedPhone && !byPhone.has(client.normalizedPhone)) {
+          byPhone.set(client.normalizedPhone, client);
+        }
+        if (client.normalizedEmail && !byEmail.has(client.normalizedEmail)) {
+          byEmail.set(client.normalizedEmail, client);
+        }
+      };
+
+      // Start from clients that already exist, oldest first
+      const existingClients = await clients
+        .find({})
+        .sort({ createdAt: 1 })
+        .toArray();
+      existingClients.forEach(remember);
+      logger.info(`Found ${existingClients.length} existing clients`);
+
+      let createdCount = 0;
+      let enrichedCount = 0;
+
+      for (const collectionName of ['quotations', 'receipts']) {
+        const collection = db.collection(collectionName);
+        const cursor = collection
+          .find({ clientId: { $exists: false }, client: { $exists: true } })
+          .sort({ createdAt: 1 });
+
+        let operations = [];
+        let linkRecords = [];
+        let linkedCount = 0;
+
+        const flush = async () => {
+          if (operations.length === 0) return;
+          await links.insertMany(linkRecords, { ordered: false });
+          await collection.bulkWrite(operations, { ordered: false });
+          linkedCount += operations.length;
+          operations = [];
+          linkRecords = [];
+        };
+
+        for await (const document of cursor) {
+          const snapshot = document.client || {};
+          const normalizedPhone = Client.normalizePhone(snapshot.phone);
+          const normalizedEmail = Client.normalizeEmail(snapshot.email);
+
+          if (!normalizedPhone && !normalizedEmail) continue;
+
+          let client =
+            (normalizedPhone && byPhone.get(normalizedPhone)) ||
+            (normalizedEmail && byEmail.get(normalizedEmail));
+
+          if (client) {
+            // Fill details the client is missing from this document
+            const updates = {};
+            for (const field of FILL_FIELDS) {
+              if (!client[field] && snapshot[field]) {
+                updates[field] = snapshot[field];
+              }
+            }
+            if (updates.email) {
+              updates.normalizedEmail = normalizedEmail;
+            }
+
+            if (Object.keys(updates).length > 0) {
+              await clients.updateOne({ _id: client._id }, { $set: updates });
+              Object.assign(client, updates);
+              remember(client);
+              enrichedCount++;
+            }
+          } else {
+            const now = new Date();
+            client = {
+              name: snapshot.name,
+              phone: snapshot.phone,
+              email: normalizedEmail || undefined,
+              company: snapshot.company,
+              address: snapshot.address,
+              gender: snapshot.gender || '',
+              normalizedPhone,
+              normalizedEmail,
+              mergedFrom: [],
+              source: 'migration',
+              createdBy: document.createdBy,
+              createdAt: document.createdAt || now,
+              updatedAt: now
+            };
+
+            const result = await clients.insertOne(client);
+            client._id = result.insertedId;
+            remember(client);
+            createdCount++;
+          }
+
+          operations.push({
+            updateOne: {
+              filter: { _id: document._id },
+              update: { $set: { clientId: client._id } }
+            }
+          });
+          linkRecords.push({
+            collectionName,
+            documentId: document._id,
+            clientId: client._id,
+            createdAt: new Date()
+          });
+
+          if (operations.length >= BATCH_SIZE) {
+            await flush();
+          }
+        }
+
+        await flush();
+        logger.info(`Linked ${linkedCount} ${collectionName} to clients`);
+      }
+
+      logger.info(
+        `Created ${createdCount} clients, filled in details for ${enrichedCount}`
+      );
+
+      // Indexes used for matching and client history
+      const indexes = [
+        { collection: clients, index: { normalizedPhone: 1 } },
+        { collection: clients, index: { normalizedEmail: 1 } },
+        {
+          collection: db.collection('quotations'),
+          index: { clientId: 1, createdAt: -1 }
+        },
+        {
+          collection: db.collection('receipts'),
+          index: { clientId: 1, createdAt: -1 }
+        }
+      ];
+
+      for (const { collection, index } of indexes) {
+        try {
+          await collection.createIndex(index);
+          logger.info('Created index:', index);
+        } catch (error) {
+          logger.info('Index may already exist:', index, error.message);
+        }
+      }
+
+      // Clients sharing a phone or email across records need a manual merge
+      for (const field of ['normalizedPhone', 'normalizedEmail']) {
+        const duplicates = await clients
+          .aggregate([
+            { $match: { [field]: { $nin: [null, ''] } } },
+            { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+            { $match: { count: { $gt: 1 } } }
+          ])
+          .toArray();
+
+        if (duplicates.length > 0) {
+          logger.info(
+            `Found ${duplicates.length} groups of clients sharing a ${field}; review them via GET /api/clients/duplicates and merge with POST /api/clients/:id/merge`
+          );
+        }
+      }
+
+      logger.info('Migration completed successfully');
+    } catch (error) {
+      logger.error('Migration failed:', error);
+      throw error;
+    }
+  },
+
+  async down(db) {
+    logger.info('Rolling back client backfill migration...');
+
+    try {
+      const clients = db.collection('clients');
+      const links = db.collection(LINKS_COLLECTION);
+
+      // Unlink only the documents this migration linked, and only while
+      // they still point at the client it chose
+      for (const collectionName of ['quotations', 'receipts']) {
+        const collection = db.collection(collectionName);
+        const cursor = links.find({ collectionName });
+        let operations = [];
+        let unlinkedCount = 0;
+
+        const flush = async () => {
+          if (operations.length === 0) return;
+          const result = await collection.bulkWrite(operations, {
+            ordered: false
+          });
+          unlinkedCount += result.modifiedCount;
+          operations = [];
+        };
+
+        for await (const link of cursor) {
+          operations.push({
+            updateOne: {
+              filter: { _id: link.documentId, clientId: link.clientId },
+              update: { $unset: { clientId: '' } }
+            }
+          });
+
+          if (operations.length >= BATCH_SIZE) {
+            await flush();
+          }
+        }
+
+        await flush();
+        logger.info(`Unlinked ${unlinkedCount} ${collectionName} from clients`);
+      }
+
+      // Backfilled clients that documents were linked to since are kept
+      const backfilledIds = await clients.distinct('_id', {
+        source: 'migration'
+      });
+      const stillLinked = new Set();
+      for (const collectionName of LINKED_COLLECTIONS) {
+        const clientIds = await db
+          .collection(collectionName)
+          .distinct('clientId', { clientId: { $in: backfilledIds } });
+        clientIds.forEach(id => stillLinked.add(id.toString()));
+      }
+
+      const removableIds = backfilledIds.filter(
+        id => !stillLinked.has(id.toString())
+      );
+      const result = await clients.deleteMany({ _id: { $in: removableIds } });
+      logger.info(
+        `Removed ${result.deletedCount} backfilled clients, kept ${stillLinked.size} linked to later documents`
+      );
+
+      await links.drop().catch(() => {});
+
+      logger.info('Rollback completed successfully');
+    } catch (error) {
+      logger.error('Rollback failed:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = migration;
@@ -3,8 +3,44 @@
  * Tracks all system activities for security and compliance
  */
 
+const net = require('net');
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const mongoosePaginate = require('mongoose-paginate-v2');
+const logger = require('../utils/logger');
+
+// Logs older than this are removed by the TTL index below. It is the only
+// way entries leave the hash chain, so the chain only ever loses its oldest
+// end, which verifyChain allows for.
+const RETENTION_DAYS = 730;
+
+// previousHash of the very first entry in the chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// Entry fields covered by the chain hash, in hashing order
+const HASHED_FIELDS = [
+  'sequence',
+  'previousHash',
+  'userId',
+  'action',
+  'entityType',
+  'entityId',
+  'oldValues',
+  'newValues',
+  'details',
+  'ipAddress',
+  'userAgent',
+  'success',
+  'errorMessage',
+  'duration',
+  'riskLevel',
+  'createdAt'
+];
+
+// New entries are sealed into the chain shortly after being written; any
+// left pending by a process that stopped are sealed by the verification job
+const SEAL_DELAY_MS = 1000;
+const SEAL_BATCH_SIZE = 500;
 
 const auditLogSchema = new mongoose.Schema(
   {
@@ -42,15 +78,52 @@ const auditLogSchema = new mongoose.Schema(
           'QUOTATION_PDF_GENERATED',
           'QUOTATION_SENT',
           'QUOTATION_CONVERTED',
+          'QUOTATION_CLIENT_RESPONDED',
+          'QUOTATION_APPROVAL_REQUESTED',
+          'QUOTATION_APPROVED',
+          'QUOTATION_REJECTED',
           'RECEIPT_CREATED',
           'RECEIPT_UPDATED',
           'RECEIPT_DELETED',
           'RECEIPT_PDF_GENERATED',
           'RECEIPT_SENT',
+          'DRAFT_CREATED',
+          'DRAFT_UPDATED',
+          'DRAFT_DELETED',
+          'NOTIFICATION_CREATED',
+          'NOTIFICATION_UPDATED',
+          'NOTIFICATION_DELETED',
+          'CLIENT_CREATED',
+          'CLIENT_UPDATED',
+          'CLIENT_DELETED',
+          'CLIENT_MERGED',
+          'CATALOG_ITEM_CREATED',
+          'CATALOG_ITEM_UPDATED',
+          'CATALOG_ITEM_DELETED',
+          'MOVE_CREATED',
+          'MOVE_UPDATED',
+          'MOVE_DELETED',
+          'MOVE_STATUS_CHANGED',
+          'VEHICLE_CREATED',
+          'VEHICLE_UPDATED',
+          'VEHICLE_DELETED',
+          'CLAIM_CREATED',
+          'CLAIM_UPDATED',
+          'CLAIM_DELETED',
+          'CLAIM_ASSESSED',
+          'CLAIM_APPROVED',
+          'CLAIM_REJECTED',
+          'CLAIM_SETTLED',
+          'STORAGE_CONTRACT_CREATED',
+          'STORAGE_CONTRACT_UPDATED',
+          'STORAGE_CONTRACT_DELETED',
+          'STORAGE_CONTRACT_SUSPENDED',
+          'STORAGE_CONTRACT_RESUMED',
 
           // Payment actions
           'PAYMENT_RECORDED',
           'PAYMENT_REFUNDED',
+          'PAYMENT_CREDITED',
           'PAYMENT_STATUS_CHANGED',
 
           // System actions
@@ -78,7 +151,14 @@ const auditLogSchema = new mongoose.Schema(
           'User',
           'Quotation',
           'Receipt',
+          'Draft',
           'Notification',
+          'Client',
+          'ServiceCatalogItem',
+          'Move',
+          'Vehicle',
+          'Claim',
+          'StorageContract',
           'System',
           'File'
         ],
@@ -98,19 +178,18 @@ const auditLogSchema = new mongoose.Schema(
       // Store new values for create/update operations
     },
     details: {
-      type: String,
-      trim: true,
-      maxlength: [1000, 'Details cannot exceed 1000 characters']
+      type: mongoose.Schema.Types.Mixed
       // Additional context about the action
     },
     ipAddress: {
       type: String,
       required: [true, 'IP address is required'],
       trim: true,
-      match: [
-        /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$|^::1$|^localhost$/,
-        'Invalid IP address format'
-      ]
+      validate: {
+        // Accept IPv4, IPv6 (including IPv4-mapped addresses behind proxies)
+        validator: v => v === 'localhost' || net.isIP(v) !== 0,
+        message: 'Invalid IP address format'
+      }
     },
     userAgent: {
       type: String,
@@ -140,6 +219,17 @@ const auditLogSchema = new mongoose.Schema(
       },
       default: 'low',
       index: true
+    },
+    // Hash chain (set when the entry is sealed, see sealPendingEntries)
+    sequence: {
+      type: Number,
+      min: [1, 'Sequence must be positive']
+    },
+    previousHash: {
+      type: String
+    },
+    hash: {
+      type: String
     }
   },
   {
@@ -161,8 +251,19 @@ auditLogSchema.index({ riskLevel: 1, createdAt: -1 });
 auditLogSchema.index({ userId: 1, action: 1, createdAt: -1 });
 auditLogSchema.index({ riskLevel: 1, success: 1, createdAt: -1 });
 
+// Hash chain: one entry per sequence number, and fast lookup of unsealed
+// entries in insertion order
+auditLogSchema.index(
+  { sequence: 1 },
+  { unique: true, partialFilterExpression: { sequence: { $exists: true } } }
+);
+auditLogSchema.index({ sequence: 1, _id: 1 });
+
 // TTL index to auto-delete old logs (keep for 2 years)
-auditLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: 63072000 }); // 2 years in seconds
+auditLogSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 }
+);
 
 // Virtual for formatting creation date
 auditLogSchema.virtual('formattedDate').get(function () {
@@ -205,12 +306,16 @@ auditLogSchema.statics.determineRiskLevel = function (action) {
     PAYMENT_REFUNDED: 'high',
     DATA_EXPORT: 'high',
     SETTINGS_UPDATED: 'high',
+    CLIENT_DELETED: 'high',
+    CLIENT_MERGED: 'high',
 
     // Medium risk actions
     LOGIN_FAILED: 'medium',
     RATE_LIMIT_EXCEEDED: 'medium',
     USER_UPDATED: 'medium',
     QUOTATION_UPDATED: 'medium',
+    QUOTATION_APPROVED: 'medium',
+    QUOTATION_REJECTED: 'medium',
     RECEIPT_UPDATED: 'medium',
     PAYMENT_RECORDED: 'medium',
 
@@ -334,6 +439,230 @@ auditLogSchema.statics.cleanOldLogs = function (days = 730) {
   return this.deleteMany({ createdAt: { $lt: cutoffDate } });
 };
 
+/**
+ * Normalize a value for hashing: sorted object keys, ObjectIds and dates as
+ * strings, so the same stored entry always hashes the same way
+ */
+const canonicalize = value => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (typeof value === 'object') {
+    return Object.keys(value)
+      .sort()
+      .reduce((result, key) => {
+        result[key] = canonicalize(value[key]);
+        return result;
+      }, {});
+  }
+  return value;
+};
+
+/**
+ * Hash an entry together with its sequence and previous hash
+ * Uses an HMAC when AUDIT_HASH_SECRET is set, so the chain cannot be rebuilt
+ * by someone with database access alone
+ */
+const computeEntryHash = entry => {
+  const payload = JSON.stringify(
+    HASHED_FIELDS.map(field => canonicalize(entry[field]))
+  );
+  const secret = process.env.AUDIT_HASH_SECRET;
+  const hasher = secret
+    ? crypto.createHmac('sha256', secret)
+    : crypto.createHash('sha256');
+
+  return hasher.update(payload).digest('hex');
+};
+
+let sealQueue = Promise.resolve();
+let sealTimer = null;
+
+/**
+ * Link all unsealed entries onto the end of the chain, oldest first
+ * Calls are queued so a single process never seals concurrently; the unique
+ * sequence index catches races with other processes
+ * @returns {Promise<number>} Number of entries sealed
+ */
+auditLogSchema.statics.sealPendingEntries = function () {
+  const run = async () => {
+    const Counter = require('./Counter.model');
+    let sealedCount = 0;
+    let head = await this.findOne({ sequence: { $ne: null } })
+      .sort({ sequence: -1 })
+      .select('sequence hash')
+      .lean();
+
+    for (;;) {
+      const pending = await this.find({ sequence: null })
+        .sort({ _id: 1 })
+        .limit(SEAL_BATCH_SIZE)
+        .lean();
+
+      if (pending.length === 0) break;
+
+      for (const entry of pending) {
+        const sequence = head ? head.sequence + 1 : 1;
+        const previousHash = head ? head.hash : GENESIS_HASH;
+        const hash = computeEntryHash({ ...entry, sequence, previousHash });
+
+        try {
+          const result = await this.updateOne(
+            { _id: entry._id, sequence: null },
+            { $set: { sequence, previousHash, hash } }
+          );
+
+          if (result.modifiedCount === 0) continue; // Sealed elsewhere
+        } catch (error) {
+          if (error.code !== 11000) throw error;
+
+          // Another process took this sequence number, continue after it
+          head = await this.findOne({ sequence: { $ne: null } })
+            .sort({ sequence: -1 })
+            .select('sequence hash')
+            .lean();
+          continue;
+        }
+
+        head = { sequence, hash };
+        sealedCount++;
+      }
+    }
+
+    // Remember the chain length so removing the newest entries is detected
+    if (head) {
+      await Counter.updateOne(
+        { _id: 'audit_log_chain' },
+        {
+          $max: { sequence: head.sequence },
+          $set: { lastUsed: new Date() },
+          $setOnInsert: {
+            prefix: 'AUD',
+            year: new Date().getFullYear(),
+            description: 'audit log hash chain length'
+          }
+        },
+        { upsert: true }
+      );
+    }
+
+    return sealedCount;
+  };
+
+  sealQueue = sealQueue.catch(() => {}).then(run);
+  return sealQueue;
+};
+
+/**
+ * Seal new entries after a short delay, batching bursts of writes
+ * Entries written inside a transaction that has not committed yet are picked
+ * up by a later run
+ */
+auditLogSchema.statics.scheduleSeal = function () {
+  if (sealTimer) return;
+
+  sealTimer = setTimeout(() => {
+    sealTimer = null;
+    this.sealPendingEntries().catch(error => {
+      logger.error('Failed to seal audit log chain:', error);
+    });
+  }, SEAL_DELAY_MS);
+  sealTimer.unref();
+};
+
+/**
+ * Walk the chain in sequence order and report the first broken link
+ * @returns {Promise<Object>} Verification result
+ */
+auditLogSchema.statics.verifyChain = async function () {
+  const Counter = require('./Counter.model');
+  const retentionCutoff = new Date(
+    Date.now() - (RETENTION_DAYS - 1) * 24 * 60 * 60 * 1000
+  );
+
+  const cursor = this.find({ sequence: { $ne: null } })
+    .sort({ sequence: 1 })
+    .lean()
+    .cursor();
+
+  let previous = null;
+  let checkedEntries = 0;
+  let firstBrokenLink = null;
+
+  try {
+    for await (const entry of cursor) {
+      let reason = null;
+
+      if (!previous) {
+        if (entry.sequence === 1 && entry.previousHash !== GENESIS_HASH) {
+          reason = 'First entry does not start from the genesis hash';
+        } else if (entry.sequence > 1 && entry.createdAt > retentionCutoff) {
+          // Entries expired by the retention policy are expected to be gone
+          reason = `Entries before sequence ${entry.sequence} are missing`;
+        }
+      } else if (entry.sequence !== previous.sequence + 1) {
+        reason = `Entries ${previous.sequence + 1} to ${entry.sequence - 1} are missing`;
+      } else if (entry.previousHash !== previous.hash) {
+        reason = 'Previous hash does not match the preceding entry';
+      }
+
+      if (!reason && computeEntryHash(entry) !== entry.hash) {
+        reason = 'Entry contents do not match its hash';
+      }
+
+      if (reason) {
+        firstBrokenLink = {
+          sequence: entry.sequence,
+          entryId: entry._id,
+          action: entry.action,
+          createdAt: entry.createdAt,
+          reason
+        };
+        break;
+      }
+
+      previous = entry;
+      checkedEntries++;
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  const chainCounter = await Counter.findById('audit_log_chain').lean();
+  const expectedLength = chainCounter ? chainCounter.sequence : 0;
+  const lastSequence = previous ? previous.sequence : null;
+
+  if (!firstBrokenLink && expectedLength > (lastSequence || 0)) {
+    firstBrokenLink = {
+      sequence: (lastSequence || 0) + 1,
+      entryId: null,
+      action: null,
+      createdAt: null,
+      reason: `Entries ${(lastSequence || 0) + 1} to ${expectedLength} are missing`
+    };
+  }
+
+  return {
+    valid: !firstBrokenLink,
+    checkedEntries,
+    lastSequence,
+    expectedLength,
+    pendingEntries: await this.countDocuments({ sequence: null }),
+    firstBrokenLink,
+    verifiedAt: new Date()
+  };
+};
+
+// Seal new entries into the hash chain
+auditLogSchema.post('save', function () {
+  this.constructor.scheduleSeal();
+});
+
+auditLogSchema.post('insertMany', function () {
+  this.scheduleSeal();
+});
+
 // Add pagination plugin
 auditLogSchema.plugin(mongoosePaginate);
 
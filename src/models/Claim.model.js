@@ -0,0 +1,348 @@
+/**
+ * Claim Model
+ * Damage claims raised by clients for goods damaged during a move, from
+ * submission through assessment and approval to settlement as a refund or a
+ * credit on the receipt
+ */
+
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail.plugin');
+
+const CLAIM_STATUSES = [
+  'submitted',
+  'assessed',
+  'approved',
+  'rejected',
+  'settled'
+];
+
+// Statuses a claim can go to from each status
+const STATUS_TRANSITIONS = {
+  submitted: ['assessed', 'rejected'],
+  assessed: ['approved', 'rejected'],
+  approved: ['settled'],
+  rejected: [],
+  settled: []
+};
+
+// Audit action recorded when a claim reaches each status
+const STATUS_ACTIONS = {
+  assessed: 'CLAIM_ASSESSED',
+  approved: 'CLAIM_APPROVED',
+  rejected: 'CLAIM_REJECTED',
+  settled: 'CLAIM_SETTLED'
+};
+
+const MAX_PHOTOS = 20;
+
+const round = amount => Math.round(amount * 100) / 100;
+
+const claimSchema = new mongoose.Schema(
+  {
+    claimNumber: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      match: [
+        /^AMRC-CLM-\d{5}$/,
+        'Claim number must follow format AMRC-CLM-NNNNN'
+      ]
+    },
+    // Receipt the claim is settled against; a claim filed against a move
+    // uses the move's receipt
+    receiptId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Receipt',
+      required: [true, 'Receipt is required']
+    },
+    moveId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Move'
+    },
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Client'
+    },
+    // Snapshot of the client from the receipt
+    client: {
+      name: {
+        type: String,
+        required: [true, 'Client name is required'],
+        trim: true,
+        maxlength: [100, 'Client name cannot exceed 100 characters']
+      },
+      phone: {
+        type: String,
+        trim: true
+      },
+      email: {
+        type: String,
+        trim: true,
+        lowercase: true
+      }
+    },
+    // Amounts are in the receipt's currency
+    currency: {
+      type: String,
+      required: [true, 'Currency is required'],
+      trim: true,
+      uppercase: true
+    },
+    incidentDate: {
+      type: Date
+    },
+    description: {
+      type: String,
+      required: [true, 'Claim description is required'],
+      trim: true,
+      maxlength: [2000, 'Description cannot exceed 2000 characters']
+    },
+    items: {
+      type: [
+        {
+          description: {
+            type: String,
+            required: [true, 'Item description is required'],
+            trim: true,
+            maxlength: [200, 'Item description cannot exceed 200 characters']
+          },
+          quantity: {
+            type: Number,
+            default: 1,
+            min: [1, 'Quantity must be at least 1']
+          },
+          damageDescription: {
+            type: String,
+            trim: true,
+            maxlength: [300, 'Damage description cannot exceed 300 characters']
+          },
+          claimedAmount: {
+            type: Number,
+            required: [true, 'Claimed amount is required'],
+            min: [0, 'Claimed amount cannot be negative']
+          }
+        }
+      ],
+      validate: {
+        validator: items => items.length > 0,
+        message: 'At least one damaged item is required'
+      }
+    },
+    // Total of the items' claimed amounts
+    claimedAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Claimed amount cannot be negative']
+    },
+    photos: {
+      type: [
+        {
+          url: {
+            type: String,
+            required: true
+          },
+          publicId: {
+            type: String,
+            required: true
+          },
+          originalName: {
+            type: String,
+            trim: true
+          },
+          uploadedAt: {
+            type: Date,
+            default: Date.now
+          },
+          uploadedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+          }
+        }
+      ],
+      validate: {
+        validator: photos => photos.length <= MAX_PHOTOS,
+        message: `A claim can have at most ${MAX_PHOTOS} photos`
+      }
+    },
+    status: {
+      type: String,
+      enum: {
+        values: CLAIM_STATUSES,
+        message:
+          'Status must be submitted, assessed, approved, rejected, or settled'
+      },
+      default: 'submitted'
+    },
+    assessment: {
+      assessedAmount: {
+        type: Number,
+        min: [0, 'Assessed amount cannot be negative']
+      },
+      findings: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Findings cannot exceed 1000 characters']
+      },
+      assessedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      assessedAt: {
+        type: Date
+      }
+    },
+    // Approval or rejection
+    decision: {
+      approvedAmount: {
+        type: Number,
+        min: [0, 'Approved amount cannot be negative']
+      },
+      notes: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Decision notes cannot exceed 500 characters']
+      },
+      decidedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      decidedAt: {
+        type: Date
+      }
+    },
+    settlement: {
+      method: {
+        type: String,
+        enum: {
+          values: ['refund', 'credit'],
+          message: 'Settlement must be a refund or a credit'
+        }
+      },
+      amount: {
+        type: Number,
+        min: [0, 'Settlement amount cannot be negative']
+      },
+      // Receipt the refund or credit was recorded on and its payment entry
+      receiptId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Receipt'
+      },
+      paymentEntryId: {
+        type: mongoose.Schema.Types.ObjectId
+      },
+      paymentMethod: {
+        type: String,
+        enum: ['cash', 'bank_transfer', 'mobile_money']
+      },
+      reference: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Reference cannot exceed 100 characters']
+      },
+      settledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      settledAt: {
+        type: Date
+      }
+    },
+    statusHistory: [
+      {
+        status: {
+          type: String,
+          enum: CLAIM_STATUSES,
+          required: true
+        },
+        changedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true
+        },
+        changedAt: {
+          type: Date,
+          default: Date.now
+        },
+        notes: {
+          type: String,
+          trim: true,
+          maxlength: [500, 'Notes cannot exceed 500 characters']
+        }
+      }
+    ],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Creator is required']
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Indexes for performance
+claimSchema.index({ status: 1, createdAt: -1 });
+claimSchema.index({ receiptId: 1 });
+claimSchema.index({ moveId: 1 });
+claimSchema.index({ clientId: 1 });
+claimSchema.index({ createdBy: 1, createdAt: -1 });
+
+// Pre-validate middleware to total the claimed items
+claimSchema.pre('validate', function (next) {
+  this.claimedAmount = round(
+    this.items.reduce((sum, item) => sum + item.claimedAmount, 0)
+  );
+  next();
+});
+
+// Static method to generate claim number
+claimSchema.statics.generateClaimNumber = async function () {
+  const Counter = mongoose.model('Counter');
+  const { formattedNumber } = await Counter.getNextSequence('claim');
+  return formattedNumber;
+};
+
+// Instance method to check whether the claim can go to a status
+claimSchema.methods.canTransitionTo = function (status) {
+  return STATUS_TRANSITIONS[this.status].includes(status);
+};
+
+// Instance method to move the claim along its lifecycle. The caller records
+// the assessment, decision or settlement details and saves the claim.
+claimSchema.methods.transitionTo = function (status, changedBy, notes) {
+  if (!this.canTransitionTo(status)) {
+    const error = new Error(
+      `A claim that is ${this.status} cannot be marked ${status}`
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  this.status = status;
+  this.statusHistory.push({ status, changedBy, changedAt: new Date(), notes });
+
+  return this;
+};
+
+// Instance method to check whether the claim's details can still be edited
+claimSchema.methods.isEditable = function () {
+  return this.status === 'submitted';
+};
+
+// Record every create, update and delete in the audit log
+claimSchema.plugin(auditTrail, {
+  entityType: 'Claim',
+  actions: {
+    create: 'CLAIM_CREATED',
+    update: 'CLAIM_UPDATED',
+    delete: 'CLAIM_DELETED'
+  },
+  excludeFields: ['statusHistory'],
+  resolveUpdateAction: diff => STATUS_ACTIONS[diff.newValues.status] || null
+});
+
+module.exports = mongoose.model('Claim', claimSchema);
@@ -0,0 +1,306 @@
+/**
+ * Client Model
+ * A single customer record shared by the quotations and receipts issued to
+ * them. Documents keep their own inline client snapshot; clientId links them
+ * back to this record.
+ */
+
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+const auditTrail = require('./plugins/auditTrail.plugin');
+const { withTransaction } = require('../utils/transaction');
+
+// Local numbers (0772...) are treated as Ugandan numbers
+const DEFAULT_COUNTRY_CODE = '256';
+
+const clientSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Client name is required'],
+      trim: true,
+      maxlength: [100, 'Client name cannot exceed 100 characters']
+    },
+    phone: {
+      type: String,
+      required: [true, 'Client phone is required'],
+      trim: true,
+      match: [/^[+]?[\d\s\-()]{10,}$/, 'Please provide a valid phone number']
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [
+        /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+        'Please provide a valid email'
+      ]
+    },
+    company: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Company name cannot exceed 200 characters']
+    },
+    address: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Address cannot exceed 500 characters']
+    },
+    gender: {
+      type: String,
+      enum: {
+        values: ['male', 'female', ''],
+        message: 'Gender must be male, female, or empty'
+      },
+      default: ''
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters']
+    },
+    // Matching keys, kept in sync with phone and email on validate
+    normalizedPhone: {
+      type: String,
+      index: true
+    },
+    normalizedEmail: {
+      type: String,
+      index: true
+    },
+    // Clients merged into this one, kept for reference
+    mergedFrom: [
+      {
+        clientId: mongoose.Schema.Types.ObjectId,
+        name: String,
+        phone: String,
+        email: String,
+        mergedAt: {
+          type: Date,
+          default: Date.now
+        },
+        mergedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        }
+      }
+    ],
+    // How the client was first recorded
+    source: {
+      type: String,
+      enum: {
+        values: ['manual', 'document', 'migration'],
+        message: 'Source must be manual, document, or migration'
+      },
+      default: 'manual'
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Indexes for performance
+clientSchema.index({ name: 1 });
+clientSchema.index({ createdAt: -1 });
+clientSchema.index({ name: 'text', company: 'text' }); // Text search
+
+/**
+ * Normalize a phone number to digits with country code, e.g.
+ * "0772 123-456" and "+256772123456" both become "256772123456"
+ */
+clientSchema.statics.normalizePhone = function (phone) {
+  if (!phone) return null;
+
+  let digits = String(phone).replace(/\D/g, '');
+  if (digits.startsWith('00')) {
+    digits = digits.slice(2);
+  } else if (digits.startsWith('0')) {
+    digits = DEFAULT_COUNTRY_CODE + digits.slice(1);
+  }
+
+  return digits || null;
+};
+
+/**
+ * Normalize an email address for matching
+ */
+clientSchema.statics.normalizeEmail = function (email) {
+  if (!email) return null;
+  return String(email).trim().toLowerCase() || null;
+};
+
+// Keep matching keys in sync
+clientSchema.pre('validate', function (next) {
+  this.normalizedPhone = this.constructor.normalizePhone(this.phone);
+  this.normalizedEmail = this.constructor.normalizeEmail(this.email);
+  next();
+});
+
+/**
+ * Find an existing client matching a phone number or email
+ * Phone matches take precedence over email matches
+ */
+clientSchema.statics.findMatch = async function (
+  { phone, email },
+  options = {}
+) {
+  const normalizedPhone = this.normalizePhone(phone);
+  const normalizedEmail = this.normalizeEmail(email);
+
+  if (normalizedPhone) {
+    const byPhone = await this.findOne({ normalizedPhone })
+      .sort({ createdAt: 1 })
+      .session(options.session || null);
+    if (byPhone) return byPhone;
+  }
+
+  if (normalizedEmail) {
+    return await this.findOne({ normalizedEmail })
+      .sort({ createdAt: 1 })
+      .session(options.session || null);
+  }
+
+  return null;
+};
+
+/**
+ * Resolve the client a document belongs to
+ * Uses clientId when given, otherwise matches the inline snapshot against
+ * existing clients and creates a new client when nothing matches
+ * @param {string} clientId - Optional explicit client
+ * @param {Object} snapshot - Inline client data from the document
+ * @param {string} userId - User creating the document
+ * @returns {Promise<Object>} Client document
+ */
+clientSchema.statics.resolveForDocument = async function (
+  clientId,
+  snapshot,
+  userId,
+  options = {}
+) {
+  if (clientId) {
+    const client = await this.findById(clientId).session(
+      options.session || null
+    );
+    if (!client) {
+      const error = new Error('Client not found');
+      error.statusCode = 400;
+      throw error;
+    }
+    return client;
+  }
+
+  const existing = await this.findMatch(snapshot || {}, options);
+  if (existing) return existing;
+
+  const [client] = await this.create(
+    [
+      {
+        name: snapshot.name,
+        phone: snapshot.phone,
+        email: snapshot.email || undefined,
+        company: snapshot.company,
+        address: snapshot.address,
+        gender: snapshot.gender || '',
+        source: 'document',
+        createdBy: userId
+      }
+    ],
+    options.session ? { session: options.session } : {}
+  );
+
+  return client;
+};
+
+/**
+ * Link a document to its client and save it in one transaction, so a client
+ * created for a document that then fails to save is rolled back with it.
+ * On a standalone server, which has no transactions, the two are saved in
+ * turn and such a client is left in place.
+ * @param {Object} document - Quotation or receipt to link and save
+ * @param {Object} client - { clientId, snapshot, userId } as for
+ *   resolveForDocument
+ * @param {Function} save - Optional () => Promise that saves the document;
+ *   defaults to document.save(). It runs with the document in the session.
+ * @returns {Promise<Object>} The saved document
+ */
+clientSchema.statics.saveLinkedDocument = async function (
+  document,
+  { clientId, snapshot, userId },
+  save = () => document.save()
+) {
+  await withTransaction(async session => {
+    const client = await this.resolveForDocument(clientId, snapshot, userId, {
+      session
+    });
+    document.clientId = client._id;
+    document.$session(session);
+    await save();
+  });
+
+  return document;
+};
+
+/**
+ * Find groups of clients sharing a normalized phone number or email
+ * @returns {Promise<Array>} [{ matchedOn, value, clients }]
+ */
+clientSchema.statics.findDuplicateGroups = async function () {
+  const groupBy = async field => {
+    const groups = await this.aggregate([
+      { $match: { [field]: { $nin: [null, ''] } } },
+      { $sort: { createdAt: 1 } },
+      {
+        $group: {
+          _id: `$${field}`,
+          count: { $sum: 1 },
+          clients: {
+            $push: {
+              _id: '$_id',
+              name: '$name',
+              phone: '$phone',
+              email: '$email',
+              company: '$company',
+              createdAt: '$createdAt'
+            }
+          }
+        }
+      },
+      { $match: { count: { $gt: 1 } } },
+      { $sort: { count: -1 } }
+    ]);
+
+    return groups.map(group => ({
+      matchedOn: field === 'normalizedPhone' ? 'phone' : 'email',
+      value: group._id,
+      clients: group.clients
+    }));
+  };
+
+  return [
+    ...(await groupBy('normalizedPhone')),
+    ...(await groupBy('normalizedEmail'))
+  ];
+};
+
+// Add pagination plugin
+clientSchema.plugin(mongoosePaginate);
+
+// Record every create, update and delete in the audit log
+clientSchema.plugin(auditTrail, {
+  entityType: 'Client',
+  actions: {
+    create: 'CLIENT_CREATED',
+    update: 'CLIENT_UPDATED',
+    delete: 'CLIENT_DELETED'
+  }
+});
+
+module.exports = mongoose.model('Client', clientSchema);
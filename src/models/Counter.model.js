@@ -1,6 +1,7 @@
 /**
  * Counter Model
- * Handles sequential numbering for quotations and receipts
+ * Handles sequential numbering for quotations, receipts, moves, claims and
+ * storage contracts
  */
 
 const mongoose = require('mongoose');
@@ -22,7 +23,7 @@ const counterSchema = new mongoose.Schema(
       type: String,
       required: true,
       trim: true
-      // E.g., "QTN", "RCP", "ITM", "COM", "FIN", "OTP"
+      // E.g., "QTN", "RCP", "ITM", "COM", "FIN", "OTP", "STO"
     },
     year: {
       type: Number,
@@ -74,7 +75,11 @@ counterSchema.statics.getNextSequence = async function (type, year = null) {
     commitment_receipt: 'COM',
     final_receipt: 'FIN',
     one_time_receipt: 'OTP',
-    receipt: 'RCP' // Generic receipt
+    storage_receipt: 'STO',
+    receipt: 'RCP', // Generic receipt
+    move: 'MOV',
+    claim: 'CLM',
+    storage_contract: 'STC'
   };
 
   const prefix = prefixMap[type] || 'DOC';
@@ -117,7 +122,11 @@ counterSchema.statics.resetYearlyCounters = async function (year = null) {
     'commitment_receipt',
     'final_receipt',
     'one_time_receipt',
-    'receipt'
+    'storage_receipt',
+    'receipt',
+    'move',
+    'claim',
+    'storage_contract'
   ];
 
   const results = [];
@@ -134,7 +143,11 @@ counterSchema.statics.resetYearlyCounters = async function (year = null) {
         commitment_receipt: 'COM',
         final_receipt: 'FIN',
         one_time_receipt: 'OTP',
-        receipt: 'RCP'
+        storage_receipt: 'STO',
+        receipt: 'RCP',
+        move: 'MOV',
+        claim: 'CLM',
+        storage_contract: 'STC'
       };
 
       const counter = new this({
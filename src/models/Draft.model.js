@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail.plugin');
 
 const draftSchema = new mongoose.Schema({
   userId: {
@@ -59,4 +60,14 @@ draftSchema.statics.findOrCreateDraft = async function(userId, type, data = {})
   return draft;
 };
 
+// Record every create, update and delete in the audit log
+draftSchema.plugin(auditTrail, {
+  entityType: 'Draft',
+  actions: {
+    create: 'DRAFT_CREATED',
+    update: 'DRAFT_UPDATED',
+    delete: 'DRAFT_DELETED'
+  }
+});
+
 module.exports = mongoose.model('Draft', draftSchema);
\ No newline at end of file
@@ -0,0 +1,362 @@
+/**
+ * Move Model
+ * The actual move job planned once a quotation is converted or a commitment
+ * receipt is issued: when it runs, who works on it and which vehicles go
+ */
+
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail.plugin');
+
+const MOVE_STATUSES = ['scheduled', 'in_progress', 'completed', 'cancelled'];
+
+// Statuses a move can go to from each status
+const STATUS_TRANSITIONS = {
+  scheduled: ['in_progress', 'cancelled'],
+  in_progress: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+// Moves that still hold their crew and vehicles
+const ACTIVE_STATUSES = ['scheduled', 'in_progress'];
+
+const CREW_ROLES = ['supervisor', 'driver', 'mover', 'packer'];
+
+const moveSchema = new mongoose.Schema(
+  {
+    moveNumber: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      match: [
+        /^AMRC-MOV-\d{5}$/,
+        'Move number must follow format AMRC-MOV-NNNNN'
+      ]
+    },
+    // Documents the move was planned from; a converted quotation links both
+    quotationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Quotation'
+    },
+    receiptId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Receipt'
+    },
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Client'
+    },
+    // Snapshot of the client from the source document
+    client: {
+      name: {
+        type: String,
+        required: [true, 'Client name is required'],
+        trim: true,
+        maxlength: [100, 'Client name cannot exceed 100 characters']
+      },
+      phone: {
+        type: String,
+        trim: true
+      },
+      email: {
+        type: String,
+        trim: true,
+        lowercase: true
+      }
+    },
+    moveType: {
+      type: String,
+      enum: {
+        values: ['international', 'residential', 'office'],
+        message: 'Move type must be international, residential, or office'
+      }
+    },
+    locations: {
+      from: {
+        type: String,
+        trim: true,
+        maxlength: [300, 'Pickup location cannot exceed 300 characters']
+      },
+      to: {
+        type: String,
+        trim: true,
+        maxlength: [300, 'Destination location cannot exceed 300 characters']
+      },
+      movingDate: {
+        type: Date,
+        required: [true, 'Moving date is required']
+      }
+    },
+    scheduledStart: {
+      type: Date,
+      required: [true, 'Start time is required']
+    },
+    scheduledEnd: {
+      type: Date,
+      required: [true, 'End time is required'],
+      validate: {
+        validator: function (value) {
+          return !this.scheduledStart || value > this.scheduledStart;
+        },
+        message: 'End time must be after the start time'
+      }
+    },
+    status: {
+      type: String,
+      enum: {
+        values: MOVE_STATUSES,
+        message:
+          'Status must be scheduled, in_progress, completed, or cancelled'
+      },
+      default: 'scheduled'
+    },
+    crew: [
+      {
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: [true, 'Crew member is required']
+        },
+        role: {
+          type: String,
+          enum: {
+            values: CREW_ROLES,
+            message: 'Crew role must be supervisor, driver, mover, or packer'
+          },
+          default: 'mover'
+        }
+      }
+    ],
+    // Fleet vehicles, with their plate and description at assignment
+    vehicles: [
+      {
+        vehicleId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Vehicle'
+        },
+        plateNumber: {
+          type: String,
+          required: [true, 'Plate number is required'],
+          trim: true,
+          uppercase: true,
+          maxlength: [20, 'Plate number cannot exceed 20 characters']
+        },
+        description: {
+          type: String,
+          trim: true,
+          maxlength: [100, 'Vehicle description cannot exceed 100 characters']
+        }
+      }
+    ],
+    // When the move actually started and finished
+    startedAt: {
+      type: Date
+    },
+    completedAt: {
+      type: Date
+    },
+    cancelledAt: {
+      type: Date
+    },
+    statusHistory: [
+      {
+        status: {
+          type: String,
+          enum: MOVE_STATUSES,
+          required: true
+        },
+        changedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true
+        },
+        changedAt: {
+          type: Date,
+          default: Date.now
+        },
+        reason: {
+          type: String,
+          trim: true,
+          maxlength: [500, 'Reason cannot exceed 500 characters']
+        }
+      }
+    ],
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters']
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Creator is required']
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Indexes for performance
+moveSchema.index({ status: 1, scheduledStart: 1 });
+moveSchema.index({ 'crew.userId': 1, scheduledStart: 1 });
+moveSchema.index({ 'vehicles.plateNumber': 1, scheduledStart: 1 });
+moveSchema.index({ 'vehicles.vehicleId': 1 });
+moveSchema.index({ quotationId: 1 });
+moveSchema.index({ receiptId: 1 });
+moveSchema.index({ createdBy: 1, scheduledStart: -1 });
+
+// Pre-validate middleware to reject the same crew member or vehicle listed
+// twice on one move
+moveSchema.pre('validate', function (next) {
+  const crewIds = this.crew.map(member => member.userId?.toString());
+  if (new Set(crewIds).size !== crewIds.length) {
+    this.invalidate('crew', 'A crew member can only be assigned once');
+  }
+
+  const plates = this.vehicles.map(vehicle => vehicle.plateNumber);
+  if (new Set(plates).size !== plates.length) {
+    this.invalidate('vehicles', 'A vehicle can only be assigned once');
+  }
+
+  next();
+});
+
+/**
+ * First and last moment of the days a time range touches, in server time
+ */
+const getDayRange = (start, end) => {
+  const dayStart = new Date(start);
+  dayStart.setHours(0, 0, 0, 0);
+  const dayEnd = new Date(end);
+  dayEnd.setHours(23, 59, 59, 999);
+  return { dayStart, dayEnd };
+};
+
+// Static method to generate move number
+moveSchema.statics.generateMoveNumber = async function () {
+  const Counter = mongoose.model('Counter');
+  const { formattedNumber } = await Counter.getNextSequence('move');
+  return formattedNumber;
+};
+
+/**
+ * Find crew members and vehicles already booked on the days a move runs
+ * Cancelled and completed moves do not hold their assignments. A move
+ * booked any time on the same day counts as a conflict, since crews and
+ * trucks are not split between jobs within a day.
+ * @param {Object} schedule
+ * @param {Date} schedule.scheduledStart
+ * @param {Date} schedule.scheduledEnd
+ * @param {Array} schedule.crewIds - User ids to check
+ * @param {Array} schedule.plateNumbers - Vehicle plates to check
+ * @param {ObjectId} schedule.excludeMoveId - Move being edited
+ * @returns {Promise<Array>} [{ type: 'crew'|'vehicle', userId|plateNumber,
+ *   move: { _id, moveNumber, scheduledStart, scheduledEnd } }]
+ */
+moveSchema.statics.findScheduleConflicts = async function ({
+  scheduledStart,
+  scheduledEnd,
+  crewIds = [],
+  plateNumbers = [],
+  excludeMoveId
+}) {
+  if (crewIds.length === 0 && plateNumbers.length === 0) return [];
+
+  const { dayStart, dayEnd } = getDayRange(scheduledStart, scheduledEnd);
+  const crewKeys = crewIds.map(id => id.toString());
+  const plateKeys = plateNumbers.map(plate => plate.toUpperCase());
+
+  const filter = {
+    status: { $in: ACTIVE_STATUSES },
+    scheduledStart: { $lte: dayEnd },
+    scheduledEnd: { $gte: dayStart },
+    $or: [
+      { 'crew.userId': { $in: crewKeys } },
+      { 'vehicles.plateNumber': { $in: plateKeys } }
+    ]
+  };
+  if (excludeMoveId) filter._id = { $ne: excludeMoveId };
+
+  const moves = await this.find(filter)
+    .select('moveNumber scheduledStart scheduledEnd crew vehicles')
+    .sort({ scheduledStart: 1 })
+    .lean();
+
+  return moves.flatMap(move => {
+    const summary = {
+      _id: move._id,
+      moveNumber: move.moveNumber,
+      scheduledStart: move.scheduledStart,
+      scheduledEnd: move.scheduledEnd
+    };
+
+    return [
+      ...move.crew
+        .filter(member => crewKeys.includes(member.userId.toString()))
+        .map(member => ({
+          type: 'crew',
+          userId: member.userId,
+          move: summary
+        })),
+      ...move.vehicles
+        .filter(vehicle => plateKeys.includes(vehicle.plateNumber))
+        .map(vehicle => ({
+          type: 'vehicle',
+          plateNumber: vehicle.plateNumber,
+          move: summary
+        }))
+    ];
+  });
+};
+
+// Instance method to check whether the move can go to a status
+moveSchema.methods.canTransitionTo = function (status) {
+  return STATUS_TRANSITIONS[this.status].includes(status);
+};
+
+// Instance method to move the job along its lifecycle
+moveSchema.methods.transitionTo = function (status, changedBy, reason) {
+  if (!this.canTransitionTo(status)) {
+    const error = new Error(
+      `A ${this.status.replace('_', ' ')} move cannot be marked ${status.replace('_', ' ')}`
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const now = new Date();
+  this.status = status;
+  if (status === 'in_progress') this.startedAt = now;
+  if (status === 'completed') this.completedAt = now;
+  if (status === 'cancelled') this.cancelledAt = now;
+
+  this.statusHistory.push({ status, changedBy, changedAt: now, reason });
+
+  // The moving date may have passed by the time the move is closed
+  return this.save({ validateModifiedOnly: true });
+};
+
+// Instance method to check whether the move still holds its crew and
+// vehicles and can be rescheduled
+moveSchema.methods.isActive = function () {
+  return ACTIVE_STATUSES.includes(this.status);
+};
+
+// Record every create, update and delete in the audit log
+moveSchema.plugin(auditTrail, {
+  entityType: 'Move',
+  actions: {
+    create: 'MOVE_CREATED',
+    update: 'MOVE_UPDATED',
+    delete: 'MOVE_DELETED'
+  },
+  excludeFields: ['statusHistory'],
+  resolveUpdateAction: diff =>
+    diff.newValues.status ? 'MOVE_STATUS_CHANGED' : null
+});
+
+module.exports = mongoose.model('Move', moveSchema);
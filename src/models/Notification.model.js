@@ -5,6 +5,7 @@
 
 const mongoose = require('mongoose');
 const mongoosePaginate = require('mongoose-paginate-v2');
+const auditTrail = require('./plugins/auditTrail.plugin');
 
 const notificationSchema = new mongoose.Schema(
   {
@@ -71,8 +72,26 @@ const notificationSchema = new mongoose.Schema(
           'document_deleted',
           'quotation_expired',
           'quotation_converted',
+          'quotation_accepted',
+          'quotation_declined',
+          'quotation_changes_requested',
+          'quotation_approval_requested',
+          'quotation_approved',
+          'quotation_rejected',
           'payment_received',
           'payment_overdue',
+          'refund_approval_requested',
+          'refund_approved',
+          'refund_rejected',
+          'move_assigned',
+          'move_status_changed',
+          'vehicle_document_expiring',
+          'claim_submitted',
+          'claim_assessed',
+          'claim_approved',
+          'claim_rejected',
+          'claim_settled',
+          'storage_receipt_issued',
 
           // User events
           'user_created',
@@ -674,4 +693,14 @@ notificationSchema.statics.getNotificationsNeedingReadUpdate = function () {
 // Add pagination plugin
 notificationSchema.plugin(mongoosePaginate);
 
+// Record every create, update and delete in the audit log
+notificationSchema.plugin(auditTrail, {
+  entityType: 'Notification',
+  actions: {
+    create: 'NOTIFICATION_CREATED',
+    update: 'NOTIFICATION_UPDATED',
+    delete: 'NOTIFICATION_DELETED'
+  }
+});
+
 module.exports = mongoose.model('Notification', notificationSchema);
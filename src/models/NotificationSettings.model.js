@@ -0,0 +1,272 @@
+/**
+ * Notification Settings Model
+ * Versioned configuration for the notification lifecycle, cleanup and read
+ * status jobs. Every change is saved as a new version, so the collection is
+ * also the change history; the highest version is the one in effect.
+ */
+
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+const auditTrail = require('./plugins/auditTrail.plugin');
+const Notification = require('./Notification.model');
+
+const notificationTypes = Notification.schema.path('type').enumValues;
+
+const notificationSettingsSchema = new mongoose.Schema(
+  {
+    version: {
+      type: Number,
+      required: true,
+      unique: true,
+      min: [1, 'Version must be at least 1']
+    },
+    autoDeleteReadNotifications: {
+      type: Boolean,
+      default: false
+    },
+    maxRetentionDays: {
+      type: Number,
+      default: 90,
+      min: [1, 'Max retention days must be between 1 and 365'],
+      max: [365, 'Max retention days must be between 1 and 365']
+    },
+    reminderDaysBeforeExpiry: {
+      type: Number,
+      default: 1,
+      min: [1, 'Reminder days must be between 1 and 7'],
+      max: [7, 'Reminder days must be between 1 and 7']
+    },
+    importantNotificationTypes: {
+      type: [
+        {
+          type: String,
+          enum: {
+            values: notificationTypes,
+            message: 'Invalid notification type'
+          }
+        }
+      ],
+      default: () => ['payment_overdue', 'security_alert', 'system_maintenance']
+    },
+    autoExtendImportant: {
+      type: Boolean,
+      default: true
+    },
+    lifecycleReviewDays: {
+      type: Number,
+      default: 30,
+      min: [1, 'Lifecycle review days must be between 1 and 365'],
+      max: [365, 'Lifecycle review days must be between 1 and 365']
+    },
+    autoExtendDays: {
+      type: Number,
+      default: 30,
+      min: [1, 'Auto-extend days must be between 1 and 365'],
+      max: [365, 'Auto-extend days must be between 1 and 365']
+    },
+    notificationBatchSize: {
+      type: Number,
+      default: 100,
+      min: [10, 'Batch size must be between 10 and 1000'],
+      max: [1000, 'Batch size must be between 10 and 1000']
+    },
+    enableAutoCleanup: {
+      type: Boolean,
+      default: true
+    },
+    archiveBeforeDelete: {
+      type: Boolean,
+      default: true
+    },
+    minAgeForArchiving: {
+      type: Number,
+      default: 60,
+      min: [1, 'Archive age must be between 1 and 365 days'],
+      max: [365, 'Archive age must be between 1 and 365 days']
+    },
+    minAgeForDeletion: {
+      type: Number,
+      default: 180,
+      min: [1, 'Deletion age must be between 1 and 730 days'],
+      max: [730, 'Deletion age must be between 1 and 730 days']
+    },
+    preserveImportantNotifications: {
+      type: Boolean,
+      default: true
+    },
+    maxArchiveSize: {
+      type: Number,
+      default: 10000,
+      min: [100, 'Archive size must be between 100 and 1000000'],
+      max: [1000000, 'Archive size must be between 100 and 1000000']
+    },
+    changedFields: {
+      type: [String],
+      default: undefined
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Archiving has to happen before deletion for the archive to be useful
+notificationSettingsSchema.pre('validate', function () {
+  if (this.minAgeForDeletion < this.minAgeForArchiving) {
+    this.invalidate(
+      'minAgeForDeletion',
+      'Deletion age cannot be less than the archive age'
+    );
+  }
+});
+
+// Version bookkeeping, as opposed to the settings themselves
+const META_FIELDS = [
+  '_id',
+  '__v',
+  'id',
+  'version',
+  'changedFields',
+  'reason',
+  'updatedBy',
+  'createdAt',
+  'updatedAt'
+];
+
+const SETTING_FIELDS = Object.keys(notificationSettingsSchema.paths).filter(
+  field => !META_FIELDS.includes(field)
+);
+
+/**
+ * Pick just the setting values out of a version
+ */
+const pickSettings = source =>
+  Object.fromEntries(SETTING_FIELDS.map(field => [field, source[field]]));
+
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Names of the fields that hold settings
+ */
+notificationSettingsSchema.statics.getSettingFields = function () {
+  return [...SETTING_FIELDS];
+};
+
+/**
+ * Default settings, used until the first version is saved
+ */
+notificationSettingsSchema.statics.getDefaults = function () {
+  return pickSettings(new this().toObject());
+};
+
+/**
+ * Get the settings in effect. Read on every job run, so saved changes apply
+ * from the next run without a restart.
+ * @returns {Promise<Object>} Settings plus version, updatedBy and updatedAt;
+ *   version 0 means the defaults have never been changed
+ */
+notificationSettingsSchema.statics.getCurrent = async function () {
+  const latest = await this.findOne().sort({ version: -1 });
+
+  if (!latest) {
+    return { ...this.getDefaults(), version: 0 };
+  }
+
+  return {
+    ...pickSettings(latest.toObject()),
+    version: latest.version,
+    updatedBy: latest.updatedBy,
+    updatedAt: latest.createdAt
+  };
+};
+
+/**
+ * Save changed settings as a new version
+ * @param {Object} updates - Setting values to change
+ * @param {Object} options
+ * @param {ObjectId} options.updatedBy - Admin making the change
+ * @param {string} options.reason - Why the settings changed
+ * @param {number} options.expectedVersion - Reject the change if another
+ *   version has been saved since this one was read
+ * @returns {Promise<Object>} { settings, changedFields }
+ */
+notificationSettingsSchema.statics.saveVersion = async function (
+  updates,
+  { updatedBy, reason, expectedVersion } = {}
+) {
+  const current = await this.getCurrent();
+
+  if (expectedVersion !== undefined && expectedVersion !== current.version) {
+    const error = new Error(
+      `Settings have changed since version ${expectedVersion}; the current version is ${current.version}`
+    );
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const next = Object.fromEntries(
+    SETTING_FIELDS.map(field => [
+      field,
+      updates[field] !== undefined ? updates[field] : current[field]
+    ])
+  );
+
+  const changedFields = SETTING_FIELDS.filter(
+    field => !isSameValue(next[field], current[field])
+  );
+
+  if (changedFields.length === 0) {
+    return { settings: current, changedFields };
+  }
+
+  try {
+    await this.create({
+      ...next,
+      version: current.version + 1,
+      changedFields,
+      reason,
+      updatedBy
+    });
+  } catch (error) {
+    // Another admin saved the same version number first
+    if (error.code === 11000) {
+      const conflict = new Error(
+        'Settings were changed by another user; reload and try again'
+      );
+      conflict.statusCode = 409;
+      throw conflict;
+    }
+    throw error;
+  }
+
+  return { settings: await this.getCurrent(), changedFields };
+};
+
+// Add pagination plugin
+notificationSettingsSchema.plugin(mongoosePaginate);
+
+// Record every saved version in the audit log
+notificationSettingsSchema.plugin(auditTrail, {
+  entityType: 'System',
+  actions: {
+    create: 'SETTINGS_UPDATED',
+    update: 'SETTINGS_UPDATED',
+    delete: 'SETTINGS_UPDATED'
+  }
+});
+
+module.exports = mongoose.model(
+  'NotificationSettings',
+  notificationSettingsSchema
+);
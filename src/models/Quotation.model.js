@@ -4,6 +4,166 @@
  */
 
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail.plugin');
+const exchangeRate = require('./plugins/exchangeRate.plugin');
+const {
+  buildSnapshot,
+  getSnapshotValue,
+  diffSnapshots
+} = require('../utils/snapshot');
+
+// Surveyor's room-by-room inventory and the move size worked out from it
+const inventorySchema = new mongoose.Schema(
+  {
+    rooms: [
+      {
+        name: {
+          type: String,
+          required: [true, 'Room name is required'],
+          trim: true,
+          maxlength: [50, 'Room name cannot exceed 50 characters']
+        },
+        items: [
+          {
+            // Standard item the volume was taken from, if any
+            itemKey: {
+              type: String,
+              trim: true
+            },
+            name: {
+              type: String,
+              required: [true, 'Item name is required'],
+              trim: true,
+              maxlength: [100, 'Item name cannot exceed 100 characters']
+            },
+            // Cubic metres per unit
+            volume: {
+              type: Number,
+              required: [true, 'Item volume is required'],
+              min: [0, 'Item volume cannot be negative']
+            },
+            quantity: {
+              type: Number,
+              required: [true, 'Item quantity is required'],
+              min: [1, 'Quantity must be at least 1']
+            },
+            isFragile: {
+              type: Boolean,
+              default: false
+            }
+          }
+        ]
+      }
+    ],
+    summary: {
+      totalVolume: Number,
+      itemCount: Number,
+      fragileItemCount: Number,
+      vehicleCount: Number,
+      crewSize: Number,
+      vehicleCapacity: Number
+    }
+  },
+  { _id: false }
+);
+
+// Priced line item of a quotation or of one of its package options
+const serviceLineSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Service name is required'],
+    trim: true,
+    maxlength: [100, 'Service name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    required: [true, 'Service description is required'],
+    trim: true,
+    maxlength: [500, 'Service description cannot exceed 500 characters']
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Service quantity is required'],
+    min: [1, 'Quantity must be at least 1']
+  },
+  unitPrice: {
+    type: Number,
+    required: [true, 'Unit price is required'],
+    min: [0, 'Unit price cannot be negative']
+  },
+  total: {
+    type: Number,
+    required: [true, 'Service total is required'],
+    min: [0, 'Total cannot be negative']
+  },
+  // Catalog item the line was priced from, if any
+  catalogItemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceCatalogItem'
+  },
+  // Catalog price for the quotation's currency and move type when the
+  // line was priced
+  catalogUnitPrice: {
+    type: Number,
+    min: [0, 'Catalog price cannot be negative']
+  },
+  isPriceOverride: {
+    type: Boolean,
+    default: false
+  },
+  // Set on lines generated from the inventory, which are replaced
+  // whenever the inventory is saved again
+  source: {
+    type: String,
+    enum: {
+      values: ['inventory'],
+      message: 'Service source must be inventory'
+    }
+  }
+});
+
+// Named package, e.g. "Basic" or "Full service", priced on its own so the
+// client can compare them on one quotation
+const packageOptionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Option name is required'],
+    trim: true,
+    maxlength: [50, 'Option name cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Option description cannot exceed 300 characters']
+  },
+  services: {
+    type: [serviceLineSchema],
+    validate: {
+      validator: services => services.length > 0,
+      message: 'Each option needs at least one service'
+    }
+  },
+  // Worked out by the pricing hook with the quotation's currency and tax rate
+  pricing: {
+    subtotal: {
+      type: Number,
+      min: [0, 'Subtotal cannot be negative']
+    },
+    discount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Discount cannot be negative']
+    },
+    taxAmount: {
+      type: Number,
+      min: [0, 'Tax amount cannot be negative']
+    },
+    totalAmount: {
+      type: Number,
+      min: [0, 'Total amount cannot be negative']
+    }
+  }
+});
 
 const quotationSchema = new mongoose.Schema(
   {
@@ -63,6 +223,11 @@ const quotationSchema = new mongoose.Schema(
         default: ''
       }
     },
+    // Client record this document belongs to (client above is a snapshot)
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Client'
+    },
     locations: {
       from: {
         type: String,
@@ -91,45 +256,47 @@ const quotationSchema = new mongoose.Schema(
         }
       }
     },
-    services: [
-      {
-        name: {
-          type: String,
-          required: [true, 'Service name is required'],
-          trim: true,
-          maxlength: [100, 'Service name cannot exceed 100 characters']
-        },
-        description: {
-          type: String,
-          required: [true, 'Service description is required'],
-          trim: true,
-          maxlength: [500, 'Service description cannot exceed 500 characters']
-        },
-        quantity: {
-          type: Number,
-          required: [true, 'Service quantity is required'],
-          min: [1, 'Quantity must be at least 1']
-        },
-        unitPrice: {
-          type: Number,
-          required: [true, 'Unit price is required'],
-          min: [0, 'Unit price cannot be negative']
-        },
-        total: {
-          type: Number,
-          required: [true, 'Service total is required'],
-          min: [0, 'Total cannot be negative']
+    services: [serviceLineSchema],
+    // Package options; the services and pricing above follow the chosen
+    // option, or the first one until the client or staff pick one
+    options: {
+      type: [packageOptionSchema],
+      validate: {
+        validator: options => options.length !== 1,
+        message: 'A quotation needs at least two options to compare'
+      }
+    },
+    selectedOption: {
+      optionId: {
+        type: mongoose.Schema.Types.ObjectId
+      },
+      selectedAt: {
+        type: Date
+      },
+      // Staff member who picked it; not set when the client picked it
+      selectedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      source: {
+        type: String,
+        enum: {
+          values: ['staff', 'client_portal'],
+          message: 'Selection source must be staff or client_portal'
         }
       }
-    ],
+    },
+    inventory: {
+      type: inventorySchema
+    },
     pricing: {
       currency: {
         type: String,
         required: [true, 'Currency is required'],
-        enum: {
-          values: ['UGX', 'USD'],
-          message: 'Currency must be UGX or USD'
-        },
+        trim: true,
+        uppercase: true,
+        // Checked against the enabled currencies by the exchange rate plugin
+        match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code'],
         default: 'UGX'
       },
       subtotal: {
@@ -172,8 +339,9 @@ const quotationSchema = new mongoose.Schema(
       status: {
         type: String,
         enum: {
-          values: ['active', 'expired', 'converted'],
-          message: 'Status must be active, expired, or converted'
+          values: ['active', 'expired', 'converted', 'accepted', 'declined'],
+          message:
+            'Status must be active, expired, converted, accepted, or declined'
         },
         default: 'active'
       }
@@ -202,6 +370,160 @@ const quotationSchema = new mongoose.Schema(
       default: 1,
       min: [1, 'Version must be at least 1']
     },
+    versions: [
+      {
+        versionNumber: {
+          type: Number,
+          required: true
+        },
+        editedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true
+        },
+        editedAt: {
+          type: Date,
+          default: Date.now
+        },
+        reason: {
+          type: String,
+          trim: true,
+          maxlength: [200, 'Edit reason cannot exceed 200 characters']
+        },
+        changedFields: {
+          type: [String],
+          default: undefined
+        },
+        restoredFrom: {
+          type: Number
+        },
+        snapshot: {
+          type: mongoose.Schema.Types.Mixed // Quotation content at this version
+        },
+        branding: {
+          type: mongoose.Schema.Types.Mixed // Company settings it was sent with
+        },
+        sentAt: {
+          type: Date
+        },
+        sentTo: {
+          type: String,
+          trim: true,
+          lowercase: true
+        },
+        // Approval state of this version's pricing, kept in step with the
+        // quotation while it is the current version
+        approvalStatus: {
+          type: String,
+          enum: ['not_required', 'pending_approval', 'approved', 'rejected']
+        }
+      }
+    ],
+    // Admin sign-off for quotations over the configured total or discount
+    approval: {
+      status: {
+        type: String,
+        enum: {
+          values: ['not_required', 'pending_approval', 'approved', 'rejected'],
+          message:
+            'Approval status must be not_required, pending_approval, approved, or rejected'
+        },
+        default: 'not_required'
+      },
+      reasons: {
+        type: [String],
+        default: undefined
+      },
+      requestedAt: {
+        type: Date
+      },
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reviewedAt: {
+        type: Date
+      },
+      comments: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Approval comments cannot exceed 1000 characters']
+      }
+    },
+    // Public link the client uses to review and respond to the quotation
+    portal: {
+      // Bumped to revoke every link issued so far
+      tokenVersion: {
+        type: Number,
+        default: 0
+      },
+      linkIssuedAt: {
+        type: Date
+      },
+      linkIssuedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      // Convert to a commitment receipt as soon as the client accepts
+      autoConvert: {
+        type: Boolean,
+        default: false
+      },
+      viewCount: {
+        type: Number,
+        default: 0
+      },
+      lastViewedAt: {
+        type: Date
+      }
+    },
+    clientResponses: [
+      {
+        action: {
+          type: String,
+          required: true,
+          enum: {
+            values: ['accepted', 'declined', 'changes_requested'],
+            message: 'Response must be accepted, declined, or changes_requested'
+          }
+        },
+        name: {
+          type: String,
+          required: [true, 'Name is required'],
+          trim: true,
+          maxlength: [100, 'Name cannot exceed 100 characters']
+        },
+        // Drawn signature as a base64 image, as for user canvas signatures
+        signature: {
+          type: String
+        },
+        comments: {
+          type: String,
+          trim: true,
+          maxlength: [1000, 'Comments cannot exceed 1000 characters']
+        },
+        // Package option the client accepted, if the quotation had options
+        optionName: {
+          type: String,
+          trim: true
+        },
+        versionNumber: {
+          type: Number
+        },
+        respondedAt: {
+          type: Date,
+          default: Date.now
+        },
+        ipAddress: {
+          type: String,
+          trim: true
+        },
+        userAgent: {
+          type: String,
+          trim: true
+        }
+      }
+    ],
     convertedToReceipt: {
       receiptId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -229,11 +551,14 @@ quotationSchema.index({ type: 1 });
 quotationSchema.index({ createdBy: 1 });
 quotationSchema.index({ createdAt: -1 });
 quotationSchema.index({ 'validity.status': 1 });
+quotationSchema.index({ 'approval.status': 1 });
+quotationSchema.index({ 'services.catalogItemId': 1 });
 quotationSchema.index({ 'validity.validUntil': 1 });
 quotationSchema.index({ 'client.name': 'text', 'client.company': 'text' }); // Text search
 
 // Compound indexes
 quotationSchema.index({ createdBy: 1, createdAt: -1 });
+quotationSchema.index({ clientId: 1, createdAt: -1 });
 quotationSchema.index({ type: 1, createdAt: -1 });
 
 // Virtual for checking if quotation is expired
@@ -250,6 +575,36 @@ quotationSchema.virtual('remainingDays').get(function () {
   return diffDays > 0 ? diffDays : 0;
 });
 
+// Check the currency is enabled and record its rate to the base currency.
+// Applied before the approval hook, which uses the rate for currencies
+// without their own total threshold.
+quotationSchema.plugin(exchangeRate, { currencyPath: 'pricing.currency' });
+
+// Pre-validate middleware to make the chosen package option, or the first
+// one until an option is chosen, the quotation's own services and discount
+quotationSchema.pre('validate', function (next) {
+  if (
+    !this.isNew &&
+    !this.isModified('options') &&
+    !this.isModified('selectedOption')
+  ) {
+    return next();
+  }
+
+  // A selection goes with the option it named when that option is removed
+  if (this.selectedOption?.optionId && !this.getSelectedOption()) {
+    this.selectedOption = undefined;
+  }
+
+  const basis = this.getSelectedOption() || this.options[0];
+  if (basis) {
+    this.services = basis.services.map(service => service.toObject());
+    this.pricing.discount = basis.pricing.discount;
+  }
+
+  next();
+});
+
 // Pre-save middleware to calculate pricing
 quotationSchema.pre('save', function (next) {
   // Calculate subtotal from services
@@ -265,6 +620,49 @@ quotationSchema.pre('save', function (next) {
   // Calculate total amount
   this.pricing.totalAmount = taxableAmount + this.pricing.taxAmount;
 
+  // Each package option is totalled the same way, at the quotation's tax rate
+  this.options.forEach(option => {
+    option.pricing.subtotal = option.services.reduce(
+      (sum, service) => sum + service.total,
+      0
+    );
+
+    const optionTaxable =
+      option.pricing.subtotal - (option.pricing.discount || 0);
+    option.pricing.taxAmount = optionTaxable * this.pricing.taxRate;
+    option.pricing.totalAmount = optionTaxable + option.pricing.taxAmount;
+  });
+
+  next();
+});
+
+// Pre-save middleware to hold large or heavily discounted quotations for
+// approval. Controllers pass the thresholds in $locals.approvalThresholds;
+// saves without them, or that leave pricing and the package options alone,
+// keep the current state.
+quotationSchema.pre('save', function (next) {
+  const thresholds = this.$locals.approvalThresholds;
+  if (
+    !thresholds ||
+    (!this.isNew && !this.isModified('pricing') && !this.isModified('options'))
+  ) {
+    return next();
+  }
+
+  const reasons = this.getApprovalReasons(thresholds);
+
+  if (reasons.length > 0) {
+    // Any repricing of a quotation over the limits needs a fresh decision
+    this.approval = {
+      status: 'pending_approval',
+      reasons,
+      requestedAt: new Date()
+    };
+    this.$locals.approvalRequested = true;
+  } else if (this.approval.status !== 'not_required') {
+    this.approval = { status: 'not_required' };
+  }
+
   next();
 });
 
@@ -297,6 +695,102 @@ quotationSchema.pre('save', function (next) {
   next();
 });
 
+// Content fields kept in each version snapshot; enough to re-create the PDF
+const SNAPSHOT_FIELDS = [
+  'type',
+  'client',
+  'locations',
+  'services',
+  'pricing',
+  'validity.validUntil',
+  'validity.daysValid',
+  'termsAndConditions',
+  'notes',
+  'inventory',
+  'options'
+];
+
+// Statuses the client sets by answering through the portal
+const ANSWERED_STATUSES = ['accepted', 'declined'];
+
+// Company settings a quotation PDF is rendered with
+const BRANDING_FIELDS = ['company', 'bankDetails', 'logo', 'stamp'];
+
+// Pre-save middleware to record a version snapshot. Runs after the pricing
+// and validity hooks so the snapshot holds the amounts that were saved.
+quotationSchema.pre('save', function (next) {
+  const revision = this.$locals.revision;
+
+  if (this.isNew) {
+    this.versions.push({
+      versionNumber: this.version,
+      editedBy: this.createdBy,
+      editedAt: new Date(),
+      reason: 'Created',
+      snapshot: this.getSnapshot(),
+      approvalStatus: this.approval.status
+    });
+    return next();
+  }
+
+  if (!revision) return next();
+  delete this.$locals.revision;
+
+  const previous = this.versions[this.versions.length - 1];
+  const snapshot = this.getSnapshot();
+  const changedFields = diffSnapshots(previous?.snapshot, snapshot).map(
+    change => change.path
+  );
+
+  // Saving without any content change does not make a new version
+  if (changedFields.length === 0) return next();
+
+  // The client's answer was to the terms before this change, so a quotation
+  // they accepted or declined is opened again and the links already sent
+  // stop working; the revised quotation has to be sent for a new answer.
+  // Only extending the validity leaves the answer standing.
+  if (
+    ANSWERED_STATUSES.includes(this.validity.status) &&
+    changedFields.some(path => !path.startsWith('validity.'))
+  ) {
+    this.$locals.reopenedFrom = this.validity.status;
+    this.validity.status = 'active';
+    this.portal.tokenVersion += 1;
+    this.portal.linkIssuedAt = undefined;
+    this.portal.linkIssuedBy = undefined;
+  }
+
+  this.version += 1;
+  this.versions.push({
+    versionNumber: this.version,
+    editedBy: revision.editedBy,
+    editedAt: new Date(),
+    reason: revision.reason,
+    changedFields,
+    restoredFrom: revision.restoredFrom,
+    snapshot,
+    approvalStatus: this.approval.status
+  });
+  next();
+});
+
+// Pre-save middleware to keep the current version's approval state in step
+// with approval decisions, so earlier versions keep the state they ended with
+quotationSchema.pre('save', function (next) {
+  const current = this.getVersion(this.version);
+  if (current && current.approvalStatus !== this.approval.status) {
+    current.approvalStatus = this.approval.status;
+  }
+  next();
+});
+
+// Static method to pick the branding a quotation PDF was rendered with
+quotationSchema.statics.pickBranding = function (settings) {
+  return Object.fromEntries(
+    BRANDING_FIELDS.map(field => [field, settings[field] ?? null])
+  );
+};
+
 // Static method to generate quotation number
 quotationSchema.statics.generateQuotationNumber = async function () {
   const counterKey = `quotation`;
@@ -339,7 +833,9 @@ quotationSchema.methods.extendValidity = function (days, reason, extendedBy) {
   newValidUntil.setDate(newValidUntil.getDate() + days);
 
   this.validity.validUntil = newValidUntil;
-  this.validity.status = 'active';
+  if (this.validity.status === 'expired') {
+    this.validity.status = 'active';
+  }
 
   // Log extension (could be stored in audit logs)
   this.notes =
@@ -348,8 +844,217 @@ quotationSchema.methods.extendValidity = function (days, reason, extendedBy) {
   return this.save();
 };
 
+// Instance method to get the current content as a version snapshot
+quotationSchema.methods.getSnapshot = function () {
+  return buildSnapshot(this, SNAPSHOT_FIELDS);
+};
+
+// Instance method to put back the content of a version snapshot. Fields the
+// snapshot has no value for are cleared.
+quotationSchema.methods.applySnapshot = function (snapshot) {
+  SNAPSHOT_FIELDS.forEach(path => {
+    this.set(path, getSnapshotValue(snapshot, path));
+  });
+
+  // Versions recorded before package options existed have none
+  if (!this.options) {
+    this.options = [];
+  }
+
+  // Reactivate when the restored validity date is still ahead; an already
+  // passed date is marked expired by the validity status hook
+  if (
+    this.validity.status === 'expired' &&
+    this.validity.validUntil >= new Date()
+  ) {
+    this.validity.status = 'active';
+  }
+};
+
+// Instance method to record the current state as a version before the
+// first tracked edit of a quotation created without version history
+quotationSchema.methods.ensureBaselineVersion = function () {
+  if (this.versions.length > 0) return;
+
+  this.versions.push({
+    versionNumber: this.version,
+    editedBy: this.createdBy,
+    editedAt: this.updatedAt || this.createdAt,
+    reason: 'Recorded before first tracked edit',
+    snapshot: this.getSnapshot(),
+    approvalStatus: this.approval.status
+  });
+};
+
+// Instance method to find a recorded version by number
+quotationSchema.methods.getVersion = function (versionNumber) {
+  return this.versions.find(entry => entry.versionNumber === versionNumber);
+};
+
+// Instance method to record that the current version was sent, with the
+// branding it was rendered with so the same PDF can be produced later
+quotationSchema.methods.recordDelivery = function (sentTo, settings) {
+  this.ensureBaselineVersion();
+
+  const current = this.getVersion(this.version);
+  current.sentAt = new Date();
+  current.sentTo = sentTo;
+  current.branding = JSON.parse(
+    JSON.stringify(this.constructor.pickBranding(settings))
+  );
+  this.markModified('versions');
+
+  // The moving date may have passed since the quotation was written, so
+  // only validate what the delivery changes
+  return this.save({ validateModifiedOnly: true });
+};
+
+/**
+ * List the approval thresholds one set of totals exceeds
+ * @param {Object} pricing - { subtotal, discount, totalAmount, currency }
+ * @param {Object} exchangeRate - Rate snapshot of the quotation
+ * @param {Object} thresholds - settings.quotationApproval
+ * @returns {Array} Reasons, empty when no threshold is exceeded
+ */
+const getPricingApprovalReasons = (pricing, exchangeRate, thresholds) => {
+  const { subtotal, discount, totalAmount, currency } = pricing;
+  const discountThreshold = thresholds.discountPercentThreshold;
+  const reasons = [];
+
+  // Currencies without their own limit are held to the base currency's,
+  // converted at the rate the quotation was issued at
+  let totalThreshold = thresholds[`totalThreshold${currency}`];
+  let thresholdCurrency = currency;
+  let comparedTotal = totalAmount;
+  const { baseCurrency, rate } = exchangeRate || {};
+
+  if (totalThreshold === undefined && baseCurrency && rate) {
+    totalThreshold = thresholds[`totalThreshold${baseCurrency}`];
+    thresholdCurrency = baseCurrency;
+    comparedTotal = Math.round(totalAmount * rate * 100) / 100;
+  }
+
+  if (
+    totalThreshold !== null &&
+    totalThreshold !== undefined &&
+    comparedTotal > totalThreshold
+  ) {
+    reasons.push(
+      thresholdCurrency === currency
+        ? `Total of ${totalAmount} ${currency} exceeds the approval limit of ${totalThreshold} ${currency}`
+        : `Total of ${totalAmount} ${currency} (${comparedTotal} ${thresholdCurrency}) exceeds the approval limit of ${totalThreshold} ${thresholdCurrency}`
+    );
+  }
+
+  const discountPercent = subtotal > 0 ? ((discount || 0) / subtotal) * 100 : 0;
+  if (
+    discountThreshold !== null &&
+    discountThreshold !== undefined &&
+    discountPercent > discountThreshold
+  ) {
+    reasons.push(
+      `Discount of ${Math.round(discountPercent * 100) / 100}% exceeds the approval limit of ${discountThreshold}%`
+    );
+  }
+
+  return reasons;
+};
+
+// Instance method to list the approval thresholds this quotation exceeds.
+// With package options every option is checked, since the client may pick
+// any of them.
+quotationSchema.methods.getApprovalReasons = function (thresholds) {
+  if (this.options.length === 0) {
+    return getPricingApprovalReasons(
+      this.pricing,
+      this.exchangeRate,
+      thresholds
+    );
+  }
+
+  return this.options.flatMap(option =>
+    getPricingApprovalReasons(
+      { ...option.pricing.toObject(), currency: this.pricing.currency },
+      this.exchangeRate,
+      thresholds
+    ).map(reason => `${option.name} option: ${reason}`)
+  );
+};
+
+// Instance method to find the package option the client or staff picked
+quotationSchema.methods.getSelectedOption = function () {
+  const optionId = this.selectedOption?.optionId;
+  return optionId ? this.options.id(optionId) : null;
+};
+
+// Instance method to pick a package option. Saving makes it the
+// quotation's services and pricing, and the basis for conversion.
+quotationSchema.methods.selectOption = function (optionId, selection = {}) {
+  this.selectedOption = {
+    optionId,
+    selectedAt: new Date(),
+    selectedBy: selection.selectedBy,
+    source: selection.source || 'staff'
+  };
+
+  return this;
+};
+
+// Instance method to approve or reject a quotation waiting for approval
+quotationSchema.methods.reviewApproval = function (
+  decision,
+  reviewedBy,
+  comments
+) {
+  this.approval.status = decision;
+  this.approval.reviewedBy = reviewedBy;
+  this.approval.reviewedAt = new Date();
+  this.approval.comments = comments;
+
+  // The moving date may have passed while the quotation waited for review
+  return this.save({ validateModifiedOnly: true });
+};
+
+// Instance method to record who issued a client portal link. The token
+// itself is signed with portal.tokenVersion, so it is not stored.
+quotationSchema.methods.issuePortalLink = function (issuedBy, options = {}) {
+  this.portal.linkIssuedAt = new Date();
+  this.portal.linkIssuedBy = issuedBy;
+
+  if (options.autoConvert !== undefined) {
+    this.portal.autoConvert = options.autoConvert;
+  }
+
+  return this;
+};
+
+// Instance method to invalidate every portal link issued so far
+quotationSchema.methods.revokePortalLinks = function () {
+  this.portal.tokenVersion += 1;
+  this.portal.linkIssuedAt = undefined;
+  this.portal.linkIssuedBy = undefined;
+  return this.save();
+};
+
+// Instance method to record the client's answer from the portal link.
+// Accepting or declining settles the quotation; a change request leaves it
+// open for the creator to revise.
+quotationSchema.methods.recordClientResponse = function (response) {
+  this.clientResponses.push({ ...response, versionNumber: this.version });
+
+  if (response.action !== 'changes_requested') {
+    this.validity.status = response.action;
+  }
+
+  return this.save({ validateModifiedOnly: true });
+};
+
 // Instance method to convert to receipt
-quotationSchema.methods.convertToReceipt = function (receiptId, convertedBy) {
+quotationSchema.methods.convertToReceipt = function (
+  receiptId,
+  convertedBy,
+  saveOptions = {}
+) {
   this.convertedToReceipt = {
     receiptId,
     convertedAt: new Date(),
@@ -357,7 +1062,30 @@ quotationSchema.methods.convertToReceipt = function (receiptId, convertedBy) {
   };
   this.validity.status = 'converted';
 
-  return this.save();
+  return this.save(saveOptions);
 };
 
+// Record every create, update and delete in the audit log
+quotationSchema.plugin(auditTrail, {
+  entityType: 'Quotation',
+  actions: {
+    create: 'QUOTATION_CREATED',
+    update: 'QUOTATION_UPDATED',
+    delete: 'QUOTATION_DELETED'
+  },
+  // Edit history is already kept in the versions array; signatures are
+  // large images
+  excludeFields: ['versions', 'clientResponses'],
+  // Approval requests come from edits and stay QUOTATION_UPDATED; the
+  // request itself is logged separately
+  resolveUpdateAction: diff => {
+    const decisionActions = {
+      approved: 'QUOTATION_APPROVED',
+      rejected: 'QUOTATION_REJECTED'
+    };
+
+    return decisionActions[diff.newValues['approval.status']] || null;
+  }
+});
+
 module.exports = mongoose.model('Quotation', quotationSchema);
@@ -4,6 +4,13 @@
  */
 
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail.plugin');
+const exchangeRate = require('./plugins/exchangeRate.plugin');
+const {
+  buildSnapshot,
+  getSnapshotValue,
+  diffSnapshots
+} = require('../utils/snapshot');
 
 const receiptSchema = new mongoose.Schema(
   {
@@ -13,7 +20,7 @@ const receiptSchema = new mongoose.Schema(
       unique: true,
       trim: true,
       match: [
-        /^AMRC-(RCP|ITM|COM|FIN|OTP)-\d{5}$/,
+        /^AMRC-(RCP|ITM|COM|FIN|OTP|STO)-\d{5}$/,
         'Receipt number must follow format AMRC-PREFIX-NNNNN'
       ]
     },
@@ -21,8 +28,9 @@ const receiptSchema = new mongoose.Schema(
       type: String,
       required: [true, 'Receipt type is required'],
       enum: {
-        values: ['item', 'commitment', 'final', 'one_time'],
-        message: 'Receipt type must be item, commitment, final, or one_time'
+        values: ['item', 'commitment', 'final', 'one_time', 'storage'],
+        message:
+          'Receipt type must be item, commitment, final, one_time, or storage'
       }
     },
     moveType: {
@@ -74,6 +82,24 @@ const receiptSchema = new mongoose.Schema(
         default: ''
       }
     },
+    // Client record this document belongs to (client above is a snapshot)
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Client'
+    },
+    // Storage receipts: the contract billed and the days the receipt covers
+    storageContractId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StorageContract'
+    },
+    billingPeriod: {
+      start: {
+        type: Date
+      },
+      end: {
+        type: Date
+      }
+    },
     // For commitment, final, and one_time receipts
     locations: {
       from: {
@@ -136,10 +162,10 @@ const receiptSchema = new mongoose.Schema(
       currency: {
         type: String,
         required: [true, 'Currency is required'],
-        enum: {
-          values: ['UGX', 'USD'],
-          message: 'Currency must be UGX or USD'
-        },
+        trim: true,
+        uppercase: true,
+        // Checked against the enabled currencies by the exchange rate plugin
+        match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code'],
         default: 'UGX'
       },
       status: {
@@ -165,11 +191,72 @@ const receiptSchema = new mongoose.Schema(
           message: 'Method must be cash, bank_transfer, or mobile_money'
         }
       },
+      // For installment plans this follows the next unpaid installment
       dueDate: {
         type: Date
       },
+      // Set once the single due date has been reported overdue
+      overdueNotifiedAt: {
+        type: Date
+      },
+      // Installment plan; amounts must add up to totalAmount
+      schedule: [
+        {
+          dueDate: {
+            type: Date,
+            required: [true, 'Installment due date is required']
+          },
+          amount: {
+            type: Number,
+            required: [true, 'Installment amount is required'],
+            min: [0.01, 'Installment amount must be greater than 0']
+          },
+          description: {
+            type: String,
+            trim: true,
+            maxlength: [
+              100,
+              'Installment description cannot exceed 100 characters'
+            ]
+          },
+          // Allocated from amountPaid, oldest installment first
+          amountPaid: {
+            type: Number,
+            default: 0,
+            min: [0, 'Installment amount paid cannot be negative']
+          },
+          status: {
+            type: String,
+            enum: {
+              values: ['pending', 'partial', 'paid', 'overdue'],
+              message:
+                'Installment status must be pending, partial, paid, or overdue'
+            },
+            default: 'pending'
+          },
+          paidAt: {
+            type: Date
+          },
+          overdueNotifiedAt: {
+            type: Date
+          }
+        }
+      ],
       paymentHistory: [
         {
+          // Refunds are recorded with a positive amount paid back to the
+          // client; credits settle part of the balance without money changing
+          // hands, e.g. compensation for a damage claim. Claim payouts are
+          // compensation paid out in money and leave the balance alone.
+          type: {
+            type: String,
+            enum: {
+              values: ['payment', 'refund', 'credit', 'claim_payout'],
+              message:
+                'Entry type must be payment, refund, credit or claim_payout'
+            },
+            default: 'payment'
+          },
           amount: {
             type: Number,
             required: true,
@@ -182,7 +269,9 @@ const receiptSchema = new mongoose.Schema(
           },
           method: {
             type: String,
-            required: true,
+            required: function () {
+              return this.type !== 'credit';
+            },
             enum: ['cash', 'bank_transfer', 'mobile_money']
           },
           reference: {
@@ -190,6 +279,11 @@ const receiptSchema = new mongoose.Schema(
             trim: true,
             maxlength: [100, 'Reference cannot exceed 100 characters']
           },
+          // Damage claim a payout or credit settles
+          claimId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Claim'
+          },
           receivedBy: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User',
@@ -199,6 +293,97 @@ const receiptSchema = new mongoose.Schema(
             type: String,
             trim: true,
             maxlength: [200, 'Payment notes cannot exceed 200 characters']
+          },
+          // Installments this payment went towards
+          allocations: [
+            {
+              _id: false,
+              installmentId: mongoose.Schema.Types.ObjectId,
+              amount: Number
+            }
+          ],
+          // Voided entries stay in the history but no longer count
+          voided: {
+            type: Boolean,
+            default: false
+          },
+          voidedAt: {
+            type: Date
+          },
+          voidedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+          },
+          voidReason: {
+            type: String,
+            trim: true,
+            maxlength: [200, 'Void reason cannot exceed 200 characters']
+          }
+        }
+      ],
+      // Refunds and voids awaiting admin approval
+      reversalRequests: [
+        {
+          action: {
+            type: String,
+            required: true,
+            enum: {
+              values: ['refund', 'void'],
+              message: 'Reversal action must be refund or void'
+            }
+          },
+          amount: {
+            type: Number,
+            required: true,
+            min: [0.01, 'Reversal amount must be greater than 0']
+          },
+          // Payment history entry being voided
+          paymentId: {
+            type: mongoose.Schema.Types.ObjectId
+          },
+          method: {
+            type: String,
+            enum: ['cash', 'bank_transfer', 'mobile_money']
+          },
+          reference: {
+            type: String,
+            trim: true,
+            maxlength: [100, 'Reference cannot exceed 100 characters']
+          },
+          reason: {
+            type: String,
+            required: [true, 'Reason is required'],
+            trim: true,
+            maxlength: [200, 'Reason cannot exceed 200 characters']
+          },
+          status: {
+            type: String,
+            enum: {
+              values: ['pending', 'approved', 'rejected'],
+              message: 'Status must be pending, approved, or rejected'
+            },
+            default: 'pending'
+          },
+          requestedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+          },
+          requestedAt: {
+            type: Date,
+            default: Date.now
+          },
+          reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+          },
+          reviewedAt: {
+            type: Date
+          },
+          reviewNotes: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Review notes cannot exceed 500 characters']
           }
         }
       ]
@@ -278,6 +463,12 @@ const receiptSchema = new mongoose.Schema(
           type: String,
           trim: true,
           maxlength: [200, 'Edit reason cannot exceed 200 characters']
+        },
+        restoredFrom: {
+          type: Number
+        },
+        snapshot: {
+          type: mongoose.Schema.Types.Mixed // Receipt content at this version
         }
       }
     ],
@@ -315,9 +506,19 @@ receiptSchema.index({ 'client.name': 'text' }); // Text search
 
 // Compound indexes
 receiptSchema.index({ createdBy: 1, createdAt: -1 });
+receiptSchema.index({ clientId: 1, createdAt: -1 });
 receiptSchema.index({ receiptType: 1, createdAt: -1 });
 receiptSchema.index({ 'payment.status': 1, 'payment.dueDate': 1 });
 
+// A storage contract is billed once for each period
+receiptSchema.index(
+  { storageContractId: 1, 'billingPeriod.start': 1 },
+  {
+    unique: true,
+    partialFilterExpression: { storageContractId: { $exists: true } }
+  }
+);
+
 // Virtual for checking if payment is overdue
 receiptSchema.virtual('isOverdue').get(function () {
   return (
@@ -336,8 +537,33 @@ receiptSchema.virtual('daysOverdue').get(function () {
   return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
 });
 
+// Pre-validate middleware to check the installment plan
+receiptSchema.pre('validate', function (next) {
+  const schedule = this.payment?.schedule || [];
+
+  if (schedule.length > 0) {
+    schedule.sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+
+    const scheduledTotal =
+      Math.round(
+        schedule.reduce((sum, installment) => sum + installment.amount, 0) * 100
+      ) / 100;
+
+    if (Math.abs(scheduledTotal - this.payment.totalAmount) > 0.01) {
+      this.invalidate(
+        'payment.schedule',
+        `Installments must add up to the total amount of ${this.payment.totalAmount} (currently ${scheduledTotal})`
+      );
+    }
+  }
+
+  next();
+});
+
 // Pre-save middleware to calculate balance and update payment status
 receiptSchema.pre('save', function (next) {
+  this.allocateSchedule();
+
   // Calculate balance with proper rounding to avoid floating point issues
   const totalAmount = Math.round(this.payment.totalAmount * 100) / 100;
   const amountPaid = Math.round(this.payment.amountPaid * 100) / 100;
@@ -347,8 +573,14 @@ receiptSchema.pre('save', function (next) {
     Math.round((totalAmount - amountPaid) * 100) / 100
   );
 
+  const hasRefunds = this.payment.paymentHistory.some(
+    entry => entry.type === 'refund' && !entry.voided
+  );
+
   // Update payment status based on amounts
-  if (amountPaid === 0) {
+  if (amountPaid === 0 && hasRefunds) {
+    this.payment.status = 'refunded';
+  } else if (amountPaid === 0) {
     this.payment.status = 'pending';
   } else if (amountPaid < totalAmount) {
     this.payment.status = 'partial';
@@ -360,7 +592,7 @@ receiptSchema.pre('save', function (next) {
   if (
     this.payment.dueDate &&
     this.payment.dueDate < new Date() &&
-    this.payment.status !== 'paid'
+    !['paid', 'refunded'].includes(this.payment.status)
   ) {
     this.payment.status = 'overdue';
   }
@@ -386,32 +618,110 @@ receiptSchema.pre('save', function (next) {
   next();
 });
 
-// Pre-save middleware to handle versioning
+// Content fields kept in each version snapshot
+const SNAPSHOT_FIELDS = [
+  'receiptType',
+  'moveType',
+  'client',
+  'locations',
+  'services',
+  'payment.totalAmount',
+  'payment.amountPaid',
+  'payment.balance',
+  'payment.currency',
+  'payment.method',
+  'payment.dueDate',
+  'payment.schedule',
+  'payment.paymentHistory',
+  'signatures',
+  'commitmentFeePaid',
+  'totalMovingAmount',
+  'finalPaymentReceived',
+  'notes'
+];
+
+// Fields a rollback puts back. Payments stay as recorded, and amountPaid and
+// method follow them unless no payment has changed since the version.
+const ROLLBACK_FIELDS = [
+  'moveType',
+  'client',
+  'locations',
+  'services',
+  'payment.totalAmount',
+  'payment.currency',
+  'payment.dueDate',
+  'payment.schedule',
+  'signatures',
+  'commitmentFeePaid',
+  'totalMovingAmount',
+  'finalPaymentReceived',
+  'notes'
+];
+
+// Receipt types issued as fully paid, so their balance must stay at zero
+const FULLY_PAID_TYPES = ['final', 'one_time'];
+
+// Remember the stored state so a save can record what it changed
+receiptSchema.post('init', function () {
+  this.$locals.snapshot = this.getSnapshot();
+});
+
+// Pre-save middleware to handle versioning. Runs after the balance hook so
+// the snapshot holds the amounts that were saved.
 receiptSchema.pre('save', function (next) {
-  if (this.isModified() && !this.isNew) {
-    // Create version entry for modifications
-    const changes = {};
-    const modifiedPaths = this.modifiedPaths();
-
-    modifiedPaths.forEach(path => {
-      if (path !== 'version' && path !== 'versions' && path !== 'updatedAt') {
-        changes[path] = {
-          old: this.get(path),
-          new: this.get(path)
-        };
-      }
+  const snapshot = this.getSnapshot();
+  const revision = this.$locals.revision || {};
+  const editedBy = this._editedBy || this.createdBy; // Set by controller
+  delete this.$locals.revision;
+
+  if (this.isNew) {
+    this.versions.push({
+      versionNumber: this.version,
+      editedBy,
+      reason: 'Created',
+      snapshot
     });
+    this.$locals.snapshot = snapshot;
+    return next();
+  }
 
-    if (Object.keys(changes).length > 0) {
-      this.version += 1;
-      this.versions.push({
-        versionNumber: this.version,
-        editedBy: this.get('_editedBy') || this.createdBy, // Set by controller
-        changes
-      });
-    }
+  const original = this.$locals.snapshot;
+  if (!original) return next();
+
+  const changes = diffSnapshots(original, snapshot);
+  if (changes.length === 0) return next();
+
+  // Receipts edited before snapshots were kept get the state being changed
+  // recorded against the version it belongs to
+  const latest = this.versions[this.versions.length - 1];
+  if (!latest) {
+    this.versions.push({
+      versionNumber: this.version,
+      editedBy: this.createdBy,
+      editedAt: this.updatedAt || this.createdAt,
+      reason: 'Recorded before first tracked edit',
+      snapshot: original
+    });
+  } else if (!latest.snapshot && latest.versionNumber === this.version) {
+    latest.snapshot = original;
   }
 
+  this.version += 1;
+  this.versions.push({
+    versionNumber: this.version,
+    editedBy,
+    reason: revision.reason,
+    restoredFrom: revision.restoredFrom,
+    changes: Object.fromEntries(
+      changes.map(change => [
+        change.path,
+        { old: change.oldValue, new: change.newValue }
+      ])
+    ),
+    snapshot
+  });
+  this.$locals.snapshot = snapshot;
+
   next();
 });
 
@@ -422,7 +732,8 @@ receiptSchema.statics.generateReceiptNumber = async function (receiptType) {
     item: 'ITM',
     commitment: 'COM',
     final: 'FIN',
-    one_time: 'OTP'
+    one_time: 'OTP',
+    storage: 'STO'
   };
 
   const prefix = prefixMap[receiptType] || 'RCP';
@@ -458,45 +769,432 @@ receiptSchema.statics.findOverdue = function () {
   });
 };
 
+/**
+ * Accounts receivable aging buckets
+ * Open receipts are aged by whole days past their due date. Receipts with no
+ * due date are given the default payment terms, so they count as due that
+ * many days after they were issued.
+ */
+const AGING_BUCKETS = [
+  { key: 'current', label: 'Current', minDays: null, maxDays: 0 },
+  { key: '1-30', label: '1-30 days', minDays: 1, maxDays: 30 },
+  { key: '31-60', label: '31-60 days', minDays: 31, maxDays: 60 },
+  { key: '61-90', label: '61-90 days', minDays: 61, maxDays: 90 },
+  { key: '90+', label: 'Over 90 days', minDays: 91, maxDays: null }
+];
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// Days after issue a receipt without a due date is treated as due, matching
+// the storage contract default
+const DEFAULT_PAYMENT_TERMS_DAYS = 14;
+
+// Static method to list aging buckets in order
+receiptSchema.statics.getAgingBuckets = function () {
+  return AGING_BUCKETS.map(bucket => ({ ...bucket }));
+};
+
+/**
+ * Build a query filter for open receipts in an aging bucket
+ * @param {string} bucketKey - Bucket key, e.g. '31-60'
+ * @param {Date} asOf - Date the receipts are aged at
+ * @returns {Object|null} Filter, or null for an unknown bucket
+ */
+receiptSchema.statics.buildAgingFilter = function (
+  bucketKey,
+  asOf = new Date()
+) {
+  const bucket = AGING_BUCKETS.find(item => item.key === bucketKey);
+  if (!bucket) return null;
+
+  // Days are counted like the daysOverdue virtual: any part of a day past
+  // the due date counts as a whole day
+  const buildRange = graceDays => {
+    const range = {};
+    if (bucket.minDays !== null) {
+      range.$lt = new Date(
+        asOf.getTime() - (bucket.minDays - 1 + graceDays) * DAY_IN_MS
+      );
+    }
+    if (bucket.maxDays !== null) {
+      range.$gte = new Date(
+        asOf.getTime() - (bucket.maxDays + graceDays) * DAY_IN_MS
+      );
+    }
+    return range;
+  };
+
+  return {
+    'payment.balance': { $gt: 0 },
+    'payment.status': { $nin: ['refunded', 'cancelled'] },
+    $or: [
+      { 'payment.dueDate': buildRange(0) },
+      {
+        'payment.dueDate': null,
+        createdAt: buildRange(DEFAULT_PAYMENT_TERMS_DAYS)
+      }
+    ]
+  };
+};
+
+/**
+ * Spread amountPaid over the installment plan, oldest installment first,
+ * and point dueDate at the next installment still to be paid
+ */
+receiptSchema.methods.allocateSchedule = function () {
+  const schedule = this.payment.schedule || [];
+  if (schedule.length === 0) return;
+
+  const now = new Date();
+  let remaining = Math.round(this.payment.amountPaid * 100) / 100;
+
+  for (const installment of schedule) {
+    const allocated = Math.min(installment.amount, remaining);
+    remaining = Math.round((remaining - allocated) * 100) / 100;
+    installment.amountPaid = allocated;
+
+    if (allocated >= installment.amount) {
+      installment.status = 'paid';
+      installment.paidAt = installment.paidAt || now;
+    } else {
+      installment.paidAt = undefined;
+      if (installment.dueDate < now) {
+        installment.status = 'overdue';
+      } else {
+        installment.status = allocated > 0 ? 'partial' : 'pending';
+      }
+    }
+  }
+
+  const nextInstallment = schedule.find(
+    installment => installment.status !== 'paid'
+  );
+  this.payment.dueDate = (
+    nextInstallment || schedule[schedule.length - 1]
+  ).dueDate;
+};
+
+// Payment fields an edit can change. The balance and status are worked out
+// on save; payments and reversals go through their own methods.
+const EDITABLE_PAYMENT_FIELDS = [
+  'totalAmount',
+  'amountPaid',
+  'currency',
+  'method',
+  'dueDate',
+  'schedule'
+];
+
+// Instance method to apply edited payment fields. Fields are set one by one
+// so the payment history, reversal requests and anything else not being
+// edited stay as recorded.
+receiptSchema.methods.updatePayment = function (payment) {
+  for (const field of EDITABLE_PAYMENT_FIELDS) {
+    if (payment[field] !== undefined) {
+      this.set(`payment.${field}`, payment[field]);
+    }
+  }
+
+  return this;
+};
+
 // Instance method to add payment
 receiptSchema.methods.addPayment = function (paymentData) {
-  // Add to payment history
+  // Add to payment history; the schema casts the amount, so the stored
+  // number is used from here on
   this.payment.paymentHistory.push(paymentData);
+  const entry = this.payment.paymentHistory.at(-1);
+  const amount = Number(entry.amount);
 
-  // Update total amount paid with proper rounding
-  const totalPaid = this.payment.paymentHistory.reduce(
-    (sum, payment) => sum + payment.amount,
-    0
-  );
+  // Record which installments the payment goes towards
+  if (this.payment.schedule?.length > 0) {
+    let remaining = amount;
+    const allocations = [];
 
-  // Round to 2 decimal places to avoid floating point issues
-  this.payment.amountPaid = Math.round(totalPaid * 100) / 100;
+    for (const installment of this.payment.schedule) {
+      const outstanding = installment.amount - installment.amountPaid;
+      if (remaining <= 0) break;
+      if (outstanding <= 0) continue;
+
+      const allocated =
+        Math.round(Math.min(outstanding, remaining) * 100) / 100;
+      allocations.push({ installmentId: installment._id, amount: allocated });
+      remaining -= allocated;
+    }
+
+    entry.allocations = allocations;
+  }
+
+  // Update total amount paid with proper rounding. Amounts paid when the
+  // receipt was issued are not in the history, so add rather than re-sum
+  this.payment.amountPaid =
+    Math.round((this.payment.amountPaid + amount) * 100) / 100;
 
   // Set payment method to the latest one
-  this.payment.method = paymentData.method;
+  this.payment.method = entry.method;
 
   return this.save();
 };
 
+// Instance method to total the refunds still standing
+receiptSchema.methods.getRefundedAmount = function () {
+  const refunded = this.payment.paymentHistory
+    .filter(entry => entry.type === 'refund' && !entry.voided)
+    .reduce((sum, entry) => sum + entry.amount, 0);
+
+  return Math.round(refunded * 100) / 100;
+};
+
+// Instance method to total the money taken back off the receipt: refunds
+// still standing and payments voided
+receiptSchema.methods.getReversedAmount = function () {
+  const reversed = this.payment.paymentHistory
+    .filter(entry =>
+      entry.type === 'refund'
+        ? !entry.voided
+        : entry.type === 'payment' && entry.voided
+    )
+    .reduce((sum, entry) => sum + entry.amount, 0);
+
+  return Math.round(reversed * 100) / 100;
+};
+
+// Instance method to total what can still be refunded: the money paid less
+// refunds already made. Credits count towards amountPaid but were never paid,
+// so they are left out.
+receiptSchema.methods.getRefundableAmount = function () {
+  const credited = this.payment.paymentHistory
+    .filter(entry => entry.type === 'credit' && !entry.voided)
+    .reduce((sum, entry) => sum + entry.amount, 0);
+
+  return Math.max(
+    0,
+    Math.round((this.payment.amountPaid - credited) * 100) / 100
+  );
+};
+
+// Errors from payment methods carry the HTTP status the controller returns
+const paymentError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
 // Instance method to refund payment
-receiptSchema.methods.refundPayment = function (amount, refundedBy, reason) {
-  if (amount > this.payment.amountPaid) {
-    throw new Error('Refund amount cannot exceed amount paid');
+receiptSchema.methods.refundPayment = function (
+  amount,
+  refundedBy,
+  reason,
+  options = {}
+) {
+  const roundedAmount = Math.round(amount * 100) / 100;
+  const refundable = this.getRefundableAmount();
+
+  if (roundedAmount > refundable) {
+    throw paymentError(
+      `Refund amount cannot exceed the ${refundable} paid and not yet refunded`
+    );
   }
 
-  // Add refund to payment history (negative amount)
+  // Balance and status are recalculated on save
   this.payment.paymentHistory.push({
-    amount: -amount,
-    method: 'refund',
-    reference: `Refund: ${reason}`,
+    type: 'refund',
+    amount: roundedAmount,
+    method: options.method || this.payment.method || 'cash',
+    reference: options.reference || '',
+    claimId: options.claimId,
     receivedBy: refundedBy,
     notes: reason
   });
 
-  // Update amounts
-  this.payment.amountPaid -= amount;
-  this.payment.status =
-    amount === this.payment.amountPaid ? 'refunded' : 'partial';
+  this.payment.amountPaid =
+    Math.round((this.payment.amountPaid - roundedAmount) * 100) / 100;
+
+  return this.save();
+};
+
+// Instance method to credit part of the balance, e.g. to settle a damage
+// claim. Only the outstanding balance can be credited; anything more has to
+// be refunded.
+receiptSchema.methods.applyCredit = function (
+  amount,
+  creditedBy,
+  reason,
+  options = {}
+) {
+  const roundedAmount = Math.round(amount * 100) / 100;
+  const balance =
+    Math.round((this.payment.totalAmount - this.payment.amountPaid) * 100) /
+    100;
+
+  if (roundedAmount > balance) {
+    throw paymentError(
+      `Credit amount cannot exceed the outstanding balance of ${Math.max(0, balance)}`
+    );
+  }
+
+  // Balance and status are recalculated on save
+  this.payment.paymentHistory.push({
+    type: 'credit',
+    amount: roundedAmount,
+    reference: options.reference || '',
+    claimId: options.claimId,
+    receivedBy: creditedBy,
+    notes: reason
+  });
+
+  this.payment.amountPaid =
+    Math.round((this.payment.amountPaid + roundedAmount) * 100) / 100;
+
+  return this.save();
+};
+
+// Instance method to record compensation paid out for a damage claim. The
+// client keeps what they paid for the move, so amountPaid, the balance and
+// the status are left as they are.
+receiptSchema.methods.recordClaimPayout = function (
+  amount,
+  paidBy,
+  reason,
+  options = {}
+) {
+  this.payment.paymentHistory.push({
+    type: 'claim_payout',
+    amount: Math.round(amount * 100) / 100,
+    method: options.method || this.payment.method || 'cash',
+    reference: options.reference || '',
+    claimId: options.claimId,
+    receivedBy: paidBy,
+    notes: reason
+  });
+
+  return this.save();
+};
+
+// Instance method to void a payment or refund recorded in error
+receiptSchema.methods.voidPayment = function (paymentId, voidedBy, reason) {
+  const entry = this.payment.paymentHistory.id(paymentId);
+  if (!entry) {
+    throw paymentError('Payment not found', 404);
+  }
+  if (entry.voided) {
+    throw paymentError('Payment has already been voided');
+  }
+  // Claim settlements are part of the claim's record and stay in place
+  if (entry.claimId) {
+    throw paymentError('Claim settlements cannot be voided');
+  }
+
+  // Voiding a payment takes it back out of amountPaid; voiding a refund
+  // puts the refunded amount back in
+  const change = entry.type === 'refund' ? entry.amount : -entry.amount;
+  const amountPaid = Math.round((this.payment.amountPaid + change) * 100) / 100;
+
+  if (amountPaid < 0) {
+    throw paymentError(
+      'Payment cannot be voided because part of it has already been refunded'
+    );
+  }
+
+  entry.voided = true;
+  entry.voidedAt = new Date();
+  entry.voidedBy = voidedBy;
+  entry.voidReason = reason;
+  this.payment.amountPaid = amountPaid;
+
+  return this.save();
+};
+
+// Instance method to get the current content as a version snapshot
+receiptSchema.methods.getSnapshot = function () {
+  const snapshot = buildSnapshot(this, SNAPSHOT_FIELDS);
+
+  // Installment allocation and the payment ledger are tracked by their
+  // own fields; keep just what identifies each entry
+  snapshot.payment.schedule = (snapshot.payment.schedule || []).map(
+    ({ dueDate, amount, description }) => ({ dueDate, amount, description })
+  );
+  snapshot.payment.paymentHistory = (snapshot.payment.paymentHistory || []).map(
+    ({ _id, type, amount, date, method, voided }) => ({
+      id: _id,
+      type,
+      amount,
+      date,
+      method,
+      voided
+    })
+  );
+
+  return snapshot;
+};
+
+// Instance method to find a recorded version by number
+receiptSchema.methods.getVersion = function (versionNumber) {
+  return this.versions.find(entry => entry.versionNumber === versionNumber);
+};
+
+// Instance method to put back the content of an earlier version. Blocked
+// when payments recorded since then would leave the balance inconsistent.
+receiptSchema.methods.rollbackTo = function (
+  versionNumber,
+  rolledBackBy,
+  reason
+) {
+  const target = this.getVersion(versionNumber);
+  if (!target) {
+    throw paymentError(`Version ${versionNumber} not found`, 404);
+  }
+  if (versionNumber === this.version) {
+    throw paymentError(
+      `Version ${versionNumber} is already the current version`
+    );
+  }
+  if (!target.snapshot) {
+    throw paymentError(
+      `Version ${versionNumber} was recorded before full history was kept and cannot be restored`
+    );
+  }
+
+  const { payment } = target.snapshot;
+  const paymentsChanged =
+    JSON.stringify(payment.paymentHistory) !==
+    JSON.stringify(this.getSnapshot().payment.paymentHistory);
+
+  if (paymentsChanged) {
+    const amountPaid = Math.round(this.payment.amountPaid * 100) / 100;
+
+    if (amountPaid > payment.totalAmount + 0.01) {
+      throw paymentError(
+        `Payments recorded since version ${versionNumber} bring the amount paid to ${amountPaid}, more than its total of ${payment.totalAmount}`,
+        409
+      );
+    }
+
+    if (
+      FULLY_PAID_TYPES.includes(this.receiptType) &&
+      Math.abs(amountPaid - payment.totalAmount) > 0.01
+    ) {
+      throw paymentError(
+        `Payments recorded since version ${versionNumber} bring the amount paid to ${amountPaid}, which would leave this fully paid receipt with a balance against its total of ${payment.totalAmount}`,
+        409
+      );
+    }
+  }
+
+  ROLLBACK_FIELDS.forEach(path => {
+    this.set(path, getSnapshotValue(target.snapshot, path));
+  });
+
+  if (!paymentsChanged) {
+    this.payment.amountPaid = payment.amountPaid;
+    this.payment.method = payment.method;
+  }
+
+  this._editedBy = rolledBackBy;
+  this.$locals.revision = {
+    reason: reason || `Rolled back to version ${versionNumber}`,
+    restoredFrom: versionNumber
+  };
 
   return this.save();
 };
@@ -507,4 +1205,36 @@ receiptSchema.methods.linkToQuotation = function (quotationId) {
   return this.save();
 };
 
+// Check the currency is enabled and record its rate to the base currency
+receiptSchema.plugin(exchangeRate, { currencyPath: 'payment.currency' });
+
+// Record every create, update and delete in the audit log
+receiptSchema.plugin(auditTrail, {
+  entityType: 'Receipt',
+  actions: {
+    create: 'RECEIPT_CREATED',
+    update: 'RECEIPT_UPDATED',
+    delete: 'RECEIPT_DELETED'
+  },
+  // Edit history is already kept in the versions array
+  excludeFields: ['versions'],
+  resolveUpdateAction: diff => {
+    const oldHistory = diff.oldValues['payment.paymentHistory'] || [];
+    const newHistory = diff.newValues['payment.paymentHistory'] || [];
+
+    const isReversal =
+      newHistory
+        .slice(oldHistory.length)
+        .some(entry => ['refund', 'claim_payout'].includes(entry.type)) ||
+      newHistory.filter(entry => entry.voided).length >
+        oldHistory.filter(entry => entry.voided).length;
+
+    if (isReversal) return 'PAYMENT_REFUNDED';
+
+    const added = newHistory.slice(oldHistory.length);
+    if (added.some(entry => entry.type === 'credit')) return 'PAYMENT_CREDITED';
+    return added.length > 0 ? 'PAYMENT_RECORDED' : null;
+  }
+});
+
 module.exports = mongoose.model('Receipt', receiptSchema);
@@ -0,0 +1,215 @@
+/**
+ * Service Catalog Item Model
+ * A standard service with default unit prices per currency and move type.
+ * Quotation line items can reference an item to take its price; lines priced
+ * differently are flagged as overrides.
+ */
+
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+const auditTrail = require('./plugins/auditTrail.plugin');
+
+const MOVE_TYPES = ['Residential', 'International', 'Office'];
+
+const priceSchema = new mongoose.Schema(
+  {
+    currency: {
+      type: String,
+      required: [true, 'Currency is required'],
+      trim: true,
+      uppercase: true,
+      match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+    },
+    moveType: {
+      type: String,
+      required: [true, 'Move type is required'],
+      enum: {
+        values: MOVE_TYPES,
+        message: 'Move type must be Residential, International, or Office'
+      }
+    },
+    unitPrice: {
+      type: Number,
+      required: [true, 'Unit price is required'],
+      min: [0, 'Unit price cannot be negative']
+    }
+  },
+  { _id: false }
+);
+
+const serviceCatalogItemSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, 'Service code is required'],
+      unique: true,
+      trim: true,
+      uppercase: true,
+      match: [
+        /^[A-Z0-9_-]{2,30}$/,
+        'Service code must be 2-30 letters, numbers, dashes or underscores'
+      ]
+    },
+    name: {
+      type: String,
+      required: [true, 'Service name is required'],
+      trim: true,
+      maxlength: [100, 'Service name cannot exceed 100 characters']
+    },
+    description: {
+      type: String,
+      required: [true, 'Service description is required'],
+      trim: true,
+      maxlength: [500, 'Service description cannot exceed 500 characters']
+    },
+    // What one unit is, e.g. item, hour, truck, crate
+    unit: {
+      type: String,
+      trim: true,
+      maxlength: [30, 'Unit cannot exceed 30 characters'],
+      default: 'item'
+    },
+    prices: {
+      type: [priceSchema],
+      validate: {
+        validator: function (prices) {
+          const keys = prices.map(
+            price => `${price.currency}:${price.moveType}`
+          );
+          return new Set(keys).size === keys.length;
+        },
+        message: 'Each currency and move type can only be priced once'
+      }
+    },
+    // Inactive items stay on existing quotations but cannot be added to new
+    // line items
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Creator is required']
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Indexes for better query performance
+serviceCatalogItemSchema.index({ isActive: 1, name: 1 });
+
+// Instance method to get the default unit price for a currency and move type
+serviceCatalogItemSchema.methods.getPrice = function (currency, moveType) {
+  const price = this.prices.find(
+    entry => entry.currency === currency && entry.moveType === moveType
+  );
+  return price ? price.unitPrice : null;
+};
+
+/**
+ * Price quotation line items from the catalog
+ * Lines with a catalogItemId take the item's name and description when they
+ * have none, and its unit price when none is given. The catalog price is
+ * kept on the line, and a line priced differently is flagged as an override.
+ * @param {Array} services - Quotation line items
+ * @param {Object} options
+ * @param {string} options.currency - Quotation currency
+ * @param {string} options.moveType - Quotation type
+ * @param {Array} options.existingItemIds - Items already on the quotation,
+ *   which stay usable after they are deactivated
+ * @returns {Promise<Array>} Line items with catalog fields set
+ * @throws {Error} With statusCode 400 for unknown or inactive items, or an
+ *   unpriced line with no catalog price
+ */
+serviceCatalogItemSchema.statics.priceQuotationServices = async function (
+  services,
+  { currency, moveType, existingItemIds = [] }
+) {
+  const itemIds = [
+    ...new Set(
+      services
+        .filter(service => service.catalogItemId)
+        .map(service => service.catalogItemId.toString())
+    )
+  ];
+  const items = await this.find({ _id: { $in: itemIds } });
+  const itemsById = new Map(items.map(item => [item._id.toString(), item]));
+  const kept = existingItemIds.map(id => id.toString());
+
+  const fail = message => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    throw error;
+  };
+
+  return services.map(service => {
+    if (!service.catalogItemId) {
+      return {
+        ...service,
+        catalogItemId: undefined,
+        catalogUnitPrice: undefined,
+        isPriceOverride: false
+      };
+    }
+
+    const itemId = service.catalogItemId.toString();
+    const item = itemsById.get(itemId);
+    if (!item) {
+      fail(`Catalog item ${itemId} not found`);
+    }
+    if (!item.isActive && !kept.includes(itemId)) {
+      fail(`Catalog item ${item.code} is no longer offered`);
+    }
+
+    const catalogUnitPrice = item.getPrice(currency, moveType);
+    const hasPrice =
+      service.unitPrice !== undefined &&
+      service.unitPrice !== null &&
+      service.unitPrice !== '';
+
+    if (!hasPrice && catalogUnitPrice === null) {
+      fail(
+        `Catalog item ${item.code} has no ${currency} price for ${moveType} moves; enter a unit price`
+      );
+    }
+
+    const unitPrice = hasPrice ? Number(service.unitPrice) : catalogUnitPrice;
+
+    return {
+      ...service,
+      name: service.name || item.name,
+      description: service.description || item.description,
+      unitPrice,
+      catalogItemId: item._id,
+      catalogUnitPrice: catalogUnitPrice ?? undefined,
+      // A line with no catalog price for this currency and move type is
+      // priced by hand, so it counts as an override too
+      isPriceOverride:
+        catalogUnitPrice === null || unitPrice !== catalogUnitPrice
+    };
+  });
+};
+
+// Add pagination plugin
+serviceCatalogItemSchema.plugin(mongoosePaginate);
+
+// Record every create, update and delete in the audit log
+serviceCatalogItemSchema.plugin(auditTrail, {
+  entityType: 'ServiceCatalogItem',
+  actions: {
+    create: 'CATALOG_ITEM_CREATED',
+    update: 'CATALOG_ITEM_UPDATED',
+    delete: 'CATALOG_ITEM_DELETED'
+  }
+});
+
+module.exports = mongoose.model('ServiceCatalogItem', serviceCatalogItemSchema);
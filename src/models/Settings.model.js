@@ -0,0 +1,445 @@
+/**
+ * Settings Model
+ * Company profile and branding used on generated documents and emails.
+ * There is a single settings document; it is created from the environment
+ * defaults the first time it is read, after which admins edit it in place.
+ */
+
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail.plugin');
+const logger = require('../utils/logger');
+
+const SETTINGS_KEY = 'company';
+
+// Settings are read for every PDF and email; reloaded at most this often so
+// changes saved by another instance show up without a restart
+const CACHE_TTL_MS = 60 * 1000;
+
+let cache = { settings: null, loadedAt: 0 };
+let refreshing = null;
+
+const imageSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      trim: true
+    },
+    publicId: {
+      type: String,
+      trim: true
+    },
+    originalName: {
+      type: String,
+      trim: true
+    },
+    uploadedAt: {
+      type: Date
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  { _id: false }
+);
+
+// Currencies documents can be issued in. The rate is how many units of the
+// base currency one unit is worth, entered by admins; the base has rate 1.
+const currencySchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, 'Currency code is required'],
+      trim: true,
+      uppercase: true,
+      match: [/^[A-Z]{3}$/, 'Currency code must be a 3-letter ISO code']
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Currency name cannot exceed 50 characters']
+    },
+    rate: {
+      type: Number,
+      required: [true, 'Exchange rate is required'],
+      min: [0.000001, 'Exchange rate must be greater than 0']
+    },
+    // Inactive currencies stay on existing documents and in reports but
+    // cannot be used for new ones
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  },
+  { _id: false }
+);
+
+const DEFAULT_CURRENCIES = [
+  { code: 'UGX', name: 'Ugandan Shilling', rate: 1 },
+  // Starting rate only; admins keep it current
+  { code: 'USD', name: 'US Dollar', rate: 3700 }
+];
+
+const settingsSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      default: SETTINGS_KEY
+    },
+    company: {
+      name: {
+        type: String,
+        required: [true, 'Company name is required'],
+        trim: true,
+        maxlength: [150, 'Company name cannot exceed 150 characters'],
+        default:
+          process.env.COMPANY_NAME ||
+          'Aces Movers and Relocation Company Limited'
+      },
+      address: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Address cannot exceed 200 characters'],
+        default:
+          process.env.COMPANY_ADDRESS ||
+          'Kigowa2 Kulambiro Kisaasi Ring Road 83AD, Kampala, Uganda'
+      },
+      poBox: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'P.O. Box cannot exceed 100 characters'],
+        default: process.env.COMPANY_PO_BOX || ''
+      },
+      phone: {
+        type: String,
+        trim: true,
+        match: [/^[+]?[\d\s\-()]{10,}$/, 'Please provide a valid phone number'],
+        default: process.env.COMPANY_PHONE || '+256 778 259191'
+      },
+      phoneSecondary: {
+        type: String,
+        trim: true,
+        match: [/^[+]?[\d\s\-()]{10,}$/, 'Please provide a valid phone number'],
+        default: process.env.COMPANY_PHONE_SECONDARY || '+256 725 711730'
+      },
+      email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        match: [
+          /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+          'Please provide a valid email'
+        ],
+        default: process.env.SUPPORT_EMAIL || 'infor@acesmovers.com'
+      },
+      website: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Website cannot exceed 100 characters'],
+        default: process.env.COMPANY_WEBSITE || 'acesmovers.com'
+      },
+      tin: {
+        type: String,
+        trim: true,
+        maxlength: [50, 'TIN cannot exceed 50 characters'],
+        default: process.env.COMPANY_TIN || ''
+      },
+      registration: {
+        type: String,
+        trim: true,
+        maxlength: [50, 'Registration number cannot exceed 50 characters'],
+        default: process.env.COMPANY_REGISTRATION || ''
+      }
+    },
+    logo: {
+      type: imageSchema,
+      default: null
+    },
+    stamp: {
+      type: imageSchema,
+      default: null
+    },
+    bankDetails: {
+      bankName: {
+        type: String,
+        trim: true,
+        default: process.env.BANK_NAME || 'EQUITY BANK - NTINDA'
+      },
+      bankAccountName: {
+        type: String,
+        trim: true,
+        default: process.env.BANK_ACCOUNT_NAME || 'KAMOGA GEOFREY'
+      },
+      bankAccountNumber: {
+        type: String,
+        trim: true,
+        default: process.env.BANK_ACCOUNT_NUMBER || '1044102306223'
+      },
+      bankSwiftCode: {
+        type: String,
+        trim: true,
+        default: process.env.BANK_SWIFT_CODE || 'EQBLUGKA'
+      },
+      bankSortCode: {
+        type: String,
+        trim: true,
+        default: process.env.BANK_SORT_CODE || '100137'
+      },
+      mobileMoneyAccountName: {
+        type: String,
+        trim: true,
+        default: process.env.MOBILE_MONEY_ACCOUNT_NAME || 'KAMOGA GEOFREY'
+      },
+      mobileMoneyMTN: {
+        type: String,
+        trim: true,
+        default: process.env.MOBILE_MONEY_MTN || '0778259191'
+      },
+      mobileMoneyAirtel: {
+        type: String,
+        trim: true,
+        default: process.env.MOBILE_MONEY_AIRTEL || '0745711730'
+      }
+    },
+    quotationDefaults: {
+      termsAndConditions: {
+        type: String,
+        trim: true,
+        maxlength: [2000, 'Terms and conditions cannot exceed 2000 characters'],
+        default: ''
+      },
+      taxRate: {
+        type: Number,
+        min: [0, 'Tax rate cannot be negative'],
+        max: [1, 'Tax rate cannot exceed 100%'],
+        default: 0
+      },
+      validityDays: {
+        type: Number,
+        min: [7, 'Validity must be at least 7 days'],
+        max: [90, 'Validity cannot exceed 90 days'],
+        default: 30
+      }
+    },
+    // Quotations over these limits wait for an admin to approve them before
+    // they can be sent; an empty limit is not enforced
+    quotationApproval: {
+      totalThresholdUGX: {
+        type: Number,
+        min: [0, 'Total threshold cannot be negative'],
+        default: null
+      },
+      totalThresholdUSD: {
+        type: Number,
+        min: [0, 'Total threshold cannot be negative'],
+        default: null
+      },
+      discountPercentThreshold: {
+        type: Number,
+        min: [0, 'Discount threshold must be between 0 and 100'],
+        max: [100, 'Discount threshold must be between 0 and 100'],
+        default: null
+      }
+    },
+    // Refunds and voids by non-admins wait for an admin to approve them once
+    // the total reversed on a receipt would go over these limits. Currencies
+    // without a limit of their own are held to the base currency's; with no
+    // limit at all, every reversal needs approval.
+    refundApproval: {
+      thresholdUGX: {
+        type: Number,
+        min: [0, 'Refund threshold cannot be negative'],
+        default: 1000000
+      },
+      thresholdUSD: {
+        type: Number,
+        min: [0, 'Refund threshold cannot be negative'],
+        default: 300
+      }
+    },
+    // Sizing rules and rates for quotations built from a room-by-room
+    // inventory. Rates are per truck, crew member, cubic metre and fragile
+    // item; lines with an empty rate are not generated.
+    inventoryEstimation: {
+      vehicleCapacity: {
+        type: Number,
+        min: [1, 'Vehicle capacity must be at least 1 cubic metre'],
+        default: 30
+      },
+      volumePerCrewMember: {
+        type: Number,
+        min: [1, 'Volume per crew member must be at least 1 cubic metre'],
+        default: 10
+      },
+      minimumCrewSize: {
+        type: Number,
+        min: [1, 'Minimum crew size must be at least 1'],
+        default: 2
+      },
+      vehicleRateUGX: {
+        type: Number,
+        min: [0, 'Vehicle rate cannot be negative'],
+        default: null
+      },
+      vehicleRateUSD: {
+        type: Number,
+        min: [0, 'Vehicle rate cannot be negative'],
+        default: null
+      },
+      crewRateUGX: {
+        type: Number,
+        min: [0, 'Crew rate cannot be negative'],
+        default: null
+      },
+      crewRateUSD: {
+        type: Number,
+        min: [0, 'Crew rate cannot be negative'],
+        default: null
+      },
+      volumeRateUGX: {
+        type: Number,
+        min: [0, 'Volume rate cannot be negative'],
+        default: null
+      },
+      volumeRateUSD: {
+        type: Number,
+        min: [0, 'Volume rate cannot be negative'],
+        default: null
+      },
+      fragileItemRateUGX: {
+        type: Number,
+        min: [0, 'Fragile item rate cannot be negative'],
+        default: null
+      },
+      fragileItemRateUSD: {
+        type: Number,
+        min: [0, 'Fragile item rate cannot be negative'],
+        default: null
+      }
+    },
+    currency: {
+      baseCurrency: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        match: [/^[A-Z]{3}$/, 'Currency code must be a 3-letter ISO code'],
+        default: 'UGX'
+      },
+      currencies: {
+        type: [currencySchema],
+        default: () => DEFAULT_CURRENCIES,
+        validate: [
+          {
+            validator: function (currencies) {
+              const codes = currencies.map(currency => currency.code);
+              return new Set(codes).size === codes.length;
+            },
+            message: 'Each currency can only be listed once'
+          },
+          {
+            validator: function (currencies) {
+              const base = currencies.find(
+                currency => currency.code === this.currency.baseCurrency
+              );
+              return Boolean(base && base.isActive && base.rate === 1);
+            },
+            message:
+              'The base currency must be listed, active and have a rate of 1'
+          }
+        ]
+      },
+      ratesUpdatedAt: {
+        type: Date
+      },
+      ratesUpdatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Keep this instance's cache current as soon as an admin saves a change
+settingsSchema.post('save', function () {
+  cache = { settings: this.toObject(), loadedAt: Date.now() };
+});
+
+/**
+ * Get the settings document, creating it from the defaults if missing
+ * @returns {Promise<Document>} Settings document
+ */
+settingsSchema.statics.getDocument = async function () {
+  const settings = await this.findOne({ key: SETTINGS_KEY });
+  if (settings) return settings;
+
+  try {
+    return await this.create({ key: SETTINGS_KEY });
+  } catch (error) {
+    // Another request created it first
+    if (error.code === 11000) {
+      return this.findOne({ key: SETTINGS_KEY });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Get the current settings as a plain object, served from a short-lived cache
+ * @param {Object} options
+ * @param {boolean} options.fresh - Skip the cache
+ * @returns {Promise<Object>} Settings
+ */
+settingsSchema.statics.getSettings = async function ({ fresh = false } = {}) {
+  if (!fresh && cache.settings && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+    return cache.settings;
+  }
+
+  const settings = await this.getDocument();
+  cache = { settings: settings.toObject(), loadedAt: Date.now() };
+  return cache.settings;
+};
+
+/**
+ * Get the settings without waiting on the database, for synchronous callers
+ * such as email templates. Falls back to the defaults until the settings
+ * have been loaded, and refreshes a stale cache in the background.
+ * @returns {Object} Settings
+ */
+settingsSchema.statics.getCachedSettings = function () {
+  const stale = Date.now() - cache.loadedAt >= CACHE_TTL_MS;
+
+  if (stale && !refreshing && mongoose.connection.readyState === 1) {
+    refreshing = this.getSettings({ fresh: true })
+      .catch(error => {
+        logger.error('Failed to refresh settings:', error);
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+
+  return cache.settings || new this().toObject();
+};
+
+// Record every change in the audit log
+settingsSchema.plugin(auditTrail, {
+  entityType: 'System',
+  actions: {
+    create: 'SETTINGS_UPDATED',
+    update: 'SETTINGS_UPDATED',
+    delete: 'SETTINGS_UPDATED'
+  }
+});
+
+module.exports = mongoose.model('Settings', settingsSchema);
@@ -0,0 +1,376 @@
+/**
+ * Storage Contract Model
+ * Goods a client stores in the warehouse, billed monthly. Each calendar
+ * month is billed once it has passed, for the days the goods were stored:
+ * the first and last months are prorated and suspended days are not billed.
+ */
+
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail.plugin');
+
+const CONTRACT_STATUSES = ['active', 'suspended', 'ended'];
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Midnight at the start of a date's day, in server time
+ */
+const startOfDay = date => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * The day after a date
+ */
+const nextDay = date => {
+  const day = startOfDay(date);
+  day.setDate(day.getDate() + 1);
+  return day;
+};
+
+/**
+ * Number of days from one day to another, both included
+ */
+const countDays = (first, last) =>
+  Math.round((startOfDay(last) - startOfDay(first)) / DAY_IN_MS) + 1;
+
+/**
+ * Build the error raised for a change the contract does not allow
+ */
+const contractError = message => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const storageContractSchema = new mongoose.Schema(
+  {
+    contractNumber: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      match: [
+        /^AMRC-STC-\d{5}$/,
+        'Contract number must follow format AMRC-STC-NNNNN'
+      ]
+    },
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Client',
+      required: [true, 'Client is required']
+    },
+    // Snapshot of the client, copied onto each receipt
+    client: {
+      name: {
+        type: String,
+        required: [true, 'Client name is required'],
+        trim: true,
+        maxlength: [100, 'Client name cannot exceed 100 characters']
+      },
+      phone: {
+        type: String,
+        required: [true, 'Client phone is required'],
+        trim: true
+      },
+      email: {
+        type: String,
+        trim: true,
+        lowercase: true
+      },
+      address: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Address cannot exceed 500 characters']
+      }
+    },
+    // Cubic metres of warehouse space taken up
+    volume: {
+      type: Number,
+      required: [true, 'Storage volume is required'],
+      min: [0.01, 'Storage volume must be greater than zero']
+    },
+    storageLocation: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Storage location cannot exceed 200 characters']
+    },
+    goodsDescription: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Goods description cannot exceed 1000 characters']
+    },
+    monthlyRate: {
+      type: Number,
+      required: [true, 'Monthly rate is required'],
+      min: [0, 'Monthly rate cannot be negative']
+    },
+    currency: {
+      type: String,
+      required: [true, 'Currency is required'],
+      trim: true,
+      uppercase: true
+    },
+    // First and last days goods are stored; an open-ended contract has no
+    // end date until the goods are collected
+    startDate: {
+      type: Date,
+      required: [true, 'Start date is required']
+    },
+    endDate: {
+      type: Date,
+      validate: {
+        validator: function (value) {
+          return !value || !this.startDate || value >= this.startDate;
+        },
+        message: 'End date cannot be before the start date'
+      }
+    },
+    // Days after issue each receipt is due
+    paymentTermsDays: {
+      type: Number,
+      default: 14,
+      min: [0, 'Payment terms cannot be negative'],
+      max: [90, 'Payment terms cannot exceed 90 days']
+    },
+    status: {
+      type: String,
+      enum: {
+        values: CONTRACT_STATUSES,
+        message: 'Status must be active, suspended, or ended'
+      },
+      default: 'active'
+    },
+    // Periods the goods are not billed for, e.g. while part of the goods are
+    // shipped out and the space is reused. A suspension runs from its start
+    // date up to, but not including, the day billing resumes.
+    suspensions: [
+      {
+        startDate: {
+          type: Date,
+          required: [true, 'Suspension start date is required']
+        },
+        endDate: {
+          type: Date
+        },
+        reason: {
+          type: String,
+          trim: true,
+          maxlength: [300, 'Suspension reason cannot exceed 300 characters']
+        },
+        suspendedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true
+        },
+        resumedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        }
+      }
+    ],
+    // Last day covered by an issued receipt
+    billedThrough: {
+      type: Date
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters']
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Creator is required']
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Indexes for performance
+storageContractSchema.index({ status: 1, startDate: 1 });
+storageContractSchema.index({ clientId: 1 });
+storageContractSchema.index({ createdBy: 1, createdAt: -1 });
+
+// Pre-validate middleware to store contract dates as whole days
+storageContractSchema.pre('validate', function (next) {
+  if (this.isModified('startDate') && this.startDate) {
+    this.startDate = startOfDay(this.startDate);
+  }
+  if (this.isModified('endDate') && this.endDate) {
+    this.endDate = startOfDay(this.endDate);
+  }
+  next();
+});
+
+// Static method to generate contract number
+storageContractSchema.statics.generateContractNumber = async function () {
+  const Counter = mongoose.model('Counter');
+  const { formattedNumber } = await Counter.getNextSequence('storage_contract');
+  return formattedNumber;
+};
+
+// Static method to find the contracts that may have a period to bill
+storageContractSchema.statics.findBillable = function (asOf = new Date()) {
+  return this.find({
+    status: { $in: ['active', 'suspended'] },
+    startDate: { $lt: startOfDay(asOf) }
+  });
+};
+
+// Instance method to get the first day not yet billed
+storageContractSchema.methods.getNextBillingDate = function () {
+  return this.billedThrough ? nextDay(this.billedThrough) : this.startDate;
+};
+
+// Instance method to get the suspension still in force, if any
+storageContractSchema.methods.getOpenSuspension = function () {
+  return this.suspensions.find(suspension => !suspension.endDate);
+};
+
+/**
+ * Count the suspended days between two days, both included
+ */
+storageContractSchema.methods.countSuspendedDays = function (first, last) {
+  return this.suspensions.reduce((total, suspension) => {
+    const from = Math.max(startOfDay(suspension.startDate), first);
+    const to = suspension.endDate
+      ? Math.min(startOfDay(suspension.endDate) - DAY_IN_MS, last)
+      : last;
+    return to >= from ? total + countDays(from, to) : total;
+  }, 0);
+};
+
+/**
+ * List the billing periods that have passed but not been billed
+ * Each calendar month is one period, cut short by the start and end dates.
+ * A period is charged the monthly rate for the share of the month's days
+ * the goods were stored and not suspended.
+ * @param {Date} asOf - Periods ending before this day are due
+ * @returns {Array} [{ start, end, days, daysInMonth, billableDays, amount }]
+ */
+storageContractSchema.methods.getDuePeriods = function (asOf = new Date()) {
+  const today = startOfDay(asOf);
+  const periods = [];
+  let start = this.getNextBillingDate();
+
+  while (start < today && (!this.endDate || start <= this.endDate)) {
+    const monthEnd = new Date(start.getFullYear(), start.getMonth() + 1, 0);
+    const end =
+      this.endDate && this.endDate < monthEnd ? this.endDate : monthEnd;
+
+    // The current month is billed once it is over
+    if (end >= today) break;
+
+    const daysInMonth = monthEnd.getDate();
+    const days = countDays(start, end);
+    const billableDays = days - this.countSuspendedDays(start, end);
+
+    periods.push({
+      start,
+      end,
+      days,
+      daysInMonth,
+      billableDays,
+      amount:
+        Math.round(((this.monthlyRate * billableDays) / daysInMonth) * 100) /
+        100
+    });
+
+    start = nextDay(end);
+  }
+
+  return periods;
+};
+
+// Instance method to record a period as billed, ending the contract once
+// its last day is billed
+storageContractSchema.methods.markBilled = function (periodEnd) {
+  this.billedThrough = periodEnd;
+
+  if (this.endDate && periodEnd >= this.endDate) {
+    const open = this.getOpenSuspension();
+    if (open) open.endDate = nextDay(this.endDate);
+    this.status = 'ended';
+  }
+
+  return this;
+};
+
+// Instance method to stop billing from a day until the contract is resumed
+storageContractSchema.methods.suspend = function (
+  startDate,
+  suspendedBy,
+  reason
+) {
+  if (this.status !== 'active') {
+    throw contractError(`A ${this.status} contract cannot be suspended`);
+  }
+
+  const from = startOfDay(startDate);
+  if (from < this.getNextBillingDate()) {
+    throw contractError(
+      `Billing can only be suspended from ${this.getNextBillingDate().toDateString()}, the first day not yet billed`
+    );
+  }
+  if (this.endDate && from > this.endDate) {
+    throw contractError('Billing cannot be suspended after the contract ends');
+  }
+
+  this.suspensions.push({ startDate: from, suspendedBy, reason });
+  this.status = 'suspended';
+  this.updatedBy = suspendedBy;
+
+  return this.save();
+};
+
+// Instance method to resume billing from a day
+storageContractSchema.methods.resume = function (resumeDate, resumedBy) {
+  const open = this.getOpenSuspension();
+  if (this.status !== 'suspended' || !open) {
+    throw contractError('Only a suspended contract can be resumed');
+  }
+
+  const from = startOfDay(resumeDate);
+  if (from <= open.startDate) {
+    throw contractError(
+      `Billing can only resume after the suspension starting ${open.startDate.toDateString()}`
+    );
+  }
+
+  open.endDate = from;
+  open.resumedBy = resumedBy;
+  this.status = 'active';
+  this.updatedBy = resumedBy;
+
+  return this.save();
+};
+
+// Record every create, update and delete in the audit log
+storageContractSchema.plugin(auditTrail, {
+  entityType: 'StorageContract',
+  actions: {
+    create: 'STORAGE_CONTRACT_CREATED',
+    update: 'STORAGE_CONTRACT_UPDATED',
+    delete: 'STORAGE_CONTRACT_DELETED'
+  },
+  resolveUpdateAction: diff => {
+    if (diff.newValues.status === 'suspended') {
+      return 'STORAGE_CONTRACT_SUSPENDED';
+    }
+    if (diff.newValues.status === 'active') return 'STORAGE_CONTRACT_RESUMED';
+    return null;
+  }
+});
+
+module.exports = mongoose.model('StorageContract', storageContractSchema);
@@ -5,6 +5,7 @@
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const auditTrail = require('./plugins/auditTrail.plugin');
 
 const userSchema = new mongoose.Schema(
   {
@@ -136,6 +137,14 @@ const userSchema = new mongoose.Schema(
         type: Date,
         default: Date.now
       }
+    },
+    // Calendar feed links are signed with tokenVersion, so the tokens
+    // themselves are not stored
+    calendarFeed: {
+      tokenVersion: {
+        type: Number,
+        default: 0
+      }
     }
   },
   {
@@ -210,6 +219,12 @@ userSchema.methods.createPasswordResetToken = function () {
   return resetToken;
 };
 
+// Instance method to invalidate every calendar feed link issued so far
+userSchema.methods.revokeCalendarFeeds = function () {
+  this.calendarFeed.tokenVersion += 1;
+  return this.save();
+};
+
 // Instance method to get safe user data (exclude sensitive fields)
 userSchema.methods.getSafeData = function () {
   const userObject = this.toObject();
@@ -230,4 +245,33 @@ userSchema.statics.findByEmail = function (email) {
   return this.findOne({ email: email.toLowerCase() });
 };
 
+// Record every create, update and delete in the audit log
+userSchema.plugin(auditTrail, {
+  entityType: 'User',
+  actions: {
+    create: 'USER_CREATED',
+    update: 'USER_UPDATED',
+    delete: 'USER_DELETED'
+  },
+  // Never copy credentials or tokens into the audit log; signatures are
+  // large images
+  excludeFields: [
+    'password',
+    'refreshToken',
+    'passwordResetToken',
+    'passwordResetExpires',
+    'signature'
+  ],
+  resolveUpdateAction: (diff, userId, actor) => {
+    if (diff.changedFields.includes('role')) return 'USER_ROLE_CHANGED';
+    if (diff.changedFields.every(field => field.startsWith('profilePhoto.'))) {
+      return 'AVATAR_UPLOADED';
+    }
+    if (userId.toString() === actor.userId.toString()) {
+      return 'PROFILE_UPDATED';
+    }
+    return null;
+  }
+});
+
 module.exports = mongoose.model('User', userSchema);
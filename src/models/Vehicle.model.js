@@ -0,0 +1,304 @@
+/**
+ * Vehicle Model
+ * A truck in the company fleet: what it can carry, when its insurance and
+ * inspection run out, and when it is off the road for maintenance. Moves
+ * are assigned vehicles from the fleet.
+ */
+
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail.plugin');
+
+const maintenanceBlockSchema = new mongoose.Schema({
+  startDate: {
+    type: Date,
+    required: [true, 'Maintenance start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'Maintenance end date is required'],
+    validate: {
+      validator: function (value) {
+        return !this.startDate || value >= this.startDate;
+      },
+      message: 'Maintenance cannot end before it starts'
+    }
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Maintenance reason cannot exceed 300 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
+// Pre-validate middleware to make maintenance blocks cover whole days, the
+// same way moves book their vehicles
+maintenanceBlockSchema.pre('validate', function (next) {
+  if (this.isModified('startDate') && this.startDate) {
+    this.startDate.setHours(0, 0, 0, 0);
+  }
+  if (this.isModified('endDate') && this.endDate) {
+    this.endDate.setHours(23, 59, 59, 999);
+  }
+  next();
+});
+
+const vehicleSchema = new mongoose.Schema(
+  {
+    plateNumber: {
+      type: String,
+      required: [true, 'Plate number is required'],
+      unique: true,
+      trim: true,
+      uppercase: true,
+      maxlength: [20, 'Plate number cannot exceed 20 characters']
+    },
+    // Make and model, e.g. Isuzu FRR 5-tonne box body
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Vehicle description cannot exceed 100 characters']
+    },
+    capacity: {
+      // Load space in cubic metres
+      volume: {
+        type: Number,
+        required: [true, 'Load volume is required'],
+        min: [0, 'Load volume cannot be negative']
+      },
+      // Payload in tonnes
+      tonnage: {
+        type: Number,
+        required: [true, 'Tonnage is required'],
+        min: [0, 'Tonnage cannot be negative']
+      }
+    },
+    insurance: {
+      provider: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Insurer cannot exceed 100 characters']
+      },
+      policyNumber: {
+        type: String,
+        trim: true,
+        maxlength: [50, 'Policy number cannot exceed 50 characters']
+      },
+      expiresAt: {
+        type: Date,
+        required: [true, 'Insurance expiry date is required']
+      },
+      // Expiry date admins were last warned about; a renewal moves the
+      // expiry date on, so the next one is warned about again
+      alertedFor: {
+        type: Date
+      }
+    },
+    inspection: {
+      expiresAt: {
+        type: Date,
+        required: [true, 'Inspection expiry date is required']
+      },
+      alertedFor: {
+        type: Date
+      }
+    },
+    maintenanceBlocks: [maintenanceBlockSchema],
+    // Retired vehicles stay on past moves but cannot be assigned
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters']
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Creator is required']
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Indexes for performance
+vehicleSchema.index({ isActive: 1, plateNumber: 1 });
+vehicleSchema.index({ 'insurance.expiresAt': 1 });
+vehicleSchema.index({ 'inspection.expiresAt': 1 });
+
+// Documents a vehicle cannot go on the road without
+const VEHICLE_DOCUMENTS = {
+  insurance: 'Insurance',
+  inspection: 'Inspection'
+};
+
+// Instance method to get the maintenance blocks overlapping a time range
+vehicleSchema.methods.getMaintenanceBlocks = function (startDate, endDate) {
+  return this.maintenanceBlocks.filter(
+    block => block.startDate <= endDate && block.endDate >= startDate
+  );
+};
+
+/**
+ * Explain why the vehicle cannot be used between two dates
+ * Maintenance blocks and insurance or inspection running out before the end
+ * date keep it off the road; bookings on other moves are checked separately.
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @returns {Array} [{ reason: 'inactive'|'maintenance'|'insurance_expired'|
+ *   'inspection_expired', message, block? }], empty when usable
+ */
+vehicleSchema.methods.getUnavailabilityReasons = function (startDate, endDate) {
+  const reasons = [];
+
+  if (!this.isActive) {
+    reasons.push({
+      reason: 'inactive',
+      message: `${this.plateNumber} is no longer in service`
+    });
+  }
+
+  this.getMaintenanceBlocks(startDate, endDate).forEach(block => {
+    reasons.push({
+      reason: 'maintenance',
+      message: `${this.plateNumber} is in maintenance from ${block.startDate.toDateString()} to ${block.endDate.toDateString()}`,
+      block
+    });
+  });
+
+  Object.entries(VEHICLE_DOCUMENTS).forEach(([document, label]) => {
+    const { expiresAt } = this[document];
+    if (expiresAt < endDate) {
+      reasons.push({
+        reason: `${document}_expired`,
+        message: `${label} for ${this.plateNumber} expires on ${expiresAt.toDateString()}`
+      });
+    }
+  });
+
+  return reasons;
+};
+
+/**
+ * Find vehicles whose insurance or inspection expires by a date and that
+ * admins have not been warned about yet
+ * @param {Date} cutoff - Last expiry date to warn about
+ * @returns {Promise<Array>} [{ vehicle, document: 'insurance'|'inspection',
+ *   expiresAt }]
+ */
+vehicleSchema.statics.findExpiringDocuments = async function (cutoff) {
+  const documents = Object.keys(VEHICLE_DOCUMENTS);
+
+  const vehicles = await this.find({
+    isActive: true,
+    $or: documents.map(document => ({
+      [`${document}.expiresAt`]: { $lte: cutoff },
+      $expr: {
+        $ne: [`$${document}.alertedFor`, `$${document}.expiresAt`]
+      }
+    }))
+  });
+
+  return vehicles.flatMap(vehicle =>
+    documents
+      .filter(document => {
+        const { expiresAt, alertedFor } = vehicle[document];
+        return (
+          expiresAt <= cutoff &&
+          (!alertedFor || alertedFor.getTime() !== expiresAt.getTime())
+        );
+      })
+      .map(document => ({
+        vehicle,
+        document,
+        expiresAt: vehicle[document].expiresAt
+      }))
+  );
+};
+
+/**
+ * Check which fleet vehicles can be assigned between two dates
+ * @param {Object} query
+ * @param {Date} query.startDate
+ * @param {Date} query.endDate
+ * @param {number} query.minVolume - Smallest load volume needed
+ * @param {number} query.minTonnage - Smallest payload needed
+ * @param {ObjectId} query.excludeMoveId - Move being edited, whose own
+ *   vehicles count as free
+ * @returns {Promise<Object>} { available: [vehicle], unavailable:
+ *   [{ vehicle, reasons }] }, where booked vehicles have a 'booked' reason
+ *   naming the move
+ */
+vehicleSchema.statics.findAvailability = async function ({
+  startDate,
+  endDate,
+  minVolume,
+  minTonnage,
+  excludeMoveId
+}) {
+  const filter = { isActive: true };
+  if (minVolume) filter['capacity.volume'] = { $gte: minVolume };
+  if (minTonnage) filter['capacity.tonnage'] = { $gte: minTonnage };
+
+  const vehicles = await this.find(filter).sort({
+    'capacity.volume': 1,
+    plateNumber: 1
+  });
+
+  const Move = mongoose.model('Move');
+  const bookings = await Move.findScheduleConflicts({
+    scheduledStart: startDate,
+    scheduledEnd: endDate,
+    plateNumbers: vehicles.map(vehicle => vehicle.plateNumber),
+    excludeMoveId
+  });
+
+  const available = [];
+  const unavailable = [];
+
+  vehicles.forEach(vehicle => {
+    const reasons = [
+      ...vehicle.getUnavailabilityReasons(startDate, endDate),
+      ...bookings
+        .filter(booking => booking.plateNumber === vehicle.plateNumber)
+        .map(booking => ({
+          reason: 'booked',
+          message: `${vehicle.plateNumber} is booked on move ${booking.move.moveNumber}`,
+          move: booking.move
+        }))
+    ];
+
+    if (reasons.length === 0) {
+      available.push(vehicle);
+    } else {
+      unavailable.push({ vehicle, reasons });
+    }
+  });
+
+  return { available, unavailable };
+};
+
+// Record every create, update and delete in the audit log
+vehicleSchema.plugin(auditTrail, {
+  entityType: 'Vehicle',
+  actions: {
+    create: 'VEHICLE_CREATED',
+    update: 'VEHICLE_UPDATED',
+    delete: 'VEHICLE_DELETED'
+  }
+});
+
+module.exports = mongoose.model('Vehicle', vehicleSchema);
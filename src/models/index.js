@@ -9,6 +9,14 @@ const Receipt = require('./Receipt.model');
 const Notification = require('./Notification.model');
 const AuditLog = require('./AuditLog.model');
 const Counter = require('./Counter.model');
+const Client = require('./Client.model');
+const Settings = require('./Settings.model');
+const NotificationSettings = require('./NotificationSettings.model');
+const ServiceCatalogItem = require('./ServiceCatalogItem.model');
+const Move = require('./Move.model');
+const Vehicle = require('./Vehicle.model');
+const Claim = require('./Claim.model');
+const StorageContract = require('./StorageContract.model');
 
 module.exports = {
   User,
@@ -16,5 +24,13 @@ module.exports = {
   Receipt,
   Notification,
   AuditLog,
-  Counter
+  Counter,
+  Client,
+  Settings,
+  NotificationSettings,
+  ServiceCatalogItem,
+  Move,
+  Vehicle,
+  Claim,
+  StorageContract
 };
@@ -0,0 +1,259 @@
+/**
+ * Audit Trail Plugin
+ * Records create, update and delete operations made during an authenticated
+ * request as AuditLog entries with a before/after field diff; writes with no
+ * signed-in user are logged rather than audited
+ */
+
+const mongoose = require('mongoose');
+const RequestContext = require('../../utils/requestContext');
+const logger = require('../../utils/logger');
+
+// Fields never worth diffing on any model
+const IGNORED_FIELDS = ['_id', '__v', 'id', 'createdAt', 'updatedAt'];
+
+const UPDATE_OPERATIONS = ['findOneAndUpdate', 'updateOne', 'updateMany'];
+const DELETE_OPERATIONS = ['findOneAndDelete', 'deleteOne', 'deleteMany'];
+const SINGLE_DOCUMENT_OPERATIONS = [
+  'findOneAndUpdate',
+  'updateOne',
+  'findOneAndDelete',
+  'deleteOne'
+];
+
+/**
+ * Check whether a value should be compared as a whole rather than walked
+ */
+const isLeafValue = value =>
+  value === null ||
+  typeof value !== 'object' ||
+  Array.isArray(value) ||
+  value instanceof Date ||
+  value instanceof mongoose.Types.ObjectId ||
+  Buffer.isBuffer(value);
+
+/**
+ * Flatten a plain object into dotted paths, e.g. { 'client.name': 'Jane' }
+ */
+const flatten = (value, prefix = '', result = {}) => {
+  for (const [key, nested] of Object.entries(value || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (isLeafValue(nested)) {
+      result[path] = nested;
+    } else {
+      flatten(nested, path, result);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Remove ignored and excluded paths from a flattened document
+ */
+const sanitize = (flat, excludeFields) => {
+  const sanitized = {};
+
+  for (const [path, value] of Object.entries(flat)) {
+    const root = path.split('.')[0];
+    if (IGNORED_FIELDS.includes(root) || excludeFields.includes(root)) {
+      continue;
+    }
+    sanitized[path] = value;
+  }
+
+  return sanitized;
+};
+
+/**
+ * Compute the changed paths between two documents
+ * @returns {Object} { oldValues, newValues, changedFields }
+ */
+const diffDocuments = (before, after, excludeFields) => {
+  const oldFlat = sanitize(flatten(before), excludeFields);
+  const newFlat = sanitize(flatten(after), excludeFields);
+  const oldValues = {};
+  const newValues = {};
+
+  const paths = new Set([...Object.keys(oldFlat), ...Object.keys(newFlat)]);
+  for (const path of paths) {
+    if (JSON.stringify(oldFlat[path]) !== JSON.stringify(newFlat[path])) {
+      oldValues[path] = oldFlat[path];
+      newValues[path] = newFlat[path];
+    }
+  }
+
+  return { oldValues, newValues, changedFields: Object.keys(newValues) };
+};
+
+/**
+ * Plain snapshot of a document without virtuals
+ */
+const toPlain = doc =>
+  doc.toObject({ depopulate: true, virtuals: false, getters: false });
+
+// Writes already reported as not audited, so each kind is logged once
+const reportedUnauditedWrites = new Set();
+
+/**
+ * Get the actor of the current request, logging when there is none
+ * Writes from background jobs and unauthenticated requests have no actor and
+ * are not audited; a write that lost its request context looks the same, so
+ * each kind of unaudited write is logged the first time it happens
+ */
+const getActor = (entityType, operation) => {
+  const actor = RequestContext.getActor();
+  if (actor) return actor;
+
+  const source = RequestContext.getRequest()
+    ? 'an unauthenticated request'
+    : 'outside a request';
+  const key = `${entityType}:${operation}:${source}`;
+
+  if (!reportedUnauditedWrites.has(key)) {
+    reportedUnauditedWrites.add(key);
+    logger.warn(
+      `⚠️ ${entityType} ${operation} from ${source} has no user and is not audited`
+    );
+  }
+
+  return null;
+};
+
+/**
+ * Mongoose plugin
+ * @param {Object} schema - Schema to audit
+ * @param {Object} options - Plugin options
+ * @param {string} options.entityType - AuditLog entityType for this model
+ * @param {Object} options.actions - { create, update, delete } audit actions
+ * @param {Array} options.excludeFields - Top-level fields left out of diffs
+ * @param {Function} options.resolveUpdateAction - Optional (diff, entityId,
+ *   actor) => action, to map specific updates onto a more precise action
+ */
+module.exports = function auditTrailPlugin(schema, options) {
+  const {
+    entityType,
+    actions,
+    excludeFields = [],
+    resolveUpdateAction
+  } = options;
+
+  // Required lazily: the service loads AuditLog, which must not depend on
+  // models that are still being compiled
+  const getAuditService = () => require('../../services/audit.service');
+
+  const buildEntry = (action, entityId, actor, values) => ({
+    action,
+    entityType,
+    entityId,
+    userId: actor.userId,
+    ipAddress: actor.ipAddress,
+    userAgent: actor.userAgent,
+    oldValues: values.oldValues,
+    newValues: values.newValues,
+    details: {
+      source: 'audit_trail',
+      changedFields: values.changedFields
+    }
+  });
+
+  const buildUpdateEntry = (before, after, actor) => {
+    const diff = diffDocuments(before, after, excludeFields);
+    if (diff.changedFields.length === 0) return null;
+
+    const action =
+      (resolveUpdateAction && resolveUpdateAction(diff, after._id, actor)) ||
+      actions.update;
+
+    return buildEntry(action, after._id, actor, diff);
+  };
+
+  // Document saves (create and update)
+  schema.pre('save', async function () {
+    this.$locals.auditActor = getActor(entityType, 'save');
+    this.$locals.auditWasNew = this.isNew;
+
+    if (!this.$locals.auditActor || this.isNew) return;
+
+    this.$locals.auditBefore = await this.constructor
+      .findById(this._id)
+      .session(this.$session())
+      .lean();
+  });
+
+  schema.post('save', async function () {
+    const actor = this.$locals.auditActor;
+    if (!actor) return;
+
+    const after = toPlain(this);
+    let entry;
+
+    if (this.$locals.auditWasNew) {
+      entry = buildEntry(actions.create, this._id, actor, {
+        newValues: sanitize(flatten(after), excludeFields)
+      });
+    } else if (this.$locals.auditBefore) {
+      entry = buildUpdateEntry(this.$locals.auditBefore, after, actor);
+    }
+
+    delete this.$locals.auditBefore;
+
+    if (entry) {
+      await getAuditService().logEntityChanges([entry], {
+        session: this.$session()
+      });
+    }
+  });
+
+  // Query updates and deletes (findByIdAndUpdate, deleteMany, ...)
+  schema.pre([...UPDATE_OPERATIONS, ...DELETE_OPERATIONS], async function () {
+    const actor = getActor(entityType, this.op);
+    this._auditActor = actor;
+    if (!actor) return;
+
+    const lookup = SINGLE_DOCUMENT_OPERATIONS.includes(this.op)
+      ? this.model.find(this.getFilter()).limit(1)
+      : this.model.find(this.getFilter());
+
+    this._auditBefore = await lookup
+      .session(this.getOptions().session || null)
+      .lean();
+  });
+
+  schema.post(UPDATE_OPERATIONS, async function () {
+    const actor = this._auditActor;
+    if (!actor || !this._auditBefore?.length) return;
+
+    const session = this.getOptions().session || null;
+    const afterDocs = await this.model
+      .find({ _id: { $in: this._auditBefore.map(doc => doc._id) } })
+      .session(session)
+      .lean();
+    const afterById = new Map(afterDocs.map(doc => [doc._id.toString(), doc]));
+
+    const entries = this._auditBefore
+      .map(before => {
+        const after = afterById.get(before._id.toString());
+        return after ? buildUpdateEntry(before, after, actor) : null;
+      })
+      .filter(Boolean);
+
+    await getAuditService().logEntityChanges(entries, { session });
+  });
+
+  schema.post(DELETE_OPERATIONS, async function () {
+    const actor = this._auditActor;
+    if (!actor || !this._auditBefore?.length) return;
+
+    const entries = this._auditBefore.map(before =>
+      buildEntry(actions.delete, before._id, actor, {
+        oldValues: sanitize(flatten(before), excludeFields)
+      })
+    );
+
+    await getAuditService().logEntityChanges(entries, {
+      session: this.getOptions().session || null
+    });
+  });
+};
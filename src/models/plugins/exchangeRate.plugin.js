@@ -0,0 +1,64 @@
+/**
+ * Exchange Rate Plugin
+ * Checks a document's currency is one admins have enabled and stores the
+ * rate to the base currency it was issued at, so reports can convert its
+ * amounts the same way later even after the rates change
+ */
+
+const mongoose = require('mongoose');
+const { buildRateSnapshot } = require('../../utils/currency');
+
+/**
+ * @param {Schema} schema
+ * @param {Object} options
+ * @param {string} options.currencyPath - Path of the document currency,
+ *   e.g. 'pricing.currency'
+ */
+module.exports = function exchangeRatePlugin(schema, options) {
+  const { currencyPath } = options;
+
+  schema.add({
+    exchangeRate: {
+      baseCurrency: {
+        type: String,
+        trim: true,
+        uppercase: true
+      },
+      // Units of the base currency one unit of the document currency was
+      // worth when the document was issued
+      rate: {
+        type: Number,
+        min: [0, 'Exchange rate cannot be negative']
+      },
+      capturedAt: {
+        type: Date
+      }
+    }
+  });
+
+  // Capture the rate when the document is created or its currency changes;
+  // other saves keep the rate it was issued at
+  schema.pre('save', async function () {
+    if (!this.isNew && !this.isModified(currencyPath)) return;
+
+    const Settings = mongoose.model('Settings');
+    const settings = await Settings.getSettings();
+    const code = this.get(currencyPath);
+    const snapshot = buildRateSnapshot(settings.currency, code);
+
+    if (!snapshot) {
+      const error = new mongoose.Error.ValidationError(this);
+      error.addError(
+        currencyPath,
+        new mongoose.Error.ValidatorError({
+          message: `Currency ${code} is not enabled`,
+          path: currencyPath,
+          value: code
+        })
+      );
+      throw error;
+    }
+
+    this.exchangeRate = snapshot;
+  });
+};
@@ -0,0 +1,70 @@
+/**
+ * Admin Audit Routes
+ * Routes for querying and exporting audit logs (admin only)
+ */
+
+const express = require('express');
+const {
+  getAuditLogs,
+  searchAuditLogs,
+  getAuditStats,
+  exportAuditLogs,
+  verifyAuditChain
+} = require('../../controllers/admin/audit.controller');
+
+const {
+  authenticate,
+  requireRole
+} = require('../../middleware/auth.middleware');
+const {
+  auditListValidation,
+  auditSearchValidation,
+  auditExportValidation
+} = require('../../middleware/audit.validation.middleware');
+
+const router = express.Router();
+
+// Apply authentication and admin role requirement to all routes
+router.use(authenticate);
+router.use(requireRole(['admin']));
+
+/**
+ * @route GET /api/admin/audit
+ * @desc Get audit logs with filtering and pagination
+ * @access Admin only
+ * @query page, limit, sortOrder, userId, action, entityType, entityId, riskLevel, success, startDate, endDate
+ */
+router.get('/', auditListValidation, getAuditLogs);
+
+/**
+ * @route GET /api/admin/audit/search
+ * @desc Free-text search across audit logs
+ * @access Admin only
+ * @query q plus the same filters as GET /api/admin/audit
+ */
+router.get('/search', auditSearchValidation, searchAuditLogs);
+
+/**
+ * @route GET /api/admin/audit/stats
+ * @desc Get audit statistics by action, entity type and user
+ * @access Admin only
+ * @query startDate, endDate
+ */
+router.get('/stats', auditListValidation, getAuditStats);
+
+/**
+ * @route GET /api/admin/audit/export
+ * @desc Stream matching audit logs as CSV or JSON
+ * @access Admin only
+ * @query format (csv|json) plus the same filters as GET /api/admin/audit
+ */
+router.get('/export', auditExportValidation, exportAuditLogs);
+
+/**
+ * @route GET /api/admin/audit/verify
+ * @desc Verify the audit log hash chain and report the first broken link
+ * @access Admin only
+ */
+router.get('/verify', verifyAuditChain);
+
+module.exports = router;
@@ -0,0 +1,155 @@
+/**
+ * Admin Settings Routes
+ * Routes for managing the company profile and branding (admin only)
+ */
+
+const express = require('express');
+const {
+  getSettings,
+  updateCompanyProfile,
+  updateBankDetails,
+  updateQuotationDefaults,
+  updateQuotationApproval,
+  updateRefundApproval,
+  updateInventoryEstimation,
+  updateCurrencies,
+  uploadLogo,
+  removeLogo,
+  uploadStamp,
+  removeStamp
+} = require('../../controllers/admin/settings.controller');
+
+const {
+  authenticate,
+  requireRole
+} = require('../../middleware/auth.middleware');
+const {
+  uploadCompanyLogo,
+  uploadCompanyStamp
+} = require('../../middleware/upload.middleware');
+const {
+  companyProfileValidation,
+  bankDetailsValidation,
+  quotationDefaultsValidation,
+  quotationApprovalValidation,
+  refundApprovalValidation,
+  inventoryEstimationValidation,
+  currencySettingsValidation
+} = require('../../middleware/settings.validation.middleware');
+
+const router = express.Router();
+
+// Apply authentication and admin role requirement to all routes
+router.use(authenticate);
+router.use(requireRole(['admin']));
+
+/**
+ * @route GET /api/admin/settings
+ * @desc Get the company profile, branding, bank details and quotation defaults
+ *   and approval thresholds
+ * @access Admin only
+ */
+router.get('/', getSettings);
+
+/**
+ * @route PUT /api/admin/settings/company
+ * @desc Update the company profile shown on documents and emails
+ * @access Admin only
+ * @body name, address, poBox, phone, phoneSecondary, email, website, tin, registration
+ */
+router.put('/company', companyProfileValidation, updateCompanyProfile);
+
+/**
+ * @route PUT /api/admin/settings/bank-details
+ * @desc Update the bank and mobile money details printed on documents
+ * @access Admin only
+ * @body bankName, bankAccountName, bankAccountNumber, bankSwiftCode, bankSortCode, mobileMoneyAccountName, mobileMoneyMTN, mobileMoneyAirtel
+ */
+router.put('/bank-details', bankDetailsValidation, updateBankDetails);
+
+/**
+ * @route PUT /api/admin/settings/quotation-defaults
+ * @desc Update the terms, tax rate and validity applied to new quotations
+ * @access Admin only
+ * @body termsAndConditions, taxRate (0-1), validityDays (7-90)
+ */
+router.put(
+  '/quotation-defaults',
+  quotationDefaultsValidation,
+  updateQuotationDefaults
+);
+
+/**
+ * @route PUT /api/admin/settings/quotation-approval
+ * @desc Update the limits above which quotations need admin approval
+ * @access Admin only
+ * @body totalThresholdUGX, totalThresholdUSD, discountPercentThreshold (0-100); null removes a limit
+ */
+router.put(
+  '/quotation-approval',
+  quotationApprovalValidation,
+  updateQuotationApproval
+);
+
+/**
+ * @route PUT /api/admin/settings/refund-approval
+ * @desc Update the limits above which a non-admin's refunds and voids on a
+ *   receipt need admin approval
+ * @access Admin only
+ * @body thresholdUGX, thresholdUSD; null removes a limit
+ */
+router.put('/refund-approval', refundApprovalValidation, updateRefundApproval);
+
+/**
+ * @route PUT /api/admin/settings/inventory-estimation
+ * @desc Update the sizing rules and rates used to quote from an inventory
+ * @access Admin only
+ * @body vehicleCapacity, volumePerCrewMember (cubic metres), minimumCrewSize,
+ *   vehicleRateUGX/USD, crewRateUGX/USD, volumeRateUGX/USD,
+ *   fragileItemRateUGX/USD; null removes a rate
+ */
+router.put(
+  '/inventory-estimation',
+  inventoryEstimationValidation,
+  updateInventoryEstimation
+);
+
+/**
+ * @route PUT /api/admin/settings/currencies
+ * @desc Update the base currency and the currencies documents can be issued
+ *   in, with their exchange rates to the base currency
+ * @access Admin only
+ * @body baseCurrency, currencies [{ code, name, rate, isActive }] (replaces
+ *   the list; the base currency needs rate 1)
+ */
+router.put('/currencies', currencySettingsValidation, updateCurrencies);
+
+/**
+ * @route PUT /api/admin/settings/logo
+ * @desc Upload the company logo (multipart field "logo")
+ * @access Admin only
+ */
+router.put('/logo', uploadCompanyLogo, uploadLogo);
+
+/**
+ * @route DELETE /api/admin/settings/logo
+ * @desc Remove the uploaded logo and fall back to the bundled logo
+ * @access Admin only
+ */
+router.delete('/logo', removeLogo);
+
+/**
+ * @route PUT /api/admin/settings/stamp
+ * @desc Upload the company stamp (multipart field "stamp")
+ * @access Admin only
+ */
+router.put('/stamp', uploadCompanyStamp, uploadStamp);
+
+/**
+ * @route DELETE /api/admin/settings/stamp
+ * @desc Remove the company stamp from documents
+ * @access Admin only
+ */
+router.delete('/stamp', removeStamp);
+
+module.exports = router;
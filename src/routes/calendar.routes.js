@@ -0,0 +1,41 @@
+/**
+ * Calendar Routes
+ * Handles the iCalendar feeds of moving dates, quotation expiry dates and
+ * payment due dates
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  getCalendarFeedUrls,
+  revokeCalendarFeedUrls,
+  getCalendarFeed
+} = require('../controllers/calendar.controller');
+
+const { authenticate } = require('../middleware/auth.middleware');
+
+/**
+ * @route GET /api/calendar/feeds
+ * @desc Get the current user's calendar feed URLs; admins also get the
+ *   all-company feed
+ * @access Private
+ */
+router.get('/feeds', authenticate, getCalendarFeedUrls);
+
+/**
+ * @route POST /api/calendar/feeds/revoke
+ * @desc Revoke every calendar feed URL issued to the current user and get
+ *   new ones
+ * @access Private
+ */
+router.post('/feeds/revoke', authenticate, revokeCalendarFeedUrls);
+
+/**
+ * @route GET /api/calendar/feeds/:token.ics
+ * @desc Get the calendar feed a feed URL points to
+ * @access Public (signed feed URL)
+ */
+router.get('/feeds/:token.ics', getCalendarFeed);
+
+module.exports = router;
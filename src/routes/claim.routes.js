@@ -0,0 +1,131 @@
+/**
+ * Claim Routes
+ * Handles damage claim filing, assessment, approval and settlement
+ * endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  getClaims,
+  getClaimById,
+  createClaim,
+  updateClaim,
+  addClaimPhotos,
+  removeClaimPhoto,
+  assessClaim,
+  approveClaim,
+  rejectClaim,
+  settleClaim,
+  deleteClaim
+} = require('../controllers/claim.controller');
+
+const { authenticate, requireAdmin } = require('../middleware/auth.middleware');
+const { uploadClaimPhotos } = require('../middleware/upload.middleware');
+const {
+  claimIdValidation,
+  claimListValidation,
+  createClaimValidation,
+  updateClaimValidation,
+  claimPhotoIdValidation,
+  assessClaimValidation,
+  approveClaimValidation,
+  rejectClaimValidation,
+  settleClaimValidation
+} = require('../middleware/claim.validation.middleware');
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+/**
+ * @route GET /api/claims
+ * @desc Get claims with filtering and pagination
+ * @access Private (own claims, or all for admins)
+ * @query page, limit, status, receiptId, moveId, search
+ */
+router.get('/', claimListValidation, getClaims);
+
+/**
+ * @route POST /api/claims
+ * @desc File a damage claim against a receipt or move
+ * @access Private (own documents, or all for admins)
+ * @body receiptId | moveId, incidentDate, description,
+ *   items [{ description, quantity, damageDescription, claimedAmount }]
+ */
+router.post('/', createClaimValidation, createClaim);
+
+/**
+ * @route GET /api/claims/:id
+ * @desc Get single claim
+ * @access Private (claimant or admin)
+ */
+router.get('/:id', claimIdValidation, getClaimById);
+
+/**
+ * @route PUT /api/claims/:id
+ * @desc Update a claim's details while it waits for assessment
+ * @access Private (claimant or admin)
+ */
+router.put('/:id', updateClaimValidation, updateClaim);
+
+/**
+ * @route POST /api/claims/:id/photos
+ * @desc Upload up to 10 photos of the damage as multipart field "photos"
+ * @access Private (claimant or admin)
+ */
+router.post(
+  '/:id/photos',
+  claimIdValidation,
+  uploadClaimPhotos,
+  addClaimPhotos
+);
+
+/**
+ * @route DELETE /api/claims/:id/photos/:photoId
+ * @desc Remove a photo from a claim
+ * @access Private (claimant or admin)
+ */
+router.delete('/:id/photos/:photoId', claimPhotoIdValidation, removeClaimPhoto);
+
+/**
+ * @route POST /api/claims/:id/assess
+ * @desc Record the assessment of the damage
+ * @access Private (claimant or admin)
+ * @body assessedAmount, findings
+ */
+router.post('/:id/assess', assessClaimValidation, assessClaim);
+
+/**
+ * @route POST /api/claims/:id/approve
+ * @desc Approve an assessed claim for settlement
+ * @access Admin only
+ * @body approvedAmount (defaults to the assessed amount), notes
+ */
+router.post('/:id/approve', requireAdmin, approveClaimValidation, approveClaim);
+
+/**
+ * @route POST /api/claims/:id/reject
+ * @desc Reject a claim
+ * @access Admin only
+ * @body notes
+ */
+router.post('/:id/reject', requireAdmin, rejectClaimValidation, rejectClaim);
+
+/**
+ * @route POST /api/claims/:id/settle
+ * @desc Settle an approved claim as a refund or a credit on a receipt
+ * @access Admin only
+ * @body method (refund|credit), paymentMethod (refunds), receiptId
+ *   (credits to another receipt of the same client), reference
+ */
+router.post('/:id/settle', requireAdmin, settleClaimValidation, settleClaim);
+
+/**
+ * @route DELETE /api/claims/:id
+ * @desc Delete a submitted or rejected claim
+ * @access Admin only
+ */
+router.delete('/:id', requireAdmin, claimIdValidation, deleteClaim);
+
+module.exports = router;
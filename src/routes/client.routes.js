@@ -0,0 +1,112 @@
+/**
+ * Client Routes
+ * Handles client (customer) endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  getClients,
+  getClientById,
+  getClientHistory,
+  createClient,
+  updateClient,
+  deleteClient,
+  getDuplicateClients,
+  mergeClients,
+  getClientStatement,
+  sendClientStatement
+} = require('../controllers/client.controller');
+
+const { authenticate, requireAdmin } = require('../middleware/auth.middleware');
+const {
+  clientIdValidation,
+  clientListValidation,
+  createClientValidation,
+  updateClientValidation,
+  mergeClientsValidation,
+  statementValidation,
+  statementEmailValidation
+} = require('../middleware/client.validation.middleware');
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+/**
+ * @route GET /api/clients
+ * @desc Get all clients with search and pagination
+ * @access Private
+ * @query page, limit, search, sortBy, sortOrder
+ */
+router.get('/', clientListValidation, getClients);
+
+/**
+ * @route GET /api/clients/duplicates
+ * @desc Get groups of clients sharing a phone number or email
+ * @access Admin only
+ */
+router.get('/duplicates', requireAdmin, getDuplicateClients);
+
+/**
+ * @route POST /api/clients
+ * @desc Create new client
+ * @access Private
+ */
+router.post('/', createClientValidation, createClient);
+
+/**
+ * @route GET /api/clients/:id
+ * @desc Get single client with document counts
+ * @access Private
+ */
+router.get('/:id', clientIdValidation, getClientById);
+
+/**
+ * @route GET /api/clients/:id/history
+ * @desc Get the client's quotations and receipts
+ * @access Private (own documents, or all for admins)
+ */
+router.get('/:id/history', clientIdValidation, getClientHistory);
+
+/**
+ * @route GET /api/clients/:id/statement
+ * @desc Get the client's statement of account with running balances
+ * @access Private (own documents, or all for admins)
+ * @query startDate, endDate, format (json|pdf)
+ */
+router.get('/:id/statement', statementValidation, getClientStatement);
+
+/**
+ * @route POST /api/clients/:id/statement/send
+ * @desc Email the client's statement of account as a PDF
+ * @access Private (own documents, or all for admins)
+ */
+router.post(
+  '/:id/statement/send',
+  statementEmailValidation,
+  sendClientStatement
+);
+
+/**
+ * @route PUT /api/clients/:id
+ * @desc Update client
+ * @access Private
+ */
+router.put('/:id', updateClientValidation, updateClient);
+
+/**
+ * @route DELETE /api/clients/:id
+ * @desc Delete client without documents
+ * @access Admin only
+ */
+router.delete('/:id', requireAdmin, clientIdValidation, deleteClient);
+
+/**
+ * @route POST /api/clients/:id/merge
+ * @desc Merge duplicate clients (sourceIds) into this client
+ * @access Admin only
+ */
+router.post('/:id/merge', requireAdmin, mergeClientsValidation, mergeClients);
+
+module.exports = router;
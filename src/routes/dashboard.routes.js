@@ -8,10 +8,17 @@ const router = express.Router();
 
 const {
   getDashboardStats,
+  getCurrencies,
   getRecentDocuments,
   getUserPerformanceReport,
-  getDocumentStatsReport
+  getDocumentStatsReport,
+  getAgingReport,
+  getPriceDeviationReport
 } = require('../controllers/dashboard.controller');
+const {
+  agingReportValidation,
+  priceDeviationReportValidation
+} = require('../middleware/dashboard.validation.middleware');
 
 const { authenticate, requireAdmin } = require('../middleware/auth.middleware');
 
@@ -26,6 +33,14 @@ router.use(authenticate);
  */
 router.get('/stats', getDashboardStats);
 
+/**
+ * @route GET /api/dashboard/currencies
+ * @desc Get the base currency and the enabled currencies with the exchange
+ *   rates totals are converted at
+ * @access Private
+ */
+router.get('/currencies', getCurrencies);
+
 /**
  * @route GET /api/dashboard/recent
  * @desc Get recent documents (quotations and receipts)
@@ -54,4 +69,27 @@ router.get('/reports/user-performance', requireAdmin, getUserPerformanceReport);
  */
 router.get('/reports/document-stats', getDocumentStatsReport);
 
+/**
+ * @route GET /api/dashboard/reports/aging
+ * @desc Get open receipt balances in aging buckets (current, 1-30, 31-60,
+ *   61-90, 90+ days) by currency, creator and client
+ * @access Private (own receipts, or all for admins)
+ * @query currency, createdBy (admin only), clientId, format (json|csv)
+ */
+router.get('/reports/aging', agingReportValidation, getAgingReport);
+
+/**
+ * @route GET /api/dashboard/reports/price-deviations
+ * @desc Get how catalog-priced quotation lines deviate from the catalog
+ *   price, by item, by creator and line by line for overrides
+ * @access Private (own quotations, or all for admins)
+ * @query currency, moveType, createdBy (admin only), catalogItemId,
+ *   startDate, endDate, format (json|csv)
+ */
+router.get(
+  '/reports/price-deviations',
+  priceDeviationReportValidation,
+  getPriceDeviationReport
+);
+
 module.exports = router;
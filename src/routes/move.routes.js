@@ -0,0 +1,87 @@
+/**
+ * Move Routes
+ * Handles move job scheduling and crew and vehicle assignment endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  getMoves,
+  getMoveById,
+  createMove,
+  updateMove,
+  updateMoveStatus,
+  getMoveConflicts,
+  deleteMove
+} = require('../controllers/move.controller');
+
+const { authenticate, requireAdmin } = require('../middleware/auth.middleware');
+const {
+  moveIdValidation,
+  moveListValidation,
+  createMoveValidation,
+  updateMoveValidation,
+  moveStatusValidation,
+  moveConflictValidation
+} = require('../middleware/move.validation.middleware');
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+/**
+ * @route GET /api/moves
+ * @desc Get moves with filtering and pagination
+ * @access Private (own or assigned moves, or all for admins)
+ * @query page, limit, status, crewId, startDate, endDate, search
+ */
+router.get('/', moveListValidation, getMoves);
+
+/**
+ * @route GET /api/moves/conflicts
+ * @desc Check which crew members and vehicles are already booked on the
+ *   days of a time range
+ * @access Private
+ * @query scheduledStart, scheduledEnd, crewIds, plateNumbers, excludeMoveId
+ */
+router.get('/conflicts', moveConflictValidation, getMoveConflicts);
+
+/**
+ * @route POST /api/moves
+ * @desc Schedule a move from a converted quotation or a commitment receipt
+ * @access Private (own documents, or all for admins)
+ * @body quotationId | receiptId, scheduledStart, scheduledEnd,
+ *   crew [{ userId, role }], vehicles [{ vehicleId }], notes
+ */
+router.post('/', createMoveValidation, createMove);
+
+/**
+ * @route GET /api/moves/:id
+ * @desc Get single move
+ * @access Private (planner, crew, or admin)
+ */
+router.get('/:id', moveIdValidation, getMoveById);
+
+/**
+ * @route PUT /api/moves/:id
+ * @desc Reschedule a move or change its crew and vehicles
+ * @access Private (planner or admin)
+ */
+router.put('/:id', updateMoveValidation, updateMove);
+
+/**
+ * @route PUT /api/moves/:id/status
+ * @desc Start, complete or cancel a move
+ * @access Private (crew can start and complete, planner or admin can cancel)
+ * @body status, reason
+ */
+router.put('/:id/status', moveStatusValidation, updateMoveStatus);
+
+/**
+ * @route DELETE /api/moves/:id
+ * @desc Delete move
+ * @access Admin only
+ */
+router.delete('/:id', requireAdmin, moveIdValidation, deleteMove);
+
+module.exports = router;
@@ -27,6 +27,7 @@ const {
   extendNotificationLifecycle,
   updateNotificationSettings,
   getNotificationSettings,
+  getNotificationSettingsHistory,
   getNotificationAnalytics,
   runLifecycleJob,
   runCleanupJob,
@@ -36,6 +37,9 @@ const {
 } = require('../controllers/admin/admin.notification.controller');
 
 const { authenticate, requireAdmin } = require('../middleware/auth.middleware');
+const Notification = require('../models/Notification.model');
+
+const notificationTypes = Notification.schema.path('type').enumValues;
 
 // Apply authentication to all routes
 router.use(authenticate);
@@ -305,41 +309,74 @@ router.put(
 
 /**
  * @route PUT /api/notifications/admin/settings
- * @desc Update notification settings
+ * @desc Update notification settings, saved as a new settings version
  * @access Admin only
+ * @body Any setting field, plus version (the version being edited, to reject
+ *   conflicting edits) and reason
  */
 router.put(
   '/admin/settings',
   requireAdmin,
   [
-    body('autoDeleteReadNotifications')
+    body('version')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Version must be a non-negative integer')
+      .toInt(),
+    body('reason')
+      .optional()
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage('Reason must be a string with max 500 characters'),
+    body([
+      'autoDeleteReadNotifications',
+      'autoExtendImportant',
+      'enableAutoCleanup',
+      'archiveBeforeDelete',
+      'preserveImportantNotifications'
+    ])
       .optional()
       .isBoolean()
-      .withMessage('autoDeleteReadNotifications must be boolean'),
+      .withMessage('Value must be boolean')
+      .toBoolean(),
     body('maxRetentionDays')
       .optional()
       .isInt({ min: 1, max: 365 })
-      .withMessage('Max retention days must be between 1 and 365'),
+      .withMessage('Max retention days must be between 1 and 365')
+      .toInt(),
     body('reminderDaysBeforeExpiry')
       .optional()
       .isInt({ min: 1, max: 7 })
-      .withMessage('Reminder days must be between 1 and 7'),
+      .withMessage('Reminder days must be between 1 and 7')
+      .toInt(),
     body('importantNotificationTypes')
       .optional()
       .isArray()
       .withMessage('Important notification types must be an array'),
     body('importantNotificationTypes.*')
       .optional()
-      .isString()
-      .withMessage('Notification type must be a string'),
-    body('autoExtendImportant')
+      .isIn(notificationTypes)
+      .withMessage('Invalid notification type'),
+    body(['lifecycleReviewDays', 'autoExtendDays', 'minAgeForArchiving'])
       .optional()
-      .isBoolean()
-      .withMessage('autoExtendImportant must be boolean'),
+      .isInt({ min: 1, max: 365 })
+      .withMessage('Days must be between 1 and 365')
+      .toInt(),
+    body('minAgeForDeletion')
+      .optional()
+      .isInt({ min: 1, max: 730 })
+      .withMessage('Deletion age must be between 1 and 730 days')
+      .toInt(),
     body('notificationBatchSize')
       .optional()
       .isInt({ min: 10, max: 1000 })
       .withMessage('Batch size must be between 10 and 1000')
+      .toInt(),
+    body('maxArchiveSize')
+      .optional()
+      .isInt({ min: 100, max: 1000000 })
+      .withMessage('Archive size must be between 100 and 1000000')
+      .toInt()
   ],
   updateNotificationSettings
 );
@@ -351,6 +388,28 @@ router.put(
  */
 router.get('/admin/settings', requireAdmin, getNotificationSettings);
 
+/**
+ * @route GET /api/notifications/admin/settings/history
+ * @desc Get every saved version of the notification settings, newest first
+ * @access Admin only
+ * @query page, limit
+ */
+router.get(
+  '/admin/settings/history',
+  requireAdmin,
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+  getNotificationSettingsHistory
+);
+
 /**
  * @route GET /api/notifications/admin/analytics
  * @desc Get notification analytics
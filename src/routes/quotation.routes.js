@@ -13,22 +13,44 @@ const {
   updateQuotation,
   deleteQuotation,
   extendValidity,
+  convertQuotation,
   getQuotationStats,
   generateQuotationPDF,
   downloadQuotationPDF,
   sendQuotationPDF,
+  issueQuotationPortalLink,
+  revokeQuotationPortalLink,
+  approveQuotation,
+  rejectQuotation,
+  getQuotationVersions,
+  getQuotationVersionDiff,
+  restoreQuotationVersion,
+  downloadQuotationVersionPDF,
+  getInventoryItems,
+  estimateInventory,
+  updateQuotationInventory,
+  selectQuotationOption,
   bulkDeleteQuotations,
   bulkDownloadQuotations
 } = require('../controllers/quotation.controller');
 
-const { authenticate } = require('../middleware/auth.middleware');
+const { authenticate, requireRole } = require('../middleware/auth.middleware');
 const {
   validateProfileCompletion
 } = require('../middleware/validation.middleware');
 const {
   quotationValidation,
   quotationEmailValidation,
-  extendValidityValidation
+  extendValidityValidation,
+  restoreVersionValidation,
+  convertQuotationValidation,
+  portalLinkValidation,
+  inventoryEstimateValidation,
+  inventoryUpdateValidation,
+  selectOptionValidation,
+  approveQuotationValidation,
+  rejectQuotationValidation,
+  bulkDownloadValidation
 } = require('../middleware/quotation.validation.middleware');
 
 // Apply authentication to all routes
@@ -46,16 +68,17 @@ router.post('/bulk/delete', bulkDeleteQuotations);
 
 /**
  * @route POST /api/quotations/bulk/download
- * @desc Get bulk download quotations info
+ * @desc Bulk download quotations as a ZIP of PDFs
+ * @body quotationIds, includeManifest (adds manifest.csv)
  * @access Private (Creator or Admin for each quotation)
  */
-router.post('/bulk/download', bulkDownloadQuotations);
+router.post('/bulk/download', bulkDownloadValidation, bulkDownloadQuotations);
 
 /**
  * @route GET /api/quotations
  * @desc Get all quotations with filtering and pagination
  * @access Private
- * @query page, limit, type, status, search, sortBy, sortOrder, startDate, endDate, createdBy
+ * @query page, limit, type, status, approvalStatus, search, sortBy, sortOrder, startDate, endDate, createdBy
  */
 router.get('/', getQuotations);
 
@@ -67,6 +90,27 @@ router.get('/', getQuotations);
  */
 router.get('/stats', getQuotationStats);
 
+/**
+ * @route GET /api/quotations/inventory/items
+ * @desc Get the standard inventory items with their volumes, and the sizing
+ *   rules and rates applied to an inventory
+ * @access Private
+ */
+router.get('/inventory/items', getInventoryItems);
+
+/**
+ * @route POST /api/quotations/inventory/estimate
+ * @desc Work out total volume, vehicles and crew for an inventory without
+ *   saving it; with currency, also the line items it would generate
+ * @access Private
+ * @body rooms [{ name, items: [{ itemKey, name, volume, quantity, isFragile }] }], currency
+ */
+router.post(
+  '/inventory/estimate',
+  inventoryEstimateValidation,
+  estimateInventory
+);
+
 /**
  * @route GET /api/quotations/:id
  * @desc Get single quotation by ID
@@ -107,6 +151,18 @@ router.delete('/:id', deleteQuotation);
  */
 router.put('/:id/extend', extendValidityValidation, extendValidity);
 
+/**
+ * @route POST /api/quotations/:id/convert
+ * @desc Convert quotation to a commitment, final or one-time receipt
+ * @access Private (Creator or Admin, profile must be complete)
+ */
+router.post(
+  '/:id/convert',
+  requireCompleteProfile,
+  convertQuotationValidation,
+  convertQuotation
+);
+
 /**
  * @route GET /api/quotations/:id/pdf
  * @desc Generate quotation PDF and get Cloudinary URL
@@ -128,4 +184,109 @@ router.get('/:id/download', downloadQuotationPDF);
  */
 router.post('/:id/send', quotationEmailValidation, sendQuotationPDF);
 
+/**
+ * @route POST /api/quotations/:id/portal-link
+ * @desc Issue a link the client can use to accept, decline or request changes
+ * @access Private (Creator or Admin)
+ * @body autoConvert (convert to a commitment receipt on acceptance)
+ */
+router.post('/:id/portal-link', portalLinkValidation, issueQuotationPortalLink);
+
+/**
+ * @route DELETE /api/quotations/:id/portal-link
+ * @desc Revoke every portal link issued for the quotation
+ * @access Private (Creator or Admin)
+ */
+router.delete('/:id/portal-link', revokeQuotationPortalLink);
+
+/**
+ * @route POST /api/quotations/:id/approve
+ * @desc Approve a quotation held for its total or discount
+ * @access Admin only
+ * @body comments
+ */
+router.post(
+  '/:id/approve',
+  requireRole(['admin']),
+  approveQuotationValidation,
+  approveQuotation
+);
+
+/**
+ * @route POST /api/quotations/:id/reject
+ * @desc Reject a quotation held for its total or discount
+ * @access Admin only
+ * @body comments (required)
+ */
+router.post(
+  '/:id/reject',
+  requireRole(['admin']),
+  rejectQuotationValidation,
+  rejectQuotation
+);
+
+/**
+ * @route GET /api/quotations/:id/versions
+ * @desc Get the version history of a quotation, newest first
+ * @access Private (Creator or Admin)
+ */
+router.get('/:id/versions', getQuotationVersions);
+
+/**
+ * @route GET /api/quotations/:id/versions/:version/diff
+ * @desc Get the field changes a version made
+ * @access Private (Creator or Admin)
+ * @query against (version to compare with, defaults to the previous one)
+ */
+router.get('/:id/versions/:version/diff', getQuotationVersionDiff);
+
+/**
+ * @route GET /api/quotations/:id/versions/:version/pdf
+ * @desc Download the PDF of a version as it was sent; versions whose
+ *   pricing was never approved or sent are refused
+ * @access Private (Creator or Admin)
+ */
+router.get('/:id/versions/:version/pdf', downloadQuotationVersionPDF);
+
+/**
+ * @route POST /api/quotations/:id/versions/:version/restore
+ * @desc Restore an earlier version as a new version
+ * @access Private (Creator or Admin, profile must be complete)
+ * @body reason
+ */
+router.post(
+  '/:id/versions/:version/restore',
+  requireCompleteProfile,
+  restoreVersionValidation,
+  restoreQuotationVersion
+);
+
+/**
+ * @route PUT /api/quotations/:id/inventory
+ * @desc Save the room-by-room inventory and replace the line items generated
+ *   from it; lines entered by hand are kept
+ * @access Private (Creator or Admin)
+ * @body rooms, generateServices (default true), reason
+ */
+router.put(
+  '/:id/inventory',
+  requireCompleteProfile,
+  inventoryUpdateValidation,
+  updateQuotationInventory
+);
+
+/**
+ * @route POST /api/quotations/:id/options/:optionId/select
+ * @desc Pick one of the package options for the client; its services and
+ *   totals become the quotation's and are used for conversion
+ * @access Private (Creator or Admin)
+ * @body reason
+ */
+router.post(
+  '/:id/options/:optionId/select',
+  requireCompleteProfile,
+  selectOptionValidation,
+  selectQuotationOption
+);
+
 module.exports = router;
@@ -0,0 +1,66 @@
+/**
+ * Quotation Portal Routes
+ * Public endpoints behind a signed quotation link; no staff login required
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  getPortalQuotation,
+  downloadPortalQuotationPDF,
+  acceptPortalQuotation,
+  declinePortalQuotation,
+  requestPortalQuotationChanges
+} = require('../controllers/quotationPortal.controller');
+
+const {
+  portalAcceptValidation,
+  portalDeclineValidation,
+  portalChangeRequestValidation
+} = require('../middleware/quotation.validation.middleware');
+
+/**
+ * @route GET /api/portal/quotations/:token
+ * @desc View the quotation a portal link points to; services, pricing,
+ *   options and terms are withheld while a revision awaits approval
+ * @access Public (signed link)
+ */
+router.get('/:token', getPortalQuotation);
+
+/**
+ * @route GET /api/portal/quotations/:token/pdf
+ * @desc Download the quotation PDF; refused while a revision awaits approval
+ * @access Public (signed link)
+ */
+router.get('/:token/pdf', downloadPortalQuotationPDF);
+
+/**
+ * @route POST /api/portal/quotations/:token/accept
+ * @desc Accept the quotation, for one of its package options if it has any
+ * @access Public (signed link)
+ * @body name, signature (base64 image), optionId (required with options)
+ */
+router.post('/:token/accept', portalAcceptValidation, acceptPortalQuotation);
+
+/**
+ * @route POST /api/portal/quotations/:token/decline
+ * @desc Decline the quotation
+ * @access Public (signed link)
+ * @body name, signature (base64 image), comments
+ */
+router.post('/:token/decline', portalDeclineValidation, declinePortalQuotation);
+
+/**
+ * @route POST /api/portal/quotations/:token/request-changes
+ * @desc Ask for changes to the quotation
+ * @access Public (signed link)
+ * @body name, comments
+ */
+router.post(
+  '/:token/request-changes',
+  portalChangeRequestValidation,
+  requestPortalQuotationChanges
+);
+
+module.exports = router;
@@ -13,6 +13,12 @@ const {
   updateReceipt,
   deleteReceipt,
   addPayment,
+  refundPayment,
+  voidPayment,
+  reviewReversalRequest,
+  getReceiptVersions,
+  getReceiptVersionDiff,
+  rollbackReceiptVersion,
   getReceiptStats,
   generateReceiptPDF,
   downloadReceiptPDF,
@@ -21,14 +27,20 @@ const {
   bulkDownloadReceipts
 } = require('../controllers/receipt.controller');
 
-const { authenticate } = require('../middleware/auth.middleware');
+const { authenticate, requireAdmin } = require('../middleware/auth.middleware');
 const {
   validateProfileCompletion
 } = require('../middleware/validation.middleware');
 const {
   receiptValidation,
   addPaymentValidation,
-  receiptEmailValidation
+  refundValidation,
+  voidPaymentValidation,
+  reviewReversalValidation,
+  receiptEmailValidation,
+  receiptVersionValidation,
+  rollbackReceiptValidation,
+  bulkDownloadValidation
 } = require('../middleware/receipt.validation.middleware');
 
 // Apply authentication to all routes
@@ -41,7 +53,7 @@ const requireCompleteProfile = [authenticate, validateProfileCompletion];
  * @route GET /api/receipts
  * @desc Get all receipts with filtering and pagination
  * @access Private
- * @query page, limit, receiptType, paymentStatus, search, sortBy, sortOrder, startDate, endDate, createdBy, overdue
+ * @query page, limit, receiptType, paymentStatus, search, sortBy, sortOrder, startDate, endDate, createdBy, overdue, currency, clientId, agingBucket (current, 1-30, 31-60, 61-90, 90+)
  */
 router.get('/', getReceipts);
 
@@ -88,6 +100,72 @@ router.delete('/:id', deleteReceipt);
  */
 router.post('/:id/payments', addPaymentValidation, addPayment);
 
+/**
+ * @route POST /api/receipts/:id/refunds
+ * @desc Refund part or all of the amount paid on a receipt
+ * @access Private (own receipts, or all for admins; non-admin refunds that
+ *   take the receipt's refunds and voids over the refund approval threshold
+ *   in settings wait for admin approval)
+ */
+router.post('/:id/refunds', refundValidation, refundPayment);
+
+/**
+ * @route POST /api/receipts/:id/payments/:paymentId/void
+ * @desc Void a payment recorded in error
+ * @access Private (own receipts, or all for admins; same approval threshold
+ *   as refunds)
+ */
+router.post(
+  '/:id/payments/:paymentId/void',
+  voidPaymentValidation,
+  voidPayment
+);
+
+/**
+ * @route POST /api/receipts/:id/reversal-requests/:requestId/:decision
+ * @desc Approve or reject a pending refund or void (decision: approve|reject)
+ * @access Admin only
+ */
+router.post(
+  '/:id/reversal-requests/:requestId/:decision',
+  requireAdmin,
+  reviewReversalValidation,
+  reviewReversalRequest
+);
+
+/**
+ * @route GET /api/receipts/:id/versions
+ * @desc Get the version history of a receipt, newest first
+ * @access Private (Creator or Admin)
+ */
+router.get('/:id/versions', getReceiptVersions);
+
+/**
+ * @route GET /api/receipts/:id/versions/:version/diff
+ * @desc Get the field changes a version made, with display labels
+ * @access Private (Creator or Admin)
+ * @query against (version to compare with instead of the previous one)
+ */
+router.get(
+  '/:id/versions/:version/diff',
+  receiptVersionValidation,
+  getReceiptVersionDiff
+);
+
+/**
+ * @route POST /api/receipts/:id/versions/:version/rollback
+ * @desc Roll back to an earlier version; refused when payments recorded
+ *   since then would not fit its amounts
+ * @access Private (Creator or Admin, profile must be complete)
+ * @body reason
+ */
+router.post(
+  '/:id/versions/:version/rollback',
+  requireCompleteProfile,
+  rollbackReceiptValidation,
+  rollbackReceiptVersion
+);
+
 /**
  * @route GET /api/receipts/:id/pdf
  * @desc Generate receipt PDF and get Cloudinary URL
@@ -118,9 +196,10 @@ router.post('/bulk/delete', bulkDeleteReceipts);
 
 /**
  * @route POST /api/receipts/bulk/download
- * @desc Bulk download receipts as merged PDF
+ * @desc Bulk download receipts as a ZIP of PDFs
+ * @body receiptIds, includeManifest (adds manifest.csv)
  * @access Private (Creator or Admin)
  */
-router.post('/bulk/download', bulkDownloadReceipts);
+router.post('/bulk/download', bulkDownloadValidation, bulkDownloadReceipts);
 
 module.exports = router;
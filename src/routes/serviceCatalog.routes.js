@@ -0,0 +1,71 @@
+/**
+ * Service Catalog Routes
+ * Handles the catalog of standard services quotations are priced from
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  getCatalogItems,
+  getCatalogItemById,
+  createCatalogItem,
+  updateCatalogItem,
+  deleteCatalogItem
+} = require('../controllers/serviceCatalog.controller');
+
+const { authenticate, requireAdmin } = require('../middleware/auth.middleware');
+const {
+  catalogItemIdValidation,
+  catalogListValidation,
+  createCatalogItemValidation,
+  updateCatalogItemValidation
+} = require('../middleware/serviceCatalog.validation.middleware');
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+/**
+ * @route GET /api/service-catalog
+ * @desc Get active catalog items with search and pagination
+ * @access Private
+ * @query page, limit, search, currency, moveType (with currency, adds each
+ *   item's unitPrice), includeInactive (admin only), sortBy, sortOrder
+ */
+router.get('/', catalogListValidation, getCatalogItems);
+
+/**
+ * @route POST /api/service-catalog
+ * @desc Create catalog item
+ * @access Admin only
+ * @body code, name, description, unit, prices [{ currency, moveType, unitPrice }], isActive
+ */
+router.post('/', requireAdmin, createCatalogItemValidation, createCatalogItem);
+
+/**
+ * @route GET /api/service-catalog/:id
+ * @desc Get single catalog item
+ * @access Private
+ */
+router.get('/:id', catalogItemIdValidation, getCatalogItemById);
+
+/**
+ * @route PUT /api/service-catalog/:id
+ * @desc Update catalog item; prices replace the existing list
+ * @access Admin only
+ */
+router.put(
+  '/:id',
+  requireAdmin,
+  updateCatalogItemValidation,
+  updateCatalogItem
+);
+
+/**
+ * @route DELETE /api/service-catalog/:id
+ * @desc Delete catalog item no quotation uses
+ * @access Admin only
+ */
+router.delete('/:id', requireAdmin, catalogItemIdValidation, deleteCatalogItem);
+
+module.exports = router;
@@ -6,6 +6,7 @@
 const express = require('express');
 const multer = require('multer');
 const { authenticate } = require('../middleware/auth.middleware');
+const RequestContext = require('../utils/requestContext');
 const {
   validateSignature
 } = require('../middleware/signature.validation.middleware');
@@ -41,7 +42,14 @@ router.use(authenticate);
 router.post('/save', validateSignature, saveSignature);
 
 // POST /api/signatures/upload - Upload signature image
-router.post('/upload', upload.single('signature'), uploadSignature);
+// Multer calls back outside the request context, so it is re-entered for
+// the signature save to be audited
+router.post(
+  '/upload',
+  upload.single('signature'),
+  RequestContext.middleware,
+  uploadSignature
+);
 
 // GET /api/signatures/me - Get current user's signature
 router.get('/me', getSignature);
@@ -0,0 +1,100 @@
+/**
+ * Storage Contract Routes
+ * Handles storage contract management endpoints; receipts are issued by the
+ * storage billing job
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  getStorageContracts,
+  getStorageContractById,
+  createStorageContract,
+  updateStorageContract,
+  suspendStorageContract,
+  resumeStorageContract,
+  deleteStorageContract
+} = require('../controllers/storageContract.controller');
+
+const { authenticate, requireAdmin } = require('../middleware/auth.middleware');
+const {
+  storageContractIdValidation,
+  storageContractListValidation,
+  createStorageContractValidation,
+  updateStorageContractValidation,
+  suspendStorageContractValidation,
+  resumeStorageContractValidation
+} = require('../middleware/storageContract.validation.middleware');
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+/**
+ * @route GET /api/storage-contracts
+ * @desc Get storage contracts with filtering and pagination
+ * @access Private (own contracts, or all for admins)
+ * @query page, limit, status, clientId, search
+ */
+router.get('/', storageContractListValidation, getStorageContracts);
+
+/**
+ * @route POST /api/storage-contracts
+ * @desc Create a storage contract
+ * @access Private
+ * @body clientId, volume, monthlyRate, currency, startDate, endDate,
+ *   storageLocation, goodsDescription, paymentTermsDays, notes
+ */
+router.post('/', createStorageContractValidation, createStorageContract);
+
+/**
+ * @route GET /api/storage-contracts/:id
+ * @desc Get single storage contract with its receipts
+ * @access Private (owner or admin)
+ */
+router.get('/:id', storageContractIdValidation, getStorageContractById);
+
+/**
+ * @route PUT /api/storage-contracts/:id
+ * @desc Update a storage contract's terms for the periods not yet billed
+ * @access Private (owner or admin)
+ */
+router.put('/:id', updateStorageContractValidation, updateStorageContract);
+
+/**
+ * @route POST /api/storage-contracts/:id/suspend
+ * @desc Stop billing a contract from a day
+ * @access Private (owner or admin)
+ * @body startDate (defaults to today), reason
+ */
+router.post(
+  '/:id/suspend',
+  suspendStorageContractValidation,
+  suspendStorageContract
+);
+
+/**
+ * @route POST /api/storage-contracts/:id/resume
+ * @desc Resume billing a suspended contract from a day
+ * @access Private (owner or admin)
+ * @body resumeDate (defaults to today)
+ */
+router.post(
+  '/:id/resume',
+  resumeStorageContractValidation,
+  resumeStorageContract
+);
+
+/**
+ * @route DELETE /api/storage-contracts/:id
+ * @desc Delete a storage contract no receipts were issued for
+ * @access Admin only
+ */
+router.delete(
+  '/:id',
+  requireAdmin,
+  storageContractIdValidation,
+  deleteStorageContract
+);
+
+module.exports = router;
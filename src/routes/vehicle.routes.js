@@ -0,0 +1,112 @@
+/**
+ * Vehicle Routes
+ * Handles the company fleet, maintenance blocks and vehicle availability
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  getVehicles,
+  getVehicleAvailability,
+  getVehicleById,
+  createVehicle,
+  updateVehicle,
+  addMaintenanceBlock,
+  removeMaintenanceBlock,
+  deleteVehicle
+} = require('../controllers/vehicle.controller');
+
+const { authenticate, requireAdmin } = require('../middleware/auth.middleware');
+const {
+  vehicleIdValidation,
+  vehicleListValidation,
+  vehicleAvailabilityValidation,
+  createVehicleValidation,
+  updateVehicleValidation,
+  maintenanceBlockValidation,
+  maintenanceBlockIdValidation
+} = require('../middleware/vehicle.validation.middleware');
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+/**
+ * @route GET /api/vehicles
+ * @desc Get vehicles with search and pagination
+ * @access Private
+ * @query page, limit, search, includeInactive, expiringWithinDays (insurance
+ *   or inspection)
+ */
+router.get('/', vehicleListValidation, getVehicles);
+
+/**
+ * @route GET /api/vehicles/availability
+ * @desc Get which vehicles can be assigned between two dates, and why the
+ *   others cannot
+ * @access Private
+ * @query startDate, endDate, minVolume, minTonnage, excludeMoveId
+ */
+router.get(
+  '/availability',
+  vehicleAvailabilityValidation,
+  getVehicleAvailability
+);
+
+/**
+ * @route POST /api/vehicles
+ * @desc Create vehicle
+ * @access Admin only
+ * @body plateNumber, description, capacity { volume, tonnage },
+ *   insurance { provider, policyNumber, expiresAt }, inspection { expiresAt },
+ *   isActive, notes
+ */
+router.post('/', requireAdmin, createVehicleValidation, createVehicle);
+
+/**
+ * @route GET /api/vehicles/:id
+ * @desc Get single vehicle with its upcoming moves
+ * @access Private
+ */
+router.get('/:id', vehicleIdValidation, getVehicleById);
+
+/**
+ * @route PUT /api/vehicles/:id
+ * @desc Update vehicle
+ * @access Admin only
+ */
+router.put('/:id', requireAdmin, updateVehicleValidation, updateVehicle);
+
+/**
+ * @route POST /api/vehicles/:id/maintenance
+ * @desc Take the vehicle off the road for whole days of maintenance
+ * @access Admin only
+ * @body startDate, endDate, reason
+ */
+router.post(
+  '/:id/maintenance',
+  requireAdmin,
+  maintenanceBlockValidation,
+  addMaintenanceBlock
+);
+
+/**
+ * @route DELETE /api/vehicles/:id/maintenance/:blockId
+ * @desc Remove a maintenance block
+ * @access Admin only
+ */
+router.delete(
+  '/:id/maintenance/:blockId',
+  requireAdmin,
+  maintenanceBlockIdValidation,
+  removeMaintenanceBlock
+);
+
+/**
+ * @route DELETE /api/vehicles/:id
+ * @desc Delete vehicle no move uses
+ * @access Admin only
+ */
+router.delete('/:id', requireAdmin, vehicleIdValidation, deleteVehicle);
+
+module.exports = router;
@@ -4,9 +4,16 @@ dotenv.config();
 const app = require('./app');
 const connectDB = require('./config/database.config');
 const jobScheduler = require('./jobs/jobScheduler');
+const { Settings } = require('./models');
+const logger = require('./utils/logger');
 
 // Initialize database connection
 connectDB().then(() => {
+  // Load company settings so the first emails are branded from them
+  Settings.getSettings().catch(error => {
+    logger.error('Failed to load company settings:', error);
+  });
+
   // Start job scheduler after DB connection (includes notification monitoring)
   jobScheduler.start();
 });
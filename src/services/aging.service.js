@@ -0,0 +1,234 @@
+/**
+ * Aging Service
+ * Builds the accounts receivable aging report from open receipt balances
+ */
+
+const { Receipt, Client, User, Settings } = require('../models');
+const { toCsvRow } = require('../utils/csv');
+const { toBaseAmountExpression } = require('../utils/currency');
+
+const round = amount => Math.round(amount * 100) / 100;
+
+class AgingService {
+  /**
+   * Empty per-bucket totals, keyed by bucket
+   */
+  createBucketTotals(buckets) {
+    return Object.fromEntries(
+      buckets.map(bucket => [bucket.key, { count: 0, amount: 0 }])
+    );
+  }
+
+  /**
+   * Add a grouped balance to a report row
+   */
+  addToRow(row, bucketKey, { count, amount }) {
+    row.buckets[bucketKey].count += count;
+    row.buckets[bucketKey].amount = round(
+      row.buckets[bucketKey].amount + amount
+    );
+    row.total.count += count;
+    row.total.amount = round(row.total.amount + amount);
+  }
+
+  /**
+   * Build the aging report
+   * Amounts are never summed across currencies, so every row is per currency;
+   * baseCurrencyTotal adds them all up converted to the base currency
+   * @param {Object} filter - Base receipt filter (ownership, currency, client)
+   * @param {Date} asOf - Date the receipts are aged at
+   * @returns {Promise<Object>} { asOf, buckets, byCurrency, baseCurrencyTotal,
+   *   byCreator, byClient }
+   */
+  async getAgingReport(filter = {}, asOf = new Date()) {
+    const buckets = Receipt.getAgingBuckets();
+    const { currency: currencySettings } = await Settings.getSettings();
+
+    // One facet per bucket, grouped finely enough to roll up every breakdown
+    const facets = Object.fromEntries(
+      buckets.map(bucket => [
+        bucket.key,
+        [
+          { $match: Receipt.buildAgingFilter(bucket.key, asOf) },
+          {
+            $group: {
+              _id: {
+                currency: '$payment.currency',
+                createdBy: '$createdBy',
+                clientId: '$clientId',
+                // Receipts not yet linked to a client are grouped by name
+                clientName: {
+                  $cond: [
+                    { $ifNull: ['$clientId', false] },
+                    null,
+                    '$client.name'
+                  ]
+                }
+              },
+              count: { $sum: 1 },
+              amount: { $sum: '$payment.balance' },
+              baseAmount: {
+                $sum: toBaseAmountExpression(
+                  currencySettings,
+                  '$payment.balance',
+                  '$payment.currency'
+                )
+              }
+            }
+          }
+        ]
+      ])
+    );
+
+    const [grouped] = await Receipt.aggregate([
+      { $match: filter },
+      { $facet: facets }
+    ]);
+
+    const byCurrency = new Map();
+    const byCreator = new Map();
+    const byClient = new Map();
+    const baseCurrencyTotal = {
+      currency: currencySettings.baseCurrency,
+      buckets: this.createBucketTotals(buckets),
+      total: { count: 0, amount: 0 }
+    };
+
+    const getRow = (map, key, fields) => {
+      if (!map.has(key)) {
+        map.set(key, {
+          ...fields,
+          buckets: this.createBucketTotals(buckets),
+          total: { count: 0, amount: 0 }
+        });
+      }
+      return map.get(key);
+    };
+
+    for (const bucket of buckets) {
+      for (const group of grouped[bucket.key]) {
+        const { currency, createdBy, clientId, clientName } = group._id;
+
+        this.addToRow(
+          getRow(byCurrency, currency, { currency }),
+          bucket.key,
+          group
+        );
+
+        this.addToRow(baseCurrencyTotal, bucket.key, {
+          count: group.count,
+          amount: group.baseAmount
+        });
+
+        this.addToRow(
+          getRow(byCreator, `${createdBy}:${currency}`, {
+            createdBy: { _id: createdBy },
+            currency,
+            drillDown: { createdBy, currency }
+          }),
+          bucket.key,
+          group
+        );
+
+        this.addToRow(
+          getRow(byClient, `${clientId || clientName}:${currency}`, {
+            client: { _id: clientId || null, name: clientName },
+            currency,
+            drillDown: clientId
+              ? { clientId, currency }
+              : { search: clientName, currency }
+          }),
+          bucket.key,
+          group
+        );
+      }
+    }
+
+    // Resolve names for creators and linked clients
+    const creatorRows = Array.from(byCreator.values());
+    const clientRows = Array.from(byClient.values());
+
+    const [users, clients] = await Promise.all([
+      User.find({
+        _id: { $in: creatorRows.map(row => row.createdBy._id) }
+      })
+        .select('fullName email')
+        .lean(),
+      Client.find({
+        _id: {
+          $in: clientRows
+            .filter(row => row.client._id)
+            .map(row => row.client._id)
+        }
+      })
+        .select('name phone email company')
+        .lean()
+    ]);
+
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+    const clientsById = new Map(
+      clients.map(client => [client._id.toString(), client])
+    );
+
+    creatorRows.forEach(row => {
+      row.createdBy = usersById.get(String(row.createdBy._id)) || row.createdBy;
+    });
+    clientRows.forEach(row => {
+      if (row.client._id) {
+        row.client = clientsById.get(row.client._id.toString()) || row.client;
+      }
+    });
+
+    const byOutstanding = (a, b) =>
+      a.currency.localeCompare(b.currency) || b.total.amount - a.total.amount;
+
+    return {
+      asOf,
+      buckets: buckets.map(({ key, label }) => ({ key, label })),
+      byCurrency: Array.from(byCurrency.values()).sort(byOutstanding),
+      baseCurrencyTotal,
+      byCreator: creatorRows.sort(byOutstanding),
+      byClient: clientRows.sort(byOutstanding)
+    };
+  }
+
+  /**
+   * Flatten the aging report into CSV, one row per breakdown entry
+   * @param {Object} report - Report from getAgingReport
+   * @returns {string} CSV text
+   */
+  toCsv(report) {
+    const header = [
+      'Breakdown',
+      'Name',
+      'Currency',
+      ...report.buckets.map(bucket => bucket.label),
+      'Total Outstanding',
+      'Open Receipts'
+    ];
+
+    const toRow = (breakdown, name, row) => [
+      breakdown,
+      name,
+      row.currency,
+      ...report.buckets.map(bucket => row.buckets[bucket.key].amount),
+      row.total.amount,
+      row.total.count
+    ];
+
+    const rows = [
+      ...report.byCurrency.map(row => toRow('Currency', row.currency, row)),
+      toRow('Base Currency Total', 'All currencies', report.baseCurrencyTotal),
+      ...report.byCreator.map(row =>
+        toRow('Creator', row.createdBy.fullName || row.createdBy._id, row)
+      ),
+      ...report.byClient.map(row => toRow('Client', row.client.name, row))
+    ];
+
+    return [header, ...rows].map(toCsvRow).join('');
+  }
+}
+
+// Export singleton instance
+const agingService = new AgingService();
+module.exports = agingService;
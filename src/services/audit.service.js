@@ -4,6 +4,7 @@
  */
 
 const AuditLog = require('../models/AuditLog.model');
+const logger = require('../utils/logger');
 
 class AuditService {
   /**
@@ -32,6 +33,9 @@ class AuditService {
 
   /**
    * Log document operations (create, update, delete)
+   * Pass options.session to write the entry inside a transaction; errors are
+   * then rethrown so the caller's transaction aborts instead of committing
+   * without its audit trail.
    */
   static async logDocumentEvent(
     action,
@@ -39,8 +43,11 @@ class AuditService {
     entityId,
     userId,
     ipAddress,
-    changes = {}
+    changes = {},
+    options = {}
   ) {
+    const { session, userAgent } = options;
+
     try {
       const auditData = {
         action,
@@ -48,18 +55,46 @@ class AuditService {
         entityId,
         userId,
         ipAddress,
+        userAgent,
         details: {
           changes,
           timestamp: new Date()
         }
       };
 
-      await AuditLog.create(auditData);
+      if (session) {
+        await AuditLog.create([auditData], { session });
+      } else {
+        await AuditLog.create(auditData);
+      }
     } catch (error) {
+      if (session) throw error;
       console.error('Failed to log document event:', error);
     }
   }
 
+  /**
+   * Log field-level entity changes recorded by the audit trail plugin
+   * Like logDocumentEvent, errors are only rethrown inside a transaction
+   */
+  static async logEntityChanges(entries, options = {}) {
+    const { session } = options;
+
+    if (!entries.length) return;
+
+    try {
+      const auditData = entries.map(entry => ({
+        ...entry,
+        riskLevel: entry.riskLevel || AuditLog.determineRiskLevel(entry.action)
+      }));
+
+      await AuditLog.insertMany(auditData, session ? { session } : {});
+    } catch (error) {
+      if (session) throw error;
+      logger.error('Failed to log entity changes:', error);
+    }
+  }
+
   /**
    * Log user management events
    */
@@ -227,6 +262,35 @@ class AuditService {
     }
   }
 
+  /**
+   * Log data export events
+   */
+  static async logExportEvent(
+    exportType,
+    userId,
+    ipAddress,
+    userAgent,
+    details = {}
+  ) {
+    try {
+      const auditData = {
+        action: 'DATA_EXPORT',
+        entityType: 'System',
+        userId,
+        ipAddress,
+        userAgent,
+        details: {
+          exportType,
+          ...details
+        }
+      };
+
+      await AuditLog.create(auditData);
+    } catch (error) {
+      logger.error('Failed to log export event:', error);
+    }
+  }
+
   /**
    * Get audit logs with filtering and pagination
    */
@@ -238,21 +302,27 @@ class AuditService {
       populate = 'userId'
     } = options;
 
-    const query = AuditLog.find(filters);
-
-    if (populate) {
-      query.populate(populate, 'fullName email');
-    }
-
-    const result = await AuditLog.paginate(query, {
+    const result = await AuditLog.paginate(filters, {
       page,
       limit,
-      sort
+      sort,
+      populate: populate ? { path: populate, select: 'fullName email' } : ''
     });
 
     return result;
   }
 
+  /**
+   * Get a cursor over matching audit logs for streaming exports
+   */
+  static getAuditLogCursor(filters = {}, sort = { createdAt: -1 }) {
+    return AuditLog.find(filters)
+      .sort(sort)
+      .populate('userId', 'fullName email')
+      .lean()
+      .cursor();
+  }
+
   /**
    * Get audit statistics
    */
@@ -260,11 +330,10 @@ class AuditService {
     const { startDate, endDate } = dateRange;
     const matchStage = {};
 
-    if (startDate && endDate) {
-      matchStage.createdAt = {
-        $gte: new Date(startDate),
-        $lte: new Date(endDate)
-      };
+    if (startDate || endDate) {
+      matchStage.createdAt = {};
+      if (startDate) matchStage.createdAt.$gte = new Date(startDate);
+      if (endDate) matchStage.createdAt.$lte = new Date(endDate);
     }
 
     const stats = await AuditLog.aggregate([
@@ -305,7 +374,24 @@ class AuditService {
         }
       },
       { $sort: { count: -1 } },
-      { $limit: 10 }
+      { $limit: 10 },
+      {
+        $lookup: {
+          from: 'users',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'user'
+        }
+      },
+      { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } },
+      {
+        $project: {
+          count: 1,
+          actions: 1,
+          'user.fullName': 1,
+          'user.email': 1
+        }
+      }
     ]);
 
     return {
@@ -317,40 +403,44 @@ class AuditService {
   }
 
   /**
-   * Clean up old audit logs (keep for compliance period)
+   * Seal any pending entries, then verify the audit log hash chain
+   * @returns {Promise<Object>} Verification result from AuditLog.verifyChain,
+   *   with the number of pending entries sealed first as sealedEntries
    */
-  static async cleanupOldLogs(retentionDays = 365) {
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - retentionDays);
-
-    const result = await AuditLog.deleteMany({
-      createdAt: { $lt: cutoffDate }
-    });
-
-    if (result.deletedCount > 0) {
-      await this.logSystemEvent('audit_cleanup', {
-        deletedCount: result.deletedCount,
-        retentionDays,
-        cutoffDate
-      });
-    }
-
-    return result;
+  static async verifyChain() {
+    const sealedEntries = await AuditLog.sealPendingEntries();
+    const result = await AuditLog.verifyChain();
+    return { ...result, sealedEntries };
   }
 
   /**
    * Search audit logs
    */
   static async searchLogs(searchTerm, filters = {}, options = {}) {
-    const searchRegex = new RegExp(searchTerm, 'i');
+    // Escape the term so user input is matched literally
+    const escapedTerm = searchTerm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const searchRegex = new RegExp(escapedTerm, 'i');
+
+    // Also match entries made by users whose name or email matches
+    const User = require('../models/User.model');
+    const matchingUsers = await User.find({
+      $or: [{ fullName: searchRegex }, { email: searchRegex }]
+    }).select('_id');
 
     const searchQuery = {
       ...filters,
       $or: [
         { action: searchRegex },
         { entityType: searchRegex },
+        { ipAddress: searchRegex },
+        { userAgent: searchRegex },
+        { errorMessage: searchRegex },
+        { details: searchRegex },
         { 'details.changes.field': searchRegex },
-        { 'details.description': searchRegex }
+        { 'details.description': searchRegex },
+        { 'details.changes.quotationNumber': searchRegex },
+        { 'details.changes.receiptNumber': searchRegex },
+        { userId: { $in: matchingUsers.map(user => user._id) } }
       ]
     };
 
@@ -0,0 +1,166 @@
+/**
+ * Bulk Export Service
+ * Streams generated document PDFs to the client as a single ZIP archive
+ */
+
+const archiver = require('archiver');
+const pdfService = require('./pdf.service');
+const { toCsvRow } = require('../utils/csv');
+const logger = require('../utils/logger');
+
+class BulkExportService {
+  constructor() {
+    // Most documents a single bulk download may include
+    this.maxDocuments = parseInt(process.env.BULK_DOWNLOAD_LIMIT, 10) || 100;
+  }
+
+  /**
+   * Add a file to the archive and wait until it has been written, so no more
+   * than a few PDFs are held in memory while the client downloads
+   */
+  appendEntry(archive, res, buffer, name) {
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        archive.off('entry', onEntry);
+        archive.off('error', onError);
+        res.off('close', onClose);
+      };
+      const onEntry = entry => {
+        if (entry.name !== name) return;
+        cleanup();
+        resolve();
+      };
+      const onError = error => {
+        cleanup();
+        reject(error);
+      };
+      // An aborted archive never writes the entry
+      const onClose = () => {
+        cleanup();
+        resolve();
+      };
+
+      archive.on('entry', onEntry);
+      archive.on('error', onError);
+      res.on('close', onClose);
+      archive.append(buffer, { name });
+    });
+  }
+
+  /**
+   * Stream a ZIP of PDFs, one per document, to the response
+   * PDFs are rendered a few at a time through the shared pdf.service page
+   * pool and added to the archive in document order. A document that fails
+   * to render is skipped and reported in the manifest.
+   * @param {Object} res - Express response
+   * @param {Object} options
+   * @param {string} options.archiveName - Download file name
+   * @param {Array} options.documents - Documents to export
+   * @param {Function} options.getFileName - document => PDF file name
+   * @param {Function} options.generatePdf - document => Promise<Buffer>
+   * @param {Array} options.manifestColumns - [{ header, value: document => }];
+   *   omit to leave out manifest.csv
+   * @returns {Promise<Object>} { fileCount, failed, completed }
+   */
+  async streamPdfArchive(
+    res,
+    { archiveName, documents, getFileName, generatePdf, manifestColumns }
+  ) {
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    const manifestRows = [];
+    const failed = [];
+    let fileCount = 0;
+    let aborted = false;
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="${archiveName}"`
+    );
+
+    // Stop rendering if the client goes away mid-download
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        aborted = true;
+        archive.abort();
+      }
+    });
+    archive.on('warning', warning => {
+      logger.warn('Bulk export archive warning:', warning);
+    });
+    archive.pipe(res);
+
+    // Render up to one PDF per pooled page ahead of the archive
+    const concurrency = Math.max(1, pdfService.maxPages);
+    const pending = [];
+    let nextIndex = 0;
+
+    const renderNext = () => {
+      const document = documents[nextIndex++];
+      pending.push(
+        generatePdf(document).then(
+          buffer => ({ document, buffer }),
+          error => ({ document, error })
+        )
+      );
+    };
+
+    while (nextIndex < documents.length && pending.length < concurrency) {
+      renderNext();
+    }
+
+    while (pending.length > 0 && !aborted) {
+      const { document, buffer, error } = await pending.shift();
+      if (nextIndex < documents.length) renderNext();
+
+      const fileName = getFileName(document);
+
+      if (error) {
+        logger.error(`Bulk export failed for ${fileName}:`, error);
+        failed.push({ id: document._id, fileName, error: error.message });
+        manifestRows.push({ document, fileName, status: 'failed' });
+        continue;
+      }
+
+      await this.appendEntry(archive, res, buffer, fileName);
+      manifestRows.push({ document, fileName, status: 'included' });
+      fileCount++;
+    }
+
+    if (aborted) {
+      // Let in-flight renders hand their pages back to the pool
+      await Promise.allSettled(pending);
+      return { fileCount, failed, completed: false };
+    }
+
+    if (manifestColumns) {
+      const header = [
+        ...manifestColumns.map(column => column.header),
+        'File',
+        'Status'
+      ];
+      const rows = manifestRows.map(({ document, fileName, status }) => [
+        ...manifestColumns.map(column => column.value(document)),
+        fileName,
+        status
+      ]);
+
+      await this.appendEntry(
+        archive,
+        res,
+        Buffer.from([header, ...rows].map(toCsvRow).join('')),
+        'manifest.csv'
+      );
+    }
+
+    if (aborted) return { fileCount, failed, completed: false };
+
+    await archive.finalize();
+
+    return { fileCount, failed, completed: true };
+  }
+}
+
+// Export singleton instance
+const bulkExportService = new BulkExportService();
+module.exports = bulkExportService;
@@ -0,0 +1,202 @@
+/**
+ * Calendar Feed Service
+ * Builds the iCalendar feed staff subscribe to in their phone calendars:
+ * moving dates, quotation validity deadlines and receipt payment due dates
+ */
+
+const { URL } = require('url');
+const { Quotation, Receipt, Settings } = require('../models');
+const { buildCalendar } = require('../utils/ical');
+
+// Feeds cover recent and upcoming dates only, so they stay small enough for
+// calendar apps that poll them
+const PAST_DAYS = 30;
+const FUTURE_DAYS = 365;
+
+// Quotations whose move may still happen; converted ones are covered by
+// their receipt
+const OPEN_QUOTATION_STATUSES = ['active', 'accepted'];
+
+// Receipts with a balance still to collect
+const UNPAID_RECEIPT_STATUSES = ['pending', 'partial', 'overdue'];
+
+// Receipts whose move is off
+const VOID_RECEIPT_STATUSES = ['refunded', 'cancelled'];
+
+class CalendarFeedService {
+  /**
+   * Date range the feed covers
+   */
+  getWindow(now = new Date()) {
+    const from = new Date(now);
+    from.setDate(from.getDate() - PAST_DAYS);
+    const to = new Date(now);
+    to.setDate(to.getDate() + FUTURE_DAYS);
+    return { $gte: from, $lte: to };
+  }
+
+  /**
+   * Describe where a move goes from and to
+   */
+  describeRoute(locations) {
+    return [locations?.from, locations?.to].filter(Boolean).join(' → ');
+  }
+
+  /**
+   * Build the events for quotations: the moving date of open quotations and
+   * the validity deadline of active ones
+   */
+  buildQuotationEvents(quotations, window, domain) {
+    return quotations.flatMap(quotation => {
+      const events = [];
+      const url = `${process.env.CLIENT_URL}/quotations/${quotation._id}`;
+      const { movingDate } = quotation.locations;
+      const { validUntil, status } = quotation.validity;
+
+      if (
+        movingDate &&
+        movingDate >= window.$gte &&
+        movingDate <= window.$lte &&
+        OPEN_QUOTATION_STATUSES.includes(status)
+      ) {
+        events.push({
+          uid: `quotation-${quotation._id}-move@${domain}`,
+          date: movingDate,
+          summary: `Move: ${quotation.client.name} (${quotation.quotationNumber})`,
+          description: `${quotation.type} move for ${quotation.client.name}, quotation ${quotation.quotationNumber} (${status})\n${this.describeRoute(quotation.locations)}`,
+          location: quotation.locations.from,
+          url,
+          categories: ['Move', 'Quotation']
+        });
+      }
+
+      if (
+        validUntil >= window.$gte &&
+        validUntil <= window.$lte &&
+        status === 'active'
+      ) {
+        events.push({
+          uid: `quotation-${quotation._id}-expiry@${domain}`,
+          date: validUntil,
+          summary: `Quotation expires: ${quotation.quotationNumber} (${quotation.client.name})`,
+          description: `Quotation ${quotation.quotationNumber} for ${quotation.client.name} is valid until this day`,
+          url,
+          categories: ['Quotation Expiry']
+        });
+      }
+
+      return events;
+    });
+  }
+
+  /**
+   * Build the events for receipts: the moving date and, while a balance is
+   * outstanding, the payment due date
+   */
+  buildReceiptEvents(receipts, window, domain) {
+    return receipts.flatMap(receipt => {
+      const events = [];
+      const url = `${process.env.CLIENT_URL}/receipts/${receipt._id}`;
+      const movingDate = receipt.locations?.movingDate;
+      const { dueDate, status, balance, currency } = receipt.payment;
+
+      if (
+        movingDate &&
+        movingDate >= window.$gte &&
+        movingDate <= window.$lte &&
+        !VOID_RECEIPT_STATUSES.includes(status)
+      ) {
+        events.push({
+          uid: `receipt-${receipt._id}-move@${domain}`,
+          date: movingDate,
+          summary: `Move: ${receipt.client.name} (${receipt.receiptNumber})`,
+          description: `Move for ${receipt.client.name}, receipt ${receipt.receiptNumber}\n${this.describeRoute(receipt.locations)}`,
+          location: receipt.locations.from,
+          url,
+          categories: ['Move', 'Receipt']
+        });
+      }
+
+      if (
+        dueDate &&
+        dueDate >= window.$gte &&
+        dueDate <= window.$lte &&
+        UNPAID_RECEIPT_STATUSES.includes(status)
+      ) {
+        events.push({
+          uid: `receipt-${receipt._id}-due@${domain}`,
+          date: dueDate,
+          summary: `Payment due: ${receipt.receiptNumber} (${receipt.client.name})`,
+          description: `${currency} ${balance.toLocaleString()} outstanding on receipt ${receipt.receiptNumber} for ${receipt.client.name}`,
+          url,
+          categories: ['Payment Due']
+        });
+      }
+
+      return events;
+    });
+  }
+
+  /**
+   * Build a user's calendar feed
+   * @param {Object} user - Feed owner
+   * @param {string} scope - 'own' for documents the user created, the same
+   *   documents getQuotations lists for staff; 'company' for every document
+   * @returns {Promise<string>} iCalendar text
+   */
+  async buildFeed(user, scope) {
+    const window = this.getWindow();
+    const ownership = scope === 'company' ? {} : { createdBy: user._id };
+
+    const [quotations, receipts, settings] = await Promise.all([
+      Quotation.find({
+        ...ownership,
+        $or: [
+          {
+            'locations.movingDate': window,
+            'validity.status': { $in: OPEN_QUOTATION_STATUSES }
+          },
+          { 'validity.validUntil': window, 'validity.status': 'active' }
+        ]
+      })
+        .select('quotationNumber type client.name locations validity')
+        .lean(),
+      Receipt.find({
+        ...ownership,
+        $or: [
+          {
+            'locations.movingDate': window,
+            'payment.status': { $nin: VOID_RECEIPT_STATUSES }
+          },
+          {
+            'payment.dueDate': window,
+            'payment.status': { $in: UNPAID_RECEIPT_STATUSES }
+          }
+        ]
+      })
+        .select('receiptNumber client.name locations payment')
+        .lean(),
+      Settings.getSettings()
+    ]);
+
+    const domain = new URL(process.env.CLIENT_URL || 'http://localhost')
+      .hostname;
+    const companyName = settings.company.name;
+
+    return buildCalendar({
+      name:
+        scope === 'company'
+          ? `${companyName} - All Moves`
+          : `${companyName} - ${user.fullName}`,
+      productId: `-//${companyName}//Calendar Feed//EN`,
+      events: [
+        ...this.buildQuotationEvents(quotations, window, domain),
+        ...this.buildReceiptEvents(receipts, window, domain)
+      ].sort((a, b) => a.date - b.date)
+    });
+  }
+}
+
+// Export singleton instance
+const calendarFeedService = new CalendarFeedService();
+module.exports = calendarFeedService;
@@ -4,22 +4,28 @@
  */
 
 const nodemailer = require('nodemailer');
+const Settings = require('../models/Settings.model');
 
 class EmailService {
   constructor() {
     this.transporter = this.createTransporter();
-    this.companyInfo = {
-      name:
-        process.env.COMPANY_NAME ||
-        'Aces Movers and Relocation Company Limited',
-      email: process.env.EMAIL_FROM || 'infor@acesmovers.com',
-      website: process.env.COMPANY_WEBSITE || 'https://acesmovers.com',
-      supportEmail: process.env.SUPPORT_EMAIL || 'infor@acesmovers.com',
-      phone: process.env.COMPANY_PHONE || '+256 778 259191',
-      phoneSecondary: process.env.COMPANY_PHONE_SECONDARY || '+256 725 711730',
-      address:
-        process.env.COMPANY_ADDRESS ||
-        'Kigowa2 Kulambiro Kisaasi Ring Road 83AD, Kampala, Uganda'
+  }
+
+  /**
+   * Company details for email templates, read from the admin-managed settings.
+   * Emails are still sent from the configured sender address.
+   */
+  get companyInfo() {
+    const { company, logo } = Settings.getCachedSettings();
+
+    return {
+      ...company,
+      email: process.env.EMAIL_FROM || company.email,
+      supportEmail: company.email,
+      website: /^https?:\/\//.test(company.website)
+        ? company.website
+        : `https://${company.website}`,
+      logoUrl: logo?.url || process.env.COMPANY_LOGO_URL || '/img/Aces_logo.svg'
     };
   }
 
@@ -91,8 +97,8 @@ class EmailService {
     `
       : '';
 
-    // Company logo - using local SVG path instead of Cloudinary
-    const logoUrl = process.env.COMPANY_LOGO_URL || '/img/Aces_logo.svg';
+    // Uploaded company logo, falling back to the bundled SVG
+    const logoUrl = this.companyInfo.logoUrl;
 
     return `
       <!DOCTYPE html>
@@ -971,7 +977,8 @@ class EmailService {
     quotation,
     sender,
     pdfBuffer,
-    customMessage
+    customMessage,
+    portalUrl
   }) {
     const subject = `Quotation ${quotation.quotationNumber} - ${this.companyInfo.name}`;
     const clientName = quotation.client.name;
@@ -1036,7 +1043,32 @@ class EmailService {
         <p style="margin: 5px 0 0 0; color: #92400e; font-size: 14px;">Please review the attached detailed quotation and contact us if you have any questions.</p>
       </div>
       
+      ${
+        portalUrl
+          ? `
+      <p>You can review this quotation online and accept it, decline it or request changes:</p>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${portalUrl}"
+           style="background: linear-gradient(135deg, #0000ff 0%, #2563eb 100%);
+                  color: white;
+                  padding: 15px 35px;
+                  text-decoration: none;
+                  border-radius: 8px;
+                  display: inline-block;
+                  font-weight: 600;
+                  font-size: 16px;
+                  box-shadow: 0 4px 6px rgba(0, 0, 255, 0.2);
+                  transition: all 0.3s ease;">
+          Review and Respond Online
+        </a>
+      </div>
+      
+      <p>If you have any questions, please contact us at:</p>
+      `
+          : `
       <p>To proceed with booking, please contact us at:</p>
+      `
+      }
       <ul>
         <li><strong>Phone:</strong> ${this.companyInfo.phone}</li>
         <li><strong>Email:</strong> ${this.companyInfo.email}</li>
@@ -1213,6 +1245,110 @@ class EmailService {
 
     return await this.sendEmail(to, emailContent);
   }
+
+  /**
+   * Send client statement of account email with PDF attachment
+   */
+  async sendStatementEmail({
+    to,
+    statement,
+    sender,
+    pdfBuffer,
+    customMessage
+  }) {
+    const subject = `Statement of Account - ${this.companyInfo.name}`;
+    const clientName = statement.client.name;
+    const issuedOn = new Date(statement.generatedAt).toLocaleDateString(
+      'en-GB'
+    );
+
+    const balanceRows = statement.currencies
+      .map(currency => {
+        const balance = statement.closingBalances[currency] || 0;
+        return `
+          <tr>
+            <td style="padding: 8px 0; border-bottom: 1px solid #e5e7eb;"><strong>${currency} Balance:</strong></td>
+            <td style="padding: 8px 0; border-bottom: 1px solid #e5e7eb; text-align: right; color: ${balance > 0 ? '#d97706' : '#16a34a'};">${this.formatCurrency(balance, currency)}</td>
+          </tr>
+        `;
+      })
+      .join('');
+    const hasBalanceDue = statement.currencies.some(
+      currency => (statement.closingBalances[currency] || 0) > 0
+    );
+
+    const content = `
+      <h2 style="color: #2563eb; margin-bottom: 20px;">Statement of Account</h2>
+      
+      <p>Dear ${clientName},</p>
+      
+      <p>Please find attached your statement of account as of ${issuedOn}. It lists the quotations and receipts issued to you and every payment we have received.</p>
+      
+      ${
+        customMessage
+          ? `
+        <div style="background: #f8fafc; padding: 15px; border-left: 4px solid #2563eb; margin: 20px 0;">
+          <p style="margin: 0;"><strong>Message from ${sender.fullName}:</strong></p>
+          <p style="margin: 5px 0 0 0;">${customMessage}</p>
+        </div>
+      `
+          : ''
+      }
+      
+      ${
+        balanceRows
+          ? `
+      <div style="background: #f8fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <h3 style="color: #1f2937; margin-top: 0;">Account Summary</h3>
+        <table style="width: 100%; border-collapse: collapse;">
+          ${balanceRows}
+        </table>
+      </div>
+      `
+          : ''
+      }
+      
+      ${
+        hasBalanceDue
+          ? `
+        <div style="background: #fef3c7; padding: 15px; border-radius: 6px; margin: 20px 0;">
+          <p style="margin: 0; color: #92400e;">Please contact us to arrange payment of the outstanding balance.</p>
+        </div>
+      `
+          : ''
+      }
+      
+      <p>For any questions about this statement, please contact us at:</p>
+      <ul>
+        <li><strong>Phone:</strong> ${this.companyInfo.phone}</li>
+        <li><strong>Email:</strong> ${this.companyInfo.email}</li>
+      </ul>
+      
+      <p>Best regards,<br>
+      <strong>${sender.fullName}</strong><br>
+      ${this.companyInfo.name}</p>
+    `;
+
+    const htmlContent = this.getBaseTemplate(content);
+    const fileDate = new Date(statement.generatedAt)
+      .toISOString()
+      .split('T')[0];
+
+    const emailContent = {
+      subject: subject,
+      html: htmlContent,
+      text: `Statement of account for ${clientName} from ${this.companyInfo.name}`,
+      attachments: [
+        {
+          filename: `statement-${fileDate}.pdf`,
+          content: pdfBuffer,
+          contentType: 'application/pdf'
+        }
+      ]
+    };
+
+    return await this.sendEmail(to, emailContent);
+  }
 }
 
 // Export singleton instance
@@ -0,0 +1,255 @@
+/**
+ * Inventory Service
+ * Turns a surveyor's room-by-room inventory into a move size: total volume,
+ * the vehicles and crew it needs, and the quotation line items for them
+ */
+
+// Standard household and office items with their volume in cubic metres
+const STANDARD_ITEMS = [
+  { key: 'sofa_1_seater', name: 'Sofa (1 seater)', volume: 0.8 },
+  { key: 'sofa_2_seater', name: 'Sofa (2 seater)', volume: 1.2 },
+  { key: 'sofa_3_seater', name: 'Sofa (3 seater)', volume: 1.6 },
+  { key: 'armchair', name: 'Armchair', volume: 0.6 },
+  { key: 'coffee_table', name: 'Coffee table', volume: 0.3 },
+  { key: 'tv_unit', name: 'TV unit', volume: 0.5 },
+  { key: 'television', name: 'Television', volume: 0.3, isFragile: true },
+  { key: 'bookshelf', name: 'Bookshelf', volume: 0.8 },
+  { key: 'dining_table', name: 'Dining table', volume: 1.0 },
+  { key: 'dining_chair', name: 'Dining chair', volume: 0.2 },
+  { key: 'china_cabinet', name: 'China cabinet', volume: 1.2 },
+  { key: 'bed_single', name: 'Bed (single)', volume: 1.0 },
+  { key: 'bed_double', name: 'Bed (double)', volume: 1.5 },
+  { key: 'bed_king', name: 'Bed (king size)', volume: 2.0 },
+  { key: 'mattress', name: 'Mattress', volume: 0.6 },
+  { key: 'wardrobe_2_door', name: 'Wardrobe (2 door)', volume: 1.5 },
+  { key: 'wardrobe_3_door', name: 'Wardrobe (3 door)', volume: 2.2 },
+  { key: 'chest_of_drawers', name: 'Chest of drawers', volume: 0.7 },
+  { key: 'bedside_table', name: 'Bedside table', volume: 0.2 },
+  { key: 'dressing_table', name: 'Dressing table', volume: 0.6 },
+  { key: 'fridge', name: 'Fridge', volume: 1.0 },
+  { key: 'freezer', name: 'Freezer', volume: 0.9 },
+  { key: 'cooker', name: 'Cooker', volume: 0.6 },
+  { key: 'microwave', name: 'Microwave', volume: 0.1, isFragile: true },
+  { key: 'washing_machine', name: 'Washing machine', volume: 0.6 },
+  { key: 'water_dispenser', name: 'Water dispenser', volume: 0.2 },
+  { key: 'office_desk', name: 'Office desk', volume: 1.0 },
+  { key: 'office_chair', name: 'Office chair', volume: 0.4 },
+  { key: 'filing_cabinet', name: 'Filing cabinet', volume: 0.5 },
+  {
+    key: 'computer',
+    name: 'Computer and monitor',
+    volume: 0.2,
+    isFragile: true
+  },
+  { key: 'printer', name: 'Printer', volume: 0.2, isFragile: true },
+  { key: 'mirror', name: 'Mirror', volume: 0.1, isFragile: true },
+  {
+    key: 'picture_frame',
+    name: 'Picture frame',
+    volume: 0.05,
+    isFragile: true
+  },
+  { key: 'carton_small', name: 'Carton (small)', volume: 0.05 },
+  { key: 'carton_medium', name: 'Carton (medium)', volume: 0.1 },
+  { key: 'carton_large', name: 'Carton (large)', volume: 0.15 },
+  {
+    key: 'carton_fragile',
+    name: 'Carton (glassware, crockery)',
+    volume: 0.1,
+    isFragile: true
+  },
+  { key: 'bicycle', name: 'Bicycle', volume: 0.5 },
+  { key: 'generator', name: 'Generator', volume: 0.4 },
+  { key: 'plant_pot', name: 'Plant pot', volume: 0.1 }
+];
+
+const STANDARD_ITEMS_BY_KEY = new Map(
+  STANDARD_ITEMS.map(item => [item.key, item])
+);
+
+const round = amount => Math.round(amount * 100) / 100;
+
+class InventoryService {
+  /**
+   * Get the standard items surveyors pick from
+   * @returns {Array} [{ key, name, volume, isFragile }]
+   */
+  getStandardItems() {
+    return STANDARD_ITEMS.map(item => ({ isFragile: false, ...item }));
+  }
+
+  /**
+   * Fill in standard items and drop empty rooms
+   * Items with an itemKey take the standard name, volume and fragile flag
+   * unless the surveyor gave their own
+   * @param {Array} rooms - [{ name, items: [{ itemKey, name, volume, quantity, isFragile }] }]
+   * @returns {Array} Rooms as stored on the quotation
+   * @throws {Error} With statusCode 400 for an unknown item key or an item
+   *   with no volume
+   */
+  normalizeRooms(rooms) {
+    const fail = message => {
+      const error = new Error(message);
+      error.statusCode = 400;
+      throw error;
+    };
+
+    return rooms
+      .map(room => ({
+        name: room.name,
+        items: (room.items || []).map(item => {
+          const standard = item.itemKey
+            ? STANDARD_ITEMS_BY_KEY.get(item.itemKey)
+            : null;
+
+          if (item.itemKey && !standard) {
+            fail(`Unknown inventory item ${item.itemKey}`);
+          }
+
+          const volume = item.volume ?? standard?.volume;
+          if (volume === undefined || volume === null) {
+            fail(`Enter a volume for ${item.name} in ${room.name}`);
+          }
+
+          return {
+            itemKey: standard?.key,
+            name: item.name || standard.name,
+            volume: Number(volume),
+            quantity: Number(item.quantity),
+            isFragile: item.isFragile ?? standard?.isFragile ?? false
+          };
+        })
+      }))
+      .filter(room => room.items.length > 0);
+  }
+
+  /**
+   * Size the move from its rooms
+   * @param {Array} rooms - Normalized rooms
+   * @param {Object} estimation - settings.inventoryEstimation
+   * @returns {Object} { totalVolume, itemCount, fragileItemCount,
+   *   vehicleCount, crewSize, vehicleCapacity }
+   */
+  summarize(rooms, estimation) {
+    const items = rooms.flatMap(room => room.items);
+
+    const totalVolume = round(
+      items.reduce((sum, item) => sum + item.volume * item.quantity, 0)
+    );
+    const itemCount = items.reduce((sum, item) => sum + item.quantity, 0);
+    const fragileItemCount = items
+      .filter(item => item.isFragile)
+      .reduce((sum, item) => sum + item.quantity, 0);
+
+    const vehicleCount =
+      totalVolume > 0 ? Math.ceil(totalVolume / estimation.vehicleCapacity) : 0;
+    const crewSize =
+      totalVolume > 0
+        ? Math.max(
+            estimation.minimumCrewSize,
+            Math.ceil(totalVolume / estimation.volumePerCrewMember)
+          )
+        : 0;
+
+    return {
+      totalVolume,
+      itemCount,
+      fragileItemCount,
+      vehicleCount,
+      crewSize,
+      vehicleCapacity: estimation.vehicleCapacity
+    };
+  }
+
+  /**
+   * Build the quotation line items for a sized move
+   * Lines whose rate is not set for the currency are left out
+   * @param {Object} summary - From summarize
+   * @param {Object} estimation - settings.inventoryEstimation
+   * @param {string} currency - Quotation currency
+   * @returns {Array} Line items marked with source 'inventory'
+   * @throws {Error} With statusCode 400 when no rate is set for the currency
+   */
+  buildServiceLines(summary, estimation, currency) {
+    const rate = name => estimation[`${name}Rate${currency}`];
+
+    const lines = [
+      {
+        rate: rate('vehicle'),
+        quantity: summary.vehicleCount,
+        name: 'Moving Truck',
+        description: `${summary.vehicleCount} truck(s) of ${summary.vehicleCapacity} m³ for an estimated ${summary.totalVolume} m³`
+      },
+      {
+        rate: rate('crew'),
+        quantity: summary.crewSize,
+        name: 'Moving Crew',
+        description: `${summary.crewSize} crew members to pack, load and offload ${summary.itemCount} items`
+      },
+      {
+        rate: rate('volume'),
+        quantity: Math.ceil(summary.totalVolume),
+        name: 'Packing and Handling',
+        description: `Packing materials and handling for ${summary.totalVolume} m³`
+      },
+      {
+        rate: rate('fragileItem'),
+        quantity: summary.fragileItemCount,
+        name: 'Fragile Item Packing',
+        description: `Protective packing for ${summary.fragileItemCount} fragile items`
+      }
+    ].filter(
+      line => line.rate !== null && line.rate !== undefined && line.quantity > 0
+    );
+
+    if (lines.length === 0) {
+      const error = new Error(
+        `No inventory rates are set for ${currency}; ask an admin to configure them`
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return lines.map(({ rate: unitPrice, quantity, name, description }) => ({
+      name,
+      description,
+      quantity,
+      unitPrice,
+      total: quantity * unitPrice,
+      source: 'inventory'
+    }));
+  }
+
+  /**
+   * Build the inventory stored on a quotation
+   * @param {Array} rooms - Rooms from the request
+   * @param {Object} estimation - settings.inventoryEstimation
+   * @returns {Object} { rooms, summary }
+   */
+  buildInventory(rooms, estimation) {
+    const normalized = this.normalizeRooms(rooms);
+
+    return {
+      rooms: normalized,
+      summary: this.summarize(normalized, estimation)
+    };
+  }
+
+  /**
+   * Replace a quotation's generated line items with new ones, keeping the
+   * lines entered by hand in their place
+   * @param {Array} services - Current line items
+   * @param {Array} generated - Lines from buildServiceLines
+   * @returns {Array} Line items
+   */
+  mergeServiceLines(services, generated) {
+    return [
+      ...services.filter(service => service.source !== 'inventory'),
+      ...generated
+    ];
+  }
+}
+
+// Export singleton instance
+const inventoryService = new InventoryService();
+module.exports = inventoryService;
@@ -556,35 +556,117 @@ class NotificationService {
 
   /**
    * Check for overdue payments and create notifications
+   * Receipts with an installment plan are checked per installment; each
+   * overdue due date is reported once
    */
   async checkOverduePayments() {
     const today = new Date();
+    const admins = await User.find({ status: 'active', role: 'admin' });
+    const adminIds = admins.map(admin => admin._id.toString());
+
+    // Payment overdue - notify all stakeholders (admins + creator)
+    const getStakeholderIds = receipt =>
+      Array.from(new Set([...adminIds, receipt.createdBy.toString()])).map(
+        id => new mongoose.Types.ObjectId(id)
+      );
+
     const overdueReceipts = await Receipt.find({
-      dueDate: { $lt: today },
-      paymentStatus: 'pending'
+      'payment.schedule.0': { $exists: false },
+      'payment.dueDate': { $lt: today },
+      'payment.status': { $in: ['pending', 'partial', 'overdue'] },
+      'payment.overdueNotifiedAt': null
     });
 
     for (const receipt of overdueReceipts) {
-      // Payment overdue - notify all stakeholders (admins + creator)
-      const admins = await User.find({ status: 'active', role: 'admin' });
-      const adminIds = admins.map(admin => admin._id);
-      const stakeholderIds = new Set([
-        ...adminIds.map(id => id.toString()),
-        receipt.createdBy.toString()
-      ]);
-
       await Notification.createDocumentNotification(
         'payment_overdue',
         'Receipt',
         receipt._id,
         receipt.receiptNumber,
         null,
-        Array.from(stakeholderIds).map(id => new mongoose.Types.ObjectId(id))
+        getStakeholderIds(receipt)
+      );
+
+      await Receipt.updateOne(
+        { _id: receipt._id },
+        {
+          $set: {
+            'payment.status': 'overdue',
+            'payment.overdueNotifiedAt': today
+          }
+        }
       );
     }
 
-    if (overdueReceipts.length > 0) {
-      console.log(`💰 ${overdueReceipts.length} receipts are overdue`);
+    const receiptsWithOverdueInstallments = await Receipt.find({
+      'payment.status': { $nin: ['refunded', 'cancelled'] },
+      'payment.schedule': {
+        $elemMatch: {
+          dueDate: { $lt: today },
+          status: { $ne: 'paid' },
+          overdueNotifiedAt: null
+        }
+      }
+    });
+
+    let overdueInstallmentCount = 0;
+
+    for (const receipt of receiptsWithOverdueInstallments) {
+      const { schedule, currency } = receipt.payment;
+
+      for (const [index, installment] of schedule.entries()) {
+        if (
+          installment.dueDate >= today ||
+          installment.status === 'paid' ||
+          installment.overdueNotifiedAt
+        ) {
+          continue;
+        }
+
+        const outstanding = installment.amount - installment.amountPaid;
+        const stakeholderIds = getStakeholderIds(receipt);
+
+        await Notification.create({
+          userId: stakeholderIds[0],
+          recipientUserIds: stakeholderIds,
+          type: 'payment_overdue',
+          title: 'Installment Overdue',
+          message: `Installment ${index + 1} of ${schedule.length} for receipt ${receipt.receiptNumber} (${currency} ${outstanding.toLocaleString()} outstanding) was due on ${installment.dueDate.toLocaleDateString('en-GB')}`,
+          priority: 'high',
+          actionUrl: `/receipts/${receipt._id}`,
+          actionText: 'View Details',
+          notificationGroup: `payment_overdue_${receipt._id}_${installment._id}`,
+          metadata: {
+            documentType: 'Receipt',
+            documentId: receipt._id,
+            documentNumber: receipt.receiptNumber,
+            installmentId: installment._id,
+            installmentNumber: index + 1,
+            dueDate: installment.dueDate,
+            outstanding
+          }
+        });
+
+        await Receipt.updateOne(
+          { _id: receipt._id },
+          {
+            $set: {
+              'payment.status': 'overdue',
+              'payment.schedule.$[installment].status': 'overdue',
+              'payment.schedule.$[installment].overdueNotifiedAt': today
+            }
+          },
+          { arrayFilters: [{ 'installment._id': installment._id }] }
+        );
+
+        overdueInstallmentCount++;
+      }
+    }
+
+    if (overdueReceipts.length > 0 || overdueInstallmentCount > 0) {
+      console.log(
+        `💰 ${overdueReceipts.length} receipts and ${overdueInstallmentCount} installments are overdue`
+      );
     }
   }
 
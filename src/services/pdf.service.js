@@ -9,36 +9,17 @@ const puppeteerRegular = require('puppeteer');
 const fs = require('fs').promises;
 const path = require('path');
 const cloudinary = require('../config/cloudinary.config');
+const Settings = require('../models/Settings.model');
 
 class PDFService {
   constructor() {
     this.browser = null;
-    this.companyInfo = {
-      name:
-        process.env.COMPANY_NAME ||
-        'Aces Movers and Relocation Company Limited',
-      address:
-        process.env.COMPANY_ADDRESS ||
-        'Kigowa2 Kulambiro Kisaasi Ring Road 83AD, Kampala, Uganda',
-      phone: process.env.COMPANY_PHONE || '+256 778 259191',
-      phoneSecondary: process.env.COMPANY_PHONE_SECONDARY || '+256 725 711730',
-      email: process.env.SUPPORT_EMAIL || 'infor@acesmovers.com',
-      website: process.env.COMPANY_WEBSITE || 'acesmovers.com',
-      poBox: 'P.O. Box 12345, Kampala', // Keep as placeholder
-      tin: 'TIN: 1000123456', // Keep as placeholder
-      registration: 'REG: 123456789' // Keep as placeholder
-    };
-    this.paymentInfo = {
-      bankName: process.env.BANK_NAME || 'EQUITY BANK - NTINDA',
-      bankAccountName: process.env.BANK_ACCOUNT_NAME || 'KAMOGA GEOFREY',
-      bankAccountNumber: process.env.BANK_ACCOUNT_NUMBER || '1044102306223',
-      bankSwiftCode: process.env.BANK_SWIFT_CODE || 'EQBLUGKA',
-      bankSortCode: process.env.BANK_SORT_CODE || '100137',
-      mobileMoneyAccountName:
-        process.env.MOBILE_MONEY_ACCOUNT_NAME || 'KAMOGA GEOFREY',
-      mobileMoneyMTN: process.env.MOBILE_MONEY_MTN || '0778259191',
-      mobileMoneyAirtel: process.env.MOBILE_MONEY_AIRTEL || '0745711730'
-    };
+    // Pages are reused across PDFs; at most maxPages render at once
+    this.maxPages = parseInt(process.env.PDF_MAX_CONCURRENT_PAGES, 10) || 3;
+    this.openPages = new Set();
+    this.pendingPageCount = 0;
+    this.idlePages = [];
+    this.pageWaiters = [];
   }
 
   /**
@@ -73,6 +54,16 @@ class PDFService {
           ignoreHTTPSErrors: true
         });
       }
+
+      // Pages die with the browser, so start the pool again on the next launch
+      const browser = this.browser;
+      browser.on('disconnected', () => {
+        if (this.browser === browser) {
+          this.browser = null;
+          this.openPages.clear();
+          this.idlePages = [];
+        }
+      });
     }
     return this.browser;
   }
@@ -82,11 +73,100 @@ class PDFService {
    */
   async closeBrowser() {
     if (this.browser) {
-      await this.browser.close();
+      const browser = this.browser;
       this.browser = null;
+      this.openPages.clear();
+      this.idlePages = [];
+      await browser.close();
+    }
+  }
+
+  /**
+   * Take a page from the pool, opening one if below maxPages or waiting for
+   * one to be released otherwise
+   */
+  async acquirePage() {
+    while (this.idlePages.length > 0) {
+      const page = this.idlePages.pop();
+      if (this.openPages.has(page) && !page.isClosed()) return page;
+      this.openPages.delete(page);
+    }
+
+    if (this.openPages.size + this.pendingPageCount < this.maxPages) {
+      this.pendingPageCount++;
+      try {
+        const browser = await this.getBrowser();
+        const page = await browser.newPage();
+        this.openPages.add(page);
+        return page;
+      } finally {
+        this.pendingPageCount--;
+      }
+    }
+
+    return new Promise(resolve => this.pageWaiters.push(resolve));
+  }
+
+  /**
+   * Return a page to the pool, handing it straight to a waiting caller
+   * Broken pages are closed and their slot freed
+   */
+  async releasePage(page, { broken = false } = {}) {
+    if (broken || !this.openPages.has(page) || page.isClosed()) {
+      this.openPages.delete(page);
+      await page.close().catch(() => {});
+
+      // Let the next waiter open a fresh page in the freed slot
+      const waiter = this.pageWaiters.shift();
+      if (waiter) waiter(this.acquirePage());
+      return;
+    }
+
+    const waiter = this.pageWaiters.shift();
+    if (waiter) {
+      waiter(page);
+    } else {
+      this.idlePages.push(page);
     }
   }
 
+  /**
+   * Run a function with a pooled page
+   */
+  async withPage(fn) {
+    const page = await this.acquirePage();
+    let broken = false;
+
+    try {
+      return await fn(page);
+    } catch (error) {
+      broken = true;
+      throw error;
+    } finally {
+      await this.releasePage(page, { broken });
+    }
+  }
+
+  /**
+   * Render HTML to an A4 PDF buffer on a pooled page
+   */
+  async renderPDF(html) {
+    return this.withPage(async page => {
+      await page.setContent(html, { waitUntil: 'networkidle0' });
+
+      return page.pdf({
+        format: 'A4',
+        printBackground: true,
+        margin: {
+          top: '20mm',
+          right: '15mm',
+          bottom: '20mm',
+          left: '15mm'
+        }
+      });
+    });
+  }
+
   /**
    * Format currency amount
    */
@@ -121,9 +201,14 @@ class PDFService {
   }
 
   /**
-   * Generate company logo for quotation HTML
+   * Get the logo image source: the uploaded company logo, or the bundled SVG
+   * as a data URI when none has been uploaded
    */
-  async generateCompanyLogoForQuotation() {
+  async getLogoSrc(settings) {
+    if (settings.logo?.url) {
+      return settings.logo.url;
+    }
+
     // Try multiple possible paths for the logo
     const possiblePaths = [
       path.join(process.cwd(), 'backend', 'public', 'img', 'Aces_logo.svg'),
@@ -134,46 +219,65 @@ class PDFService {
     for (const logoPath of possiblePaths) {
       try {
         const logoBuffer = await fs.readFile(logoPath);
-        const logoBase64 = `data:image/svg+xml;base64,${logoBuffer.toString('base64')}`;
-        console.log(`Logo loaded successfully from: ${logoPath}`);
-        return `<div class="company-logo">
-          <img src="${logoBase64}" alt="AcesMovers Logo" class="logo-img" />
-        </div>`;
+        return `data:image/svg+xml;base64,${logoBuffer.toString('base64')}`;
       } catch (error) {
-        console.log(`Logo not found at: ${logoPath}`);
+        // Continue trying other paths
       }
     }
 
     console.log(
       'Logo file not found in any expected location, proceeding without logo'
     );
-    return '<div class="company-logo"></div>';
+    return '';
   }
 
   /**
-   * Generate company header HTML
+   * Generate the company stamp shown beside the signature, if one is uploaded
    */
-  async generateCompanyHeader() {
-    const logoPath = path.join(process.cwd(), 'public', 'img', 'Aces_logo.svg');
-    let logoBase64 = '';
+  generateStampHTML(settings) {
+    if (!settings.stamp?.url) {
+      return '';
+    }
 
-    try {
-      const logoBuffer = await fs.readFile(logoPath);
-      logoBase64 = `data:image/svg+xml;base64,${logoBuffer.toString('base64')}`;
-    } catch (error) {
-      console.log('Logo file not found, proceeding without logo');
+    return `<div class="company-stamp" style="margin-top: 10px;">
+      <img src="${settings.stamp.url}" alt="Company Stamp" style="max-width: 110px; max-height: 110px;" />
+    </div>`;
+  }
+
+  /**
+   * Generate company logo for quotation HTML
+   */
+  async generateCompanyLogoForQuotation(settings) {
+    const logoSrc = await this.getLogoSrc(settings);
+
+    if (!logoSrc) {
+      return '<div class="company-logo"></div>';
     }
 
+    return `<div class="company-logo">
+      <img src="${logoSrc}" alt="${settings.company.name} Logo" class="logo-img" />
+    </div>`;
+  }
+
+  /**
+   * Generate company header HTML
+   */
+  async generateCompanyHeader() {
+    const settings = await Settings.getSettings();
+    const { company } = settings;
+    const logoSrc = await this.getLogoSrc(settings);
+
     return `
       <div class="company-header">
         <div class="company-logo">
-          ${logoBase64 ? `<img src="${logoBase64}" alt="${this.companyInfo.name}" class="logo-img" />` : `<h1>${this.companyInfo.name}</h1>`}
+          ${logoSrc ? `<img src="${logoSrc}" alt="${company.name}" class="logo-img" />` : `<h1>${company.name}</h1>`}
         </div>
         <div class="company-details">
-          <p><strong>${this.companyInfo.address}</strong></p>
-          <p>Tel: ${this.companyInfo.phone} / ${this.companyInfo.phoneSecondary}</p>
-          <p>Email: ${this.companyInfo.email}</p>
-          <p>Website: ${this.companyInfo.website}</p>
+          <p><strong>${company.address}</strong></p>
+          ${company.poBox ? `<p>${company.poBox}</p>` : ''}
+          <p>Tel: ${[company.phone, company.phoneSecondary].filter(Boolean).join(' / ')}</p>
+          <p>Email: ${company.email}</p>
+          <p>Website: ${company.website}</p>
         </div>
       </div>
     `;
@@ -181,85 +285,61 @@ class PDFService {
 
   /**
    * Generate quotation PDF
+   * @param {Object} quotation - Quotation document or version snapshot
+   * @param {Object} options
+   * @param {Object} options.settings - Company settings to render with instead
+   *   of the current ones, e.g. the branding stored on a sent version
    */
-  async generateQuotationPDF(quotation) {
-    const browser = await this.getBrowser();
-    const page = await browser.newPage();
-
-    try {
-      // Populate the createdBy field with signature data (only if it's a Mongoose document)
-      if (quotation.populate && typeof quotation.populate === 'function') {
-        await quotation.populate(
-          'createdBy',
-          'fullName phonePrimary address signature'
-        );
-      }
-
-      const html = await this.generateQuotationHTML(quotation);
-
-      await page.setContent(html, { waitUntil: 'networkidle0' });
+  async generateQuotationPDF(quotation, options = {}) {
+    // Populate the createdBy field with signature data (only if it's a Mongoose document)
+    if (quotation.populate && typeof quotation.populate === 'function') {
+      await quotation.populate(
+        'createdBy',
+        'fullName phonePrimary address signature'
+      );
+    }
 
-      const pdf = await page.pdf({
-        format: 'A4',
-        printBackground: true,
-        margin: {
-          top: '20mm',
-          right: '15mm',
-          bottom: '20mm',
-          left: '15mm'
-        }
-      });
+    const html = await this.generateQuotationHTML(quotation, options);
 
-      return pdf;
-    } finally {
-      await page.close();
-    }
+    return this.renderPDF(html);
   }
 
   /**
    * Generate receipt PDF
    */
   async generateReceiptPDF(receipt) {
-    const browser = await this.getBrowser();
-    const page = await browser.newPage();
-
-    try {
-      // Populate the createdBy field with signature data and payment history receivedBy (only if it's a Mongoose document)
-      if (receipt.populate && typeof receipt.populate === 'function') {
-        await receipt.populate([
-          {
-            path: 'createdBy',
-            select: 'fullName phonePrimary address signature'
-          },
-          { path: 'payment.paymentHistory.receivedBy', select: 'fullName' }
-        ]);
-      }
+    // Populate the createdBy field with signature data and payment history receivedBy (only if it's a Mongoose document)
+    if (receipt.populate && typeof receipt.populate === 'function') {
+      await receipt.populate([
+        {
+          path: 'createdBy',
+          select: 'fullName phonePrimary address signature'
+        },
+        { path: 'payment.paymentHistory.receivedBy', select: 'fullName' }
+      ]);
+    }
 
-      const html = await this.generateReceiptHTML(receipt);
+    const html = await this.generateReceiptHTML(receipt);
 
-      await page.setContent(html, { waitUntil: 'networkidle0' });
+    return this.renderPDF(html);
+  }
 
-      const pdf = await page.pdf({
-        format: 'A4',
-        printBackground: true,
-        margin: {
-          top: '20mm',
-          right: '15mm',
-          bottom: '20mm',
-          left: '15mm'
-        }
-      });
+  /**
+   * Generate client statement of account PDF
+   * @param {Object} statement - Statement from statement.service
+   */
+  async generateStatementPDF(statement) {
+    const html = await this.generateStatementHTML(statement);
 
-      return pdf;
-    } finally {
-      await page.close();
-    }
+    return this.renderPDF(html);
   }
 
   /**
    * Generate quotation HTML template
    */
-  async generateQuotationHTML(quotation) {
+  async generateQuotationHTML(quotation, options = {}) {
+    const settings = options.settings || (await Settings.getSettings());
+    const { company, bankDetails } = settings;
     const movingDate = quotation.locations?.movingDate
       ? this.formatDate(quotation.locations.movingDate)
       : '';
@@ -301,8 +381,8 @@ class PDFService {
           <!-- Header Top Section -->
           <div class="header-top">
             <div class="header-left-top">
-              ${await this.generateCompanyLogoForQuotation()}
-              <div class="company-name">Aces Movers and Relocation Company Limited</div>
+              ${await this.generateCompanyLogoForQuotation(settings)}
+              <div class="company-name">${company.name}</div>
             </div>
             <div class="header-right-top">
               <div class="quotation-title">QUOTATION</div>
@@ -312,12 +392,12 @@ class PDFService {
           <!-- Header Bottom Section -->
           <div class="header-bottom">
             <div class="company-info">
-              <p>Kigowa2 Kulambiro Kisasi Ring Road 83AD</p>
-              <p>Kampala, Uganda.</p>
-              <p class="email">info@acesmovers.com</p>
-              <p class="phone">+256 778 259191</p>
-              <p class="phone">+256 725 711730</p>
-              <p class="website">acesmovers.com</p>
+              <p>${company.address}</p>
+              ${company.poBox ? `<p>${company.poBox}</p>` : ''}
+              <p class="email">${company.email}</p>
+              <p class="phone">${company.phone}</p>
+              ${company.phoneSecondary ? `<p class="phone">${company.phoneSecondary}</p>` : ''}
+              <p class="website">${company.website}</p>
             </div>
             <div class="quotation-box">
               <div class="info-row">
@@ -351,6 +431,10 @@ class PDFService {
           </div>
 
           <!-- Services Section -->
+          ${
+            quotation.options?.length > 0
+              ? this.generateQuotationOptionsHTML(quotation)
+              : `
           <div class="services-section">
             <table class="services-table">
               <thead>
@@ -369,23 +453,24 @@ class PDFService {
               <span class="total-label">Grand Total</span>
               <span class="total-amount">${grandTotal}</span>
             </div>
-          </div>
+          </div>`
+          }
 
           <!-- Payment Details Section -->
           <div class="payment-section">
             <div class="bank-section">
               <div class="payment-header mobile-header">Bank Details</div>
-              <div class="payment-row"><span class="pay-label">Account Number:</span> <span>${this.paymentInfo.bankAccountNumber}</span></div>
-              <div class="payment-row"><span class="pay-label">Account Name:</span> <span>${this.paymentInfo.bankAccountName}</span></div>
-              <div class="payment-row"><span class="pay-label">Bank Name:</span> <span>${this.paymentInfo.bankName}</span></div>
-              <div class="payment-row"><span class="pay-label">Swift Code:</span> <span>${this.paymentInfo.bankSwiftCode}</span></div>
-              <div class="payment-row"><span class="pay-label">Sort Code:</span> <span>${this.paymentInfo.bankSortCode}</span></div>
+              <div class="payment-row"><span class="pay-label">Account Number:</span> <span>${bankDetails.bankAccountNumber}</span></div>
+              <div class="payment-row"><span class="pay-label">Account Name:</span> <span>${bankDetails.bankAccountName}</span></div>
+              <div class="payment-row"><span class="pay-label">Bank Name:</span> <span>${bankDetails.bankName}</span></div>
+              <div class="payment-row"><span class="pay-label">Swift Code:</span> <span>${bankDetails.bankSwiftCode}</span></div>
+              <div class="payment-row"><span class="pay-label">Sort Code:</span> <span>${bankDetails.bankSortCode}</span></div>
             </div>
             <div class="mobile-section">
               <div class="payment-header mobile-header">MOBILE MONEY</div>
-              <div class="payment-row">KAMOGA GEOFREY</div>
-              <div class="payment-row">${this.paymentInfo.mobileMoneyMTN}</div>
-              <div class="payment-row">${this.paymentInfo.mobileMoneyAirtel}</div>
+              <div class="payment-row">${bankDetails.mobileMoneyAccountName}</div>
+              <div class="payment-row">${bankDetails.mobileMoneyMTN}</div>
+              <div class="payment-row">${bankDetails.mobileMoneyAirtel}</div>
             </div>
           </div>
 
@@ -400,11 +485,25 @@ class PDFService {
               : ''
           }
 
+          ${
+            quotation.termsAndConditions
+              ? `
+          <div class="note-section">
+            <div class="note-header">TERMS AND CONDITIONS:</div>
+            <div class="note-text">${quotation.termsAndConditions.replace(/\n/g, '<br>')}</div>
+          </div>`
+              : ''
+          }
+
+          ${this.generateStampHTML(settings)}
+
           <!-- Footer Section -->
           <div class="footer-section">
             <div class="footer-message">Thank you for the support. We look forward to working with you in the future.</div>
           </div>
         </div>
+
+        ${this.generateInventoryAppendixHTML(quotation)}
       </body>
       </html>
     `;
@@ -546,12 +645,15 @@ class PDFService {
             </table>
           </div>
 
+          ${this.generatePaymentScheduleHTML(receipt)}
+
           <!-- Footer Section -->
           <div class="footer-info">
             <div class="payment-info">
               <div class="payment-row"><span class="payment-label">Payment Mode:</span> <span class="payment-value">${paymentMode}</span></div>
               <div class="payment-row"><span class="payment-label">Received By:</span> <span class="payment-value">${receivedBy}</span></div>
               <div class="payment-row"><span class="payment-label">Signature:</span> <span class="payment-value">${signatureHTML}</span></div>
+              ${this.generateStampHTML(await Settings.getSettings())}
             </div>
           </div>
 
@@ -588,23 +690,9 @@ class PDFService {
       ? `<img src="${receipt.createdBy.signature.data}" alt="Signature" style="max-width: 80px; max-height: 30px;" />`
       : '';
 
-    // Try multiple possible paths for the logo
-    const possiblePaths = [
-      path.join(process.cwd(), 'backend', 'public', 'img', 'Aces_logo.svg'),
-      path.join(__dirname, '..', '..', 'public', 'img', 'Aces_logo.svg'),
-      path.join(process.cwd(), 'public', 'img', 'Aces_logo.svg')
-    ];
-
-    let logoBase64 = '';
-    for (const logoPath of possiblePaths) {
-      try {
-        const logoBuffer = await fs.readFile(logoPath);
-        logoBase64 = `data:image/svg+xml;base64,${logoBuffer.toString('base64')}`;
-        break;
-      } catch (error) {
-        // Continue trying other paths
-      }
-    }
+    const settings = await Settings.getSettings();
+    const { company } = settings;
+    const logoSrc = await this.getLogoSrc(settings);
 
     // Format services for display
     const services = receipt.services || [];
@@ -652,7 +740,7 @@ class PDFService {
           <!-- Header Section -->
           <div class="header-section">
             <div class="header-left">
-              ${logoBase64 ? `<img src="${logoBase64}" alt="AcesMovers" class="logo" />` : ''}
+              ${logoSrc ? `<img src="${logoSrc}" alt="${company.name}" class="logo" />` : ''}
             </div>
             <div class="header-right">
               <h1 class="receipt-title">RECEIPT</h1>
@@ -661,16 +749,16 @@ class PDFService {
 
           <!-- Company Info -->
           <div class="company-info">
-            <div class="company-name">Aces Movers and Relocation Company Limited</div>
+            <div class="company-name">${company.name}</div>
             <div class="company-address">
-              <p>Kigowa2 Kulambiro Kisaasi Ring Road 83AD</p>
-              <p>Kampala, Uganda.</p>
+              <p>${company.address}</p>
+              ${company.poBox ? `<p>${company.poBox}</p>` : ''}
             </div>
             <div class="company-contact">
-              <p class="email">infor@acesmovers.com</p>
-              <p class="phone">+256 778 259191</p>
-              <p class="phone">+256 725 711730</p>
-              <p class="website">acesmovers.com</p>
+              <p class="email">${company.email}</p>
+              <p class="phone">${company.phone}</p>
+              ${company.phoneSecondary ? `<p class="phone">${company.phoneSecondary}</p>` : ''}
+              <p class="website">${company.website}</p>
             </div>
           </div>
 
@@ -727,6 +815,8 @@ class PDFService {
             </table>
           </div>
 
+          ${this.generatePaymentScheduleHTML(receipt)}
+
           <!-- Payment Info Section -->
           <div class="payment-section">
             <div class="payment-row">
@@ -741,6 +831,7 @@ class PDFService {
               <span class="payment-label">Signature:</span>
               <span class="payment-value signature-value">${signatureHTML}</span>
             </div>
+            ${this.generateStampHTML(settings)}
           </div>
 
           <!-- Thank You Message -->
@@ -779,23 +870,9 @@ class PDFService {
       ? `<img src="${receipt.createdBy.signature.data}" alt="Signature" style="max-width: 80px; max-height: 30px;" />`
       : '';
 
-    // Try multiple possible paths for the logo
-    const possiblePaths = [
-      path.join(process.cwd(), 'backend', 'public', 'img', 'Aces_logo.svg'),
-      path.join(__dirname, '..', '..', 'public', 'img', 'Aces_logo.svg'),
-      path.join(process.cwd(), 'public', 'img', 'Aces_logo.svg')
-    ];
-
-    let logoBase64 = '';
-    for (const logoPath of possiblePaths) {
-      try {
-        const logoBuffer = await fs.readFile(logoPath);
-        logoBase64 = `data:image/svg+xml;base64,${logoBuffer.toString('base64')}`;
-        break;
-      } catch (error) {
-        // Continue trying other paths
-      }
-    }
+    const settings = await Settings.getSettings();
+    const { company } = settings;
+    const logoSrc = await this.getLogoSrc(settings);
 
     // Format amounts
     const commitmentFeePaid = this.formatCurrency(
@@ -832,7 +909,7 @@ class PDFService {
           <!-- Header Section -->
           <div class="header-section">
             <div class="header-left">
-              ${logoBase64 ? `<img src="${logoBase64}" alt="AcesMovers" class="logo" />` : ''}
+              ${logoSrc ? `<img src="${logoSrc}" alt="${company.name}" class="logo" />` : ''}
             </div>
             <div class="header-right">
               <h1 class="receipt-title">RECEIPT</h1>
@@ -841,16 +918,16 @@ class PDFService {
 
           <!-- Company Info -->
           <div class="company-info">
-            <div class="company-name">Aces Movers and Relocation Company Limited</div>
+            <div class="company-name">${company.name}</div>
             <div class="company-address">
-              <p>Kigowa2 Kulambiro Kisaasi Ring Road 83AD</p>
-              <p>Kampala, Uganda.</p>
+              <p>${company.address}</p>
+              ${company.poBox ? `<p>${company.poBox}</p>` : ''}
             </div>
             <div class="company-contact">
-              <p class="email">infor@acesmovers.com</p>
-              <p class="phone">+256 778 259191</p>
-              <p class="phone">+256 725 711730</p>
-              <p class="website">acesmovers.com</p>
+              <p class="email">${company.email}</p>
+              <p class="phone">${company.phone}</p>
+              ${company.phoneSecondary ? `<p class="phone">${company.phoneSecondary}</p>` : ''}
+              <p class="website">${company.website}</p>
             </div>
           </div>
 
@@ -928,6 +1005,8 @@ class PDFService {
             </table>
           </div>
 
+          ${this.generatePaymentScheduleHTML(receipt)}
+
           <!-- Payment Info Section -->
           <div class="payment-section">
             <div class="payment-row">
@@ -942,6 +1021,7 @@ class PDFService {
               <span class="payment-label">Signature:</span>
               <span class="payment-value signature-value">${signatureHTML}</span>
             </div>
+            ${this.generateStampHTML(settings)}
           </div>
 
           <!-- Thank You Message -->
@@ -977,23 +1057,9 @@ class PDFService {
       ? `<img src="${receipt.createdBy.signature.data}" alt="Signature" style="max-width: 80px; max-height: 30px;" />`
       : '';
 
-    // Try multiple possible paths for the logo
-    const possiblePaths = [
-      path.join(process.cwd(), 'backend', 'public', 'img', 'Aces_logo.svg'),
-      path.join(__dirname, '..', '..', 'public', 'img', 'Aces_logo.svg'),
-      path.join(process.cwd(), 'public', 'img', 'Aces_logo.svg')
-    ];
-
-    let logoBase64 = '';
-    for (const logoPath of possiblePaths) {
-      try {
-        const logoBuffer = await fs.readFile(logoPath);
-        logoBase64 = `data:image/svg+xml;base64,${logoBuffer.toString('base64')}`;
-        break;
-      } catch (error) {
-        // Continue trying other paths
-      }
-    }
+    const settings = await Settings.getSettings();
+    const { company } = settings;
+    const logoSrc = await this.getLogoSrc(settings);
 
     // Format amounts
     const totalCostForMoving = this.formatCurrency(
@@ -1022,7 +1088,7 @@ class PDFService {
           <!-- Header Section -->
           <div class="header-section">
             <div class="header-left">
-              ${logoBase64 ? `<img src="${logoBase64}" alt="AcesMovers" class="logo" />` : ''}
+              ${logoSrc ? `<img src="${logoSrc}" alt="${company.name}" class="logo" />` : ''}
             </div>
             <div class="header-right">
               <h1 class="receipt-title">RECEIPT</h1>
@@ -1031,16 +1097,16 @@ class PDFService {
 
           <!-- Company Info -->
           <div class="company-info">
-            <div class="company-name">Aces Movers and Relocation Company Limited</div>
+            <div class="company-name">${company.name}</div>
             <div class="company-address">
-              <p>Kigowa2 Kulambiro Kisaasi Ring Road 83AD</p>
-              <p>Kampala, Uganda.</p>
+              <p>${company.address}</p>
+              ${company.poBox ? `<p>${company.poBox}</p>` : ''}
             </div>
             <div class="company-contact">
-              <p class="email">infor@acesmovers.com</p>
-              <p class="phone">+256 778 259191</p>
-              <p class="phone">+256 725 711730</p>
-              <p class="website">acesmovers.com</p>
+              <p class="email">${company.email}</p>
+              <p class="phone">${company.phone}</p>
+              ${company.phoneSecondary ? `<p class="phone">${company.phoneSecondary}</p>` : ''}
+              <p class="website">${company.website}</p>
             </div>
           </div>
 
@@ -1102,6 +1168,8 @@ class PDFService {
             </table>
           </div>
 
+          ${this.generatePaymentScheduleHTML(receipt)}
+
           <!-- Payment Info Section -->
           <div class="payment-section">
             <div class="payment-row">
@@ -1116,6 +1184,7 @@ class PDFService {
               <span class="payment-label">Signature:</span>
               <span class="payment-value signature-value">${signatureHTML}</span>
             </div>
+            ${this.generateStampHTML(settings)}
           </div>
 
           <!-- Thank You Message -->
@@ -1154,23 +1223,9 @@ class PDFService {
       ? `<img src="${receipt.createdBy.signature.data}" alt="Signature" style="max-width: 80px; max-height: 30px;" />`
       : '';
 
-    // Try multiple possible paths for the logo
-    const possiblePaths = [
-      path.join(process.cwd(), 'backend', 'public', 'img', 'Aces_logo.svg'),
-      path.join(__dirname, '..', '..', 'public', 'img', 'Aces_logo.svg'),
-      path.join(process.cwd(), 'public', 'img', 'Aces_logo.svg')
-    ];
-
-    let logoBase64 = '';
-    for (const logoPath of possiblePaths) {
-      try {
-        const logoBuffer = await fs.readFile(logoPath);
-        logoBase64 = `data:image/svg+xml;base64,${logoBuffer.toString('base64')}`;
-        break;
-      } catch (error) {
-        // Continue trying other paths
-      }
-    }
+    const settings = await Settings.getSettings();
+    const { company } = settings;
+    const logoSrc = await this.getLogoSrc(settings);
 
     // Format amounts
     const commitmentFeePaid = this.formatCurrency(
@@ -1207,7 +1262,7 @@ class PDFService {
           <!-- Header Section -->
           <div class="header-section">
             <div class="header-left">
-              ${logoBase64 ? `<img src="${logoBase64}" alt="AcesMovers" class="logo" />` : ''}
+              ${logoSrc ? `<img src="${logoSrc}" alt="${company.name}" class="logo" />` : ''}
             </div>
             <div class="header-right">
               <h1 class="receipt-title">RECEIPT</h1>
@@ -1216,16 +1271,16 @@ class PDFService {
 
           <!-- Company Info -->
           <div class="company-info">
-            <div class="company-name">Aces Movers and Relocation Company Limited</div>
+            <div class="company-name">${company.name}</div>
             <div class="company-address">
-              <p>Kigowa2 Kulambiro Kisaasi Ring Road 83AD</p>
-              <p>Kampala, Uganda.</p>
+              <p>${company.address}</p>
+              ${company.poBox ? `<p>${company.poBox}</p>` : ''}
             </div>
             <div class="company-contact">
-              <p class="email">infor@acesmovers.com</p>
-              <p class="phone">+256 778 259191</p>
-              <p class="phone">+256 725 711730</p>
-              <p class="website">acesmovers.com</p>
+              <p class="email">${company.email}</p>
+              <p class="phone">${company.phone}</p>
+              ${company.phoneSecondary ? `<p class="phone">${company.phoneSecondary}</p>` : ''}
+              <p class="website">${company.website}</p>
             </div>
           </div>
 
@@ -1303,6 +1358,8 @@ class PDFService {
             </table>
           </div>
 
+          ${this.generatePaymentScheduleHTML(receipt)}
+
           <!-- Payment Info Section -->
           <div class="payment-section">
             <div class="payment-row">
@@ -1317,6 +1374,7 @@ class PDFService {
               <span class="payment-label">Signature:</span>
               <span class="payment-value signature-value">${signatureHTML}</span>
             </div>
+            ${this.generateStampHTML(settings)}
           </div>
 
           <!-- Thank You Message -->
@@ -1329,6 +1387,370 @@ class PDFService {
     `;
   }
 
+  /**
+   * Generate client statement of account HTML template
+   */
+  async generateStatementHTML(statement) {
+    const { client, period, currencies } = statement;
+    const { company, bankDetails } = await Settings.getSettings();
+    const periodLabel =
+      period.startDate || period.endDate
+        ? `${period.startDate ? this.formatDate(period.startDate) : 'Start'} - ${this.formatDate(period.endDate || statement.generatedAt)}`
+        : `All activity to ${this.formatDate(statement.generatedAt)}`;
+
+    const formatAmount = (amount, currency) =>
+      amount ? this.formatCurrency(amount, currency) : '';
+
+    // One table per currency, each with its own running balance
+    const currencySections = currencies
+      .map(currency => {
+        const rows = statement.entries
+          .filter(entry => entry.currency === currency)
+          .map(
+            (entry, index) => `
+          <tr class="${index % 2 === 0 ? '' : 'row-alt'} ${entry.type === 'quotation' ? 'row-info' : ''}">
+            <td>${this.formatDate(entry.date)}</td>
+            <td>${entry.reference}</td>
+            <td>${entry.description}${entry.type === 'quotation' ? ` - ${this.formatCurrency(entry.amount, currency)}` : ''}</td>
+            <td class="text-right">${formatAmount(entry.debit, currency)}</td>
+            <td class="text-right">${formatAmount(entry.credit, currency)}</td>
+            <td class="text-right">${this.formatCurrency(entry.balance, currency)}</td>
+          </tr>
+        `
+          )
+          .join('');
+
+        const totals = statement.totals[currency] || { charged: 0, paid: 0 };
+        const closing = statement.closingBalances[currency] || 0;
+
+        return `
+        <div class="statement-section">
+          <h3>Account Activity (${currency})</h3>
+          <table class="services-table statement-table">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Reference</th>
+                <th>Description</th>
+                <th class="text-right">Charges</th>
+                <th class="text-right">Payments</th>
+                <th class="text-right">Balance</th>
+              </tr>
+            </thead>
+            <tbody>
+              <tr class="row-opening">
+                <td colspan="5"><strong>Opening Balance</strong></td>
+                <td class="text-right"><strong>${this.formatCurrency(statement.openingBalances[currency] || 0, currency)}</strong></td>
+              </tr>
+              ${rows || '<tr><td colspan="6" class="text-center">No activity in this period</td></tr>'}
+            </tbody>
+          </table>
+          <table class="pricing-table">
+            <tr><td>Total Charges:</td><td class="text-right">${this.formatCurrency(totals.charged, currency)}</td></tr>
+            <tr><td>Total Payments:</td><td class="text-right">${this.formatCurrency(totals.paid, currency)}</td></tr>
+            <tr class="balance-row"><td><strong>${closing > 0 ? 'Balance Due' : 'Balance'}:</strong></td><td class="text-right"><strong>${this.formatCurrency(closing, currency)}</strong></td></tr>
+          </table>
+        </div>
+      `;
+      })
+      .join('');
+
+    return `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Statement of Account - ${client.name}</title>
+        <style>
+          ${this.getCommonStyles()}
+          ${this.getStatementStyles()}
+        </style>
+      </head>
+      <body>
+        ${await this.generateCompanyHeader()}
+
+        <div class="document-title">
+          <h2>STATEMENT OF ACCOUNT</h2>
+        </div>
+
+        <div class="document-info">
+          <div class="info-section">
+            <h3>Client Information</h3>
+            <table class="info-table">
+              ${client.company ? `<tr><td><strong>Company:</strong></td><td>${client.company}</td></tr>` : ''}
+              <tr><td><strong>Name:</strong></td><td>${client.name}</td></tr>
+              <tr><td><strong>Phone:</strong></td><td>${client.phone}</td></tr>
+              ${client.email ? `<tr><td><strong>Email:</strong></td><td>${client.email}</td></tr>` : ''}
+              ${client.address ? `<tr><td><strong>Address:</strong></td><td>${client.address}</td></tr>` : ''}
+            </table>
+          </div>
+
+          <div class="info-section">
+            <h3>Statement Details</h3>
+            <table class="info-table">
+              <tr><td><strong>Period:</strong></td><td>${periodLabel}</td></tr>
+              <tr><td><strong>Issued:</strong></td><td>${this.formatDate(statement.generatedAt)}</td></tr>
+            </table>
+          </div>
+        </div>
+
+        ${currencySections || '<p class="text-center">No quotations or receipts found for this client.</p>'}
+
+        <div class="payment-info-section">
+          <h3>Payment Details</h3>
+          <div class="payment-methods">
+            <div class="payment-method">
+              <h4>Bank Transfer</h4>
+              <p>${bankDetails.bankName}</p>
+              <p>Account Name: ${bankDetails.bankAccountName}</p>
+              <p>Account Number: ${bankDetails.bankAccountNumber}</p>
+              <p>Swift Code: ${bankDetails.bankSwiftCode}</p>
+            </div>
+            <div class="payment-method">
+              <h4>Mobile Money</h4>
+              <p>${bankDetails.mobileMoneyAccountName}</p>
+              <p>MTN: ${bankDetails.mobileMoneyMTN}</p>
+              <p>Airtel: ${bankDetails.mobileMoneyAirtel}</p>
+            </div>
+          </div>
+        </div>
+
+        <div class="footer">
+          <p>Quotations are listed for reference and are not charged until a receipt is issued.</p>
+          <p>${company.name} | ${company.phone} | ${company.email}</p>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Generate the package options of a quotation side by side, in place of
+   * the single services table. Services are matched across options by name.
+   */
+  generateQuotationOptionsHTML(quotation) {
+    const { options } = quotation;
+    const { currency, taxRate } = quotation.pricing;
+    const selectedId = quotation.selectedOption?.optionId?.toString();
+
+    const serviceNames = [
+      ...new Set(
+        options.flatMap(option => option.services.map(service => service.name))
+      )
+    ];
+
+    const headerCells = options
+      .map(option => {
+        const isSelected = option._id?.toString() === selectedId;
+        return `
+                  <th class="option-column${isSelected ? ' option-selected' : ''}">
+                    ${option.name}${isSelected ? ' <span class="option-badge">Selected</span>' : ''}
+                    ${option.description ? `<div class="option-description">${option.description}</div>` : ''}
+                  </th>`;
+      })
+      .join('');
+
+    const serviceRows = serviceNames
+      .map((name, index) => {
+        const cells = options
+          .map(option => {
+            const lines = option.services.filter(
+              service => service.name === name
+            );
+            return `<td class="option-amount">${
+              lines.length > 0
+                ? this.formatCurrency(
+                    lines.reduce((sum, service) => sum + service.total, 0),
+                    currency
+                  )
+                : '<span class="option-excluded">Not included</span>'
+            }</td>`;
+          })
+          .join('');
+
+        return `
+                <tr class="${index % 2 === 0 ? 'row-white' : 'row-gray'}">
+                  <td class="service-name">${name}</td>
+                  ${cells}
+                </tr>`;
+      })
+      .join('');
+
+    const pricingRow = (label, field, className) => `
+                <tr class="${className}">
+                  <td>${label}</td>
+                  ${options
+                    .map(
+                      option =>
+                        `<td class="option-amount">${this.formatCurrency(option.pricing[field] || 0, currency)}</td>`
+                    )
+                    .join('')}
+                </tr>`;
+
+    const hasDiscount = options.some(option => option.pricing.discount > 0);
+
+    return `
+          <div class="services-section">
+            <table class="services-table options-table">
+              <thead>
+                <tr>
+                  <th class="col-service">Services</th>
+                  ${headerCells}
+                </tr>
+              </thead>
+              <tbody>
+                ${serviceRows}
+                ${pricingRow('Subtotal', 'subtotal', 'option-pricing-row')}
+                ${hasDiscount ? pricingRow('Discount', 'discount', 'option-pricing-row') : ''}
+                ${taxRate > 0 ? pricingRow(`Tax (${Math.round(taxRate * 10000) / 100}%)`, 'taxAmount', 'option-pricing-row') : ''}
+                ${pricingRow('Total', 'totalAmount', 'option-total-row')}
+              </tbody>
+            </table>
+          </div>
+    `;
+  }
+
+  /**
+   * Generate the inventory appendix printed after the quotation
+   * Returns an empty string for quotations without an inventory
+   */
+  generateInventoryAppendixHTML(quotation) {
+    const rooms = quotation.inventory?.rooms || [];
+    if (rooms.length === 0) return '';
+
+    const { summary } = quotation.inventory;
+
+    const roomsHTML = rooms
+      .map(room => {
+        const roomVolume =
+          Math.round(
+            room.items.reduce(
+              (sum, item) => sum + item.volume * item.quantity,
+              0
+            ) * 100
+          ) / 100;
+
+        const itemsHTML = room.items
+          .map(
+            item => `
+              <tr>
+                <td>${item.name}${item.isFragile ? ' <span class="inventory-fragile">(Fragile)</span>' : ''}</td>
+                <td class="inventory-number">${item.quantity}</td>
+                <td class="inventory-number">${item.volume}</td>
+                <td class="inventory-number">${Math.round(item.volume * item.quantity * 100) / 100}</td>
+              </tr>`
+          )
+          .join('');
+
+        return `
+          <h4>${room.name} <span class="inventory-room-volume">${roomVolume} m³</span></h4>
+          <table>
+            <thead>
+              <tr>
+                <th>Item</th>
+                <th class="inventory-number">Qty</th>
+                <th class="inventory-number">m³ each</th>
+                <th class="inventory-number">m³ total</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${itemsHTML}
+            </tbody>
+          </table>`;
+      })
+      .join('');
+
+    return `
+      <style>
+        .inventory-appendix { page-break-before: always; padding: 20px; font-size: 11px; }
+        .inventory-appendix h3 { font-size: 14px; margin: 0 0 4px; color: #1e3a8a; }
+        .inventory-appendix h4 { font-size: 12px; margin: 12px 0 4px; }
+        .inventory-appendix .inventory-room-volume { font-weight: normal; color: #6b7280; }
+        .inventory-appendix .inventory-summary { margin: 6px 0 10px; }
+        .inventory-appendix .inventory-summary span { margin-right: 16px; }
+        .inventory-appendix table { width: 100%; border-collapse: collapse; }
+        .inventory-appendix th, .inventory-appendix td { border: 1px solid #d1d5db; padding: 4px 6px; text-align: left; }
+        .inventory-appendix th { background: #f3f4f6; font-weight: 600; }
+        .inventory-appendix .inventory-number { text-align: right; width: 70px; }
+        .inventory-appendix .inventory-fragile { color: #b91c1c; font-weight: 600; }
+      </style>
+      <div class="inventory-appendix">
+        <h3>Appendix: Inventory for Quotation ${quotation.quotationNumber}</h3>
+        <div class="inventory-summary">
+          <span><strong>Total volume:</strong> ${summary.totalVolume} m³</span>
+          <span><strong>Items:</strong> ${summary.itemCount}</span>
+          <span><strong>Fragile items:</strong> ${summary.fragileItemCount}</span>
+          <span><strong>Trucks:</strong> ${summary.vehicleCount} × ${summary.vehicleCapacity} m³</span>
+          <span><strong>Crew:</strong> ${summary.crewSize}</span>
+        </div>
+        ${roomsHTML}
+      </div>
+    `;
+  }
+
+  /**
+   * Generate the installment plan table shown on receipts
+   * Returns an empty string for receipts without a payment schedule
+   */
+  generatePaymentScheduleHTML(receipt) {
+    const schedule = receipt.payment?.schedule || [];
+    if (schedule.length === 0) return '';
+
+    const currency = receipt.payment.currency || 'UGX';
+    const statusLabels = {
+      pending: 'Pending',
+      partial: 'Part paid',
+      paid: 'Paid',
+      overdue: 'Overdue'
+    };
+
+    const rowsHTML = schedule
+      .map(
+        (installment, index) => `
+          <tr>
+            <td>${index + 1}</td>
+            <td>${installment.description || `Installment ${index + 1}`}</td>
+            <td>${this.formatDate(installment.dueDate)}</td>
+            <td class="schedule-amount">${this.formatCurrency(installment.amount, currency)}</td>
+            <td class="schedule-amount">${this.formatCurrency(installment.amountPaid || 0, currency)}</td>
+            <td class="schedule-status schedule-${installment.status}">${statusLabels[installment.status] || installment.status}</td>
+          </tr>`
+      )
+      .join('');
+
+    return `
+      <style>
+        .payment-schedule { margin: 15px 0; font-size: 11px; }
+        .payment-schedule h3 { font-size: 13px; margin: 0 0 6px; color: #1e3a8a; }
+        .payment-schedule table { width: 100%; border-collapse: collapse; }
+        .payment-schedule th, .payment-schedule td { border: 1px solid #d1d5db; padding: 4px 6px; text-align: left; }
+        .payment-schedule th { background: #f3f4f6; font-weight: 600; }
+        .payment-schedule .schedule-amount { text-align: right; }
+        .payment-schedule .schedule-paid { color: #15803d; font-weight: 600; }
+        .payment-schedule .schedule-overdue { color: #b91c1c; font-weight: 600; }
+      </style>
+      <div class="payment-schedule">
+        <h3>Payment Schedule</h3>
+        <table>
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Description</th>
+              <th>Due Date</th>
+              <th class="schedule-amount">Amount</th>
+              <th class="schedule-amount">Paid</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rowsHTML}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
   /**
    * Get one-time receipt-specific CSS styles matching the PDF design
    */
@@ -2591,6 +3013,49 @@ class PDFService {
         color: #22C55E;  /* Green matching logo */
       }
 
+      /* Package Options */
+      .options-table .option-column {
+        text-align: right;
+        padding-right: 15px;
+      }
+
+      .options-table .option-selected {
+        background-color: #15803d;
+      }
+
+      .option-badge {
+        font-size: 8px;
+        text-transform: uppercase;
+        padding: 1px 4px;
+        border: 1px solid white;
+        border-radius: 3px;
+      }
+
+      .option-description {
+        font-size: 8px;
+        margin-top: 2px;
+      }
+
+      .options-table tbody td.option-amount {
+        text-align: right;
+        padding-right: 15px;
+      }
+
+      .option-excluded {
+        color: #9ca3af;
+      }
+
+      .options-table .option-pricing-row td {
+        border-top: 1px solid #e5e7eb;
+      }
+
+      .options-table .option-total-row td {
+        border-top: 2px solid #e5e7eb;
+        font-size: 11px;
+        font-weight: bold;
+        color: #22C55E;
+      }
+
       /* Payment Section */
       .payment-section {
         display: flex;
@@ -3319,6 +3784,48 @@ class PDFService {
     `;
   }
 
+  /**
+   * Get statement of account CSS styles (used with the common styles)
+   */
+  getStatementStyles() {
+    return `
+      .statement-section {
+        margin: 20px 0;
+        page-break-inside: auto;
+      }
+
+      .statement-section h3 {
+        font-size: 14px;
+        color: #2563eb;
+        margin-bottom: 10px;
+        border-bottom: 1px solid #e5e7eb;
+        padding-bottom: 3px;
+      }
+
+      .statement-table tr {
+        page-break-inside: avoid;
+      }
+
+      .statement-table .row-alt td {
+        background-color: #f9fafb;
+      }
+
+      .statement-table .row-info td {
+        color: #6b7280;
+        font-style: italic;
+      }
+
+      .statement-table .row-opening td {
+        background-color: #eff6ff;
+      }
+
+      .pricing-table .balance-row td {
+        -webkit-print-color-adjust: exact;
+        color-adjust: exact;
+      }
+    `;
+  }
+
   /**
    * Upload PDF to Cloudinary
    */
@@ -3356,8 +3863,8 @@ class PDFService {
   /**
    * Generate and upload quotation PDF
    */
-  async generateAndUploadQuotationPDF(quotation) {
-    const pdfBuffer = await this.generateQuotationPDF(quotation);
+  async generateAndUploadQuotationPDF(quotation, options = {}) {
+    const pdfBuffer = await this.generateQuotationPDF(quotation, options);
     const fileName = `quotation_${quotation.quotationNumber}_${Date.now()}`;
 
     const uploadResult = await this.uploadPDFToCloudinary(
@@ -0,0 +1,263 @@
+/**
+ * Price Deviation Service
+ * Compares quotation line items priced from the service catalog with the
+ * catalog price they were priced against
+ */
+
+const { Quotation, ServiceCatalogItem, User } = require('../models');
+const { toCsvRow } = require('../utils/csv');
+
+const round = amount => Math.round(amount * 100) / 100;
+
+// Most override lines listed individually in one report
+const MAX_OVERRIDE_LINES = 500;
+
+class PriceDeviationService {
+  /**
+   * Build the price deviation report
+   * Amounts are never summed across currencies, so every row is per currency
+   * @param {Object} filter - Base quotation filter (ownership, period, type)
+   * @param {Object} options
+   * @param {string} options.currency - Only lines in this currency
+   * @param {ObjectId} options.catalogItemId - Only lines for this item
+   * @returns {Promise<Object>} { byItem, byCreator, overrides }
+   */
+  async getPriceDeviationReport(filter = {}, options = {}) {
+    const lineFilter = { catalogItemId: { $ne: null } };
+    if (options.currency) lineFilter.currency = options.currency;
+    if (options.catalogItemId) lineFilter.catalogItemId = options.catalogItemId;
+
+    const [grouped] = await Quotation.aggregate([
+      { $match: filter },
+      { $unwind: '$services' },
+      {
+        $project: {
+          quotationNumber: 1,
+          createdBy: 1,
+          createdAt: 1,
+          moveType: '$type',
+          currency: '$pricing.currency',
+          catalogItemId: '$services.catalogItemId',
+          name: '$services.name',
+          quantity: '$services.quantity',
+          unitPrice: '$services.unitPrice',
+          catalogUnitPrice: '$services.catalogUnitPrice',
+          isPriceOverride: { $ifNull: ['$services.isPriceOverride', false] },
+          // Difference per unit; quantity-weighted below
+          deviation: {
+            $cond: [
+              { $eq: [{ $type: '$services.catalogUnitPrice' }, 'missing'] },
+              null,
+              {
+                $subtract: ['$services.unitPrice', '$services.catalogUnitPrice']
+              }
+            ]
+          }
+        }
+      },
+      { $match: lineFilter },
+      {
+        $facet: {
+          byItem: [
+            {
+              $group: {
+                _id: {
+                  catalogItemId: '$catalogItemId',
+                  currency: '$currency',
+                  moveType: '$moveType'
+                },
+                lineCount: { $sum: 1 },
+                overrideCount: { $sum: { $cond: ['$isPriceOverride', 1, 0] } },
+                avgCatalogUnitPrice: { $avg: '$catalogUnitPrice' },
+                avgUnitPrice: { $avg: '$unitPrice' },
+                minUnitPrice: { $min: '$unitPrice' },
+                maxUnitPrice: { $max: '$unitPrice' },
+                amountDeviation: {
+                  $sum: {
+                    $multiply: [{ $ifNull: ['$deviation', 0] }, '$quantity']
+                  }
+                }
+              }
+            }
+          ],
+          byCreator: [
+            {
+              $group: {
+                _id: { createdBy: '$createdBy', currency: '$currency' },
+                lineCount: { $sum: 1 },
+                overrideCount: { $sum: { $cond: ['$isPriceOverride', 1, 0] } },
+                amountDeviation: {
+                  $sum: {
+                    $multiply: [{ $ifNull: ['$deviation', 0] }, '$quantity']
+                  }
+                }
+              }
+            }
+          ],
+          overrides: [
+            { $match: { isPriceOverride: true } },
+            {
+              $addFields: {
+                absoluteDeviation: {
+                  $abs: {
+                    $multiply: [{ $ifNull: ['$deviation', 0] }, '$quantity']
+                  }
+                }
+              }
+            },
+            { $sort: { absoluteDeviation: -1, createdAt: -1 } },
+            { $limit: MAX_OVERRIDE_LINES }
+          ]
+        }
+      }
+    ]);
+
+    // Resolve catalog items and creators for display
+    const itemIds = [
+      ...new Set(grouped.byItem.map(row => row._id.catalogItemId.toString()))
+    ];
+    const userIds = [
+      ...new Set([
+        ...grouped.byCreator.map(row => row._id.createdBy.toString()),
+        ...grouped.overrides.map(line => line.createdBy.toString())
+      ])
+    ];
+
+    const [items, users] = await Promise.all([
+      ServiceCatalogItem.find({ _id: { $in: itemIds } })
+        .select('code name unit isActive')
+        .lean(),
+      User.find({ _id: { $in: userIds } })
+        .select('fullName email')
+        .lean()
+    ]);
+
+    const itemsById = new Map(items.map(item => [item._id.toString(), item]));
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    const getItem = id =>
+      itemsById.get(id.toString()) || { _id: id, code: null, name: null };
+    const getUser = id => usersById.get(id.toString()) || { _id: id };
+    const percentOf = (amount, base) =>
+      base ? round((amount / base) * 100) : null;
+
+    const byItem = grouped.byItem
+      .map(row => ({
+        item: getItem(row._id.catalogItemId),
+        currency: row._id.currency,
+        moveType: row._id.moveType,
+        lineCount: row.lineCount,
+        overrideCount: row.overrideCount,
+        overrideRate: percentOf(row.overrideCount, row.lineCount),
+        avgCatalogUnitPrice:
+          row.avgCatalogUnitPrice === null
+            ? null
+            : round(row.avgCatalogUnitPrice),
+        avgUnitPrice: round(row.avgUnitPrice),
+        minUnitPrice: row.minUnitPrice,
+        maxUnitPrice: row.maxUnitPrice,
+        avgDeviationPercent:
+          row.avgCatalogUnitPrice === null
+            ? null
+            : percentOf(
+                row.avgUnitPrice - row.avgCatalogUnitPrice,
+                row.avgCatalogUnitPrice
+              ),
+        amountDeviation: round(row.amountDeviation)
+      }))
+      .sort(
+        (a, b) =>
+          a.currency.localeCompare(b.currency) ||
+          b.overrideCount - a.overrideCount
+      );
+
+    const byCreator = grouped.byCreator
+      .map(row => ({
+        createdBy: getUser(row._id.createdBy),
+        currency: row._id.currency,
+        lineCount: row.lineCount,
+        overrideCount: row.overrideCount,
+        overrideRate: percentOf(row.overrideCount, row.lineCount),
+        amountDeviation: round(row.amountDeviation)
+      }))
+      .sort(
+        (a, b) =>
+          a.currency.localeCompare(b.currency) ||
+          b.overrideCount - a.overrideCount
+      );
+
+    const overrides = grouped.overrides.map(line => ({
+      quotationId: line._id,
+      quotationNumber: line.quotationNumber,
+      createdAt: line.createdAt,
+      createdBy: getUser(line.createdBy),
+      item: getItem(line.catalogItemId),
+      name: line.name,
+      currency: line.currency,
+      moveType: line.moveType,
+      quantity: line.quantity,
+      unitPrice: line.unitPrice,
+      catalogUnitPrice: line.catalogUnitPrice ?? null,
+      deviation: line.deviation,
+      deviationPercent:
+        line.deviation === null
+          ? null
+          : percentOf(line.deviation, line.catalogUnitPrice),
+      amountDeviation:
+        line.deviation === null ? null : round(line.deviation * line.quantity)
+    }));
+
+    return {
+      generatedAt: new Date(),
+      byItem,
+      byCreator,
+      overrides,
+      overridesTruncated: overrides.length === MAX_OVERRIDE_LINES
+    };
+  }
+
+  /**
+   * Flatten the override lines of the report into CSV
+   * @param {Object} report - Report from getPriceDeviationReport
+   * @returns {string} CSV text
+   */
+  toCsv(report) {
+    const header = [
+      'Quotation Number',
+      'Created At',
+      'Created By',
+      'Catalog Code',
+      'Service',
+      'Move Type',
+      'Currency',
+      'Quantity',
+      'Catalog Unit Price',
+      'Quoted Unit Price',
+      'Deviation per Unit',
+      'Deviation %',
+      'Total Deviation'
+    ];
+
+    const rows = report.overrides.map(line => [
+      line.quotationNumber,
+      new Date(line.createdAt).toISOString(),
+      line.createdBy.fullName || line.createdBy._id,
+      line.item.code,
+      line.name,
+      line.moveType,
+      line.currency,
+      line.quantity,
+      line.catalogUnitPrice,
+      line.unitPrice,
+      line.deviation,
+      line.deviationPercent,
+      line.amountDeviation
+    ]);
+
+    return [header, ...rows].map(toCsvRow).join('');
+  }
+}
+
+// Export singleton instance
+const priceDeviationService = new PriceDeviationService();
+module.exports = priceDeviationService;
@@ -0,0 +1,211 @@
+/**
+ * Quotation Conversion Service
+ * Converts a quotation into a commitment, final or one-time receipt in a
+ * single transaction, for staff conversions and client portal acceptance
+ */
+
+const mongoose = require('mongoose');
+const { Quotation, Receipt, Client } = require('../models');
+const AuditService = require('./audit.service');
+const logger = require('../utils/logger');
+
+/**
+ * Build receipt data from a quotation for the requested receipt type
+ * Amounts follow the same rules createReceipt applies to each type
+ */
+const buildReceiptFromQuotation = (quotation, options) => {
+  const {
+    receiptNumber,
+    receiptType,
+    commitmentFeePaid = 0,
+    finalPaymentReceived,
+    payment = {},
+    notes,
+    createdBy
+  } = options;
+
+  const quotedTotal = quotation.pricing.totalAmount;
+  const receiptData = {
+    receiptNumber,
+    receiptType,
+    moveType: quotation.type.toLowerCase(),
+    quotationId: quotation._id,
+    clientId: quotation.clientId,
+    client: {
+      name: quotation.client.name,
+      phone: quotation.client.phone,
+      email: quotation.client.email,
+      gender: quotation.client.gender
+    },
+    locations: {
+      from: quotation.locations.from,
+      to: quotation.locations.to,
+      movingDate: quotation.locations.movingDate
+    },
+    services: quotation.services.map(service => ({
+      description: `${service.name}: ${service.description}`.slice(0, 500),
+      amount: service.unitPrice,
+      quantity: service.quantity,
+      total: service.total
+    })),
+    notes: notes || quotation.notes,
+    createdBy
+  };
+
+  let totalAmount;
+  let amountPaid;
+
+  if (receiptType === 'commitment') {
+    receiptData.commitmentFeePaid = commitmentFeePaid;
+    receiptData.totalMovingAmount = quotedTotal;
+    totalAmount = quotedTotal;
+    amountPaid = commitmentFeePaid;
+  } else if (receiptType === 'final') {
+    // Default the final payment to whatever the commitment fee left unpaid
+    const finalPayment =
+      finalPaymentReceived !== undefined
+        ? finalPaymentReceived
+        : Math.max(0, quotedTotal - commitmentFeePaid);
+
+    receiptData.commitmentFeePaid = commitmentFeePaid;
+    receiptData.finalPaymentReceived = finalPayment;
+    totalAmount = commitmentFeePaid + finalPayment;
+    amountPaid = totalAmount; // Final receipt means fully paid
+  } else {
+    receiptData.totalMovingAmount = quotedTotal;
+    totalAmount = quotedTotal;
+    amountPaid = quotedTotal; // One-time payment means fully paid
+  }
+
+  receiptData.payment = {
+    ...payment,
+    currency: quotation.pricing.currency,
+    totalAmount,
+    amountPaid,
+    balance: totalAmount - amountPaid
+  };
+
+  return receiptData;
+};
+
+class QuotationConversionService {
+  /**
+   * Convert a quotation to a receipt
+   * @param {ObjectId} quotationId - Quotation to convert
+   * @param {Object} options - receiptType, commitmentFeePaid,
+   *   finalPaymentReceived, payment and notes for the receipt
+   * @param {Object} actor - { userId, ipAddress, userAgent, source }; userId
+   *   becomes the receipt's creator
+   * @returns {Promise<Document>} The new receipt
+   * @throws {Error} With statusCode 409 if the quotation is already converted
+   */
+  async convert(quotationId, options, actor) {
+    const { receiptType } = options;
+
+    // Receipt numbers come from a counter outside the transaction, so an
+    // aborted conversion only leaves a gap in the sequence
+    const receiptNumber = await Receipt.generateReceiptNumber(receiptType);
+
+    const session = await mongoose.startSession();
+    let quotation;
+    let receipt;
+
+    try {
+      await session.withTransaction(async () => {
+        // Re-read inside the transaction so concurrent conversions conflict
+        quotation = await Quotation.findById(quotationId).session(session);
+        if (!quotation || quotation.validity.status === 'converted') {
+          const conflict = new Error('Quotation has already been converted');
+          conflict.statusCode = 409;
+          throw conflict;
+        }
+
+        // Quotations created before client records existed are linked now
+        if (!quotation.clientId) {
+          const client = await Client.resolveForDocument(
+            null,
+            quotation.client,
+            actor.userId,
+            { session }
+          );
+          quotation.clientId = client._id;
+        }
+
+        receipt = new Receipt(
+          buildReceiptFromQuotation(quotation, {
+            ...options,
+            receiptNumber,
+            createdBy: actor.userId
+          })
+        );
+        await receipt.save({ session });
+
+        // The moving date may have passed since the quotation was issued, so
+        // only validate the fields the conversion touches
+        await quotation.convertToReceipt(receipt._id, actor.userId, {
+          session,
+          validateModifiedOnly: true
+        });
+
+        await AuditService.logDocumentEvent(
+          'QUOTATION_CONVERTED',
+          'Quotation',
+          quotation._id,
+          actor.userId,
+          actor.ipAddress,
+          {
+            quotationNumber: quotation.quotationNumber,
+            receiptId: receipt._id,
+            receiptNumber: receipt.receiptNumber,
+            receiptType,
+            ...(actor.source && { source: actor.source })
+          },
+          { session, userAgent: actor.userAgent }
+        );
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    await this.notifyConverted(quotation, actor.userId);
+
+    return receipt;
+  }
+
+  /**
+   * Notify admins and the quotation creator about a conversion
+   */
+  async notifyConverted(quotation, actorId) {
+    try {
+      const User = require('../models/User.model');
+      const Notification = require('../models/Notification.model');
+
+      const admins = await User.find({ role: 'admin', status: 'active' });
+      const stakeholderIds = new Set([
+        ...admins.map(admin => admin._id.toString()),
+        quotation.createdBy.toString()
+      ]);
+
+      await Notification.createDocumentNotification(
+        'quotation_converted',
+        'Quotation',
+        quotation._id,
+        quotation.quotationNumber,
+        actorId,
+        Array.from(stakeholderIds).map(
+          userId => new mongoose.Types.ObjectId(userId)
+        )
+      );
+    } catch (notifError) {
+      logger.error(
+        'Failed to send quotation conversion notification:',
+        notifError
+      );
+      // Don't fail the conversion if notification fails
+    }
+  }
+}
+
+// Export singleton instance
+const quotationConversionService = new QuotationConversionService();
+module.exports = quotationConversionService;
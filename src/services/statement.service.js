@@ -0,0 +1,270 @@
+/**
+ * Statement Service
+ * Builds a client's statement of account from their quotations, receipts and
+ * receipt payment history, including refunds, credits and claim payouts
+ */
+
+const { Quotation, Receipt } = require('../models');
+
+// Order of entries sharing the same timestamp
+const ENTRY_ORDER = {
+  quotation: 0,
+  receipt: 1,
+  payment: 2,
+  credit: 3,
+  refund: 4,
+  claim_payout: 5,
+  adjustment: 6
+};
+
+const round = amount => Math.round(amount * 100) / 100;
+
+const capitalize = value =>
+  value ? value.charAt(0).toUpperCase() + value.slice(1) : '';
+
+class StatementService {
+  /**
+   * Turn quotations and receipts into unsorted statement entries
+   * Quotations and claim payouts are listed for reference only and do not
+   * affect the balance
+   */
+  buildEntries(quotations, receipts) {
+    const entries = [];
+
+    for (const quotation of quotations) {
+      entries.push({
+        date: quotation.createdAt,
+        type: 'quotation',
+        reference: quotation.quotationNumber,
+        documentId: quotation._id,
+        description: `Quotation issued (${quotation.type} move)`,
+        currency: quotation.pricing.currency,
+        amount: quotation.pricing.totalAmount,
+        debit: 0,
+        credit: 0
+      });
+    }
+
+    for (const receipt of receipts) {
+      const { currency } = receipt.payment;
+      const paymentHistory = (receipt.payment.paymentHistory || []).filter(
+        payment => !payment.voided
+      );
+      const balanceHistory = paymentHistory.filter(
+        payment => payment.type !== 'claim_payout'
+      );
+      const receiptType = receipt.receiptType.replace('_', ' ');
+
+      entries.push({
+        date: receipt.createdAt,
+        type: 'receipt',
+        reference: receipt.receiptNumber,
+        documentId: receipt._id,
+        receiptType: receipt.receiptType,
+        quotationId: receipt.quotationId,
+        description: `${capitalize(receiptType)} receipt issued`,
+        currency,
+        debit: receipt.payment.totalAmount,
+        credit: 0
+      });
+
+      // Amounts paid when the receipt was issued are not in paymentHistory
+      const historyTotal = balanceHistory.reduce(
+        (sum, payment) =>
+          sum + (payment.type === 'refund' ? -payment.amount : payment.amount),
+        0
+      );
+      const paidAtIssue = round(receipt.payment.amountPaid - historyTotal);
+
+      if (paidAtIssue > 0) {
+        entries.push({
+          date: receipt.createdAt,
+          type: 'payment',
+          reference: receipt.receiptNumber,
+          documentId: receipt._id,
+          description: 'Payment received with receipt',
+          method: receipt.payment.method,
+          currency,
+          debit: 0,
+          credit: paidAtIssue
+        });
+      }
+
+      for (const payment of paymentHistory) {
+        if (payment.type === 'claim_payout') {
+          entries.push({
+            date: payment.date,
+            type: 'claim_payout',
+            reference: receipt.receiptNumber,
+            documentId: receipt._id,
+            paymentId: payment._id,
+            description: `Claim payout${payment.notes ? `: ${payment.notes}` : ''}`,
+            method: payment.method,
+            currency,
+            amount: payment.amount,
+            debit: 0,
+            credit: 0
+          });
+          continue;
+        }
+
+        const isRefund = payment.type === 'refund';
+        const descriptions = {
+          payment: `Payment received${payment.reference ? ` (${payment.reference})` : ''}`,
+          refund: `Refund${payment.notes ? `: ${payment.notes}` : ''}`,
+          credit: `Credit${payment.notes ? `: ${payment.notes}` : ''}`
+        };
+
+        entries.push({
+          date: payment.date,
+          type: payment.type || 'payment',
+          reference: receipt.receiptNumber,
+          documentId: receipt._id,
+          paymentId: payment._id,
+          description: descriptions[payment.type || 'payment'],
+          method: payment.method,
+          currency,
+          debit: isRefund ? payment.amount : 0,
+          credit: isRefund ? 0 : payment.amount
+        });
+      }
+    }
+
+    return entries.sort(
+      (a, b) =>
+        new Date(a.date) - new Date(b.date) ||
+        ENTRY_ORDER[a.type] - ENTRY_ORDER[b.type]
+    );
+  }
+
+  /**
+   * Build a chronological statement with running balances per currency
+   * @param {Object} client - Client document
+   * @param {Object} options - { startDate, endDate, createdBy }; createdBy
+   *   limits the statement to documents created by that user
+   * @returns {Promise<Object>} Statement
+   */
+  async buildClientStatement(client, options = {}) {
+    const { startDate, endDate, createdBy } = options;
+
+    const filter = { clientId: client._id };
+    if (createdBy) filter.createdBy = createdBy;
+    if (endDate) filter.createdAt = { $lte: endDate };
+
+    const [quotations, receipts] = await Promise.all([
+      Quotation.find(filter)
+        .select('quotationNumber type pricing createdAt')
+        .lean(),
+      Receipt.find(filter)
+        .select('receiptNumber receiptType quotationId payment createdAt')
+        .lean()
+    ]);
+
+    const balances = {};
+    const openingBalances = {};
+    const totals = {};
+    const outstandingByReceipt = new Map();
+    const entries = [];
+
+    const apply = entry => {
+      const { currency } = entry;
+      const date = new Date(entry.date);
+      if (endDate && date > endDate) return;
+
+      const change = round(entry.debit - entry.credit);
+      balances[currency] = round((balances[currency] || 0) + change);
+
+      if (startDate && date < startDate) {
+        openingBalances[currency] = balances[currency];
+        return;
+      }
+
+      totals[currency] = totals[currency] || { charged: 0, paid: 0 };
+      totals[currency].charged = round(totals[currency].charged + entry.debit);
+      totals[currency].paid = round(totals[currency].paid + entry.credit);
+
+      entries.push({ ...entry, balance: balances[currency] });
+    };
+
+    for (const entry of this.buildEntries(quotations, receipts)) {
+      apply(entry);
+
+      if (entry.type === 'quotation') continue;
+
+      const receiptId = entry.documentId.toString();
+      outstandingByReceipt.set(
+        receiptId,
+        round(
+          (outstandingByReceipt.get(receiptId) || 0) +
+            entry.debit -
+            entry.credit
+        )
+      );
+
+      // A final receipt covers the whole move, including the commitment fee,
+      // so the commitment receipt for the same quotation is settled by it
+      if (
+        entry.type === 'receipt' &&
+        entry.receiptType === 'final' &&
+        entry.quotationId
+      ) {
+        const commitments = receipts.filter(
+          receipt =>
+            receipt.receiptType === 'commitment' &&
+            receipt.quotationId?.toString() === entry.quotationId.toString() &&
+            receipt.createdAt <= entry.date
+        );
+
+        for (const commitment of commitments) {
+          const commitmentId = commitment._id.toString();
+          const outstanding = outstandingByReceipt.get(commitmentId) || 0;
+          if (outstanding <= 0) continue;
+
+          outstandingByReceipt.set(commitmentId, 0);
+          apply({
+            date: entry.date,
+            type: 'adjustment',
+            reference: commitment.receiptNumber,
+            documentId: commitment._id,
+            description: `Balance settled on final receipt ${entry.reference}`,
+            currency: commitment.payment.currency,
+            debit: 0,
+            credit: outstanding
+          });
+        }
+      }
+    }
+
+    // Currencies with activity only before the period still have a balance
+    for (const currency of Object.keys(balances)) {
+      if (openingBalances[currency] === undefined) {
+        openingBalances[currency] = 0;
+      }
+    }
+
+    return {
+      client: {
+        _id: client._id,
+        name: client.name,
+        phone: client.phone,
+        email: client.email,
+        company: client.company,
+        address: client.address
+      },
+      period: {
+        startDate: startDate || null,
+        endDate: endDate || null
+      },
+      currencies: Object.keys(balances),
+      openingBalances,
+      closingBalances: balances,
+      totals,
+      entries,
+      generatedAt: new Date()
+    };
+  }
+}
+
+// Export singleton instance
+const statementService = new StatementService();
+module.exports = statementService;
@@ -0,0 +1,174 @@
+/**
+ * Storage Billing Service
+ * Issues the monthly storage receipts for storage contracts
+ */
+
+const { Counter, Notification, Receipt } = require('../models');
+const logger = require('../utils/logger');
+
+class StorageBillingService {
+  /**
+   * Describe what a storage receipt charges for
+   */
+  describePeriod(contract, period) {
+    const location = contract.storageLocation
+      ? ` at ${contract.storageLocation}`
+      : '';
+    const proration =
+      period.billableDays < period.daysInMonth
+        ? ` (${period.billableDays} of ${period.daysInMonth} days)`
+        : '';
+
+    return `Storage of ${contract.volume} m³${location}, ${period.start.toDateString()} to ${period.end.toDateString()}${proration}`;
+  }
+
+  /**
+   * Build the receipt for one billing period
+   */
+  buildReceipt(contract, period, receiptNumber, issuedAt) {
+    const dueDate = new Date(issuedAt);
+    dueDate.setDate(dueDate.getDate() + contract.paymentTermsDays);
+
+    return {
+      receiptNumber,
+      receiptType: 'storage',
+      clientId: contract.clientId,
+      client: {
+        name: contract.client.name,
+        phone: contract.client.phone,
+        email: contract.client.email,
+        address: contract.client.address
+      },
+      storageContractId: contract._id,
+      billingPeriod: { start: period.start, end: period.end },
+      services: [
+        {
+          description: this.describePeriod(contract, period),
+          amount: period.amount,
+          quantity: 1,
+          total: period.amount
+        }
+      ],
+      payment: {
+        totalAmount: period.amount,
+        amountPaid: 0,
+        currency: contract.currency,
+        dueDate
+      },
+      notes: `Storage contract ${contract.contractNumber}`,
+      // Issued on behalf of whoever manages the contract
+      createdBy: contract.createdBy
+    };
+  }
+
+  /**
+   * Issue receipts for every period of a contract that has passed but not
+   * been billed, marking each period billed as it goes
+   * Fully suspended periods are marked billed without a receipt. A period
+   * already billed by an interrupted run is skipped before a receipt number
+   * is taken for it, so no number goes unused.
+   * @param {Object} contract - StorageContract document
+   * @param {Date} asOf - Periods ending before this day are billed
+   * @returns {Promise<Array>} Receipts issued
+   */
+  async billContract(contract, asOf = new Date()) {
+    const receipts = [];
+
+    for (const period of contract.getDuePeriods(asOf)) {
+      if (period.amount > 0) {
+        const alreadyBilled = await Receipt.exists({
+          storageContractId: contract._id,
+          'billingPeriod.start': period.start
+        });
+
+        if (alreadyBilled) {
+          this.warnAlreadyBilled(contract, period);
+        } else {
+          const { formattedNumber } =
+            await Counter.getNextSequence('storage_receipt');
+
+          try {
+            const receipt = await Receipt.create(
+              this.buildReceipt(contract, period, formattedNumber, asOf)
+            );
+            receipts.push(receipt);
+          } catch (error) {
+            // Another run billed the period since the check above
+            if (error.code !== 11000) throw error;
+            this.warnAlreadyBilled(contract, period);
+          }
+        }
+      }
+
+      contract.markBilled(period.end);
+      await contract.save();
+    }
+
+    // A contract ended before its next period has nothing left to bill
+    if (
+      contract.status !== 'ended' &&
+      contract.endDate &&
+      contract.getNextBillingDate() > contract.endDate
+    ) {
+      contract.status = 'ended';
+      await contract.save();
+    }
+
+    if (receipts.length > 0) {
+      await this.notifyIssued(contract, receipts);
+    }
+
+    return receipts;
+  }
+
+  /**
+   * Log a period skipped because a receipt was already issued for it
+   */
+  warnAlreadyBilled(contract, period) {
+    logger.warn(
+      `Storage contract ${contract.contractNumber} was already billed from ${period.start.toDateString()}`
+    );
+  }
+
+  /**
+   * Tell whoever manages the contract about the receipts issued for it
+   */
+  async notifyIssued(contract, receipts) {
+    try {
+      const total = receipts.reduce(
+        (sum, receipt) => sum + receipt.payment.totalAmount,
+        0
+      );
+      const numbers = receipts.map(receipt => receipt.receiptNumber);
+
+      await Notification.create({
+        userId: contract.createdBy,
+        recipientUserIds: [contract.createdBy],
+        type: 'storage_receipt_issued',
+        title: `Storage Receipt Issued: ${contract.client.name}`.slice(0, 100),
+        message: `${numbers.join(', ')} issued for storage contract ${contract.contractNumber}, totalling ${contract.currency} ${total.toLocaleString()}`,
+        priority: 'normal',
+        actionUrl:
+          receipts.length === 1
+            ? `/receipts/${receipts[0]._id}`
+            : `/storage-contracts/${contract._id}`,
+        actionText: receipts.length === 1 ? 'View Receipt' : 'View Contract',
+        metadata: {
+          system: true,
+          documentType: 'StorageContract',
+          documentId: contract._id,
+          documentNumber: contract.contractNumber,
+          receiptIds: receipts.map(receipt => receipt._id),
+          receiptNumbers: numbers
+        }
+      });
+    } catch (notifError) {
+      logger.error('Failed to send storage receipt notification:', notifError);
+      // Don't fail billing if notification fails
+    }
+  }
+}
+
+// Export singleton instance
+const storageBillingService = new StorageBillingService();
+module.exports = storageBillingService;
@@ -16,6 +16,7 @@ class UploadService {
       profilePhoto: 5 * 1024 * 1024, // 5MB
       logo: 10 * 1024 * 1024, // 10MB
       stamp: 5 * 1024 * 1024, // 5MB
+      claimPhoto: 10 * 1024 * 1024, // 10MB
       document: 50 * 1024 * 1024 // 50MB
     };
   }
@@ -59,6 +60,19 @@ class UploadService {
     });
   }
 
+  /**
+   * Get multer instance for damage claim photos
+   */
+  getClaimPhotoUpload() {
+    return multer({
+      storage: this.memoryStorage,
+      limits: {
+        fileSize: this.limits.claimPhoto
+      },
+      fileFilter: this.imageFileFilter
+    });
+  }
+
   /**
    * Get multer instance for documents
    */
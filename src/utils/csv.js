@@ -0,0 +1,31 @@
+/**
+ * CSV Utility Functions
+ * Builds CSV cells and rows for downloadable exports
+ */
+
+// Leading characters spreadsheet apps read as the start of a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Escape a value for a CSV cell
+ * Text that a spreadsheet would run as a formula is prefixed with a quote so
+ * it opens as plain text; numbers are left as they are.
+ */
+const toCsvValue = value => {
+  if (value === null || value === undefined) return '';
+  let text = value.toString();
+  if (typeof value !== 'number' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a newline-terminated CSV row
+ */
+const toCsvRow = values => `${values.map(toCsvValue).join(',')}\n`;
+
+module.exports = {
+  toCsvValue,
+  toCsvRow
+};
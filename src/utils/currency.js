@@ -0,0 +1,100 @@
+/**
+ * Currency Helpers
+ * Exchange-rate snapshots and conversion to the base currency, using the
+ * rates admins enter in settings.currency. No external rate service is used.
+ */
+
+/**
+ * Find a configured currency by code
+ * @param {Object} currencySettings - settings.currency
+ * @param {string} code - ISO 4217 code, e.g. 'EUR'
+ * @returns {Object|null} { code, name, rate, isActive }
+ */
+const findCurrency = (currencySettings, code) =>
+  currencySettings.currencies.find(currency => currency.code === code) || null;
+
+/**
+ * List the codes documents can be issued in
+ * @param {Object} currencySettings - settings.currency
+ * @returns {Array} Codes of the active currencies
+ */
+const getEnabledCurrencyCodes = currencySettings =>
+  currencySettings.currencies
+    .filter(currency => currency.isActive)
+    .map(currency => currency.code);
+
+/**
+ * Build the exchange-rate snapshot stored on a document
+ * @param {Object} currencySettings - settings.currency
+ * @param {string} code - Document currency
+ * @returns {Object|null} { baseCurrency, rate, capturedAt }, or null when the
+ *   currency is not enabled
+ */
+const buildRateSnapshot = (currencySettings, code) => {
+  const currency = findCurrency(currencySettings, code);
+  if (!currency || !currency.isActive) return null;
+
+  return {
+    baseCurrency: currencySettings.baseCurrency,
+    rate: currency.rate,
+    capturedAt: new Date()
+  };
+};
+
+/**
+ * Aggregation expression converting an amount to the base currency
+ * Documents use the rate captured when they were issued; documents without
+ * one, or captured against an earlier base currency, use the current rate.
+ * Amounts in a currency with no rate convert to null, which $sum skips.
+ * @param {Object} currencySettings - settings.currency
+ * @param {string} amountPath - e.g. '$pricing.totalAmount'
+ * @param {string} currencyPath - e.g. '$pricing.currency'
+ * @returns {Object} Aggregation expression
+ */
+const toBaseAmountExpression = (currencySettings, amountPath, currencyPath) => {
+  const currentRate = {
+    $switch: {
+      branches: currencySettings.currencies.map(currency => ({
+        case: { $eq: [currencyPath, currency.code] },
+        then: currency.rate
+      })),
+      default: null
+    }
+  };
+
+  return {
+    $multiply: [
+      amountPath,
+      {
+        $cond: [
+          {
+            $eq: ['$exchangeRate.baseCurrency', currencySettings.baseCurrency]
+          },
+          '$exchangeRate.rate',
+          currentRate
+        ]
+      }
+    ]
+  };
+};
+
+/**
+ * Convert an amount to the base currency with the current rate
+ * @param {Object} currencySettings - settings.currency
+ * @param {number} amount
+ * @param {string} code - Currency of the amount
+ * @returns {number|null} Rounded amount, or null when there is no rate
+ */
+const toBaseAmount = (currencySettings, amount, code) => {
+  const currency = findCurrency(currencySettings, code);
+  if (!currency) return null;
+  return Math.round(amount * currency.rate * 100) / 100;
+};
+
+module.exports = {
+  findCurrency,
+  getEnabledCurrencyCodes,
+  buildRateSnapshot,
+  toBaseAmountExpression,
+  toBaseAmount
+};
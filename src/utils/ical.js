@@ -0,0 +1,125 @@
+/**
+ * iCalendar Utility Functions
+ * Builds RFC 5545 calendars of all-day events for calendar feed subscriptions
+ */
+
+// Longest content line in octets before it is folded
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a value for a TEXT property
+ */
+const escapeText = value =>
+  value
+    .toString()
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line into 75-octet lines, continuations starting with a
+ * space, without splitting a multi-byte character
+ */
+const foldLine = line => {
+  const lines = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines lose one octet to the leading space
+    const limit = lines.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+    if (octets + size > limit) {
+      lines.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  lines.push(current);
+
+  return lines.join('\r\n ');
+};
+
+/**
+ * Format a date as an all-day DATE value, e.g. 20261102
+ * Dates are entered as calendar days and stored at midnight UTC, so the UTC
+ * day is the one that was entered
+ */
+const formatDate = date => date.toISOString().slice(0, 10).replace(/-/g, '');
+
+/**
+ * Format a moment as a UTC DATE-TIME value, e.g. 20261102T083000Z
+ */
+const formatDateTime = date =>
+  date
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+
+/**
+ * Build the lines of one all-day event
+ * @param {Object} event - { uid, date, summary, description, location, url,
+ *   categories }
+ * @param {Date} stamp - When the calendar was generated
+ */
+const buildEventLines = (event, stamp) => {
+  const nextDay = new Date(event.date);
+  nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDateTime(stamp)}`,
+    `DTSTART;VALUE=DATE:${formatDate(event.date)}`,
+    `DTEND;VALUE=DATE:${formatDate(nextDay)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+    event.description && `DESCRIPTION:${escapeText(event.description)}`,
+    event.location && `LOCATION:${escapeText(event.location)}`,
+    event.url && `URL:${event.url}`,
+    event.categories &&
+      `CATEGORIES:${event.categories.map(escapeText).join(',')}`,
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT'
+  ].filter(Boolean);
+};
+
+/**
+ * Build an iCalendar document of all-day events
+ * @param {Object} calendar
+ * @param {string} calendar.name - Name calendar apps show for the feed
+ * @param {string} calendar.productId - PRODID, e.g. -//Aces Movers//Calendar//EN
+ * @param {Array} calendar.events - [{ uid, date, summary, description,
+ *   location, url, categories }]
+ * @returns {string} CRLF-terminated calendar text
+ */
+const buildCalendar = ({ name, productId, events }) => {
+  const stamp = new Date();
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${productId}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    // Ask subscribed apps to refresh hourly
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    ...events.flatMap(event => buildEventLines(event, stamp)),
+    'END:VCALENDAR'
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatDate,
+  formatDateTime,
+  buildCalendar
+};
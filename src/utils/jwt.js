@@ -92,6 +92,77 @@ class JWTUtils {
     });
   }
 
+  /**
+   * Generate the token in a quotation's client portal link
+   * @param {Object} quotation - Quotation document
+   * @returns {string} Signed token; revoked by bumping portal.tokenVersion
+   */
+  static generateQuotationPortalToken(quotation) {
+    return jwt.sign(
+      { quotationId: quotation._id, version: quotation.portal.tokenVersion },
+      process.env.QUOTATION_PORTAL_SECRET || process.env.JWT_SECRET,
+      {
+        expiresIn: process.env.QUOTATION_PORTAL_LINK_EXPIRE || '60d',
+        issuer: process.env.COMPANY_NAME || 'Aces Movers',
+        audience: 'aces-movers-quotation-portal'
+      }
+    );
+  }
+
+  /**
+   * Verify a quotation client portal token
+   * @param {string} token - Token from the portal link
+   * @returns {Object} Decoded payload with quotationId and version
+   * @throws {Error} If token is invalid or expired
+   */
+  static verifyQuotationPortalToken(token) {
+    return jwt.verify(
+      token,
+      process.env.QUOTATION_PORTAL_SECRET || process.env.JWT_SECRET,
+      {
+        issuer: process.env.COMPANY_NAME || 'Aces Movers',
+        audience: 'aces-movers-quotation-portal'
+      }
+    );
+  }
+
+  /**
+   * Generate a calendar feed token
+   * Calendar apps keep polling the same URL, so the token does not expire
+   * @param {Object} user - User document
+   * @param {string} scope - 'own' for the user's documents, 'company' for
+   *   every document (admins only)
+   * @returns {string} Signed token; revoked by bumping
+   *   calendarFeed.tokenVersion
+   */
+  static generateCalendarFeedToken(user, scope) {
+    return jwt.sign(
+      { userId: user._id, version: user.calendarFeed.tokenVersion, scope },
+      process.env.CALENDAR_FEED_SECRET || process.env.JWT_SECRET,
+      {
+        issuer: process.env.COMPANY_NAME || 'Aces Movers',
+        audience: 'aces-movers-calendar-feed'
+      }
+    );
+  }
+
+  /**
+   * Verify a calendar feed token
+   * @param {string} token - Token from the feed URL
+   * @returns {Object} Decoded payload with userId, version and scope
+   * @throws {Error} If token is invalid
+   */
+  static verifyCalendarFeedToken(token) {
+    return jwt.verify(
+      token,
+      process.env.CALENDAR_FEED_SECRET || process.env.JWT_SECRET,
+      {
+        issuer: process.env.COMPANY_NAME || 'Aces Movers',
+        audience: 'aces-movers-calendar-feed'
+      }
+    );
+  }
+
   /**
    * Extract token from request headers
    * @param {Object} req - Express request object
@@ -0,0 +1,26 @@
+/**
+ * Logger Utility
+ * Writes application log messages to the console. Log through here rather
+ * than calling console directly, so where logs go can change in one place.
+ */
+
+/* eslint-disable no-console */
+
+const logger = {
+  /**
+   * Log progress and routine events
+   */
+  info: (...args) => console.log(...args),
+
+  /**
+   * Log something unexpected that did not stop the operation
+   */
+  warn: (...args) => console.warn(...args),
+
+  /**
+   * Log a failure
+   */
+  error: (...args) => console.error(...args)
+};
+
+module.exports = logger;
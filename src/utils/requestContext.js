@@ -0,0 +1,59 @@
+/**
+ * Request Context Utility
+ * Keeps the current Express request reachable from code that has no access
+ * to req (e.g. mongoose middleware) using AsyncLocalStorage
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+class RequestContext {
+  /**
+   * Express middleware that binds the request to the async call chain
+   * Mount after the body parsers: they resume on stream events, which would
+   * otherwise run outside the stored context
+   */
+  static middleware(req, res, next) {
+    RequestContext.run(req, next);
+  }
+
+  /**
+   * Run a callback bound to a request
+   * Used to re-enter the context from callbacks that lose it, such as
+   * multer's, which resume on stream events like the body parsers
+   * @param {Object} req - Express request object
+   * @param {Function} callback
+   */
+  static run(req, callback) {
+    return storage.run({ req }, callback);
+  }
+
+  /**
+   * Get the request currently being handled, if any
+   * @returns {Object|null} Express request object
+   */
+  static getRequest() {
+    return storage.getStore()?.req || null;
+  }
+
+  /**
+   * Get the authenticated user, IP and user agent of the current request
+   * @returns {Object|null} Actor info, or null outside an authenticated request
+   */
+  static getActor() {
+    const req = this.getRequest();
+
+    if (!req || !req.user) {
+      return null;
+    }
+
+    return {
+      userId: req.user._id,
+      ipAddress: req.ip || req.socket?.remoteAddress || 'localhost',
+      userAgent: req.get('User-Agent')?.slice(0, 500)
+    };
+  }
+}
+
+module.exports = RequestContext;
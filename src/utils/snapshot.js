@@ -0,0 +1,92 @@
+/**
+ * Document Snapshots
+ * Plain copies of selected document fields kept in version histories, and a
+ * field-level comparison between two copies
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Read a dotted path from a plain object
+ */
+const getSnapshotValue = (snapshot, path) =>
+  path
+    .split('.')
+    .reduce((current, key) => (current ? current[key] : undefined), snapshot);
+
+/**
+ * Copy the given paths of a document into a plain, JSON-safe object
+ * @param {Document} doc - Mongoose document
+ * @param {Array} paths - Top-level or dotted paths, e.g. 'payment.totalAmount'
+ * @returns {Object} Snapshot; dates become ISO strings and ids plain strings
+ */
+const buildSnapshot = (doc, paths) => {
+  const snapshot = {};
+
+  paths.forEach(path => {
+    const value = doc.get(path);
+    const plain =
+      value && typeof value.toObject === 'function'
+        ? value.toObject({ depopulate: true, virtuals: false })
+        : value;
+
+    const keys = path.split('.');
+    const parent = keys
+      .slice(0, -1)
+      .reduce((current, key) => (current[key] = current[key] || {}), snapshot);
+    parent[keys[keys.length - 1]] = plain;
+  });
+
+  // Round-trip through JSON so later edits never mutate the stored snapshot
+  return JSON.parse(JSON.stringify(snapshot));
+};
+
+/**
+ * Flatten a snapshot into dotted paths, walking into arrays of line items,
+ * e.g. { 'services.0.unitPrice': 50000 }. Subdocument ids are left out.
+ */
+const flattenSnapshot = (value, prefix = '', result = {}) => {
+  for (const [key, nested] of Object.entries(value || {})) {
+    if (key === '_id') continue;
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (
+      nested !== null &&
+      typeof nested === 'object' &&
+      !(nested instanceof Date) &&
+      !(nested instanceof mongoose.Types.ObjectId)
+    ) {
+      flattenSnapshot(nested, path, result);
+    } else {
+      result[path] = nested;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Compare two snapshots field by field
+ * @returns {Array} [{ path, oldValue, newValue }] for every changed path
+ */
+const diffSnapshots = (before, after) => {
+  const oldFlat = flattenSnapshot(before);
+  const newFlat = flattenSnapshot(after);
+  const paths = new Set([...Object.keys(oldFlat), ...Object.keys(newFlat)]);
+
+  return [...paths]
+    .filter(
+      path => JSON.stringify(oldFlat[path]) !== JSON.stringify(newFlat[path])
+    )
+    .map(path => ({
+      path,
+      oldValue: oldFlat[path],
+      newValue: newFlat[path]
+    }));
+};
+
+module.exports = {
+  buildSnapshot,
+  getSnapshotValue,
+  diffSnapshots
+};
@@ -0,0 +1,51 @@
+/**
+ * Transaction Utility
+ * Runs related writes in one MongoDB transaction where the server supports
+ * them. Transactions need a replica set or sharded cluster; on a standalone
+ * server the writes run one after another without a session.
+ */
+
+const mongoose = require('mongoose');
+
+// Whether the connected server supports transactions, once checked
+let transactionsSupported;
+
+/**
+ * Check whether the connected server is a replica set member or mongos
+ * @returns {Promise<boolean>}
+ */
+const supportsTransactions = async () => {
+  if (transactionsSupported === undefined) {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    transactionsSupported = Boolean(hello.setName || hello.msg === 'isdbgrid');
+  }
+
+  return transactionsSupported;
+};
+
+/**
+ * Run work in a transaction, or without one on a standalone server
+ * @param {Function} work - async session => result; session is null when
+ *   the work runs without a transaction
+ * @returns {Promise<*>} What the work returned
+ */
+const withTransaction = async work => {
+  if (!(await supportsTransactions())) {
+    return work(null);
+  }
+
+  const session = await mongoose.startSession();
+  let result;
+
+  try {
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return result;
+};
+
+module.exports = { withTransaction };
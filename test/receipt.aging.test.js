@@ -0,0 +1,56 @@
+/**
+ * Receipt aging tests
+ * Which aging bucket an open receipt falls in, checked against the filters
+ * the aging report queries with
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Receipt } = require('../src/models');
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+const asOf = new Date(2026, 5, 30, 12);
+const daysAgo = days => new Date(asOf.getTime() - days * DAY_IN_MS);
+
+/**
+ * Whether a date falls in a filter range built by buildAgingFilter
+ */
+const inRange = (range, date) =>
+  (range.$lt === undefined || date < range.$lt) &&
+  (range.$gte === undefined || date >= range.$gte);
+
+/**
+ * Find the bucket a receipt falls in by its due date, or its issue date when
+ * it has no due date
+ */
+const bucketFor = ({ dueDate, createdAt }) =>
+  Receipt.getAgingBuckets().find(bucket => {
+    const [byDueDate, byIssueDate] = Receipt.buildAgingFilter(
+      bucket.key,
+      asOf
+    ).$or;
+    return dueDate
+      ? inRange(byDueDate['payment.dueDate'], dueDate)
+      : inRange(byIssueDate.createdAt, createdAt);
+  })?.key;
+
+describe('Receipt aging buckets', () => {
+  it('ages receipts by whole days past their due date', () => {
+    assert.equal(bucketFor({ dueDate: daysAgo(-1) }), 'current');
+    assert.equal(bucketFor({ dueDate: daysAgo(0.5) }), '1-30');
+    assert.equal(bucketFor({ dueDate: daysAgo(30) }), '1-30');
+    assert.equal(bucketFor({ dueDate: daysAgo(30.5) }), '31-60');
+    assert.equal(bucketFor({ dueDate: daysAgo(95) }), '90+');
+  });
+
+  it('keeps receipts without a due date current through the payment terms', () => {
+    assert.equal(bucketFor({ createdAt: daysAgo(0.5) }), 'current');
+    assert.equal(bucketFor({ createdAt: daysAgo(14) }), 'current');
+    assert.equal(bucketFor({ createdAt: daysAgo(14.5) }), '1-30');
+    assert.equal(bucketFor({ createdAt: daysAgo(44.5) }), '31-60');
+  });
+
+  it('returns no filter for an unknown bucket', () => {
+    assert.equal(Receipt.buildAgingFilter('120+', asOf), null);
+  });
+});
@@ -0,0 +1,290 @@
+/**
+ * Receipt payment tests
+ * Payments, refunds, voids, credits and claim payouts on a receipt as loaded
+ * from the database. Saves run the model's validation and save middleware
+ * in full; only the write to the collection is replaced, so no database is
+ * needed.
+ */
+
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { Receipt } = require('../src/models');
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+const inDays = days => new Date(Date.now() + days * DAY_IN_MS);
+
+const userId = new mongoose.Types.ObjectId();
+
+/**
+ * Build a receipt as it would be loaded: 1000 UGX in two installments, with
+ * 100 paid when the receipt was issued
+ */
+const loadReceipt = (payment = {}) =>
+  Receipt.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    receiptNumber: 'AMRC-ITM-00001',
+    receiptType: 'item',
+    client: { name: 'Jane Client', phone: '+256700000000' },
+    payment: {
+      currency: 'UGX',
+      totalAmount: 1000,
+      amountPaid: 100,
+      balance: 900,
+      status: 'partial',
+      method: 'cash',
+      schedule: [
+        {
+          dueDate: inDays(10),
+          amount: 400,
+          amountPaid: 100,
+          status: 'partial'
+        },
+        { dueDate: inDays(40), amount: 600 }
+      ],
+      paymentHistory: [],
+      reversalRequests: [],
+      ...payment
+    },
+    createdBy: userId,
+    version: 1,
+    versions: []
+  });
+
+const payment = amount => ({
+  amount,
+  method: 'mobile_money',
+  reference: 'MM-1',
+  receivedBy: userId
+});
+
+before(() => {
+  mock.method(Receipt.collection, 'updateOne', async () => ({
+    acknowledged: true,
+    matchedCount: 1,
+    modifiedCount: 1
+  }));
+});
+
+after(() => mock.restoreAll());
+
+describe('Receipt payments', () => {
+  let receipt;
+
+  beforeEach(() => {
+    receipt = loadReceipt();
+  });
+
+  it('adds a payment to the amount paid and allocates it oldest installment first', async () => {
+    await receipt.addPayment(payment(450));
+
+    assert.equal(receipt.payment.amountPaid, 550);
+    assert.equal(receipt.payment.balance, 450);
+    assert.equal(receipt.payment.status, 'partial');
+    assert.equal(receipt.payment.method, 'mobile_money');
+
+    const [first, second] = receipt.payment.schedule;
+    assert.equal(first.status, 'paid');
+    assert.equal(second.status, 'partial');
+    assert.equal(second.amountPaid, 150);
+    assert.deepEqual(receipt.payment.dueDate, second.dueDate);
+
+    // The 100 paid at issue already went towards the first installment
+    const { allocations } = receipt.payment.paymentHistory[0];
+    assert.deepEqual(
+      allocations.map(allocation => allocation.amount),
+      [300, 150]
+    );
+  });
+
+  it('adds an amount sent as text as a number', async () => {
+    await receipt.addPayment(payment('100'));
+
+    assert.equal(receipt.payment.amountPaid, 200);
+    assert.equal(receipt.payment.status, 'partial');
+    assert.deepEqual(
+      receipt.payment.paymentHistory[0].allocations.map(
+        allocation => allocation.amount
+      ),
+      [100]
+    );
+  });
+
+  it('marks the receipt paid once the total is covered', async () => {
+    await receipt.addPayment(payment(900));
+
+    assert.equal(receipt.payment.balance, 0);
+    assert.equal(receipt.payment.status, 'paid');
+    assert.ok(
+      receipt.payment.schedule.every(
+        installment => installment.status === 'paid'
+      )
+    );
+  });
+
+  it('refunds no more than has been paid', async () => {
+    await receipt.addPayment(payment(200));
+
+    assert.throws(
+      () => receipt.refundPayment(301, userId, 'Too much'),
+      error => error.statusCode === 400
+    );
+
+    await receipt.refundPayment(300, userId, 'Move cancelled');
+
+    assert.equal(receipt.payment.amountPaid, 0);
+    assert.equal(receipt.payment.balance, 1000);
+    assert.equal(receipt.payment.status, 'refunded');
+    assert.equal(receipt.getRefundedAmount(), 300);
+  });
+
+  it('refuses to refund a balance that was only credited', async () => {
+    await receipt.refundPayment(100, userId, 'Move cancelled');
+    await receipt.applyCredit(500, userId, 'Goodwill');
+
+    assert.equal(receipt.payment.amountPaid, 500);
+    assert.equal(receipt.getRefundableAmount(), 0);
+    assert.throws(
+      () => receipt.refundPayment(1, userId, 'Refund the credit'),
+      /cannot exceed the 0 paid/
+    );
+  });
+
+  it('takes a voided payment back out of the amount paid', async () => {
+    await receipt.addPayment(payment(200));
+    const [entry] = receipt.payment.paymentHistory;
+
+    await receipt.voidPayment(entry._id, userId, 'Entered twice');
+
+    assert.equal(receipt.payment.amountPaid, 100);
+    assert.equal(entry.voided, true);
+    assert.throws(
+      () => receipt.voidPayment(entry._id, userId, 'Again'),
+      /already been voided/
+    );
+  });
+
+  it('refuses to void a payment that has partly been refunded', async () => {
+    await receipt.addPayment(payment(200));
+    await receipt.refundPayment(250, userId, 'Partial refund');
+
+    assert.throws(
+      () =>
+        receipt.voidPayment(
+          receipt.payment.paymentHistory[0]._id,
+          userId,
+          'Entered twice'
+        ),
+      /already been refunded/
+    );
+  });
+
+  it('totals standing refunds and voided payments as reversed', async () => {
+    await receipt.addPayment(payment(200));
+    await receipt.addPayment(payment(300));
+    await receipt.refundPayment(50, userId, 'Damaged box');
+    await receipt.refundPayment(20, userId, 'Refunded in error');
+
+    const [first, , , mistaken] = receipt.payment.paymentHistory;
+    await receipt.voidPayment(first._id, userId, 'Bounced');
+    await receipt.voidPayment(mistaken._id, userId, 'Refunded in error');
+
+    // 200 voided and 50 refunded; the voided refund no longer counts
+    assert.equal(receipt.getReversedAmount(), 250);
+    assert.equal(receipt.getRefundedAmount(), 50);
+    assert.equal(receipt.payment.amountPaid, 350);
+  });
+
+  it('credits no more than the outstanding balance', async () => {
+    assert.throws(
+      () => receipt.applyCredit(901, userId, 'Goodwill'),
+      /outstanding balance of 900/
+    );
+
+    await receipt.applyCredit(400, userId, 'Goodwill');
+
+    assert.equal(receipt.payment.amountPaid, 500);
+    assert.equal(receipt.payment.balance, 500);
+  });
+
+  it('records a claim payout without reopening the balance', async () => {
+    await receipt.addPayment(payment(900));
+    const claimId = new mongoose.Types.ObjectId();
+
+    await receipt.recordClaimPayout(250, userId, 'Damage claim CLM-00001', {
+      method: 'bank_transfer',
+      claimId
+    });
+
+    const payout = receipt.payment.paymentHistory.at(-1);
+    assert.equal(payout.type, 'claim_payout');
+    assert.equal(payout.method, 'bank_transfer');
+    assert.equal(receipt.payment.amountPaid, 1000);
+    assert.equal(receipt.payment.balance, 0);
+    assert.equal(receipt.payment.status, 'paid');
+    assert.equal(receipt.getRefundedAmount(), 0);
+    assert.equal(receipt.getReversedAmount(), 0);
+    assert.throws(
+      () => receipt.voidPayment(payout._id, userId, 'Undo'),
+      /Claim settlements cannot be voided/
+    );
+  });
+});
+
+describe('Receipt payment edits', () => {
+  it('keeps the history, reversal requests and plan fields not being edited', async () => {
+    const notifiedAt = new Date();
+    const receipt = loadReceipt({
+      overdueNotifiedAt: notifiedAt,
+      reversalRequests: [
+        {
+          action: 'refund',
+          amount: 50,
+          reason: 'Damaged box',
+          requestedBy: userId
+        }
+      ]
+    });
+    await receipt.addPayment(payment(300));
+
+    receipt.updatePayment({ totalAmount: 1200, method: 'bank_transfer' });
+    receipt.set('payment.schedule.1.amount', 800);
+    await receipt.save();
+
+    assert.equal(receipt.payment.totalAmount, 1200);
+    assert.equal(receipt.payment.method, 'bank_transfer');
+    assert.equal(receipt.payment.amountPaid, 400);
+    assert.equal(receipt.payment.balance, 800);
+    assert.equal(receipt.payment.paymentHistory.length, 1);
+    assert.equal(receipt.payment.reversalRequests.length, 1);
+    assert.deepEqual(receipt.payment.overdueNotifiedAt, notifiedAt);
+    assert.deepEqual(
+      receipt.payment.schedule.map(installment => installment.status),
+      ['paid', 'pending']
+    );
+  });
+
+  it('ignores payment fields that are not editable', () => {
+    const receipt = loadReceipt();
+
+    receipt.updatePayment({
+      balance: 0,
+      status: 'paid',
+      paymentHistory: [],
+      amountPaid: 250
+    });
+
+    assert.equal(receipt.payment.amountPaid, 250);
+    assert.equal(receipt.payment.balance, 900);
+    assert.equal(receipt.payment.status, 'partial');
+    assert.equal(receipt.isModified('payment.paymentHistory'), false);
+  });
+
+  it('rejects an installment plan that does not add up to the total', async () => {
+    const receipt = loadReceipt();
+
+    receipt.updatePayment({ totalAmount: 1500 });
+
+    await assert.rejects(receipt.save(), /Installments must add up/);
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * Storage billing tests
+ * Monthly periods a storage contract is billed for, prorated by the days the
+ * goods were stored and not suspended. Contracts are built in memory and
+ * saves skip only the write to the collection, so no database is needed.
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { Counter, Receipt, StorageContract } = require('../src/models');
+const storageBillingService = require('../src/services/storageBilling.service');
+const logger = require('../src/utils/logger');
+
+const userId = new mongoose.Types.ObjectId();
+
+// Days in server time, as the contract stores them
+const day = (year, month, date) => new Date(year, month - 1, date);
+
+/**
+ * Build a contract as it would be loaded, billed at 3100 UGX a month
+ */
+const loadContract = (fields = {}) =>
+  StorageContract.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    contractNumber: 'AMRC-STC-00001',
+    clientId: new mongoose.Types.ObjectId(),
+    client: { name: 'Jane Client', phone: '+256700000000' },
+    volume: 20,
+    monthlyRate: 3100,
+    currency: 'UGX',
+    status: 'active',
+    suspensions: [],
+    createdBy: userId,
+    ...fields
+  });
+
+const summarise = periods =>
+  periods.map(({ start, end, billableDays, amount }) => ({
+    start: start.toDateString(),
+    end: end.toDateString(),
+    billableDays,
+    amount
+  }));
+
+before(() => {
+  mock.method(StorageContract.collection, 'updateOne', async () => ({
+    acknowledged: true,
+    matchedCount: 1,
+    modifiedCount: 1
+  }));
+});
+
+after(() => mock.restoreAll());
+
+describe('Storage contract billing periods', () => {
+  it('prorates the first month and bills whole months in full', () => {
+    const contract = loadContract({ startDate: day(2026, 1, 15) });
+
+    assert.deepEqual(summarise(contract.getDuePeriods(day(2026, 3, 5))), [
+      {
+        start: day(2026, 1, 15).toDateString(),
+        end: day(2026, 1, 31).toDateString(),
+        billableDays: 17,
+        amount: 1700
+      },
+      {
+        start: day(2026, 2, 1).toDateString(),
+        end: day(2026, 2, 28).toDateString(),
+        billableDays: 28,
+        amount: 3100
+      }
+    ]);
+  });
+
+  it('rounds prorated amounts to the cent', () => {
+    const contract = loadContract({ startDate: day(2026, 4, 21) });
+    const [period] = contract.getDuePeriods(day(2026, 5, 1));
+
+    assert.equal(period.days, 10);
+    assert.equal(period.daysInMonth, 30);
+    assert.equal(period.amount, 1033.33);
+  });
+
+  it('bills the current month only once it is over', () => {
+    const contract = loadContract({ startDate: day(2026, 1, 1) });
+
+    assert.equal(contract.getDuePeriods(day(2026, 1, 31)).length, 0);
+    assert.equal(contract.getDuePeriods(day(2026, 2, 1)).length, 1);
+  });
+
+  it('cuts the last period short at the end date', () => {
+    const contract = loadContract({
+      startDate: day(2026, 1, 1),
+      endDate: day(2026, 2, 14)
+    });
+    const periods = contract.getDuePeriods(day(2026, 6, 1));
+
+    assert.equal(periods.length, 2);
+    assert.equal(
+      periods[1].end.toDateString(),
+      day(2026, 2, 14).toDateString()
+    );
+    assert.equal(periods[1].billableDays, 14);
+    assert.equal(periods[1].amount, 1550);
+  });
+
+  it('starts after the last day already billed', () => {
+    const contract = loadContract({
+      startDate: day(2026, 1, 15),
+      billedThrough: day(2026, 1, 31)
+    });
+    const periods = contract.getDuePeriods(day(2026, 3, 1));
+
+    assert.equal(periods.length, 1);
+    assert.equal(
+      periods[0].start.toDateString(),
+      day(2026, 2, 1).toDateString()
+    );
+  });
+
+  it('leaves suspended days out up to the day billing resumes', () => {
+    const contract = loadContract({
+      startDate: day(2026, 1, 1),
+      suspensions: [
+        {
+          startDate: day(2026, 1, 11),
+          endDate: day(2026, 1, 21),
+          suspendedBy: userId
+        }
+      ]
+    });
+    const [period] = contract.getDuePeriods(day(2026, 2, 1));
+
+    // 11 to 20 January are suspended; the 21st is billed again
+    assert.equal(period.days, 31);
+    assert.equal(period.billableDays, 21);
+    assert.equal(period.amount, 2100);
+  });
+
+  it('leaves out every day of a suspension still in force', () => {
+    const contract = loadContract({
+      startDate: day(2026, 1, 1),
+      status: 'suspended',
+      suspensions: [{ startDate: day(2026, 2, 15), suspendedBy: userId }]
+    });
+    const periods = contract.getDuePeriods(day(2026, 4, 1));
+
+    assert.deepEqual(
+      periods.map(period => period.amount),
+      [3100, 1550, 0]
+    );
+  });
+});
+
+describe('Storage contract suspensions', () => {
+  it('suspends and resumes billing from whole days', async () => {
+    const contract = loadContract({
+      startDate: day(2026, 1, 1),
+      billedThrough: day(2026, 1, 31)
+    });
+
+    await contract.suspend(new Date(2026, 1, 10, 15, 30), userId, 'Shipped');
+    assert.equal(contract.status, 'suspended');
+    assert.equal(
+      contract.getOpenSuspension().startDate.getTime(),
+      day(2026, 2, 10).getTime()
+    );
+
+    await contract.resume(day(2026, 2, 20), userId);
+    assert.equal(contract.status, 'active');
+    assert.equal(contract.getOpenSuspension(), undefined);
+
+    const [period] = contract.getDuePeriods(day(2026, 3, 1));
+    assert.equal(period.billableDays, 18);
+  });
+
+  it('refuses to suspend days already billed', () => {
+    const contract = loadContract({
+      startDate: day(2026, 1, 1),
+      billedThrough: day(2026, 1, 31)
+    });
+
+    assert.throws(
+      () => contract.suspend(day(2026, 1, 20), userId, 'Late'),
+      error => error.statusCode === 400
+    );
+  });
+
+  it('ends the contract once its last day is billed', () => {
+    const contract = loadContract({
+      startDate: day(2026, 1, 1),
+      endDate: day(2026, 2, 14),
+      status: 'suspended',
+      suspensions: [{ startDate: day(2026, 2, 10), suspendedBy: userId }]
+    });
+
+    contract.markBilled(day(2026, 1, 31));
+    assert.equal(contract.status, 'suspended');
+
+    contract.markBilled(day(2026, 2, 14));
+    assert.equal(contract.status, 'ended');
+    assert.equal(
+      contract.suspensions[0].endDate.getTime(),
+      day(2026, 2, 15).getTime()
+    );
+  });
+});
+
+describe('Storage contract receipts', () => {
+  it('skips a period already billed without taking a receipt number', async () => {
+    const contract = loadContract({ startDate: day(2026, 1, 1) });
+    const exists = mock.method(Receipt, 'exists', async () => ({
+      _id: new mongoose.Types.ObjectId()
+    }));
+    const nextSequence = mock.method(Counter, 'getNextSequence');
+    const warn = mock.method(logger, 'warn', () => {});
+
+    const receipts = await storageBillingService.billContract(
+      contract,
+      day(2026, 2, 1)
+    );
+
+    assert.deepEqual(receipts, []);
+    assert.equal(exists.mock.callCount(), 1);
+    assert.equal(nextSequence.mock.callCount(), 0);
+    assert.match(warn.mock.calls[0].arguments[0], /already billed/);
+    assert.equal(
+      contract.billedThrough.toDateString(),
+      day(2026, 1, 31).toDateString()
+    );
+  });
+});